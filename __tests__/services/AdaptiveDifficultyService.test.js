@@ -0,0 +1,46 @@
+/**
+ * 🧪 ADAPTIVEDIFFICULTYSERVICE.TEST.JS
+ * Tests de la dificultad adaptativa (nivel según las últimas rondas)
+ *
+ * Ejecutar: npm test -- AdaptiveDifficultyService.test.js
+ */
+
+const AdaptiveDifficultyService = require('../../services/AdaptiveDifficultyService');
+
+describe('AdaptiveDifficultyService', () => {
+
+  const round = (winner, difficulty = 'MEDIUM', adjustment = null) => ({
+    winner,
+    adaptive: { difficulty, adjustment }
+  });
+
+  test('empieza en MEDIUM y espera una ventana completa', () => {
+    expect(AdaptiveDifficultyService.isAdaptive({ difficulty: 'adaptive' })).toBe(true);
+    expect(AdaptiveDifficultyService.isAdaptive({ difficulty: 'HARD' })).toBe(false);
+
+    expect(AdaptiveDifficultyService.planRound([])).toEqual({ difficulty: 'MEDIUM', adjustment: null });
+    expect(AdaptiveDifficultyService.planRound([round(null), round(null)]).adjustment).toBeNull();
+  });
+
+  test('baja si casi nadie acierta y sube si un jugador lo gana todo', () => {
+    const eased = AdaptiveDifficultyService.planRound([round('player_1'), round(null), round(null)]);
+    expect(eased).toEqual({
+      difficulty: 'EASY',
+      adjustment: { from: 'MEDIUM', to: 'EASY', reason: 'nobody_answering' }
+    });
+
+    const raised = AdaptiveDifficultyService.planRound([round('player_2'), round('player_2'), round('player_2')]);
+    expect(raised.adjustment).toEqual({ from: 'MEDIUM', to: 'HARD', reason: 'dominant_player' });
+
+    // Tras un ajuste la ventana vuelve a empezar en la ronda ajustada
+    const afterChange = [
+      round('player_2'), round('player_2'), round('player_2'),
+      round('player_2', 'HARD', raised.adjustment), round('player_2', 'HARD')
+    ];
+    expect(AdaptiveDifficultyService.planRound(afterChange)).toEqual({ difficulty: 'HARD', adjustment: null });
+
+    // En el tope no hay ajuste
+    expect(AdaptiveDifficultyService.planRound([...afterChange, round('player_2', 'HARD')]).adjustment).toBeNull();
+    expect(AdaptiveDifficultyService.questionWeights('EASY')).not.toHaveProperty('year');
+  });
+});
@@ -282,6 +282,33 @@ describe('ComboTracker Service', () => {
     });
   });
 
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 6b: Múltiples sesiones
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Múltiples sesiones - Aislamiento', () => {
+
+    test('mismo playerId en sesiones distintas mantiene rachas separadas', () => {
+      ComboTracker.recordAnswer('player_1', true, 'game_a');
+      ComboTracker.recordAnswer('player_1', true, 'game_a');
+      ComboTracker.recordAnswer('player_1', false, 'game_b');
+
+      expect(ComboTracker.getPlayerStreak('player_1', 'game_a').streak).toBe(2);
+      expect(ComboTracker.getPlayerStreak('player_1', 'game_b').streak).toBe(0);
+    });
+
+    test('clearSession solo elimina las rachas de esa sesión', () => {
+      ComboTracker.recordAnswer('player_1', true, 'game_a');
+      ComboTracker.recordAnswer('player_1', true, 'game_b');
+
+      ComboTracker.clearSession('game_a');
+
+      expect(ComboTracker.getPlayerStreak('player_1', 'game_a').streak).toBe(0);
+      expect(ComboTracker.getPlayerStreak('player_1', 'game_b').streak).toBe(1);
+      expect(ComboTracker.getAllPlayerStreaks('game_b')).toHaveLength(1);
+    });
+  });
+
   // ═══════════════════════════════════════════════════════════════
   // TEST SUITE 7: Validación de datos
   // ═══════════════════════════════════════════════════════════════
@@ -321,4 +348,77 @@ describe('ComboTracker Service', () => {
       expect(result3.comboType).toBe('HOT_STREAK');
     });
   });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 8: Combos definidos en powerCards.json
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Combos del JSON', () => {
+    const defaultCombos = ComboTracker.getCombos();
+
+    afterEach(() => {
+      ComboTracker.setCombos(defaultCombos);
+    });
+
+    const combo = (id, conditions) => ({ id, name: id, conditions, reward: { type: 'tokens', amount: 1 } });
+
+    test('question_type cuenta aciertos de ese tipo aunque no sean seguidos', () => {
+      ComboTracker.setCombos([combo('ARTISTS', [{ type: 'question_type', questionType: 'artist', value: 2 }])]);
+
+      ComboTracker.recordAnswer('player1', true, null, { questionType: 'artist' });
+      ComboTracker.recordAnswer('player1', false);
+      ComboTracker.recordAnswer('player1', true, null, { questionType: 'song' });
+      const result = ComboTracker.recordAnswer('player1', true, null, { questionType: 'artist' });
+
+      expect(result.comboType).toBe('ARTISTS');
+      expect(result.combos[0].reward).toEqual({ type: 'tokens', amount: 1 });
+    });
+
+    test('genre_streak se corta al cambiar de género', () => {
+      ComboTracker.setCombos([combo('ROCKER', [{ type: 'genre_streak', genre: 'ROCK', value: 2 }])]);
+
+      ComboTracker.recordAnswer('player1', true, null, { genre: 'ROCK' });
+      expect(ComboTracker.recordAnswer('player1', true, null, { genre: 'POP' }).comboDetected).toBe(false);
+      ComboTracker.recordAnswer('player1', true, null, { genre: 'ROCK' });
+
+      expect(ComboTracker.recordAnswer('player1', true, null, { genre: 'ROCK' }).comboType).toBe('ROCKER');
+    });
+
+    test('token_bet y varias condiciones a la vez', () => {
+      ComboTracker.setCombos([combo('BIG_BET_STREAK', [
+        { type: 'token_bet', tokenValue: 3 },
+        { type: 'consecutive_wins', value: 2 }
+      ])]);
+
+      expect(ComboTracker.recordAnswer('player1', true, null, { tokenValue: 3 }).comboDetected).toBe(false);
+      const result = ComboTracker.recordAnswer('player1', true, null, { tokenValue: 1 });
+
+      expect(result.comboType).toBe('BIG_BET_STREAK');
+      expect(ComboTracker.getPlayerStreak('player1').streak).toBe(0);
+    });
+
+    test('getNextStreakCombo devuelve el siguiente combo de racha con su recompensa', () => {
+      ComboTracker.setCombos([
+        combo('ARTISTS', [{ type: 'question_type', questionType: 'artist', value: 2 }]),
+        { ...combo('CARD_STREAK', [{ type: 'consecutive_wins', value: 4 }]), reward: { type: 'power_card', cardType: 'shield', amount: 1 } },
+        combo('QUICK_STREAK', [{ type: 'consecutive_wins', value: 2 }])
+      ]);
+
+      expect(ComboTracker.getNextStreakCombo(1)).toMatchObject({ type: 'QUICK_STREAK', milestone: 2, remaining: 1 });
+      expect(ComboTracker.getNextStreakCombo(2)).toMatchObject({
+        type: 'CARD_STREAK',
+        remaining: 2,
+        reward: { type: 'power_card', cardType: 'shield', amount: 1 }
+      });
+
+      ComboTracker.setCombos([combo('ARTISTS', [{ type: 'question_type', questionType: 'artist', value: 2 }])]);
+      expect(ComboTracker.getNextStreakCombo(0)).toBeNull();
+    });
+
+    test('rechaza condiciones o recompensas desconocidas', () => {
+      expect(() => ComboTracker.setCombos([combo('BAD', [{ type: 'moon_phase' }])])).toThrow(/Unknown combo condition/);
+      expect(() => ComboTracker.setCombos([{ ...combo('BAD', [{ type: 'consecutive_wins' }]), reward: { type: 'hug' } }]))
+        .toThrow(/Unknown combo reward/);
+    });
+  });
 });
\ No newline at end of file
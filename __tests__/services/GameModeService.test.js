@@ -0,0 +1,62 @@
+/**
+ * 🧪 GAMEMODESERVICE.TEST.JS
+ * Tests de los presets de partida (gameModes.json)
+ *
+ * Ejecutar: npm test -- GameModeService.test.js
+ */
+
+const GameModeService = require('../../services/GameModeService');
+
+describe('GameModeService', () => {
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 1: Catálogo de modos
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Catálogo de modos', () => {
+
+    test('carga los seis presets con id, nombre y config', () => {
+      const modes = GameModeService.getAllModes();
+
+      expect(modes.map(m => m.name)).toEqual([
+        'Quick Game', 'Marathon', 'Decades Journey', 'Latin Night', 'Expert', 'Family'
+      ]);
+      modes.forEach(mode => {
+        expect(mode.id).toBeDefined();
+        expect(mode.config).toBeDefined();
+      });
+    });
+
+    test('encuentra un modo por id o por nombre sin distinguir mayúsculas', () => {
+      expect(GameModeService.findMode('latin_night').name).toBe('Latin Night');
+      expect(GameModeService.findMode('LATIN NIGHT').id).toBe('latin_night');
+      expect(GameModeService.findMode('karaoke')).toBeNull();
+      expect(GameModeService.findMode(null)).toBeNull();
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 2: Combinar con la config del host
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('applyMode', () => {
+
+    test('los campos enviados sobrescriben el preset, tokenRules campo a campo', () => {
+      const expert = GameModeService.findMode('expert');
+
+      const config = GameModeService.applyMode(expert, {
+        targetScore: 10,
+        tokenRules: { rerollCost: 2 }
+      });
+
+      expect(config).toMatchObject({
+        mode: 'expert',
+        difficulty: 'HARD',
+        roundTimeLimit: 15,
+        targetScore: 10,
+        tokenRules: { hintCost: 1, rerollCost: 2 }
+      });
+      expect(expert.config.targetScore).toBe(20);
+    });
+  });
+});
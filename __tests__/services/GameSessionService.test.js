@@ -0,0 +1,1276 @@
+/**
+ * 🧪 GAMESESSIONSERVICE.TEST.JS
+ * Tests de flujo de sesión con repositorio en memoria
+ *
+ * Ejecutar: npm test -- GameSessionService.test.js
+ */
+
+jest.mock('../../services/DeezerServiceV2', () => ({
+  searchTracks: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../services/DeezerService', () => ({
+  searchTrack: jest.fn().mockResolvedValue({ previewUrl: 'https://cdn.test/preview.mp3' })
+}));
+
+const GameSessionService = require('../../services/GameSessionService');
+const PowerCardService = require('../../services/PowerCardService');
+const { InMemorySessionRepository } = require('../../services/SessionRepository');
+
+describe('GameSessionService', () => {
+  let repository;
+  let service;
+
+  beforeEach(() => {
+    PowerCardService.clearAll();
+    repository = new InMemorySessionRepository();
+    service = new GameSessionService({ repository });
+  });
+
+  const startedSession = async (players = ['Ana', 'Bob']) => {
+    const { session } = service.createSession({ players });
+    service.startGame(session.id);
+    return session.id;
+  };
+
+  // Cartas en el inventario de la sesión (ownerId: jugador o equipo)
+  const giveCard = (sessionId, ownerId, cardType, count = 1) =>
+    PowerCardService.addCardToInventory(ownerId, PowerCardService.findPowerCard(cardType).id, count, sessionId);
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 1: Persistencia
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Persistencia y rehidratación', () => {
+
+    test('guarda la sesión al crearla', async () => {
+      const { session } = service.createSession({ players: ['Ana'] });
+      await service.flush();
+
+      const stored = await repository.loadActiveSessions(60 * 60 * 1000);
+      expect(stored.map(s => s.session.id)).toContain(session.id);
+    });
+
+    test('registra la ronda revelada con sus apuestas', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId);
+      service.placeBet(sessionId, 'player_1', 2);
+      service.revealAnswer(sessionId, 'player_1');
+      await service.flush();
+
+      const rounds = repository.getRounds(sessionId);
+      expect(rounds).toHaveLength(1);
+      expect(rounds[0].entry.winner).toBe('player_1');
+      expect(rounds[0].bets.player_1.tokenValue).toBe(2);
+    });
+
+    test('una instancia nueva rehidrata la partida en curso', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId);
+      service.placeBet(sessionId, 'player_2', 3);
+      await service.flush();
+
+      const restarted = new GameSessionService({ repository });
+      const { restored } = await restarted.restoreSessions();
+      const status = restarted.getStatus(sessionId);
+
+      expect(restored).toBe(1);
+      expect(status.session.status).toBe('playing');
+      expect(status.session.currentRound.bets.player_2.tokenValue).toBe(3);
+      expect(status.session.players[1].availableTokens).toEqual([1, 2]);
+    });
+
+    test('rehidrata rachas y cartas activadas guardadas con el snapshot', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId);
+      service.revealAnswer(sessionId, 'player_1');
+      giveCard(sessionId, 'player_1', 'replay');
+      service.activatePlayerPowerCard(sessionId, 'player_1', 'power_replay_001');
+      await service.nextRound(sessionId);
+      await service.flush();
+
+      PowerCardService.clearAll();
+      const restarted = new GameSessionService({ repository });
+      const { replayed } = await restarted.restoreSessions();
+
+      expect(replayed).toBe(0);
+      expect(PowerCardService.getComboStatus('player_1', sessionId).currentStreak).toBe(1);
+
+      const basePoints = restarted.sessions.get(sessionId).currentRound.question.points;
+      const result = restarted.revealAnswer(sessionId, 'player_1');
+      expect(result.results.pointsAwarded).toBe(basePoints * 2);
+    });
+
+    test('deleteSession elimina la sesión del repositorio', async () => {
+      const sessionId = await startedSession();
+      service.deleteSession(sessionId);
+      await service.flush();
+
+      const stored = await repository.loadActiveSessions(60 * 60 * 1000);
+      expect(stored).toHaveLength(0);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 2: Eventos en tiempo real
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Eventos de juego', () => {
+
+    const collectEvents = () => {
+      const events = [];
+      service.on('game-event', event => events.push(event));
+      return events;
+    };
+
+    test('emite el ciclo completo de una ronda', async () => {
+      const events = collectEvents();
+      const sessionId = await startedSession();
+
+      await service.nextRound(sessionId);
+      service.placeBet(sessionId, 'player_1', 1);
+      service.revealAnswer(sessionId, 'player_1');
+
+      expect(events.map(e => e.type)).toEqual([
+        GameSessionService.EVENTS.SESSION_STARTED,
+        GameSessionService.EVENTS.ROUND_STARTED,
+        GameSessionService.EVENTS.BET_PLACED,
+        GameSessionService.EVENTS.ANSWER_REVEALED
+      ]);
+      expect(events.every(e => e.sessionId === sessionId)).toBe(true);
+    });
+
+    test('round_started no expone la respuesta', async () => {
+      const events = collectEvents();
+      const sessionId = await startedSession();
+
+      await service.nextRound(sessionId);
+
+      const roundStarted = events.find(e => e.type === GameSessionService.EVENTS.ROUND_STARTED);
+      expect(roundStarted.data.question).toBeDefined();
+      expect(JSON.stringify(roundStarted)).not.toContain('_answer');
+    });
+
+    test('emite score_delta y game_over', async () => {
+      const events = collectEvents();
+      const { session } = service.createSession({ players: ['Ana'], targetScore: 1 });
+      service.startGame(session.id);
+
+      service.applyScoreDelta(session.id, 'player_1', 2, 'TEST');
+      await service.nextRound(session.id);
+
+      const types = events.map(e => e.type);
+      expect(types).toContain(GameSessionService.EVENTS.SCORE_DELTA);
+      expect(types).toContain(GameSessionService.EVENTS.GAME_OVER);
+    });
+
+    test('avisa cuando una sesión sale de memoria (eliminada o caducada)', async () => {
+      let now = Date.now();
+      service = new GameSessionService({ repository, clock: () => now });
+      const removed = [];
+      service.on('session-removed', sessionId => removed.push(sessionId));
+
+      const deleted = service.createSession({ players: ['Ana'] }).session;
+      const expired = service.createSession({ players: ['Bob'] }).session;
+
+      service.deleteSession(deleted.id);
+      await service.flush();
+      now += 3 * 60 * 60 * 1000;
+      service.cleanupOldSessions();
+
+      expect(removed).toEqual([deleted.id, expired.id]);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 3: Juicio automático de respuestas
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Respuestas escritas', () => {
+
+    const correctAnswerOf = sessionId =>
+      service.sessions.get(sessionId).currentRound._answer.correct;
+
+    test('el primer acierto gana la ronda con reveal automático', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId, 'artist');
+      const correct = correctAnswerOf(sessionId);
+
+      expect(service.submitAnswer(sessionId, 'player_2', 'respuesta equivocada xyz').correct).toBe(false);
+      const submitted = service.submitAnswer(sessionId, 'player_1', correct);
+      expect(submitted.correct).toBe(true);
+      expect(submitted.isFirstCorrect).toBe(true);
+
+      const result = service.revealAnswer(sessionId, null, { auto: true });
+
+      expect(result.results.resolution).toBe('auto');
+      expect(result.results.winner.id).toBe('player_1');
+      expect(result.results.submittedAnswers).toHaveLength(2);
+    });
+
+    test('el game master puede sobrescribir el resultado', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId, 'artist');
+      service.submitAnswer(sessionId, 'player_1', correctAnswerOf(sessionId));
+
+      const result = service.revealAnswer(sessionId, 'player_2');
+
+      expect(result.results.resolution).toBe('override');
+      expect(result.results.winner.id).toBe('player_2');
+    });
+
+    test('rechaza una segunda respuesta del mismo jugador', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId);
+
+      service.submitAnswer(sessionId, 'player_1', 'primera');
+      const second = service.submitAnswer(sessionId, 'player_1', 'segunda');
+
+      expect(second.success).toBe(false);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 4: Límites de tiempo
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Límites de tiempo', () => {
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const timedSession = config => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], ...config });
+      service.startGame(session.id);
+      return session.id;
+    };
+
+    test('expone la cuenta atrás de partida y ronda', async () => {
+      const sessionId = timedSession({ timeLimit: 600, roundTimeLimit: 20 });
+      await service.nextRound(sessionId);
+
+      jest.advanceTimersByTime(5000);
+
+      const { session } = service.getStatus(sessionId);
+      expect(session.timeRemaining).toBe(595);
+      expect(session.currentRound.secondsRemaining).toBe(15);
+    });
+
+    test('sin roundTimeLimit la ronda no tiene cuenta atrás', async () => {
+      const sessionId = timedSession({});
+      await service.nextRound(sessionId);
+
+      expect(service.sessions.get(sessionId).currentRound.timeLimit).toBeNull();
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      expect(service.revealAnswer(sessionId, 'player_1').success).toBe(true);
+    });
+
+    test('cierra la ronda agotada sin ganador', async () => {
+      const sessionId = timedSession({ roundTimeLimit: 10 });
+      await service.nextRound(sessionId);
+
+      jest.advanceTimersByTime(10000);
+
+      const session = service.sessions.get(sessionId);
+      expect(session.currentRound).toBeNull();
+      expect(session.history[0].resolution).toBe('timeout');
+      expect(session.history[0].winner).toBeNull();
+    });
+
+    test('termina la partida al agotar el tiempo y gana el máximo puntuador', async () => {
+      const events = [];
+      service.on('game-event', event => events.push(event));
+
+      const sessionId = timedSession({ timeLimit: 60, roundTimeLimit: 0 });
+      service.applyScoreDelta(sessionId, 'player_2', 4, 'TEST');
+      await service.nextRound(sessionId);
+
+      jest.advanceTimersByTime(60000);
+
+      const session = service.sessions.get(sessionId);
+      expect(session.status).toBe('finished');
+      expect(session.result).toEqual({ reason: 'time_limit', winnerId: 'player_2', decidedBy: 'score' });
+
+      const gameOver = events.find(e => e.type === GameSessionService.EVENTS.GAME_OVER);
+      expect(gameOver.data.winner.id).toBe('player_2');
+    });
+
+    test('desempata por menos fallos cuando los puntos son iguales', () => {
+      const sessionId = timedSession({ timeLimit: 30 });
+      const session = service.sessions.get(sessionId);
+      session.players.forEach(p => { p.score = 5; });
+      session.players[0].stats.wrongAnswers = 3;
+
+      jest.advanceTimersByTime(30000);
+
+      expect(session.result.winnerId).toBe('player_2');
+      expect(session.result.decidedBy).toBe('wrongAnswers');
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 5: Empates y muerte súbita
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Muerte súbita', () => {
+
+    const tiedSession = () => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob', 'Cat'], targetScore: 5 });
+      service.startGame(session.id);
+      service.applyScoreDelta(session.id, 'player_1', 5, 'TEST');
+      service.applyScoreDelta(session.id, 'player_2', 5, 'TEST');
+      return session.id;
+    };
+
+    test('con un único líder por encima del objetivo gana el de más puntos', async () => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], targetScore: 5 });
+      service.startGame(session.id);
+      service.applyScoreDelta(session.id, 'player_1', 5, 'TEST');
+      service.applyScoreDelta(session.id, 'player_2', 6, 'TEST');
+
+      const result = await service.nextRound(session.id);
+
+      expect(result.gameOver).toBe(true);
+      expect(result.winner.id).toBe('player_2');
+    });
+
+    test('un empate en cabeza abre una ronda restringida a los empatados', async () => {
+      const events = [];
+      service.on('game-event', event => events.push(event));
+      const sessionId = tiedSession();
+
+      const result = await service.nextRound(sessionId);
+
+      expect(result.gameOver).toBeUndefined();
+      expect(result.round.suddenDeath).toBe(true);
+      expect(result.round.eligiblePlayerIds).toEqual(['player_1', 'player_2']);
+      expect(events.map(e => e.type)).toContain(GameSessionService.EVENTS.SUDDEN_DEATH);
+      expect(service.placeBet(sessionId, 'player_3', 1).success).toBe(false);
+      expect(service.revealAnswer(sessionId, 'player_3').success).toBe(false);
+    });
+
+    test('sin acierto se juega otra ronda; el primer acierto gana y queda registrado', async () => {
+      const sessionId = tiedSession();
+
+      await service.nextRound(sessionId);
+      expect(service.revealAnswer(sessionId, null).results.gameOver).toBeUndefined();
+
+      await service.nextRound(sessionId);
+      const reveal = service.revealAnswer(sessionId, 'player_2');
+
+      expect(reveal.results.gameWinner.id).toBe('player_2');
+      expect(reveal.results.decidedBy).toBe('sudden_death');
+
+      const session = service.sessions.get(sessionId);
+      expect(session.status).toBe('finished');
+      expect(session.history[session.history.length - 1]).toMatchObject({
+        type: 'decision',
+        reason: 'sudden_death',
+        winnerId: 'player_2',
+        tiedPlayerIds: ['player_1', 'player_2'],
+        suddenDeathRounds: 2
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 6: Efectos de power cards
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Power cards en la sesión', () => {
+
+    test('FESTIVAL suma a todos desde su efecto declarado', async () => {
+      const sessionId = await startedSession();
+      giveCard(sessionId, 'player_1', 'festival');
+
+      const result = service.usePowerCard(sessionId, 'player_1', 'festival');
+
+      expect(result.success).toBe(true);
+      expect(service.sessions.get(sessionId).players.map(p => p.score)).toEqual([1, 1]);
+    });
+
+    test('solo se juegan cartas del inventario y en partida; usarla la gasta', async () => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'] });
+      giveCard(session.id, 'player_1', 'festival');
+
+      expect(service.usePowerCard(session.id, 'player_1', 'festival').error).toBe('Sesión no activa');
+
+      service.startGame(session.id);
+      expect(service.usePowerCard(session.id, 'player_2', 'festival').error).toContain('No tienes la carta');
+      expect(service.usePowerCard(session.id, 'player_1', 'festival').success).toBe(true);
+
+      expect(service.getPlayerPowerCards(session.id, 'player_1').totalCards).toBe(0);
+      expect(service.sessions.get(session.id).players[0].stats.powerCardsUsed).toBe(1);
+      expect(service.usePowerCard(session.id, 'player_1', 'festival').success).toBe(false);
+    });
+
+    test('DOUBLE PLATINUM duplica los puntos de quien acierte la siguiente ronda', async () => {
+      const sessionId = await startedSession();
+      giveCard(sessionId, 'player_1', 'power_double_platinum_001');
+      service.usePowerCard(sessionId, 'player_1', 'power_double_platinum_001');
+
+      await service.nextRound(sessionId);
+      const basePoints = service.sessions.get(sessionId).currentRound.question.points;
+      const first = service.revealAnswer(sessionId, 'player_2');
+
+      await service.nextRound(sessionId);
+      const second = service.revealAnswer(sessionId, 'player_2');
+
+      expect(first.results.pointsAwarded).toBe(basePoints * 2);
+      expect(second.results.activeEffectsApplied).toBeUndefined();
+    });
+
+    test('solo se activan antes de responder las cartas que modifican la respuesta propia', async () => {
+      const sessionId = await startedSession();
+      giveCard(sessionId, 'player_1', 'replay');
+      giveCard(sessionId, 'player_1', 'double_platinum');
+
+      expect(service.activatePlayerPowerCard(sessionId, 'player_1', 'power_double_platinum_001').success).toBe(false);
+      expect(service.activatePlayerPowerCard(sessionId, 'player_1', 'power_replay_001').success).toBe(true);
+
+      await service.nextRound(sessionId);
+      const basePoints = service.sessions.get(sessionId).currentRound.question.points;
+      const result = service.revealAnswer(sessionId, 'player_1');
+
+      expect(result.results.pointsAwarded).toBe(basePoints * 2);
+      expect(service.getPlayerPowerCards(sessionId, 'player_1').inventory).toEqual({ power_double_platinum_001: 1 });
+    });
+
+    test('rechaza cartas desconocidas', async () => {
+      const sessionId = await startedSession();
+
+      expect(service.usePowerCard(sessionId, 'player_1', 'NO_EXISTE').success).toBe(false);
+    });
+
+    test('HIT_STEAL exige un objetivo de la misma sesión', async () => {
+      const sessionId = await startedSession();
+      const otherSession = await startedSession(['Cat', 'Dan', 'Eve']);
+      giveCard(sessionId, 'player_1', 'hit_steal');
+      giveCard(otherSession, 'player_1', 'hit_steal');
+
+      expect(service.usePowerCard(sessionId, 'player_1', 'HIT_STEAL').success).toBe(false);
+      expect(service.usePowerCard(sessionId, 'player_1', 'HIT_STEAL', 'player_3').error)
+        .toContain('no está en esta sesión');
+      expect(service.usePowerCard(otherSession, 'player_1', 'HIT_STEAL', 'player_3').success).toBe(true);
+    });
+
+    test('HIT_STEAL y TOKEN_STEAL mueven puntos y tokens al atacante', async () => {
+      const sessionId = await startedSession();
+      service.applyScoreDelta(sessionId, 'player_2', 5, 'TEST');
+      service.sessions.get(sessionId).players[0].availableTokens = [1];
+      giveCard(sessionId, 'player_1', 'hit_steal');
+      giveCard(sessionId, 'player_1', 'token_steal');
+
+      service.usePowerCard(sessionId, 'player_1', 'hit_steal', 'player_2');
+      const tokenResult = service.usePowerCard(sessionId, 'player_1', 'token_steal', 'player_2');
+
+      const [ana, bob] = service.sessions.get(sessionId).players;
+      expect([ana.score, bob.score]).toEqual([2, 3]);
+      expect(tokenResult.tokenChanges).toEqual([{ from: 'player_2', to: 'player_1', token: 3 }]);
+      expect(ana.availableTokens).toEqual([1, 3]);
+      expect(bob.availableTokens).toEqual([1, 2]);
+    });
+
+    test('STOP impide responder la siguiente ronda', async () => {
+      const sessionId = await startedSession();
+      giveCard(sessionId, 'player_1', 'stop');
+      service.usePowerCard(sessionId, 'player_1', 'stop', 'player_2');
+
+      await service.nextRound(sessionId);
+
+      expect(service.submitAnswer(sessionId, 'player_2', 'algo').success).toBe(false);
+      expect(service.revealAnswer(sessionId, 'player_2').results.pointsAwarded).toBe(0);
+
+      await service.nextRound(sessionId);
+      expect(service.submitAnswer(sessionId, 'player_2', 'algo').success).toBe(true);
+    });
+
+    test('STOP jugado con la ronda abierta bloquea la siguiente, no la actual', async () => {
+      const sessionId = await startedSession();
+      giveCard(sessionId, 'player_1', 'stop');
+
+      await service.nextRound(sessionId);
+      service.usePowerCard(sessionId, 'player_1', 'stop', 'player_2');
+
+      expect(service.submitAnswer(sessionId, 'player_2', 'algo').success).toBe(true);
+      expect(service.revealAnswer(sessionId, 'player_2').results.pointsAwarded).toBeGreaterThan(0);
+
+      await service.nextRound(sessionId);
+      expect(service.submitAnswer(sessionId, 'player_2', 'algo').success).toBe(false);
+
+      // Si el game master le da la ronda igualmente, ni puntúa ni cuenta como acierto
+      const blocked = service.revealAnswer(sessionId, 'player_2');
+      const bob = service.sessions.get(sessionId).players[1];
+
+      expect(blocked.results.blocked).toBe(true);
+      expect(blocked.results.pointsAwarded).toBe(0);
+      expect(bob.stats.correctAnswers).toBe(1);
+      expect(PowerCardService.getComboStatus('player_2', sessionId).currentStreak).toBe(1);
+    });
+
+    test('SHIELD cancela el ataque y se consume', async () => {
+      const sessionId = await startedSession();
+      service.applyScoreDelta(sessionId, 'player_2', 5, 'TEST');
+      giveCard(sessionId, 'player_2', 'shield');
+      giveCard(sessionId, 'player_1', 'hit_steal', 2);
+      service.usePowerCard(sessionId, 'player_2', 'shield');
+
+      const blocked = service.usePowerCard(sessionId, 'player_1', 'hit_steal', 'player_2');
+      const second = service.usePowerCard(sessionId, 'player_1', 'hit_steal', 'player_2');
+
+      expect(blocked.shieldedPlayerIds).toEqual(['player_2']);
+      expect(blocked.changes).toEqual([]);
+      expect(second.changes.length).toBeGreaterThan(0);
+      expect(service.sessions.get(sessionId).players[1].score).toBe(3);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 7: Modo equipos
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Modo equipos', () => {
+
+    const teamSession = (config = {}) => {
+      const { session } = service.createSession({
+        teams: [
+          { name: 'Rojos', players: ['Ana', 'Bob'] },
+          { name: 'Azules', players: ['Cat', 'Dan'] }
+        ],
+        ...config
+      });
+      service.startGame(session.id);
+      return session.id;
+    };
+
+    test('valida el tamaño de los equipos', () => {
+      expect(service.createSession({ teams: [{ name: 'Solo', players: ['Ana', 'Bob'] }] }).success).toBe(false);
+      expect(service.createSession({
+        teams: [{ players: ['Ana'] }, { players: ['Bob', 'Cat'] }]
+      }).error).toContain('entre 2 y 4');
+    });
+
+    test('el acierto suma al equipo y a las stats del miembro', async () => {
+      const sessionId = teamSession();
+      await service.nextRound(sessionId);
+      const basePoints = service.sessions.get(sessionId).currentRound.question.points;
+
+      service.placeBet(sessionId, 'player_1', 2);
+      const reveal = service.revealAnswer(sessionId, 'player_2');
+
+      const session = service.sessions.get(sessionId);
+      expect(reveal.results.winner).toMatchObject({ id: 'player_2', teamId: 'team_1', newScore: basePoints + 2 });
+      expect(session.teams[0].score).toBe(basePoints + 2);
+      expect(session.players[1].stats.correctAnswers).toBe(1);
+      expect(session.players[0].stats.tokensWon).toBe(2);
+      expect(reveal.teams.map(t => t.score)).toEqual([basePoints + 2, 0]);
+    });
+
+    test('los tokens son un bote compartido: una apuesta por equipo y ronda', async () => {
+      const sessionId = teamSession();
+      await service.nextRound(sessionId);
+
+      expect(service.placeBet(sessionId, 'player_1', 3).success).toBe(true);
+      expect(service.placeBet(sessionId, 'player_2', 1).error).toContain('ya apostó');
+      service.revealAnswer(sessionId, null);
+
+      await service.nextRound(sessionId);
+      expect(service.placeBet(sessionId, 'player_2', 3).success).toBe(false);
+      expect(service.placeBet(sessionId, 'player_2', 1).playerTokens).toBe(1);
+    });
+
+    test('el ganador y el score delta se deciden por equipo', async () => {
+      const sessionId = teamSession({ targetScore: 5 });
+
+      service.applyScoreDelta(sessionId, 'player_1', 3, 'TEST');
+      const delta = service.applyScoreDelta(sessionId, 'team_1', 2, 'TEST');
+      expect(delta.player).toMatchObject({ id: 'team_1', newScore: 5 });
+
+      const result = await service.nextRound(sessionId);
+
+      expect(result.gameOver).toBe(true);
+      expect(result.winner).toMatchObject({ id: 'team_1', name: 'Rojos', memberIds: ['player_1', 'player_2'] });
+    });
+
+    test('las cartas dirigidas afectan al equipo rival, no al propio', async () => {
+      const sessionId = teamSession();
+      service.applyScoreDelta(sessionId, 'team_2', 4, 'TEST');
+      giveCard(sessionId, 'team_1', 'hit_steal');
+
+      expect(service.usePowerCard(sessionId, 'player_1', 'hit_steal', 'player_2').error).toContain('propio equipo');
+      service.usePowerCard(sessionId, 'player_1', 'hit_steal', 'player_3');
+
+      expect(service.sessions.get(sessionId).teams.map(t => t.score)).toEqual([2, 2]);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 8: Deshacer revelación
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Deshacer revelación', () => {
+
+    test('revierte puntos, tokens, stats e historial y permite revelar de nuevo', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId, 'artist');
+      service.placeBet(sessionId, 'player_1', 3);
+      service.revealAnswer(sessionId, 'player_1');
+
+      const undo = service.undoLastReveal(sessionId);
+      const session = service.sessions.get(sessionId);
+
+      expect(undo.success).toBe(true);
+      expect(undo.round.gameMasterAnswer.correct).toBeDefined();
+      expect(session.players.map(p => p.score)).toEqual([0, 0]);
+      expect(session.players[0].stats.correctAnswers).toBe(0);
+      expect(session.players[0].availableTokens).toEqual([1, 2]);
+      expect(session.history).toHaveLength(0);
+      expect(session.currentRound.bets.player_1.tokenValue).toBe(3);
+
+      const reveal = service.revealAnswer(sessionId, 'player_2');
+      await service.flush();
+
+      expect(reveal.results.winner.id).toBe('player_2');
+      expect(session.players[0].stats.tokensLost).toBe(3);
+      expect(repository.getRounds(sessionId)).toHaveLength(1);
+      expect(repository.getRounds(sessionId)[0].entry.winner).toBe('player_2');
+    });
+
+    test('revierte la racha y la carta otorgada por combo', async () => {
+      const sessionId = await startedSession();
+
+      for (let i = 0; i < 3; i++) {
+        await service.nextRound(sessionId, 'artist');
+        service.revealAnswer(sessionId, 'player_1');
+      }
+      expect(Object.keys(service.getPlayerPowerCards(sessionId, 'player_1').inventory)).toHaveLength(1);
+
+      service.undoLastReveal(sessionId);
+
+      expect(service.getPlayerPowerCards(sessionId, 'player_1').totalCards).toBe(0);
+      expect(PowerCardService.getComboStatus('player_1', sessionId).currentStreak).toBe(2);
+    });
+
+    test('reabre una partida terminada por esa revelación', async () => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], targetScore: 1 });
+      service.startGame(session.id);
+      await service.nextRound(session.id);
+      service.revealAnswer(session.id, 'player_1');
+
+      service.undoLastReveal(session.id);
+
+      const restored = service.sessions.get(session.id);
+      expect(restored.status).toBe('playing');
+      expect(restored.result).toBeUndefined();
+      expect(restored.currentRound.endsAt).toBeNull();
+    });
+
+    test('Hot Streak devuelve los tokens gastados y se deshace con la revelación', async () => {
+      const sessionId = await startedSession();
+      let reveal;
+
+      for (const token of [3, 2, 1]) {
+        await service.nextRound(sessionId);
+        service.placeBet(sessionId, 'player_1', token);
+        reveal = service.revealAnswer(sessionId, 'player_1');
+      }
+
+      expect(reveal.results.comboStatus.combos.map(c => c.type)).toContain('HOT_STREAK');
+      expect(reveal.results.comboStatus.tokensReturned).toEqual([3, 2]);
+      expect(service.sessions.get(sessionId).players[0].availableTokens).toEqual([2, 3]);
+
+      service.undoLastReveal(sessionId);
+      expect(service.sessions.get(sessionId).players[0].availableTokens).toEqual([]);
+    });
+
+    test('no se puede deshacer tras empezar otra ronda o mover el marcador', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId);
+      service.revealAnswer(sessionId, 'player_1');
+      await service.nextRound(sessionId);
+
+      expect(service.undoLastReveal(sessionId).success).toBe(false);
+
+      service.revealAnswer(sessionId, 'player_1');
+      service.applyScoreDelta(sessionId, 'player_2', 1, 'TEST');
+
+      expect(service.undoLastReveal(sessionId).success).toBe(false);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 9: Log de eventos y replay
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Log de eventos y replay', () => {
+
+    const playedSession = async () => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], targetScore: 50 });
+      service.startGame(session.id);
+
+      await service.nextRound(session.id);
+      service.placeBet(session.id, 'player_1', 2);
+      service.submitAnswer(session.id, 'player_2', 'no sé');
+      service.revealAnswer(session.id, 'player_1');
+      service.undoLastReveal(session.id);
+      service.revealAnswer(session.id, 'player_2');
+
+      giveCard(session.id, 'player_1', 'festival');
+      service.usePowerCard(session.id, 'player_1', 'festival');
+      service.applyScoreDelta(session.id, 'player_2', -1, 'TEST');
+
+      await service.nextRound(session.id);
+      service.revealAnswer(session.id, null);
+
+      return session.id;
+    };
+
+    test('registra cada comando en orden', async () => {
+      const sessionId = await playedSession();
+
+      const log = await service.getEventLog(sessionId);
+
+      expect(log.events.map(e => e.type)).toEqual([
+        'session_created', 'game_started', 'next_round', 'bet_placed', 'answer_submitted',
+        'answer_revealed', 'reveal_undone', 'answer_revealed', 'power_card_used',
+        'score_delta', 'next_round', 'answer_revealed'
+      ]);
+      expect(log.events.map(e => e.seq)).toEqual(log.events.map((e, i) => i + 1));
+      expect((await service.getEventLog(sessionId, { fromSeq: 11 })).events).toHaveLength(2);
+    });
+
+    test('oculta la respuesta de la ronda en curso hasta revelarla', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId, 'artist');
+      const { correct } = service.sessions.get(sessionId).currentRound._answer;
+      service.submitAnswer(sessionId, 'player_1', correct);
+
+      const open = await service.getEventLog(sessionId);
+      const [nextRound, answer] = open.events.slice(-2);
+
+      expect(nextRound).toMatchObject({ type: 'next_round', redacted: true });
+      expect(nextRound.data.question.answer).toBeUndefined();
+      expect(nextRound.data.track.artist).toBeUndefined();
+      expect(answer.data.answer).toBeNull();
+
+      service.revealAnswer(sessionId, 'player_1');
+      const revealed = await service.getEventLog(sessionId);
+
+      expect(revealed.events.some(e => e.redacted)).toBe(false);
+      expect(revealed.events.find(e => e.type === 'next_round').data.question.answer).toBe(correct);
+    });
+
+    test('el replay reconstruye la misma sesión sin tocar la original', async () => {
+      const sessionId = await playedSession();
+      const live = service.sessions.get(sessionId);
+
+      const replay = await service.replaySession(sessionId);
+
+      expect(replay.failed).toEqual([]);
+      expect(replay.mismatches).toEqual([]);
+      expect(replay.session.players.map(p => p.score)).toEqual(live.players.map(p => p.score));
+      expect(replay.session.id).toBe(sessionId);
+      expect(PowerCardService.getAllInventories(`replay_${sessionId}`)).toEqual({});
+    });
+
+    test('untilSeq muestra el estado en un punto del log', async () => {
+      const sessionId = await playedSession();
+
+      const replay = await service.replaySession(sessionId, { untilSeq: 6 });
+
+      expect(replay.session.history).toHaveLength(1);
+      expect(replay.session.history[0].winner).toBe('player_1');
+      expect(replay.mismatches).toBeNull();
+    });
+
+    test('rehidrata desde el log si el snapshot quedó por detrás', async () => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'] });
+      service.startGame(session.id);
+      await service.nextRound(session.id);
+      await service.flush();
+      const staleSnapshot = repository.sessions.get(session.id);
+
+      service.placeBet(session.id, 'player_1', 3);
+      service.revealAnswer(session.id, 'player_1');
+      const liveScores = service.sessions.get(session.id).players.map(p => p.score);
+      await service.flush();
+
+      // Caída entre la escritura del log y la del snapshot
+      repository.sessions.set(session.id, staleSnapshot);
+      PowerCardService.clearAll();
+
+      const restarted = new GameSessionService({ repository });
+      const { replayed } = await restarted.restoreSessions();
+      const restored = restarted.sessions.get(session.id);
+
+      expect(replayed).toBe(1);
+      expect(restored.players.map(p => p.score)).toEqual(liveScores);
+      expect(restored.players[0].availableTokens).toEqual([1, 2]);
+      expect(PowerCardService.getComboStatus('player_1', session.id).currentStreak).toBe(1);
+    });
+
+    test('un log corrupto solo deja fuera su propia sesión', async () => {
+      const broken = service.createSession({ players: ['Ana', 'Bob'] }).session;
+      const healthy = service.createSession({ players: ['Carla', 'Dani'] }).session;
+      service.startGame(broken.id);
+      service.startGame(healthy.id);
+      await service.flush();
+
+      // Evento desconocido por delante del snapshot: obliga a reproducir el log
+      await repository.appendEvent(broken.id, { seq: 99, type: 'mystery_event', timestamp: new Date().toISOString(), data: {} });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const restarted = new GameSessionService({ repository });
+      const result = await restarted.restoreSessions();
+
+      expect(result.unrecoverable).toEqual([broken.id]);
+      expect(restarted.sessions.has(broken.id)).toBe(false);
+      expect(restarted.getStatus(broken.id)).toMatchObject({ success: false, unrecoverable: true });
+      expect(restarted.getStatus(healthy.id).success).toBe(true);
+
+      console.error.mockRestore();
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 10: Sala con código
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Sala (lobby)', () => {
+    const openLobby = (config = {}) => service.createSession({ lobby: true, ...config }).session;
+
+    test('los jugadores se apuntan con el código y startGame cierra la lista', () => {
+      const session = openLobby();
+      expect(session.status).toBe('lobby');
+      expect(session.joinCode).toMatch(/^[A-HJ-NP-Z2-9]{5}$/);
+      expect(service.startGame(session.id).error).toBe('No hay jugadores en la sala');
+
+      const ana = service.joinLobby(session.joinCode.toLowerCase(), { name: 'Ana', avatarColor: '#112233' });
+      const bob = service.joinLobby(session.joinCode, { name: 'Bob' });
+
+      expect(ana.sessionId).toBe(session.id);
+      expect(ana.player).toMatchObject({ id: 'player_1', avatarColor: '#112233', availableTokens: [1, 2, 3] });
+      expect(bob.lobby.players.map(p => p.name)).toEqual(['Ana', 'Bob']);
+      expect(service.joinLobby(session.joinCode, { name: ' ana ' }).error).toBe('Ese nombre ya está en la sala');
+      expect(service.joinLobby('ZZZZZ', { name: 'Cat' }).success).toBe(false);
+
+      expect(service.startGame(session.id).success).toBe(true);
+      expect(service.joinLobby(session.joinCode, { name: 'Cat' }).error).toMatch(/lista de jugadores está cerrada/);
+      expect(service.kickPlayer(session.id, 'player_2').success).toBe(false);
+    });
+
+    test('el host expulsa y reordena sin reutilizar IDs', () => {
+      const events = [];
+      const session = openLobby({ players: ['Ana', 'Bob', 'Cat'] });
+      service.on('game-event', event => events.push(event));
+
+      service.kickPlayer(session.id, 'player_2');
+      const { player } = service.joinLobby(session.joinCode, { name: 'Dan' });
+      expect(player.id).toBe('player_4');
+
+      expect(service.reorderPlayers(session.id, ['player_4', 'player_1']).success).toBe(false);
+      const reordered = service.reorderPlayers(session.id, ['player_4', 'player_3', 'player_1']);
+      expect(reordered.lobby.players.map(p => p.name)).toEqual(['Dan', 'Cat', 'Ana']);
+      expect(events.filter(e => e.type === 'roster_updated').map(e => e.data.action))
+        .toEqual(['kicked', 'joined', 'reordered']);
+    });
+
+    test('en modo equipos se elige equipo y el tamaño se valida al empezar', () => {
+      const session = openLobby({ teams: [{ name: 'Rojos' }, { name: 'Azules' }] });
+
+      expect(service.joinLobby(session.joinCode, { name: 'Ana' }).error).toBe('Elige un equipo de la sala');
+      ['Ana', 'Bob', 'Cat'].forEach(name => service.joinLobby(session.joinCode, { name, teamId: 'team_1' }));
+      const dan = service.joinLobby(session.joinCode, { name: 'Dan', teamId: 'team_2' });
+
+      expect(dan.player.availableTokens).toEqual([]);
+      expect(dan.lobby.teams[0].memberIds).toEqual(['player_1', 'player_2', 'player_3']);
+      expect(service.startGame(session.id).success).toBe(false);
+
+      service.reorderPlayers(session.id, ['player_3', 'player_4', 'player_1', 'player_2']);
+      service.kickPlayer(session.id, 'player_1');
+      service.joinLobby(session.joinCode, { name: 'Eva', teamId: 'team_2' });
+
+      const started = service.startGame(session.id);
+      expect(started.success).toBe(true);
+      expect(started.session.teams.map(t => t.memberIds)).toEqual([['player_3', 'player_2'], ['player_4', 'player_5']]);
+    });
+
+    test('devuelve el QR del código y el replay repite la sala', async () => {
+      const session = openLobby();
+      service.joinLobby(session.joinCode, { name: 'Ana' });
+      service.joinLobby(session.joinCode, { name: 'Bob' });
+      service.reorderPlayers(session.id, ['player_2', 'player_1']);
+      service.startGame(session.id);
+
+      const info = await service.getJoinInfo(session.id);
+      expect(info.qrPayload).toBe(`HITBACK_JOIN:${session.joinCode}`);
+      expect(info.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(info.rosterOpen).toBe(false);
+
+      const replay = await service.replaySession(session.id);
+      expect(replay.failed).toEqual([]);
+      expect(replay.mismatches).toEqual([]);
+      expect(replay.session.joinCode).toBe(session.joinCode);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 11: Modo por turnos
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Modo por turnos', () => {
+    const turnSession = (config = {}) => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob', 'Cat'], turnBased: true, ...config });
+      service.startGame(session.id);
+      return session.id;
+    };
+
+    const correctAnswerOf = sessionId =>
+      service.sessions.get(sessionId).currentRound._answer.correct;
+
+    test('responde primero el jugador del turno y el turno rota al revelar', async () => {
+      const sessionId = turnSession();
+      const { round } = await service.nextRound(sessionId, 'artist');
+      expect(round.turn).toEqual({ playerId: 'player_1', unitId: 'player_1', phase: 'owner' });
+
+      expect(service.submitAnswer(sessionId, 'player_2', 'algo').error).toMatch(/turno de Ana/);
+      expect(service.revealAnswer(sessionId, 'player_2').success).toBe(false);
+
+      service.submitAnswer(sessionId, 'player_1', correctAnswerOf(sessionId));
+      const { results } = service.revealAnswer(sessionId, null, { auto: true });
+
+      expect(results.turn).toEqual({ playerId: 'player_1', stolen: false, nextPlayerId: 'player_2' });
+      expect(service.sessions.get(sessionId).currentPlayerIndex).toBe(1);
+    });
+
+    test('si falla el del turno se abre el robo para los demás', async () => {
+      const sessionId = turnSession();
+      await service.nextRound(sessionId, 'artist');
+
+      expect(service.submitAnswer(sessionId, 'player_1', 'respuesta equivocada xyz').stealOpened).toBe(true);
+      expect(service.openSteal(sessionId).success).toBe(false);
+      service.submitAnswer(sessionId, 'player_3', correctAnswerOf(sessionId));
+
+      const { results } = service.revealAnswer(sessionId, null, { auto: true });
+      expect(results.winner.id).toBe('player_3');
+      expect(results.turn.stolen).toBe(true);
+      expect(service.sessions.get(sessionId).history[0]).toMatchObject({ turnPlayerId: 'player_1', stolen: true });
+
+      // Ronda 2: el game master abre el robo tras una respuesta en voz alta
+      await service.nextRound(sessionId);
+      expect(service.openSteal(sessionId).turn.phase).toBe('steal');
+      expect(service.submitAnswer(sessionId, 'player_2', 'otra vez').error).toMatch(/solo pueden robar los demás/);
+    });
+
+    test('deshacer devuelve el turno y el replay lo repite', async () => {
+      const sessionId = turnSession();
+      await service.nextRound(sessionId);
+      service.openSteal(sessionId);
+      service.revealAnswer(sessionId, 'player_2');
+
+      service.undoLastReveal(sessionId);
+      expect(service.sessions.get(sessionId).currentPlayerIndex).toBe(0);
+      expect(service.sessions.get(sessionId).currentRound.turn.phase).toBe('steal');
+
+      service.revealAnswer(sessionId, 'player_3');
+      const replay = await service.replaySession(sessionId);
+
+      expect(replay.failed).toEqual([]);
+      expect(replay.mismatches).toEqual([]);
+      expect(replay.session.currentPlayerIndex).toBe(1);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 12: Economía de tokens
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Economía de tokens', () => {
+    const tokenSession = tokenRules => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], tokenRules });
+      service.startGame(session.id);
+      return session.id;
+    };
+
+    const playerOf = (sessionId, index = 0) => service.sessions.get(sessionId).players[index];
+
+    test('valida las reglas al crear la sesión', () => {
+      expect(service.createSession({ players: ['Ana'], tokenRules: { hintCost: -1 } }).success).toBe(false);
+      expect(service.createSession({ players: ['Ana'], tokenRules: { rerollCost: 4 } }).error)
+        .toBe('Reglas de tokens no válidas: rerollCost no puede superar 3 tokens');
+      expect(service.createSession({ players: ['Ana'], tokenRules: { returnOnCorrect: 'false' } }).error)
+        .toContain('returnOnCorrect debe ser true o false');
+      expect(service.createSession({ players: ['Ana'], tokenRules: { comboRewards: 0 } }).success).toBe(false);
+    });
+
+    test('el token apostado vuelve al acertar y todos recargan cada N rondas', async () => {
+      const sessionId = tokenSession({ returnOnCorrect: true, refreshEveryRounds: 2 });
+
+      await service.nextRound(sessionId);
+      service.placeBet(sessionId, 'player_1', 3);
+      service.placeBet(sessionId, 'player_2', 2);
+      const { results } = service.revealAnswer(sessionId, 'player_1');
+
+      expect(results.betTokenReturned).toBe(3);
+      expect(playerOf(sessionId, 0).availableTokens).toEqual([1, 2, 3]);
+      expect(playerOf(sessionId, 1).availableTokens).toEqual([1, 3]);
+
+      await service.nextRound(sessionId);
+      service.revealAnswer(sessionId, null);
+      await service.nextRound(sessionId);
+
+      expect(playerOf(sessionId, 1).availableTokens).toEqual([1, 2, 3]);
+      expect(playerOf(sessionId, 0).stats).toMatchObject({ tokensRegained: 1, tokensRefreshed: 0 });
+      expect(playerOf(sessionId, 1).stats.tokensRefreshed).toBe(1);
+    });
+
+    test('las pistas se compran con los tokens de menor valor', async () => {
+      const sessionId = tokenSession({ hintCost: 1 });
+      const { round } = await service.nextRound(sessionId);
+      expect(service.getStatus(sessionId).session.currentRound.question.hints).toEqual([]);
+
+      const bought = service.spendTokens(sessionId, 'player_2', 'hint');
+
+      expect(bought.hint).toBe(round.gameMasterAnswer.hints[0]);
+      expect(bought.spent).toEqual([1]);
+      expect(service.getStatus(sessionId).session.currentRound.question.hints).toEqual([bought.hint]);
+      expect(playerOf(sessionId, 1).stats.tokensSpent).toEqual({ hint: 1, reroll: 0 });
+      expect(service.spendTokens(sessionId, 'player_2', 'reroll').success).toBe(false);
+    });
+
+    test('cambiar la pregunta descarta las respuestas y el replay la repite', async () => {
+      const sessionId = tokenSession({ rerollCost: 2 });
+      const { round } = await service.nextRound(sessionId);
+      service.submitAnswer(sessionId, 'player_1', 'algo');
+
+      const rerolled = service.spendTokens(sessionId, 'player_1', 'reroll');
+
+      expect(rerolled.question.type).not.toBe(round.question.type);
+      expect(rerolled.availableTokens).toEqual([3]);
+      expect(service.sessions.get(sessionId).currentRound.answers).toEqual({});
+      expect(service.spendTokens(sessionId, 'player_1', 'reroll').error).toBe('Hacen falta 2 tokens');
+
+      service.revealAnswer(sessionId, 'player_1');
+      const replay = await service.replaySession(sessionId);
+      expect(replay.failed).toEqual([]);
+      expect(replay.mismatches).toEqual([]);
+      expect(replay.session.history[0].questionType).toBe(rerolled.question.type);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 13: Cambiar el track de la ronda
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Cambiar track de la ronda', () => {
+
+    test('devuelve las apuestas, conserva las rachas y sortea otro track', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId);
+      service.revealAnswer(sessionId, 'player_1');
+
+      const { round } = await service.nextRound(sessionId);
+      service.placeBet(sessionId, 'player_1', 3);
+      service.submitAnswer(sessionId, 'player_2', 'algo');
+
+      const rerolled = await service.rerollRound(sessionId, 'no_audio');
+      const session = service.sessions.get(sessionId);
+
+      expect(rerolled.success).toBe(true);
+      expect(rerolled.refundedBets).toEqual([{ playerId: 'player_1', tokenValue: 3 }]);
+      expect(rerolled.round.number).toBe(2);
+      expect(rerolled.round.track.id).not.toBe(round.track.id);
+      expect(session.players[0].availableTokens).toEqual([1, 2, 3]);
+      expect(session.players[0].stats.tokensUsed).toEqual([]);
+      expect(session.currentRound.answers).toEqual({});
+      expect(session.usedTrackIds).toEqual(expect.arrayContaining([round.track.id, rerolled.round.track.id]));
+      expect(PowerCardService.getComboStatus('player_1', sessionId).currentStreak).toBe(1);
+    });
+
+    test('el motivo queda en el historial y el replay repite el cambio', async () => {
+      const sessionId = await startedSession();
+      const { round } = await service.nextRound(sessionId);
+      await service.rerollRound(sessionId, 'duplicate');
+      service.revealAnswer(sessionId, 'player_2');
+
+      const [entry] = service.sessions.get(sessionId).history;
+      expect(entry.rerolls).toEqual([expect.objectContaining({ trackId: round.track.id, reason: 'duplicate' })]);
+
+      const replay = await service.replaySession(sessionId);
+      expect(replay.failed).toEqual([]);
+      expect(replay.mismatches).toEqual([]);
+    });
+
+    test('rechaza motivos desconocidos y sesiones sin ronda', async () => {
+      const sessionId = await startedSession();
+
+      expect((await service.rerollRound(sessionId, 'no_audio')).error).toBe('No hay ronda activa');
+
+      await service.nextRound(sessionId);
+      const result = await service.rerollRound(sessionId, 'boring');
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/Motivo no válido/);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 14: Modos de juego
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Modos de juego', () => {
+
+    test('crea la sesión desde un preset con los campos enviados encima', () => {
+      const { session } = service.createSession({ mode: 'Marathon', players: ['Ana'], timeLimit: 1800 });
+
+      expect(session.config).toMatchObject({
+        mode: 'marathon',
+        targetScore: 40,
+        timeLimit: 1800,
+        roundTimeLimit: 45
+      });
+      expect(session.config.tokenRules.refreshEveryRounds).toBe(10);
+    });
+
+    test('rechaza un modo que no existe', () => {
+      const result = service.createSession({ mode: 'karaoke', players: ['Ana'] });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Modo de juego no encontrado: karaoke');
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 15: Resumen de partida
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Resumen de partida', () => {
+
+    test('resume la partida terminada con premios y línea de tiempo', async () => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], targetScore: 1 });
+      expect(service.getGameSummary(session.id).error).toBe('La partida no ha empezado');
+
+      service.startGame(session.id);
+      await service.nextRound(session.id, 'artist');
+      service.placeBet(session.id, 'player_1', 2);
+      service.revealAnswer(session.id, 'player_1');
+
+      const { summary } = service.getGameSummary(session.id);
+
+      expect(summary.status).toBe('finished');
+      expect(summary.awards.mvp.playerId).toBe('player_1');
+      expect(summary.awards.hardestSong.playerId).toBe('player_1');
+      expect(summary.timeline).toHaveLength(1);
+      expect(summary.timeline[0].trackTitle).toBeDefined();
+      expect(summary.players[0].byQuestionType.artist).toEqual({ rounds: 1, correct: 1, accuracy: 1 });
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 16: Dificultad adaptativa
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Dificultad adaptativa', () => {
+
+    test('baja el nivel cuando nadie acierta y lo deja en el historial', async () => {
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], difficulty: 'ADAPTIVE' });
+      service.startGame(session.id);
+      const draw = jest.spyOn(service.trackService, 'getRandomTrack');
+
+      for (let i = 0; i < 3; i++) {
+        await service.nextRound(session.id, 'artist');
+        service.revealAnswer(session.id, null);
+      }
+
+      const result = await service.nextRound(session.id);
+
+      expect(draw.mock.calls.map(([filters]) => filters.difficulty)).toEqual(['MEDIUM', 'MEDIUM', 'MEDIUM', 'EASY']);
+      expect(['song', 'artist', 'decade']).toContain(result.round.question.type);
+
+      service.revealAnswer(session.id, 'player_1');
+      const { history } = service.sessions.get(session.id);
+
+      expect(history[0].adaptive).toEqual({ difficulty: 'MEDIUM', adjustment: null });
+      expect(history[3].adaptive).toEqual({
+        difficulty: 'EASY',
+        adjustment: { from: 'MEDIUM', to: 'EASY', reason: 'nobody_answering' }
+      });
+      draw.mockRestore();
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 17: Tipos de pregunta por sesión
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Tipos de pregunta por sesión', () => {
+
+    test('solo salen los tipos permitidos y se rechaza forzar otro', async () => {
+      expect(service.createSession({ players: ['Ana'], questionTypes: ['year'] }).success).toBe(false);
+
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], questionTypes: { song: 1, artist: 1 } });
+      service.startGame(session.id);
+
+      expect(session.config.questionTypes).toEqual({ song: 1, artist: 1 });
+      expect((await service.nextRound(session.id, 'year')).error)
+        .toBe('Tipo de pregunta no permitido en esta partida: year');
+
+      for (let i = 0; i < 5; i++) {
+        const { round } = await service.nextRound(session.id);
+        expect(['song', 'artist']).toContain(round.question.type);
+        service.revealAnswer(session.id, null);
+      }
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 18: Opción múltiple
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Opción múltiple', () => {
+
+    test('la ronda trae 4 opciones y solo se puede responder con una de ellas', async () => {
+      expect(service.createSession({ players: ['Ana'], answerMode: 'buzzer' }).success).toBe(false);
+
+      const { session } = service.createSession({ players: ['Ana', 'Bob'], answerMode: 'multiple_choice' });
+      service.startGame(session.id);
+
+      const { round } = await service.nextRound(session.id, 'artist');
+      const { choices } = round.question;
+      const correct = service.sessions.get(session.id).currentRound._answer.correct;
+
+      expect(choices).toHaveLength(4);
+      expect(choices).toContain(correct);
+      expect(service.submitAnswer(session.id, 'player_1', 'Nadie').error)
+        .toBe('La respuesta tiene que ser una de las opciones');
+
+      const letter = String.fromCharCode(65 + choices.indexOf(correct));
+      expect(service.submitAnswer(session.id, 'player_1', letter)).toMatchObject({ success: true, correct: true });
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 19: Estado público de la ronda
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Estado público de la ronda', () => {
+
+    test('getStatus no revela respuestas ni aciertos antes de revelar', async () => {
+      const sessionId = await startedSession();
+      await service.nextRound(sessionId, 'artist');
+      const correct = service.sessions.get(sessionId).currentRound._answer.correct;
+      service.submitAnswer(sessionId, 'player_1', correct);
+
+      const { currentRound } = service.getStatus(sessionId).session;
+
+      expect(currentRound.answeredPlayerIds).toEqual(['player_1']);
+      expect(currentRound.answers).toBeUndefined();
+      expect(currentRound.firstCorrect).toBeUndefined();
+      expect(JSON.stringify(currentRound)).not.toContain(correct);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * 🧪 GAMESUMMARYSERVICE.TEST.JS
+ * Tests del resumen de partida (premios, línea de tiempo, CSV)
+ *
+ * Ejecutar: npm test -- GameSummaryService.test.js
+ */
+
+const GameSummaryService = require('../../services/GameSummaryService');
+
+describe('GameSummaryService', () => {
+
+  const player = (id, name, score, stats = {}) => ({
+    id,
+    name,
+    teamId: null,
+    score,
+    stats: {
+      correctAnswers: 0,
+      wrongAnswers: 0,
+      tokensWon: 0,
+      tokensUsed: [],
+      combosCompleted: 0,
+      powerCardsUsed: 0,
+      ...stats
+    }
+  });
+
+  const round = (number, winner, extra = {}) => ({
+    round: number,
+    trackId: `track_${number}`,
+    trackTitle: `Canción ${number}`,
+    trackArtist: 'Artista',
+    difficulty: 'EASY',
+    questionType: 'artist',
+    winner,
+    resolution: 'manual',
+    pointsAwarded: winner ? 2 : 0,
+    timestamp: '2026-01-01T00:00:00.000Z',
+    ...extra
+  });
+
+  // Ana gana 3 seguidas; Bob acierta la más difícil y apuesta mejor
+  const finishedSession = () => ({
+    id: 'game_test',
+    status: 'finished',
+    config: { mode: 'quick_game' },
+    startedAt: '2026-01-01T00:00:00.000Z',
+    finishedAt: '2026-01-01T00:20:00.000Z',
+    result: { reason: 'target_score', winnerId: 'player_1', decidedBy: 'score' },
+    teams: null,
+    players: [
+      player('player_1', 'Ana', 8, { correctAnswers: 3, wrongAnswers: 1, tokensWon: 1, tokensUsed: [3] }),
+      player('player_2', 'Bob, "el rápido"', 5, { correctAnswers: 2, tokensWon: 4, tokensUsed: [2, 1], powerCardsUsed: 2 })
+    ],
+    history: [
+      round(1, 'player_1'),
+      round(2, 'player_1'),
+      round(3, 'player_1'),
+      round(4, 'player_2', { difficulty: 'POLISH_MEDIUM', questionType: 'song' }),
+      round(5, 'player_2', { difficulty: 'HARD', questionType: 'year', pointsAwarded: 3 }),
+      round(6, null, { questionType: 'year' }),
+      { type: 'decision', reason: 'target_score', winnerId: 'player_1', timestamp: '2026-01-01T00:20:00.000Z' }
+    ]
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 1: Premios
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Premios', () => {
+
+    test('calcula MVP, mejor apostador, racha, power cards y canción más difícil', () => {
+      const { awards } = GameSummaryService.buildSummary(finishedSession());
+
+      expect(awards.mvp).toEqual({ playerId: 'player_1', name: 'Ana', value: 8 });
+      expect(awards.bestBettor).toMatchObject({ playerId: 'player_2', value: 1.33, tokensWon: 4, tokensBet: 3 });
+      expect(awards.longestStreak).toMatchObject({ playerId: 'player_1', value: 3 });
+      expect(awards.mostPowerCards).toMatchObject({ playerId: 'player_2', value: 2 });
+      expect(awards.hardestSong).toMatchObject({ playerId: 'player_2', round: 5, difficulty: 'HARD' });
+    });
+
+    test('sin apuestas ni cartas los premios quedan vacíos', () => {
+      const session = finishedSession();
+      session.players.forEach(p => {
+        p.stats.tokensUsed = [];
+        p.stats.powerCardsUsed = 0;
+      });
+
+      const { awards } = GameSummaryService.buildSummary(session);
+
+      expect(awards.bestBettor).toBeNull();
+      expect(awards.mostPowerCards).toBeNull();
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 2: Línea de tiempo y acierto por tipo
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Línea de tiempo y acierto por tipo', () => {
+
+    test('una entrada por ronda (sin decisiones) y acierto por tipo de pregunta', () => {
+      const summary = GameSummaryService.buildSummary(finishedSession());
+      const bob = summary.players.find(p => p.playerId === 'player_2');
+
+      expect(summary.totalRounds).toBe(6);
+      expect(summary.timeline.map(r => r.round)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(summary.timeline[3].winner).toEqual({ id: 'player_2', name: 'Bob, "el rápido"' });
+      expect(bob.rank).toBe(2);
+      expect(bob.byQuestionType).toEqual({
+        artist: { rounds: 3, correct: 0, accuracy: 0 },
+        song: { rounds: 1, correct: 1, accuracy: 1 },
+        year: { rounds: 2, correct: 1, accuracy: 0.5 }
+      });
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 3: CSV
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('toCSV', () => {
+
+    test('una fila por jugador con columnas por tipo y valores escapados', () => {
+      const csv = GameSummaryService.toCSV(GameSummaryService.buildSummary(finishedSession()));
+      const [header, ana, bob] = csv.trim().split('\n');
+
+      expect(header.split(',')).toEqual(expect.arrayContaining([
+        'player_id', 'score', 'longest_streak', 'accuracy_artist', 'accuracy_year', 'awards'
+      ]));
+      expect(ana).toMatch(/^player_1,Ana,,1,8,/);
+      expect(ana).toMatch(/mvp longestStreak$/);
+      expect(bob).toContain('"Bob, ""el rápido"""');
+    });
+
+    test('los nombres que empiezan como fórmula no se ejecutan en la hoja de cálculo', () => {
+      const session = finishedSession();
+      session.players[0].name = '=HYPERLINK("http://evil.test","x")';
+      session.players[1].name = '@SUM(1+1)';
+
+      const [, ana, bob] = GameSummaryService.toCSV(GameSummaryService.buildSummary(session)).trim().split('\n');
+
+      expect(ana).toContain('"\'=HYPERLINK(""http://evil.test"",""x"")"');
+      expect(bob).toMatch(/^player_2,'@SUM\(1\+1\),/);
+      expect(ana).toMatch(/^player_1,.*,,1,8,/);
+    });
+  });
+});
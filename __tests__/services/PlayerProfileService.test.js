@@ -0,0 +1,192 @@
+/**
+ * 🧪 PLAYERPROFILESERVICE.TEST.JS
+ * Tests de perfiles persistentes, stats de por vida y rankings
+ *
+ * Ejecutar: npm test -- PlayerProfileService.test.js
+ */
+
+jest.mock('../../services/DeezerServiceV2', () => ({
+  searchTracks: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../services/DeezerService', () => ({
+  searchTrack: jest.fn().mockResolvedValue({ previewUrl: 'https://cdn.test/preview.mp3' })
+}));
+
+const GameSessionService = require('../../services/GameSessionService');
+const PlayerProfileService = require('../../services/PlayerProfileService');
+const PowerCardService = require('../../services/PowerCardService');
+const { InMemorySessionRepository } = require('../../services/SessionRepository');
+
+describe('PlayerProfileService', () => {
+  let repository;
+  let gameService;
+  let profiles;
+
+  beforeEach(() => {
+    PowerCardService.clearAll();
+    repository = new InMemorySessionRepository();
+    gameService = new GameSessionService({ repository, timers: false });
+    profiles = new PlayerProfileService({ repository });
+  });
+
+  // Partida a una ronda (targetScore 1) entre dos perfiles: gana el primero
+  const playGame = async (winnerProfile, loserProfile) => {
+    const { config } = await profiles.resolvePlayers({
+      players: [{ profileId: winnerProfile.id }, { profileId: loserProfile.id }],
+      targetScore: 1
+    });
+    const { session } = gameService.createSession(config);
+    gameService.startGame(session.id);
+    await gameService.nextRound(session.id, 'artist');
+    gameService.revealAnswer(session.id, 'player_1');
+    await gameService.flush();
+    return gameService.sessions.get(session.id);
+  };
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 1: Perfiles
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Perfiles', () => {
+
+    test('crea perfiles y reutiliza el del mismo dispositivo', async () => {
+      expect((await profiles.createProfile({ name: '  ' })).success).toBe(false);
+      expect((await profiles.createProfile({ name: 'Ana', avatarColor: 'rojo' })).success).toBe(false);
+
+      const first = await profiles.createProfile({ name: 'Ana', avatarColor: '#E63946', deviceToken: 'device-1' });
+      const again = await profiles.createProfile({ name: 'Ana 2', deviceToken: 'device-1' });
+
+      expect(first.created).toBe(true);
+      expect(first.profile.id).toMatch(/^profile_/);
+      expect(again.created).toBe(false);
+      expect(again.profile.id).toBe(first.profile.id);
+
+      // El token del dispositivo no sale en ninguna respuesta
+      expect(first.profile).not.toHaveProperty('deviceToken');
+      expect(again.profile).not.toHaveProperty('deviceToken');
+      expect((await profiles.getProfile(first.profile.id)).profile).not.toHaveProperty('deviceToken');
+    });
+
+    test('los jugadores con profileId toman nombre y avatar del perfil', async () => {
+      const { profile } = await profiles.createProfile({ name: 'Ana', avatarColor: '#E63946' });
+
+      const { config } = await profiles.resolvePlayers({ players: [{ profileId: profile.id }, 'Invitado'] });
+      const { session } = gameService.createSession(config);
+
+      expect(session.players[0]).toMatchObject({ name: 'Ana', avatarColor: '#E63946', profileId: profile.id });
+      expect(session.players[1]).toMatchObject({ name: 'Invitado', profileId: null });
+      expect((await profiles.resolvePlayers({ players: [{ profileId: 'profile_nope' }] })).error)
+        .toBe('Perfil no encontrado: profile_nope');
+      expect(gameService.createSession({ players: [{ profileId: profile.id }, { name: 'Otra', profileId: profile.id }] }).success)
+        .toBe(false);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 2: Stats de por vida y rankings
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Stats y rankings', () => {
+
+    test('suma las partidas terminadas de cada perfil', async () => {
+      const ana = (await profiles.createProfile({ name: 'Ana' })).profile;
+      const bob = (await profiles.createProfile({ name: 'Bob' })).profile;
+
+      await playGame(ana, bob);
+      await playGame(bob, ana);
+      await playGame(ana, bob);
+
+      const { stats } = await profiles.getProfile(ana.id);
+
+      expect(stats).toMatchObject({ gamesPlayed: 3, gamesWon: 2, correctAnswers: 2, winRate: 0.67 });
+      expect((await profiles.getProfile('profile_nope')).success).toBe(false);
+    });
+
+    test('un jugador expulsado de la sala no cuenta la partida', async () => {
+      const ana = (await profiles.createProfile({ name: 'Ana' })).profile;
+      const bob = (await profiles.createProfile({ name: 'Bob' })).profile;
+      const cat = (await profiles.createProfile({ name: 'Cat' })).profile;
+
+      const { session } = gameService.createSession({ lobby: true, targetScore: 1 });
+      [ana, bob, cat].forEach(profile => gameService.joinLobby(session.joinCode, { name: profile.name, profileId: profile.id }));
+      await gameService.flush();
+
+      gameService.kickPlayer(session.id, 'player_3');
+      gameService.startGame(session.id);
+      await gameService.nextRound(session.id, 'artist');
+      gameService.revealAnswer(session.id, 'player_1');
+      await gameService.flush();
+
+      expect((await profiles.getProfile(cat.id)).stats.gamesPlayed).toBe(0);
+      expect((await profiles.getProfile(ana.id)).stats.gamesPlayed).toBe(1);
+      expect((await profiles.getLeaderboard()).leaderboard.map(row => row.profileId)).not.toContain(cat.id);
+    });
+
+    test('ranking de todas las partidas, por mes y por género', async () => {
+      const ana = (await profiles.createProfile({ name: 'Ana' })).profile;
+      const bob = (await profiles.createProfile({ name: 'Bob' })).profile;
+      const session = await playGame(bob, ana);
+      await playGame(bob, ana);
+
+      const allTime = await profiles.getLeaderboard();
+      expect(allTime.leaderboard.map(r => [r.rank, r.name, r.gamesWon])).toEqual([[1, 'Bob', 2], [2, 'Ana', 0]]);
+
+      const finishedMonth = session.finishedAt.slice(0, 7);
+      expect((await profiles.getLeaderboard({ period: 'month', month: finishedMonth })).leaderboard).toHaveLength(2);
+      expect((await profiles.getLeaderboard({ period: 'month', month: '1999-01' })).leaderboard).toEqual([]);
+      expect((await profiles.getLeaderboard({ period: 'month', month: '2026-13' })).success).toBe(false);
+
+      const { genre } = session.history[0];
+      const byGenre = await profiles.getLeaderboard({ genre });
+      expect(byGenre.leaderboard[0]).toMatchObject({ name: 'Bob', accuracy: 1 });
+      expect(byGenre.leaderboard[0].roundsWon).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 3: Ratings
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Ratings', () => {
+
+    test('puntúa cada partida terminada una sola vez y guarda el historial', async () => {
+      const ana = (await profiles.createProfile({ name: 'Ana' })).profile;
+      const bob = (await profiles.createProfile({ name: 'Bob' })).profile;
+
+      const session = await playGame(ana, bob);
+      const rated = await profiles.rateGame(session);
+
+      expect(rated.rated).toBe(true);
+      expect(rated.changes.map(c => [c.name, c.rank, c.ratingAfter])).toEqual([['Ana', 1, 1520], ['Bob', 2, 1480]]);
+      expect((await profiles.rateGame(session)).rated).toBe(false);
+
+      const history = await profiles.getRatingHistory(ana.id);
+      expect(history).toMatchObject({ rating: 1520, ratedGames: 1 });
+      expect(history.history[0]).toMatchObject({ sessionId: session.id, ratingBefore: 1500, delta: 20 });
+
+      await profiles.revertGameRatings(session.id);
+      expect(await profiles.getRatingHistory(bob.id)).toMatchObject({ rating: 1500, ratedGames: 0, history: [] });
+    });
+
+    test('sugiere equipos equilibrados o ventajas', async () => {
+      const ids = [];
+      for (const [name, rating] of [['Ana', 1800], ['Bob', 1600], ['Cris', 1500], ['Dani', 1450]]) {
+        const { profile } = await profiles.createProfile({ name });
+        await repository.saveProfile({ ...profile, rating });
+        ids.push(profile.id);
+      }
+
+      const balanced = await profiles.suggestBalance({ profileIds: ids, teams: 2 });
+      expect(balanced.teams.map(t => t.players.map(p => p.name).sort())).toEqual([['Ana', 'Dani'], ['Bob', 'Cris']]);
+
+      const { config } = await profiles.resolvePlayers({ teams: balanced.teams });
+      expect(gameService.createSession(config).success).toBe(true);
+
+      const handicaps = await profiles.suggestBalance({ profileIds: ids });
+      expect(handicaps.handicaps.map(p => p.headStart)).toEqual([0, 2, 3, 3]);
+      expect((await profiles.suggestBalance({ profileIds: [ids[0], 'profile_nope'] })).error)
+        .toBe('Perfil no encontrado: profile_nope');
+    });
+  });
+});
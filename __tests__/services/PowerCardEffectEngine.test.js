@@ -0,0 +1,90 @@
+/**
+ * 🧪 POWERCARDEFFECTENGINE.TEST.JS
+ * Tests del intérprete de efectos declarativos de powerCards.json
+ *
+ * Ejecutar: npm test -- PowerCardEffectEngine.test.js
+ */
+
+const PowerCardEffectEngine = require('../../services/PowerCardEffectEngine');
+const PowerCardService = require('../../services/PowerCardService');
+
+describe('PowerCardEffectEngine', () => {
+
+  const players = () => [
+    { id: 'player_1', score: 5 },
+    { id: 'player_2', score: 3 },
+    { id: 'player_3', score: 0 }
+  ];
+
+  const card = effect => ({ id: 'test_card', name: 'TEST', description: 'Carta de prueba', effect });
+
+  test('todas las cartas del JSON tienen un efecto válido', () => {
+    PowerCardService.getAllPowerCards().forEach(c => {
+      expect(() => PowerCardEffectEngine.getEffect(c)).not.toThrow();
+    });
+  });
+
+  test('rechaza triggers y targets desconocidos', () => {
+    expect(() => PowerCardEffectEngine.getEffect(card({ trigger: 'never' }))).toThrow();
+    expect(() => PowerCardEffectEngine.getEffect(card({ target: 'everyone' }))).toThrow();
+  });
+
+  test('scoreChange instantáneo a todos los jugadores', () => {
+    const list = players();
+    const result = PowerCardEffectEngine.apply(
+      card({ trigger: 'instant', target: 'all_players', scoreChange: 1 }),
+      { players: list, playerId: 'player_1' }
+    );
+
+    expect(list.map(p => p.score)).toEqual([6, 4, 1]);
+    expect(result.activeEffect).toBeNull();
+  });
+
+  test('steal mueve puntos del objetivo sin dejarlo en negativo', () => {
+    const list = players();
+    PowerCardEffectEngine.apply(
+      card({ trigger: 'instant', target: 'target_player', steal: 5 }),
+      { players: list, playerId: 'player_1', targetPlayerId: 'player_2' }
+    );
+
+    expect(list[0].score).toBe(8);
+    expect(list[1].score).toBe(0);
+  });
+
+  test('target_player exige un objetivo de la sesión', () => {
+    const steal = card({ trigger: 'instant', target: 'target_player', steal: 1 });
+
+    expect(() => PowerCardEffectEngine.apply(steal, { players: players(), playerId: 'player_1' })).toThrow();
+    expect(() => PowerCardEffectEngine.apply(steal, {
+      players: players(),
+      playerId: 'player_1',
+      targetPlayerId: 'player_9'
+    })).toThrow(/not in this session/);
+  });
+
+  test('next_answer queda activo y modifica los puntos del objetivo', () => {
+    const { activeEffect } = PowerCardEffectEngine.apply(
+      card({ trigger: 'next_answer', target: 'opponents', multiplier: 2, flatBonus: 1, durationRounds: 2 }),
+      { players: players(), playerId: 'player_1' }
+    );
+
+    const onOpponent = PowerCardEffectEngine.applyRoundEffects([activeEffect], 'player_2', 3);
+    const onOwner = PowerCardEffectEngine.applyRoundEffects([activeEffect], 'player_1', 3);
+
+    expect(onOpponent.finalPoints).toBe(7);
+    expect(onOwner.finalPoints).toBe(3);
+  });
+
+  test('block anula los puntos y caduca con durationRounds', () => {
+    const { activeEffect } = PowerCardEffectEngine.apply(
+      card({ trigger: 'instant', target: 'target_player', block: true, durationRounds: 1 }),
+      { players: players(), playerId: 'player_1', targetPlayerId: 'player_2' }
+    );
+
+    expect(PowerCardEffectEngine.applyRoundEffects([activeEffect], 'player_2', 4)).toMatchObject({
+      finalPoints: 0,
+      blocked: true
+    });
+    expect(PowerCardEffectEngine.tickRound([activeEffect])).toEqual([]);
+  });
+});
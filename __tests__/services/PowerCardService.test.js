@@ -10,6 +10,9 @@ const ComboTracker = require('../../services/ComboTracker');
 
 describe('PowerCardService', () => {
 
+  // El combo Artist Expert (3 preguntas de artista) da la carta REPLAY
+  const ARTIST_ANSWER = { questionType: 'artist' };
+
   beforeEach(() => {
     // Limpiar antes de cada test
     PowerCardService.clearAll();
@@ -120,6 +123,18 @@ describe('PowerCardService', () => {
       expect(result.currentStreak).toBe(0);
       expect(result.comboDetected).toBe(false);
     });
+
+    test('el estado del combo anuncia la recompensa declarada (Hot Streak da tokens, no carta)', () => {
+      PowerCardService.processPlayerAnswer('player1', true);
+      PowerCardService.processPlayerAnswer('player1', true);
+      const status = PowerCardService.getComboStatus('player1');
+
+      expect(status.nextComboIn).toBe(1);
+      expect(status.message).toContain('Hot Streak: +2 tokens');
+      expect(status.message).not.toMatch(/carta/i);
+      expect(status.isHitMaster).toBe(false);
+      expect(status.canDrawCard).toBe(false);
+    });
   });
 
   // ═══════════════════════════════════════════════════════════════
@@ -129,9 +144,9 @@ describe('PowerCardService', () => {
   describe('Otorgamiento de Cartas - Combo Detected', () => {
 
     test('debe otorgar carta al detectar combo', () => {
-      PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
-      const result = PowerCardService.processPlayerAnswer('player1', true);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      const result = PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
 
       expect(result.comboDetected).toBe(true);
       expect(result.cardAwarded).toBeDefined();
@@ -139,9 +154,9 @@ describe('PowerCardService', () => {
     });
 
     test('carta otorgada debe tener QR code', () => {
-      PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
-      const result = PowerCardService.processPlayerAnswer('player1', true);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      const result = PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
 
       expect(result.cardAwarded.qrCode).toBeDefined();
       expect(typeof result.cardAwarded.qrCode).toBe('string');
@@ -149,18 +164,18 @@ describe('PowerCardService', () => {
     });
 
     test('QR code debe tener formato válido', () => {
-      PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
-      const result = PowerCardService.processPlayerAnswer('player1', true);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      const result = PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
 
       const qrCode = result.cardAwarded.qrCode;
       expect(qrCode).toMatch(/^HITBACK_POWERCARD_/);
     });
 
     test('carta debe aparecer en inventario', () => {
-      PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
 
       const inventory = PowerCardService.getPlayerInventory('player1');
 
@@ -225,7 +240,7 @@ describe('PowerCardService', () => {
   describe('Activación de Cartas', () => {
 
     test('activatePowerCard debe marcar carta como activa', () => {
-      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1);
+      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1, 'session1');
       const result = PowerCardService.activatePowerCard('player1', 'power_replay_001', 'session1');
 
       expect(result.activated).toBe(true);
@@ -233,7 +248,7 @@ describe('PowerCardService', () => {
     });
 
     test('debe retornar efecto correcto', () => {
-      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1);
+      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1, 'session1');
       const result = PowerCardService.activatePowerCard('player1', 'power_replay_001', 'session1');
 
       expect(result.effect).toBeDefined();
@@ -246,26 +261,41 @@ describe('PowerCardService', () => {
       expect(result.success).toBe(false);
       expect(result.error).toBeDefined();
     });
+
+    test('no activa cartas que no modifican la respuesta propia', () => {
+      PowerCardService.addCardToInventory('player1', 'power_festival_001', 1, 'session1');
+      PowerCardService.addCardToInventory('player1', 'power_double_platinum_001', 1, 'session1');
+
+      expect(PowerCardService.activatePowerCard('player1', 'power_festival_001', 'session1').success).toBe(false);
+      expect(PowerCardService.activatePowerCard('player1', 'power_double_platinum_001', 'session1').success).toBe(false);
+
+      // La carta sigue en el inventario para jugarla desde la sesión
+      expect(PowerCardService.applyActiveCardEffect('player1', 10, 'session1').cardUsed).toBeNull();
+      expect(PowerCardService.getPlayerInventory('player1', 'session1')).toEqual({
+        power_festival_001: 1,
+        power_double_platinum_001: 1
+      });
+    });
   });
 
   describe('Aplicar Efectos', () => {
 
     test('applyActiveCardEffect debe multiplicar puntos', () => {
-      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1);
+      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1, 'session1');
       PowerCardService.activatePowerCard('player1', 'power_replay_001', 'session1');
 
-      const result = PowerCardService.applyActiveCardEffect('player1', 10);
+      const result = PowerCardService.applyActiveCardEffect('player1', 10, 'session1');
 
       expect(result.finalPoints).toBe(20);
       expect(result.multiplier).toBe(2);
     });
 
     test('debe remover carta después de aplicar efecto', () => {
-      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1);
+      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1, 'session1');
       PowerCardService.activatePowerCard('player1', 'power_replay_001', 'session1');
-      PowerCardService.applyActiveCardEffect('player1', 10);
+      PowerCardService.applyActiveCardEffect('player1', 10, 'session1');
 
-      const inventory = PowerCardService.getPlayerInventory('player1');
+      const inventory = PowerCardService.getPlayerInventory('player1', 'session1');
       expect(Object.keys(inventory).length).toBe(0);
     });
 
@@ -278,10 +308,10 @@ describe('PowerCardService', () => {
 
       testCases.forEach(testCase => {
         PowerCardService.clearAll();
-        PowerCardService.addCardToInventory('player1', 'power_replay_001', 1);
+        PowerCardService.addCardToInventory('player1', 'power_replay_001', 1, 'session1');
         PowerCardService.activatePowerCard('player1', 'power_replay_001', 'session1');
 
-        const result = PowerCardService.applyActiveCardEffect('player1', testCase.base);
+        const result = PowerCardService.applyActiveCardEffect('player1', testCase.base, 'session1');
         expect(result.finalPoints).toBe(testCase.expected);
       });
     });
@@ -295,15 +325,15 @@ describe('PowerCardService', () => {
 
     test('flujo completo: combo -> otorgamiento -> activación -> efecto', () => {
       // Paso 1: Detectar combo
-      const comboResult = PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
-      const result3 = PowerCardService.processPlayerAnswer('player1', true);
+      const comboResult = PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
+      PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
+      const result3 = PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
 
       expect(result3.comboDetected).toBe(true);
       expect(result3.cardAwarded).toBeDefined();
 
       // Paso 2: Verificar inventario
-      const inventory = PowerCardService.getPlayerInventory('player1');
+      const inventory = PowerCardService.getPlayerInventory('player1', 'session1');
       expect(inventory['power_replay_001']).toBe(1);
 
       // Paso 3: Activar carta
@@ -311,35 +341,35 @@ describe('PowerCardService', () => {
       expect(activated.activated).toBe(true);
 
       // Paso 4: Aplicar efecto
-      const effect = PowerCardService.applyActiveCardEffect('player1', 10);
+      const effect = PowerCardService.applyActiveCardEffect('player1', 10, 'session1');
       expect(effect.finalPoints).toBe(20);
 
       // Paso 5: Verificar consumo
-      const finalInventory = PowerCardService.getPlayerInventory('player1');
+      const finalInventory = PowerCardService.getPlayerInventory('player1', 'session1');
       expect(Object.keys(finalInventory).length).toBe(0);
     });
 
     test('múltiples combos en la misma partida', () => {
       // Combo 1
-      PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
-      const result1 = PowerCardService.processPlayerAnswer('player1', true);
+      PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
+      PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
+      const result1 = PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
 
       expect(result1.comboDetected).toBe(true);
 
       // Usar primera carta
       PowerCardService.activatePowerCard('player1', 'power_replay_001', 'session1');
-      PowerCardService.applyActiveCardEffect('player1', 10);
+      PowerCardService.applyActiveCardEffect('player1', 10, 'session1');
 
       // Combo 2
-      PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
-      const result2 = PowerCardService.processPlayerAnswer('player1', true);
+      PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
+      PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
+      const result2 = PowerCardService.processPlayerAnswer('player1', true, { ...ARTIST_ANSWER, gameSessionId: 'session1' });
 
       expect(result2.comboDetected).toBe(true);
 
       // Debe tener otra carta en inventario
-      const inventory = PowerCardService.getPlayerInventory('player1');
+      const inventory = PowerCardService.getPlayerInventory('player1', 'session1');
       expect(inventory['power_replay_001']).toBe(1);
     });
   });
@@ -351,32 +381,84 @@ describe('PowerCardService', () => {
   describe('Múltiples Jugadores', () => {
 
     test('inventarios deben ser independientes', () => {
-      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1);
-      PowerCardService.addCardToInventory('player2', 'power_replay_001', 2);
+      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1, 'session1');
+      PowerCardService.addCardToInventory('player2', 'power_replay_001', 2, 'session1');
 
-      const inv1 = PowerCardService.getPlayerInventory('player1');
-      const inv2 = PowerCardService.getPlayerInventory('player2');
+      const inv1 = PowerCardService.getPlayerInventory('player1', 'session1');
+      const inv2 = PowerCardService.getPlayerInventory('player2', 'session1');
 
       expect(inv1['power_replay_001']).toBe(1);
       expect(inv2['power_replay_001']).toBe(2);
     });
 
     test('cartas activadas deben ser independientes', () => {
-      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1);
-      PowerCardService.addCardToInventory('player2', 'power_replay_001', 1);
+      PowerCardService.addCardToInventory('player1', 'power_replay_001', 1, 'session1');
+      PowerCardService.addCardToInventory('player2', 'power_replay_001', 1, 'session1');
 
       PowerCardService.activatePowerCard('player1', 'power_replay_001', 'session1');
 
       // Solo player1 debe tener carta activa
-      const effect1 = PowerCardService.applyActiveCardEffect('player1', 10);
+      const effect1 = PowerCardService.applyActiveCardEffect('player1', 10, 'session1');
       expect(effect1.finalPoints).toBe(20);
 
       // Player2 todavía tiene carta
-      const inv2 = PowerCardService.getPlayerInventory('player2');
+      const inv2 = PowerCardService.getPlayerInventory('player2', 'session1');
       expect(inv2['power_replay_001']).toBe(1);
     });
   });
 
+  // ═══════════════════════════════════════════════════════════════
+  // TEST SUITE 7b: Múltiples Sesiones
+  // ═══════════════════════════════════════════════════════════════
+
+  describe('Múltiples Sesiones', () => {
+
+    test('mismo playerId en dos sesiones no comparte inventario', () => {
+      PowerCardService.addCardToInventory('player_1', 'power_replay_001', 1, 'game_a');
+
+      expect(PowerCardService.getPlayerInventory('player_1', 'game_a')['power_replay_001']).toBe(1);
+      expect(PowerCardService.getPlayerInventory('player_1', 'game_b')).toEqual({});
+    });
+
+    test('combo en una sesión no otorga carta en otra', () => {
+      const ctxA = { gameSessionId: 'game_a' };
+      PowerCardService.processPlayerAnswer('player_1', true, ctxA);
+      PowerCardService.processPlayerAnswer('player_1', true, ctxA);
+      PowerCardService.processPlayerAnswer('player_1', true, { gameSessionId: 'game_b' });
+      const result = PowerCardService.processPlayerAnswer('player_1', true, ctxA);
+
+      expect(result.comboDetected).toBe(true);
+      expect(PowerCardService.getPlayerInventory('player_1', 'game_b')).toEqual({});
+      expect(PowerCardService.getComboStatus('player_1', 'game_b').currentStreak).toBe(1);
+    });
+
+    test('activación en una sesión no aplica efecto en otra', () => {
+      PowerCardService.addCardToInventory('player_1', 'power_replay_001', 1, 'game_a');
+      PowerCardService.addCardToInventory('player_1', 'power_replay_001', 1, 'game_b');
+      PowerCardService.activatePowerCard('player_1', 'power_replay_001', 'game_a');
+
+      const effectB = PowerCardService.applyActiveCardEffect('player_1', 10, 'game_b');
+      const effectA = PowerCardService.applyActiveCardEffect('player_1', 10, 'game_a');
+
+      expect(effectB.finalPoints).toBe(10);
+      expect(effectA.finalPoints).toBe(20);
+    });
+
+    test('clearSession solo limpia la sesión indicada', () => {
+      PowerCardService.addCardToInventory('player_1', 'power_replay_001', 1, 'game_a');
+      PowerCardService.addCardToInventory('player_1', 'power_replay_001', 1, 'game_b');
+      PowerCardService.processPlayerAnswer('player_1', true, { gameSessionId: 'game_a' });
+
+      PowerCardService.clearSession('game_a');
+
+      expect(PowerCardService.getPlayerInventory('player_1', 'game_a')).toEqual({});
+      expect(PowerCardService.getComboStatus('player_1', 'game_a').currentStreak).toBe(0);
+      expect(PowerCardService.getAllInventories('game_b')).toEqual({
+        player_1: { power_replay_001: 1 }
+      });
+    });
+  });
+
   // ═══════════════════════════════════════════════════════════════
   // TEST SUITE 8: Estructura y Validación
   // ═══════════════════════════════════════════════════════════════
@@ -395,9 +477,9 @@ describe('PowerCardService', () => {
     });
 
     test('cardAwarded debe tener todas las propiedades cuando existe', () => {
-      PowerCardService.processPlayerAnswer('player1', true);
-      PowerCardService.processPlayerAnswer('player1', true);
-      const result = PowerCardService.processPlayerAnswer('player1', true);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
+      const result = PowerCardService.processPlayerAnswer('player1', true, ARTIST_ANSWER);
 
       const card = result.cardAwarded;
       expect(card).toHaveProperty('id');
@@ -0,0 +1,152 @@
+/**
+ * 🧪 QUESTIONSERVICE.TEST.JS
+ * Tests de validación tolerante de respuestas
+ *
+ * Ejecutar: npm test -- QuestionService.test.js
+ */
+
+const QuestionService = require('../../services/QuestionService');
+
+describe('QuestionService - validateAnswer', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new QuestionService();
+  });
+
+  const question = (answer, extra = {}) => ({
+    answer,
+    acceptableAnswers: service._generateAcceptableAnswers(answer),
+    ...extra
+  });
+
+  test('acepta erratas según la longitud de la respuesta', () => {
+    const result = service.validateAnswer('Bohemian Rapsody', question('Bohemian Rhapsody'));
+
+    expect(result.correct).toBe(true);
+    expect(result.method).toBe('fuzzy');
+    expect(result.confidence).toBeGreaterThan(0.9);
+  });
+
+  test('rechaza respuestas sin sentido que antes pasaban por substring', () => {
+    expect(service.validateAnswer('a', question('Bohemian Rhapsody')).correct).toBe(false);
+    expect(service.validateAnswer('Teen Spirit', question('Smells Like Teen Spirit')).correct).toBe(false);
+  });
+
+  test('no tolera erratas en años', () => {
+    const result = service.validateAnswer('1986', { answer: '1985', acceptableAnswers: ['1985'] });
+
+    expect(result.correct).toBe(false);
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  test('ignora colaboraciones, stop words y puntuación', () => {
+    expect(service.validateAnswer('Luis Fonsi', question('Luis Fonsi ft. Daddy Yankee')).correct).toBe(true);
+    expect(service.validateAnswer('Beatles', question('The Beatles')).correct).toBe(true);
+    expect(service.validateAnswer('earth wind and fire', question('Earth, Wind & Fire')).correct).toBe(true);
+    expect(service.validateAnswer('acdc', question('AC/DC')).method).toBe('exact');
+  });
+
+  test('equipara números en letra y romanos', () => {
+    expect(service.validateAnswer('Maroon Five', question('Maroon 5')).correct).toBe(true);
+    expect(service.validateAnswer('Rocky 2', question('Rocky II')).correct).toBe(true);
+  });
+
+  test('acepta los alias del track', () => {
+    const track = {
+      id: 'x',
+      title: 'California Love',
+      artist: '2Pac ft. Dr. Dre',
+      aliases: { artist: ['Tupac'] }
+    };
+    const generated = service.generateQuestion(track, 'artist');
+
+    const result = service.validateAnswer('tupac', generated);
+
+    expect(result.correct).toBe(true);
+    expect(result.method).toBe('alias');
+    expect(result.confidence).toBe(1);
+  });
+});
+
+describe('QuestionService - tipos de pregunta', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new QuestionService();
+  });
+
+  const track = { id: 't1', title: 'Song', artist: 'Artist', decade: '1980s', year: null };
+
+  test('valida los tipos y pesos de la sesión', () => {
+    expect(service.resolveTypeWeights(undefined)).toEqual({ success: true, weights: null });
+    expect(service.resolveTypeWeights(['song', 'decade']).weights).toEqual({ song: 25, decade: 20 });
+    expect(service.resolveTypeWeights({ artist: 10, lyrics: 90, year: 0 }).weights).toEqual({ artist: 10, lyrics: 90 });
+
+    expect(service.resolveTypeWeights(['karaoke']).error).toMatch(/Tipo de pregunta no válido: karaoke/);
+    expect(service.resolveTypeWeights({ song: -1 }).success).toBe(false);
+    expect(service.resolveTypeWeights({ lyrics: 100 }).error).toMatch(/song o artist/);
+    expect(service.resolveTypeWeights([]).success).toBe(false);
+  });
+
+  test('solo sortea tipos permitidos que el track admite', () => {
+    expect(service.getAvailableTypes(track)).toEqual(['song', 'artist', 'decade']);
+
+    for (let i = 0; i < 30; i++) {
+      expect(['song', 'decade']).toContain(service.getRandomQuestionType(track, { song: 1, year: 50, decade: 1 }));
+    }
+
+    // Sin datos de letra, una sesión de karaoke cae en los tipos automáticos permitidos
+    expect(service.getRandomQuestionType(track, { lyrics: 90, artist: 10 })).toBe('artist');
+  });
+});
+
+describe('QuestionService - opción múltiple', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new QuestionService();
+  });
+
+  const entry = (id, title, artist, genre, decade, year, difficulty = 'EASY') =>
+    ({ id, title, artist, genre, decade, year, difficulty });
+
+  const track = entry('t0', 'Despacito', 'Luis Fonsi ft. Daddy Yankee', 'LATIN', '2010s', 2017);
+  const catalog = [
+    track,
+    entry('t1', 'Échame la Culpa', 'Luis Fonsi & Demi Lovato', 'LATIN', '2010s', 2017),
+    entry('t2', 'Gasolina', 'Daddy Yankee', 'LATIN', '2000s', 2004),
+    entry('t3', 'Mi Gente', 'J Balvin', 'LATIN', '2010s', 2017),
+    entry('t4', 'Ginza', 'J Balvin', 'LATIN', '2010s', 2015),
+    entry('t5', 'Bailando', 'Enrique Iglesias', 'LATIN', '2010s', 2014),
+    entry('t6', 'Taki Taki', 'DJ Snake', 'LATIN', '2010s', 2018),
+    entry('t7', 'Thriller', 'Michael Jackson', 'POP', '1980s', 1982, 'HARD')
+  ];
+
+  test('elige distractores parecidos del catálogo sin repetir artista', () => {
+    const question = service.generateQuestion(track, 'song', { multipleChoice: true, catalog });
+
+    expect(question.choices).toHaveLength(4);
+    expect(question.choices).toContain('Despacito');
+    expect(question.choices).not.toContain('Échame la Culpa');
+    expect(question.choices).not.toContain('Thriller');
+    expect(question.choices.filter(c => c === 'Mi Gente' || c === 'Ginza')).toHaveLength(1);
+
+    // Años que el catálogo no cubre se completan con vecinos del correcto
+    const year = service.generateQuestion(track, 'year', { multipleChoice: true, catalog });
+    expect(new Set(year.choices).size).toBe(4);
+    expect(year.choices).toContain('2017');
+
+    // lyrics/challenge siguen abiertas, igual que un catálogo sin distractores
+    expect(service.generateQuestion(track, 'artist', { multipleChoice: true, catalog: [track] }).choices).toBeUndefined();
+  });
+
+  test('acepta el texto de la opción o su letra', () => {
+    const question = { answer: '2010s', choices: ['1990s', '2010s', '2000s', '1980s'] };
+
+    expect(service.validateChoice('B', question)).toMatchObject({ correct: true, method: 'choice', matchedAnswer: '2010s' });
+    expect(service.validateChoice('2010s', question).correct).toBe(true);
+    expect(service.validateChoice('a', question).correct).toBe(false);
+    expect(service.validateChoice('1970s', question)).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * 🧪 RATINGSERVICE.TEST.JS
+ * Tests del rating Elo multijugador, orden final y equipos equilibrados
+ *
+ * Ejecutar: npm test -- RatingService.test.js
+ */
+
+const RatingService = require('../../services/RatingService');
+
+describe('RatingService', () => {
+
+  const player = (id, score, extra = {}) => ({ id, name: id, score, teamId: null, profileId: `profile_${id}`, ...extra });
+
+  test('orden final: el ganador primero, el resto por marcador con empates', () => {
+    const session = {
+      players: [player('p1', 3), player('p2', 5), player('p3', 3), player('p4', 5)],
+      teams: null,
+      result: { winnerId: 'p4', reason: 'sudden_death' }
+    };
+
+    expect(RatingService.finishingOrder(session).map(p => [p.playerId, p.rank])).toEqual([
+      ['p1', 3], ['p2', 2], ['p3', 3], ['p4', 1]
+    ]);
+
+    const teamSession = {
+      players: [player('p1', 2, { teamId: 'team_1' }), player('p2', 0, { teamId: 'team_2' }), player('p3', 1, { teamId: 'team_1' })],
+      teams: [{ id: 'team_1', score: 3 }, { id: 'team_2', score: 0 }],
+      result: { winnerId: 'team_1' }
+    };
+
+    expect(RatingService.finishingOrder(teamSession).map(p => p.rank)).toEqual([1, 2, 1]);
+  });
+
+  test('el cambio depende del orden y del rating de los rivales, no del marcador', () => {
+    const changes = RatingService.rate([
+      { id: 'a', rating: 1500, ratedGames: 0, rank: 1 },
+      { id: 'b', rating: 1500, ratedGames: 0, rank: 2 },
+      { id: 'c', rating: 1500, ratedGames: 0, rank: 3 }
+    ]);
+
+    expect(changes.map(c => c.delta)).toEqual([20, 0, -20]);
+
+    // Ganarle a alguien mucho mejor sube más; los veteranos se mueven menos (K menor)
+    const [upset] = RatingService.rate([
+      { id: 'a', rating: 1300, ratedGames: 30, rank: 1 },
+      { id: 'b', rating: 1700, ratedGames: 30, rank: 2 }
+    ]);
+    expect(upset.delta).toBeGreaterThan(20);
+    expect(upset.delta).toBeLessThanOrEqual(24);
+
+    // Compañeros de equipo no se puntúan entre sí
+    const teams = RatingService.rate([
+      { id: 'a', rating: 1500, ratedGames: 0, rank: 1, teamId: 'team_1' },
+      { id: 'b', rating: 1500, ratedGames: 0, rank: 1, teamId: 'team_1' },
+      { id: 'c', rating: 1500, ratedGames: 0, rank: 2, teamId: 'team_2' }
+    ]);
+    expect(teams.map(c => c.delta)).toEqual([20, 20, -20]);
+
+    expect(() => RatingService.rate([{ id: 'a', rating: 1500, ratedGames: 0, rank: 1 }])).toThrow();
+  });
+
+  test('equipos equilibrados y ventajas por rating', () => {
+    const players = [1800, 1600, 1500, 1450].map((rating, index) => ({ id: `p${index}`, rating }));
+
+    const { teams, spread } = RatingService.suggestTeams(players, 2);
+    expect(teams.map(t => t.players.map(p => p.id).sort())).toEqual([['p0', 'p3'], ['p1', 'p2']]);
+    expect(spread).toBe(75);
+    expect(() => RatingService.suggestTeams(players, 5)).toThrow();
+
+    expect(RatingService.suggestHandicaps(players).map(p => p.headStart)).toEqual([0, 2, 3, 3]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * 🧪 SESSIONEVENTSTREAM.TEST.JS
+ * Tests del canal SSE por sesión
+ *
+ * Ejecutar: npm test -- SessionEventStream.test.js
+ */
+
+const SessionEventStream = require('../../services/SessionEventStream');
+
+const createResponse = () => ({
+  chunks: [],
+  writeHead: jest.fn(),
+  write(chunk) { this.chunks.push(chunk); },
+  end: jest.fn(),
+  body() { return this.chunks.join(''); }
+});
+
+describe('SessionEventStream', () => {
+
+  afterEach(() => {
+    SessionEventStream.closeSession('game_a');
+    SessionEventStream.closeSession('game_b');
+  });
+
+  test('solo envía eventos a los clientes de la misma sesión', () => {
+    const resA = createResponse();
+    const resB = createResponse();
+    SessionEventStream.subscribe('game_a', resA);
+    SessionEventStream.subscribe('game_b', resB);
+
+    SessionEventStream.broadcast({ sessionId: 'game_a', type: 'bet_placed', data: {} });
+
+    expect(resA.body()).toContain('event: bet_placed');
+    expect(resB.body()).not.toContain('bet_placed');
+  });
+
+  test('reenvía eventos perdidos con Last-Event-ID', () => {
+    SessionEventStream.broadcast({ sessionId: 'game_a', type: 'round_started', data: {} });
+    SessionEventStream.broadcast({ sessionId: 'game_a', type: 'bet_placed', data: {} });
+
+    const res = createResponse();
+    SessionEventStream.subscribe('game_a', res, { lastEventId: '1' });
+
+    expect(res.body()).not.toContain('round_started');
+    expect(res.body()).toContain('id: 2');
+  });
+
+  test('unsubscribe deja de enviar eventos', () => {
+    const res = createResponse();
+    const unsubscribe = SessionEventStream.subscribe('game_a', res);
+
+    unsubscribe();
+    SessionEventStream.broadcast({ sessionId: 'game_a', type: 'game_over', data: {} });
+
+    expect(res.body()).not.toContain('game_over');
+    expect(SessionEventStream.getClientCount('game_a')).toBe(0);
+  });
+
+  test('closeSession cierra las conexiones y descarta el buffer', () => {
+    const res = createResponse();
+    SessionEventStream.subscribe('game_a', res);
+    SessionEventStream.broadcast({ sessionId: 'game_a', type: 'game_over', data: {} });
+
+    SessionEventStream.closeSession('game_a');
+
+    expect(res.end).toHaveBeenCalled();
+    expect(SessionEventStream.channels.has('game_a')).toBe(false);
+    expect(SessionEventStream.getClientCount('game_a')).toBe(0);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * 🧪 TRACKSERVICE.TEST.JS
+ * Tests de exclusión de tracks por sesión
+ *
+ * Ejecutar: npm test -- TrackService.test.js
+ */
+
+// DeezerServiceV2 abre un setInterval al cargarse: lo reemplazamos
+jest.mock('../../services/DeezerServiceV2', () => ({
+  searchTracks: jest.fn().mockResolvedValue([])
+}));
+
+const TrackService = require('../../services/TrackService');
+
+describe('TrackService - Exclusión por sesión', () => {
+
+  beforeEach(() => {
+    TrackService.resetUsedTracks();
+  });
+
+  test('excluye los tracks que la sesión ya usó', async () => {
+    const allIds = TrackService.getAllTracks().map(t => t.id);
+    const [remaining, ...used] = allIds;
+
+    const track = await TrackService.getRandomTrack({}, used);
+
+    expect(track.id).toBe(remaining);
+  });
+
+  test('no modifica el set global cuando se pasa exclusión de sesión', async () => {
+    await TrackService.getRandomTrack({}, []);
+    await TrackService.getRandomTrack({}, []);
+
+    expect(TrackService.getUsedTracksStatus().used).toBe(0);
+  });
+
+  test('una sesión nueva no borra el historial de otra', async () => {
+    const sessionA = [];
+    const first = await TrackService.getRandomTrack({}, sessionA);
+    sessionA.push(first.id);
+
+    const sessionB = [];
+    await TrackService.getRandomTrack({}, sessionB);
+
+    const second = await TrackService.getRandomTrack({}, sessionA);
+    expect(second.id).not.toBe(first.id);
+  });
+
+  test('fallback respeta la exclusión de sesión', () => {
+    const allIds = TrackService.getAllTracks().map(t => t.id);
+    const [remaining, ...used] = allIds;
+
+    const track = TrackService.getFallbackTrack({ genre: 'NO_EXISTE' }, used);
+
+    expect(track.id).toBe(remaining);
+  });
+
+  test('sin exclusión de sesión mantiene el comportamiento global', async () => {
+    const track = await TrackService.getRandomTrack({});
+
+    expect(TrackService.isTrackUsed(track.id)).toBe(true);
+  });
+});
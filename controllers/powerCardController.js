@@ -11,6 +11,7 @@
  */
 
 const PowerCardService = require('../services/PowerCardService');
+const PowerCardEffectEngine = require('../services/PowerCardEffectEngine');
 const { parsePowerCardQR, generateQRsForAllCards } = require('../utils/Qrutils');
 const { asyncHandler } = require('../utils/errors');
 const logger = require('../utils/logger');
@@ -70,14 +71,15 @@ class PowerCardController {
       }
 
       // 4. Agregar carta al inventario del jugador
-      // Las cartas con effectOnDraw se consumen al tomar — no van al inventario
-      const hasImmediateEffect = !!card.effectOnDraw;
+      // Las cartas con trigger on_draw se consumen al tomar — no van al inventario
+      const effect = PowerCardEffectEngine.getEffect(card);
+      const hasImmediateEffect = effect.trigger === 'on_draw';
       if (!hasImmediateEffect) {
-        PowerCardService.addCardToInventory(playerId, cardId, 1);
+        PowerCardService.addCardToInventory(playerId, cardId, 1, sessionId);
       }
 
       // 5. Obtener inventario actualizado
-      const inventory = PowerCardService.getPlayerInventory(playerId);
+      const inventory = PowerCardService.getPlayerInventory(playerId, sessionId);
 
       const duration = timer();
 
@@ -93,7 +95,8 @@ class PowerCardController {
         emoji: card.emoji,
         description: card.description,
         usageLimit: card.usageLimit,
-        effectOnDraw: card.effectOnDraw || null,
+        effect,
+        effectOnDraw: hasImmediateEffect ? { scoreChange: effect.scoreChange } : null,
         qrCode,
         scannedAt: new Date().toISOString(),
         sessionId,
@@ -121,17 +124,18 @@ class PowerCardController {
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * GET /api/cards/inventory/:playerId
+   * GET /api/cards/inventory/:playerId?sessionId=
    * Obtener inventario completo de PowerCards del jugador
    */
   getPlayerInventory = asyncHandler(async (req, res) => {
     const { playerId } = req.params;
+    const { sessionId } = req.query;
     const timer = logger.startTimer(`GET_INVENTORY_${playerId}`);
 
     logger.info(`📦 Fetching inventory for: ${playerId}`);
 
     try {
-      const inventory = PowerCardService.getPlayerInventory(playerId);
+      const inventory = PowerCardService.getPlayerInventory(playerId, sessionId);
 
       // Enriquecer con información completa de las cartas
       const enrichedInventory = [];
@@ -161,6 +165,7 @@ class PowerCardController {
 
       res.sendSuccess({
         playerId,
+        sessionId: sessionId || null,
         inventory: enrichedInventory,
         summary: {
           totalCards,
@@ -185,16 +190,17 @@ class PowerCardController {
   });
 
   /**
-   * GET /api/cards/inventories/all
+   * GET /api/cards/inventories/all?sessionId=
    * Obtener inventarios de todos los jugadores (para admin/debug)
    */
   getAllInventories = asyncHandler(async (req, res) => {
+    const { sessionId } = req.query;
     const timer = logger.startTimer('GET_ALL_INVENTORIES');
 
-    logger.info('📦 Fetching all inventories');
+    logger.info(`📦 Fetching all inventories${sessionId ? ` for session ${sessionId}` : ''}`);
 
     try {
-      const allInventories = PowerCardService.getAllInventories();
+      const allInventories = PowerCardService.getAllInventories(sessionId);
 
       const enrichedData = {};
       let totalPlayers = 0;
@@ -217,6 +223,7 @@ class PowerCardController {
       logger.info(`✅ All inventories retrieved: ${totalPlayers} players, ${totalCards} cards`);
 
       res.sendSuccess({
+        sessionId: sessionId || null,
         inventories: enrichedData,
         summary: {
           totalPlayers,
@@ -269,8 +276,8 @@ class PowerCardController {
         );
       }
 
-      // 2. Verificar que el jugador tiene la carta
-      const inventory = PowerCardService.getPlayerInventory(playerId);
+      // 2. Verificar que el jugador tiene la carta (en su sesión)
+      const inventory = PowerCardService.getPlayerInventory(playerId, sessionId);
 
       if (!inventory[cardId] || inventory[cardId] <= 0) {
         logger.warn(`❌ Player ${playerId} doesn't have card ${cardId}`);
@@ -278,7 +285,7 @@ class PowerCardController {
           'Player does not own this card',
           'CARD_NOT_OWNED',
           403,
-          { playerId, cardId, inventory }
+          { playerId, cardId, sessionId, inventory }
         );
       }
 
@@ -288,6 +295,12 @@ class PowerCardController {
       // 4. Activar la carta (marca como activa para usar en la siguiente ronda)
       const result = PowerCardService.activatePowerCard(playerId, cardId, sessionId);
 
+      if (!result.success) {
+        timer();
+        logger.warn(`❌ PowerCard not activated: ${result.error}`);
+        return res.sendError(result.error, 'CARD_NOT_ACTIVATABLE', 400, { playerId, cardId, sessionId });
+      }
+
       const duration = timer();
 
       logger.info(`✅ PowerCard activated: ${card.name}`);
@@ -328,16 +341,17 @@ class PowerCardController {
    * SOLO PARA TESTING: Agregar carta directamente al inventario
    */
   testAddCard = asyncHandler(async (req, res) => {
-    const { playerId, cardId, count = 1 } = req.body;
+    const { playerId, cardId, count = 1, sessionId } = req.body;
 
     logger.warn(`⚠️  TEST MODE: Adding ${count}x ${cardId} to ${playerId}`);
 
     try {
-      PowerCardService.addCardToInventory(playerId, cardId, count);
-      const inventory = PowerCardService.getPlayerInventory(playerId);
+      PowerCardService.addCardToInventory(playerId, cardId, count, sessionId);
+      const inventory = PowerCardService.getPlayerInventory(playerId, sessionId);
 
       res.sendSuccess({
         playerId,
+        sessionId: sessionId || null,
         cardId,
         count,
         inventory
@@ -373,20 +387,21 @@ class PowerCardController {
   });
 
   /**
-   * DELETE /api/cards/player/:playerId
+   * DELETE /api/cards/player/:playerId?sessionId=
    * Limpiar datos de un jugador (fin de sesión)
    */
   clearPlayerData = asyncHandler(async (req, res) => {
     const { playerId } = req.params;
+    const { sessionId } = req.query;
 
     logger.info(`🧹 Clearing data for player: ${playerId}`);
 
     try {
-      // Implementar limpieza en el servicio
-      // PowerCardService.clearPlayerData(playerId);
+      PowerCardService.clearPlayerData(playerId, sessionId);
 
       res.sendSuccess({
         playerId,
+        sessionId: sessionId || null,
         cleared: true
       }, `Data cleared for player ${playerId}`);
 
@@ -64,8 +64,9 @@ const validatePlayerHasCard = (req, res, next) => {
       );
     }
 
-    // Obtener inventario del jugador
-    const inventory = PowerCardService.getPlayerInventory(playerId);
+    // Obtener inventario del jugador (en su sesión)
+    const sessionId = req.body?.sessionId || req.query?.sessionId || null;
+    const inventory = PowerCardService.getPlayerInventory(playerId, sessionId);
 
     if (!inventory || !inventory[cardId] || inventory[cardId] <= 0) {
       return res.sendError(
@@ -0,0 +1,38 @@
+-- =====================================================
+-- HITBACK - Persistencia de sesiones de juego
+-- =====================================================
+-- Complementa 001_create_tables.sql para que GameSessionService
+-- pueda guardar y rehidratar partidas en curso:
+-- 1. Snapshot completo de la sesión (tokens, ronda actual, historial)
+-- 2. Upsert de jugadores por sesión
+-- 3. round_history acepta tracks del catálogo local (sin FK a tracks)
+
+-- =====================================================
+-- 1. SNAPSHOT DE SESIÓN
+-- =====================================================
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS snapshot JSONB,             -- Estado completo serializado
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_game_sessions_status ON game_sessions(status);
+
+-- =====================================================
+-- 2. UN REGISTRO POR JUGADOR Y SESIÓN
+-- =====================================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_players_unique
+  ON session_players(session_id, player_id);
+
+-- =====================================================
+-- 3. ROUND HISTORY SIN FK A TRACKS
+-- =====================================================
+-- Los tracks de data/tracks.json (id '001', '002', ...) no existen en la tabla tracks
+ALTER TABLE round_history DROP CONSTRAINT IF EXISTS round_history_track_id_fkey;
+
+ALTER TABLE round_history
+  ADD COLUMN IF NOT EXISTS details JSONB DEFAULT '{}'::jsonb;  -- combo, carta, respuesta correcta
+
+COMMENT ON COLUMN game_sessions.snapshot IS 'Estado completo de la sesión para rehidratar al reiniciar el servidor';
+
+-- =====================================================
+-- FIN DE LA MIGRACIÓN
+-- =====================================================
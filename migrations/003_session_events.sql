@@ -0,0 +1,32 @@
+-- =====================================================
+-- HITBACK - Log de eventos por sesión
+-- =====================================================
+-- Cada cambio de estado de GameSessionService (crear, empezar, ronda,
+-- apuesta, respuesta, revelación, power card, delta de puntos...) se
+-- guarda en orden. Reproducir el log reconstruye la sesión:
+-- 1. Recuperación tras caída (snapshot más antiguo que el log)
+-- 2. Depuración de partidas en disputa
+--
+-- Sin FK a game_sessions: el evento se escribe ANTES que el snapshot
+-- (write-ahead), incluido el de creación de la sesión
+
+-- =====================================================
+-- 1. EVENTOS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS session_events (
+  id SERIAL PRIMARY KEY,
+  session_id VARCHAR(50) NOT NULL,
+  seq INTEGER NOT NULL,                          -- Orden dentro de la sesión (1, 2, 3...)
+  event_type VARCHAR(50) NOT NULL,               -- session_created, bet_placed, ...
+  data JSONB DEFAULT '{}'::jsonb,                -- Argumentos del comando
+  occurred_at TIMESTAMPTZ NOT NULL               -- Reloj usado al reproducir
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_events_seq
+  ON session_events(session_id, seq);
+
+COMMENT ON TABLE session_events IS 'Log ordenado de eventos por sesión para replay determinista';
+
+-- =====================================================
+-- FIN DE LA MIGRACIÓN
+-- =====================================================
@@ -0,0 +1,44 @@
+-- =====================================================
+-- HITBACK - Perfiles de jugador y rankings
+-- =====================================================
+-- Los jugadores de una sesión (player_1, player_2...) solo existen dentro
+-- de esa partida. Un perfil persiste entre sesiones:
+-- 1. player_profiles: nombre, avatar y token del dispositivo (opcional)
+-- 2. session_players.profile_id enlaza cada participación con su perfil
+-- 3. session_players.won: la partida terminó con este jugador (o su equipo) ganador
+--
+-- Las stats de por vida y los rankings salen de session_players y
+-- round_history (details->>'genre' / details->>'decade') de partidas terminadas
+
+-- =====================================================
+-- 1. PERFILES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS player_profiles (
+  id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  avatar_color VARCHAR(20),                    -- #RRGGBB
+  device_token TEXT,                           -- Móvil del jugador (opcional)
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_player_profiles_device
+  ON player_profiles(device_token) WHERE device_token IS NOT NULL;
+
+-- =====================================================
+-- 2. PARTICIPACIONES CON PERFIL
+-- =====================================================
+ALTER TABLE session_players
+  ADD COLUMN IF NOT EXISTS profile_id VARCHAR(50) REFERENCES player_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS won BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_session_players_profile ON session_players(profile_id);
+
+-- Rankings por mes
+CREATE INDEX IF NOT EXISTS idx_game_sessions_finished ON game_sessions(finished_at);
+
+COMMENT ON TABLE player_profiles IS 'Perfiles de jugador persistentes entre sesiones (stats de por vida y rankings)';
+
+-- =====================================================
+-- FIN DE LA MIGRACIÓN
+-- =====================================================
@@ -0,0 +1,43 @@
+-- =====================================================
+-- HITBACK - Rating de habilidad de los perfiles
+-- =====================================================
+-- El marcador de una partida depende del número de jugadores y del
+-- targetScore, así que no sirve para comparar entre partidas. Cada perfil
+-- lleva un rating Elo que se actualiza al terminar cada partida según el
+-- orden final (ver RatingService):
+-- 1. player_profiles.rating / rated_games: rating actual y partidas puntuadas
+-- 2. rating_history: cambio de rating de cada perfil en cada partida
+--
+-- Si se deshace la última ronda y la partida vuelve a jugarse, los cambios
+-- de esa sesión se revierten con rating_before y se borran del historial
+
+-- =====================================================
+-- 1. RATING ACTUAL
+-- =====================================================
+ALTER TABLE player_profiles
+  ADD COLUMN IF NOT EXISTS rating INTEGER DEFAULT 1500,
+  ADD COLUMN IF NOT EXISTS rated_games INTEGER DEFAULT 0;
+
+-- =====================================================
+-- 2. HISTORIAL
+-- =====================================================
+CREATE TABLE IF NOT EXISTS rating_history (
+  id SERIAL PRIMARY KEY,
+  profile_id VARCHAR(50) NOT NULL REFERENCES player_profiles(id) ON DELETE CASCADE,
+  session_id VARCHAR(50) NOT NULL,
+  finishing_rank INTEGER NOT NULL,             -- 1 = ganador (empates comparten puesto)
+  participants INTEGER NOT NULL,               -- Perfiles puntuados en la partida
+  rating_before INTEGER NOT NULL,
+  rating_after INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (profile_id, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_profile ON rating_history(profile_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rating_history_session ON rating_history(session_id);
+
+COMMENT ON TABLE rating_history IS 'Cambio de rating Elo de cada perfil en cada partida terminada';
+
+-- =====================================================
+-- FIN DE LA MIGRACIÓN
+-- =====================================================
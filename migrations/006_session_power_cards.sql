@@ -0,0 +1,21 @@
+-- =====================================================
+-- HITBACK - Estado de cartas y rachas en el snapshot
+-- =====================================================
+-- player_power_cards solo sabe qué cartas tiene cada jugador. Para
+-- rehidratar una partida hace falta también lo que vive en memoria de
+-- PowerCardService (ver snapshotSession):
+-- 1. Rachas y contadores de combos (ComboTracker)
+-- 2. Cartas activadas a la espera de la siguiente respuesta
+-- 3. Inventarios completos (también cartas escaneadas por QR)
+
+-- =====================================================
+-- 1. ESTADO DE CARTAS
+-- =====================================================
+ALTER TABLE game_sessions
+  ADD COLUMN IF NOT EXISTS power_cards JSONB;   -- { inventories, usageHistory, activeCards, streaks }
+
+COMMENT ON COLUMN game_sessions.power_cards IS 'PowerCardService.snapshotSession() guardado con cada snapshot';
+
+-- =====================================================
+-- FIN DE LA MIGRACIÓN
+-- =====================================================
@@ -2,12 +2,32 @@
  * 🎮 Game Session Routes - API sin QR
  * 
  * Endpoints:
+ * GET    /api/v2/game/modes            - Modos de juego (presets)
  * POST   /api/v2/game/session          - Crear nueva sesión
- * POST   /api/v2/game/session/:id/start - Iniciar juego
+ * GET    /api/v2/game/session/:id/join  - Código de sala y QR
+ * GET    /api/v2/game/lobby/:code       - Estado de la sala por código
+ * POST   /api/v2/game/lobby/:code/join  - Apuntarse a la sala
+ * DELETE /api/v2/game/session/:id/players/:playerId - Expulsar jugador
+ * PUT    /api/v2/game/session/:id/players/order - Reordenar jugadores
+ * POST   /api/v2/game/session/:id/start - Iniciar juego (cierra la lista)
  * POST   /api/v2/game/session/:id/round - Siguiente ronda
+ * POST   /api/v2/game/session/:id/round/reroll - Cambiar el track de la ronda
  * POST   /api/v2/game/session/:id/bet   - Registrar apuesta
+ * POST   /api/v2/game/session/:id/answer - Respuesta escrita (juicio automático)
+ * POST   /api/v2/game/session/:id/tokens/spend - Gastar tokens en pista o cambio de pregunta
+ * POST   /api/v2/game/session/:id/steal  - Abrir el robo (falló el jugador del turno)
  * POST   /api/v2/game/session/:id/reveal - Revelar respuesta
+ * POST   /api/v2/game/session/:id/reveal/undo - Deshacer la última revelación
  * GET    /api/v2/game/session/:id       - Estado de la sesión
+ * GET    /api/v2/game/session/:id/summary - Resumen y premios (JSON o CSV)
+ * GET    /api/v2/game/session/:id/events - Eventos en tiempo real (SSE)
+ * GET    /api/v2/game/session/:id/log    - Log de eventos de la sesión
+ * GET    /api/v2/game/session/:id/replay - Reconstruir la sesión desde el log
+ * POST   /api/v2/game/profiles          - Crear perfil de jugador
+ * GET    /api/v2/game/profiles/:profileId - Perfil y stats de por vida
+ * GET    /api/v2/game/leaderboard       - Ranking (todas, mes, género, década)
+ * GET    /api/v2/game/profiles/:profileId/ratings - Rating e historial de rating
+ * POST   /api/v2/game/ratings/balance   - Equipos equilibrados o ventajas por rating
  * GET    /api/v2/game/sessions          - Listar sesiones
  * DELETE /api/v2/game/session/:id       - Eliminar sesión
  * GET    /api/v2/game/health            - Health check
@@ -22,10 +42,96 @@ const router = express.Router();
 // ✅ CORREGIDO: Ruta relativa a services/
 // Si este archivo está en routes/, entonces services/ está en ../services/
 const GameSessionService = require('../services/GameSessionService');
+const sessionEventStream = require('../services/SessionEventStream');
+const GameModeService = require('../services/GameModeService');
+const GameSummaryService = require('../services/GameSummaryService');
+const PlayerProfileService = require('../services/PlayerProfileService');
 
 // Instancia del servicio
 const gameService = new GameSessionService();
 
+// Perfiles y rankings sobre el mismo repositorio que las sesiones
+const profileService = new PlayerProfileService({ repository: gameService.repository });
+
+// 📡 Cada evento del servicio se empuja a las pantallas conectadas.
+// El canal se cierra al terminar la partida y cuando la sesión sale de memoria
+gameService.on('game-event', event => {
+  sessionEventStream.broadcast(event);
+
+  if (event.type === GameSessionService.EVENTS.GAME_OVER) {
+    sessionEventStream.closeSession(event.sessionId);
+  }
+});
+gameService.on('session-removed', sessionId => sessionEventStream.closeSession(sessionId));
+
+// 📈 Ratings al terminar la partida (y revertidos si un undo la reabre).
+// En cola para que un undo justo después del final no se cruce con el cálculo
+let ratingQueue = Promise.resolve();
+
+gameService.on('game-event', event => {
+  const { EVENTS } = GameSessionService;
+  if (event.type !== EVENTS.GAME_OVER && event.type !== EVENTS.REVEAL_UNDONE) return;
+
+  ratingQueue = ratingQueue
+    .then(() => {
+      const status = gameService.getStatus(event.sessionId);
+      if (!status.success) return null;
+
+      if (event.type === EVENTS.GAME_OVER) {
+        return profileService.rateGame(status.session);
+      }
+
+      return status.session.status === 'playing' ? profileService.revertGameRatings(event.sessionId) : null;
+    })
+    .catch(error => {
+      console.error('❌ Error actualizando ratings:', error.message);
+    });
+});
+
+// 💾 Rehidratar partidas activas tras un reinicio del servidor
+const restoring = gameService.restoreSessions().catch(error => {
+  console.error('❌ Error rehidratando sesiones:', error.message);
+});
+
+// Ninguna ruta responde hasta que las partidas rehidratadas estén en memoria
+// (si no, una sesión restaurada daría 404 durante el arranque)
+router.use((req, res, next) => {
+  restoring.then(() => next(), next);
+});
+
+// ═══════════════════════════════════════════════════════════
+// 🕹️ MODOS DE JUEGO
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v2/game/modes
+ * Presets para el selector de modo de la app
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   count: 6,
+ *   modes: [{ id: "quick_game", name: "Quick Game", emoji, description, config: { ... } }]
+ * }
+ */
+router.get('/modes', (req, res) => {
+  try {
+    const modes = GameModeService.getAllModes();
+
+    res.json({
+      success: true,
+      count: modes.length,
+      modes
+    });
+  } catch (error) {
+    console.error('❌ Error listando modos de juego:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════
 // 📋 CREAR SESIÓN
 // ═══════════════════════════════════════════════════════════
@@ -36,21 +142,42 @@ const gameService = new GameSessionService();
  * 
  * Body:
  * {
+ *   mode: "quick_game",   // opcional: preset de /modes (id o nombre); el resto de campos lo sobrescriben
  *   players: ["Ana", "Bob", "Cat"],
+ *   // o con perfiles: [{ profileId: "profile_3f2a..." }, "Invitado"] (nombre y avatar del perfil)
+ *   // o por equipos (2–4 jugadores cada uno; marcador, tokens y cartas compartidos):
+ *   // teams: [{ name: "Rojos", players: ["Ana", "Bob"] }, { name: "Azules", players: ["Cat", "Dan"] }],
+ *   lobby: true,          // sala: los jugadores se apuntan con el código (players puede ir vacío)
+ *   turnBased: true,      // por turnos: responde primero el jugador activo, luego robo
+ *   tokenRules: {         // opcional, campo a campo
+ *     returnOnCorrect: true,    // el token apostado vuelve al acertar
+ *     comboRewards: true,       // los combos pueden devolver tokens
+ *     refreshEveryRounds: 5,    // recarga de tokens cada 5 rondas (0 = nunca)
+ *     hintCost: 1,              // tokens por pista (0 = pistas gratis y visibles)
+ *     rerollCost: 2             // tokens por cambiar la pregunta (0 = no se puede)
+ *   },
  *   genres: ["ROCK", "POP"],
  *   decades: ["1980s", "1990s"],
- *   difficulty: "MEDIUM",
+ *   difficulty: "MEDIUM",   // EASY, MEDIUM, HARD, ANY o ADAPTIVE (sigue el rendimiento de la mesa)
+ *   questionTypes: { song: 30, artist: 30, lyrics: 40 },  // opcional: tipos permitidos y pesos (o lista)
+ *   answerMode: "open",     // open | multiple_choice (4 opciones en song, artist, year y decade)
  *   targetScore: 15,
- *   timeLimit: 1200
+ *   timeLimit: 1200,      // segundos de partida (0 = sin límite)
+ *   roundTimeLimit: 30    // segundos por ronda (por defecto 0 = sin cuenta atrás)
  * }
  */
-router.post('/session', (req, res) => {
+router.post('/session', async (req, res) => {
   try {
-    const config = req.body;
+    console.log('📋 Creando sesión:', req.body);
+
+    // Los jugadores con profileId toman nombre y avatar de su perfil
+    const resolved = await profileService.resolvePlayers(req.body || {});
 
-    console.log('📋 Creando sesión:', config);
+    if (!resolved.success) {
+      return res.status(400).json(resolved);
+    }
 
-    const result = gameService.createSession(config);
+    const result = gameService.createSession(resolved.config);
 
     if (result.success) {
       res.status(201).json(result);
@@ -66,6 +193,161 @@ router.post('/session', (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════
+// 🚪 SALA (LOBBY)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v2/game/session/:id/join
+ * Código de sala y QR para la pantalla del host
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   joinCode: "K7PXM",
+ *   qrPayload: "HITBACK_JOIN:K7PXM",
+ *   qrCode: "data:image/png;base64,...",
+ *   rosterOpen: true
+ * }
+ */
+router.get('/session/:id/join', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await gameService.getJoinInfo(id);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error generando QR de sala:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v2/game/lobby/:code
+ * Estado de la sala para los móviles (jugadores, equipos, si sigue abierta)
+ */
+router.get('/lobby/:code', (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const result = gameService.findSessionByJoinCode(code);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error obteniendo sala:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v2/game/lobby/:code/join
+ * Apuntarse a la sala desde el móvil
+ *
+ * Body:
+ * {
+ *   name: "Ana",
+ *   avatarColor: "#2A9D8F",   // opcional
+ *   teamId: "team_1"          // obligatorio en modo equipos
+ * }
+ */
+router.post('/lobby/:code/join', async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { name, avatarColor, teamId, profileId } = req.body || {};
+
+    const resolved = await profileService.resolvePlayer({ name, avatarColor, teamId, profileId });
+
+    if (!resolved.success) {
+      return res.status(400).json(resolved);
+    }
+
+    console.log(`🙋 ${resolved.player.name} se apunta a la sala ${code}`);
+
+    const result = gameService.joinLobby(code, resolved.player);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('❌ Error entrando en la sala:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/v2/game/session/:id/players/:playerId
+ * El host expulsa a un jugador (solo antes de empezar)
+ */
+router.delete('/session/:id/players/:playerId', (req, res) => {
+  try {
+    const { id, playerId } = req.params;
+
+    const result = gameService.kickPlayer(id, playerId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error expulsando jugador:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/v2/game/session/:id/players/order
+ * El host cambia el orden de juego (solo antes de empezar)
+ *
+ * Body:
+ * {
+ *   playerIds: ["player_3", "player_1", "player_2"]
+ * }
+ */
+router.put('/session/:id/players/order', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { playerIds } = req.body || {};
+
+    const result = gameService.reorderPlayers(id, playerIds);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error reordenando jugadores:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════
 // ▶️ INICIAR JUEGO
 // ═══════════════════════════════════════════════════════════
@@ -124,6 +406,50 @@ router.post('/session/:id/round', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════
+// 🔁 CAMBIAR TRACK DE LA RONDA
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * POST /api/v2/game/session/:id/round/reroll
+ * Descartar el track de la ronda en curso y sortear otro con los mismos filtros.
+ * Las apuestas de la ronda se devuelven; las rachas no cambian.
+ *
+ * Body:
+ * {
+ *   reason: "no_audio" | "duplicate" | "inappropriate"
+ * }
+ */
+router.post('/session/:id/round/reroll', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'reason es requerido (no_audio, duplicate, inappropriate)'
+      });
+    }
+
+    console.log(`🔁 Cambio de track: sesión ${id}, motivo ${reason}`);
+
+    const result = await gameService.rerollRound(id, reason);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error cambiando track:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════
 // 🎰 REGISTRAR APUESTA
 // ═══════════════════════════════════════════════════════════
@@ -164,6 +490,122 @@ router.post('/session/:id/bet', (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════
+// 📝 RESPUESTA ESCRITA
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * POST /api/v2/game/session/:id/answer
+ * Un jugador envía su respuesta escrita; el servidor la juzga
+ * y registra el primer acierto (con su tiempo)
+ * 
+ * Body:
+ * {
+ *   playerId: "player_1",
+ *   answer: "Bohemian Rhapsody"   // opción múltiple: el texto de la opción o su letra ("B")
+ * }
+ */
+router.post('/session/:id/answer', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { playerId, answer } = req.body;
+
+    if (!playerId || typeof answer !== 'string' || !answer.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'playerId y answer son requeridos'
+      });
+    }
+
+    console.log(`📝 Respuesta: sesión ${id}, jugador ${playerId}`);
+
+    const result = gameService.submitAnswer(id, playerId, answer);
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error registrando respuesta:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════
+// 🪙 GASTAR TOKENS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * POST /api/v2/game/session/:id/tokens/spend
+ * Comprar una pista o cambiar la pregunta con tokens (config.tokenRules)
+ *
+ * Body:
+ * {
+ *   playerId: "player_1",
+ *   purpose: "hint"   // o "reroll"
+ * }
+ */
+router.post('/session/:id/tokens/spend', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { playerId, purpose } = req.body || {};
+
+    if (!playerId || !purpose) {
+      return res.status(400).json({
+        success: false,
+        error: 'playerId y purpose son requeridos'
+      });
+    }
+
+    console.log(`🪙 Gasto de tokens: sesión ${id}, jugador ${playerId}, ${purpose}`);
+
+    const result = gameService.spendTokens(id, playerId, purpose);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error gastando tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════
+// 🔄 ROBO (MODO POR TURNOS)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * POST /api/v2/game/session/:id/steal
+ * El jugador del turno falló en voz alta: los demás pueden responder.
+ * Una respuesta escrita incorrecta del jugador del turno lo abre sola.
+ */
+router.post('/session/:id/steal', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log(`🔄 Robo abierto: sesión ${id}`);
+
+    const result = gameService.openSteal(id);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error abriendo robo:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════
 // ✅ REVELAR RESPUESTA
 // ═══════════════════════════════════════════════════════════
@@ -174,17 +616,18 @@ router.post('/session/:id/bet', (req, res) => {
  * 
  * Body:
  * {
- *   winnerId: "player_2"  // null si nadie acertó
+ *   winnerId: "player_2",  // null si nadie acertó (game master override)
+ *   auto: true             // sin winnerId: gana el primer acierto de /answer
  * }
  */
 router.post('/session/:id/reveal', (req, res) => {
   try {
     const { id } = req.params;
-    const { winnerId } = req.body;
+    const { winnerId, auto = false } = req.body;
 
-    console.log(`✅ Revelando respuesta: sesión ${id}, ganador ${winnerId || 'nadie'}`);
+    console.log(`✅ Revelando respuesta: sesión ${id}, ganador ${winnerId || (auto ? 'auto' : 'nadie')}`);
 
-    const result = gameService.revealAnswer(id, winnerId);
+    const result = gameService.revealAnswer(id, winnerId, { auto });
 
     res.json(result);
   } catch (error) {
@@ -196,6 +639,44 @@ router.post('/session/:id/reveal', (req, res) => {
   }
 });
 
+/**
+ * POST /api/v2/game/session/:id/reveal/undo
+ * Deshacer la última revelación (ganador equivocado) y reabrir la ronda
+ *
+ * Solo antes de la siguiente ronda, de usar power cards o de aplicar deltas.
+ * Después se vuelve a llamar a /reveal con el ganador correcto.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   roundNumber: 4,
+ *   round: { number, track, question, gameMasterAnswer, ... },
+ *   players: [{ id, name, score, tokens }],
+ *   teams: null
+ * }
+ */
+router.post('/session/:id/reveal/undo', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log(`⏪ Deshaciendo revelación: sesión ${id}`);
+
+    const result = gameService.undoLastReveal(id);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error deshaciendo revelación:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════
 // 📊 ESTADO DE SESIÓN
 // ═══════════════════════════════════════════════════════════
@@ -224,6 +705,332 @@ router.get('/session/:id', (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════
+// 🏆 RESUMEN DE PARTIDA
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v2/game/session/:id/summary?format=csv
+ * Premios, línea de tiempo y acierto por tipo de pregunta
+ *
+ * format=json (por defecto) o csv (una fila por jugador, como descarga)
+ *
+ * Response (json):
+ * {
+ *   success: true,
+ *   summary: {
+ *     players: [{ rank, playerId, name, score, accuracy, longestStreak, byQuestionType, ... }],
+ *     awards: { mvp, bestBettor, longestStreak, mostPowerCards, hardestSong },
+ *     timeline: [{ round, trackTitle, questionType, winner, pointsAwarded, ... }]
+ *   }
+ * }
+ */
+router.get('/session/:id/summary', (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'json';
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format debe ser json o csv'
+      });
+    }
+
+    const result = gameService.getGameSummary(id);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    if (format === 'csv') {
+      res.attachment(`hitback_${id}_summary.csv`);
+      return res.type('text/csv').send(GameSummaryService.toCSV(result.summary));
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error generando resumen:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════
+// 📜 LOG DE EVENTOS Y REPLAY
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v2/game/session/:id/log?fromSeq=10
+ * Log ordenado de comandos de la sesión (también sesiones ya cerradas).
+ * Mientras la ronda sigue abierta, sus eventos llegan con redacted: true y
+ * sin respuesta, track completo ni texto de las respuestas
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   lastSeq: 42,
+ *   events: [{ seq, type, timestamp, data }]
+ * }
+ */
+router.get('/session/:id/log', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fromSeq = parseInt(req.query.fromSeq, 10) || 1;
+
+    const result = await gameService.getEventLog(id, { fromSeq });
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error obteniendo log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v2/game/session/:id/replay?untilSeq=20
+ * Reconstruir la sesión reproduciendo el log (partidas en disputa).
+ * No modifica la sesión en vivo.
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   session: { ... },          // estado tras el último evento (o untilSeq)
+ *   applied: 42,
+ *   failed: [],                // eventos que no se pudieron reproducir
+ *   mismatches: []             // campos que difieren de la sesión en vivo (null con untilSeq)
+ * }
+ */
+router.get('/session/:id/replay', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const untilSeq = parseInt(req.query.untilSeq, 10) || null;
+
+    console.log(`📜 Replay: sesión ${id}${untilSeq ? ` hasta el evento ${untilSeq}` : ''}`);
+
+    const result = await gameService.replaySession(id, { untilSeq });
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error reproduciendo log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════
+// 📡 EVENTOS EN TIEMPO REAL (SSE)
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * GET /api/v2/game/session/:id/events
+ * Canal Server-Sent Events de la sesión (TV del game master y móviles)
+ *
+ * Eventos: roster_updated, session_started, round_started, round_rerolled, bet_placed, steal_opened,
+ *          tokens_spent, answer_revealed, power_card_used, score_delta, game_over
+ *
+ * Header opcional Last-Event-ID: reenvía los eventos perdidos al reconectar.
+ * Tras game_over el servidor cierra el canal; con la partida terminada responde
+ * 204 para que EventSource no vuelva a conectar
+ */
+router.get('/session/:id/events', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const status = gameService.getStatus(id);
+
+    if (!status.success) {
+      return res.status(404).json(status);
+    }
+
+    if (status.session.status === 'finished') {
+      return res.status(204).end();
+    }
+
+    const unsubscribe = sessionEventStream.subscribe(id, res, {
+      lastEventId: req.get('Last-Event-ID') || null
+    });
+
+    req.on('close', unsubscribe);
+  } catch (error) {
+    console.error('❌ Error abriendo canal de eventos:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════
+// 👤 PERFILES Y RANKINGS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * POST /api/v2/game/profiles
+ * Crear perfil de jugador (si el deviceToken ya tiene perfil, se devuelve ese)
+ *
+ * Body:
+ * {
+ *   name: "Ana",
+ *   avatarColor: "#E63946",   // opcional
+ *   deviceToken: "abc123"     // opcional
+ * }
+ */
+router.post('/profiles', async (req, res) => {
+  try {
+    const { name, avatarColor, deviceToken } = req.body || {};
+
+    const result = await profileService.createProfile({ name, avatarColor, deviceToken });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('❌ Error creando perfil:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v2/game/profiles/:profileId
+ * Perfil con stats de por vida (partidas terminadas)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   profile: { id, name, avatarColor, createdAt },
+ *   stats: { gamesPlayed, gamesWon, winRate, totalScore, bestScore, accuracy, ... }
+ * }
+ */
+router.get('/profiles/:profileId', async (req, res) => {
+  try {
+    const result = await profileService.getProfile(req.params.profileId);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error obteniendo perfil:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v2/game/leaderboard?period=month&month=2026-10&genre=ROCK&decade=1980s&limit=10
+ * Ranking de perfiles
+ *
+ * - period: all (por defecto) | month (month=YYYY-MM, por defecto el mes actual)
+ * - sin genre/decade: por partidas ganadas y puntos
+ * - con genre y/o decade: por rondas ganadas de ese género/década
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const { period, month, genre, decade, limit } = req.query;
+
+    const result = await profileService.getLeaderboard({ period, month, genre, decade, limit });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error obteniendo ranking:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v2/game/profiles/:profileId/ratings?limit=20
+ * Rating actual y cambios partida a partida (más reciente primero)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   profileId, name, rating: 1532, ratedGames: 7,
+ *   history: [{ sessionId, rank, participants, ratingBefore, ratingAfter, delta, createdAt }]
+ * }
+ */
+router.get('/profiles/:profileId/ratings', async (req, res) => {
+  try {
+    const { limit } = req.query;
+
+    const result = await profileService.getRatingHistory(req.params.profileId, limit);
+
+    if (!result.success) {
+      return res.status(result.error === 'Perfil no encontrado' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error obteniendo ratings:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v2/game/ratings/balance
+ * Sugerir equipos equilibrados o puntos de ventaja según el rating
+ *
+ * Body:
+ * {
+ *   profileIds: ["profile_a1b2", "profile_c3d4", ...],
+ *   teams: 2    // opcional: sin teams se devuelven ventajas (headStart) por jugador
+ * }
+ *
+ * Los equipos sugeridos se pueden enviar tal cual como config.teams de POST /session
+ */
+router.post('/ratings/balance', async (req, res) => {
+  try {
+    const { profileIds, teams } = req.body || {};
+
+    const result = await profileService.suggestBalance({ profileIds, teams });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error sugiriendo equipos:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════
 // 📋 LISTAR SESIONES
 // ═══════════════════════════════════════════════════════════
@@ -287,8 +1094,8 @@ router.delete('/session/:id', (req, res) => {
  * Body:
  * {
  *   playerId: "player_1",
- *   cardType: "STEAL",
- *   targetPlayerId: "player_2"  // opcional
+ *   cardType: "HIT_STEAL",      // ID o tipo de carta (HIT_STEAL, TOKEN_STEAL, STOP, SHIELD...)
+ *   targetPlayerId: "player_2"  // requerido en cartas dirigidas (misma sesión)
  * }
  */
 router.post('/session/:id/power', (req, res) => {
@@ -325,6 +1132,7 @@ router.post('/session/:id/power', (req, res) => {
 /**
  * PATCH /api/v2/game/session/:id/players/:playerId/score
  * Aplica un delta de puntos a un jugador (Reaction Cards frontend-only).
+ * En modo equipos el delta va al equipo del jugador (:playerId también acepta team_1...).
  *
  * Body:
  * {
@@ -336,7 +1144,8 @@ router.post('/session/:id/power', (req, res) => {
  * {
  *   success: true,
  *   player: { id, name, previousScore, newScore, delta, reason },
- *   players: [{ id, name, score, availableTokens }]
+ *   players: [{ id, name, score, availableTokens }],
+ *   teams: [{ id, name, score, tokens, memberIds }]   // solo en modo equipos
  * }
  */
 router.patch('/session/:id/players/:playerId/score', (req, res) => {
@@ -383,7 +1192,8 @@ router.get('/health', (req, res) => {
     service: 'GameSessionService',
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    activeSessions: gameService.getAllSessions().length
+    activeSessions: gameService.getAllSessions().length,
+    realtimeClients: sessionEventStream.getClientCount()
   });
 });
 
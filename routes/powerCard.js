@@ -38,9 +38,10 @@ router.post('/scan-qr', powerCardController.scanPowerCardQR);
 // ═══════════════════════════════════════════════════════════════
 
 /**
- * GET /api/cards/inventory/:playerId
+ * GET /api/cards/inventory/:playerId?sessionId=game_xxx
  * Obtener inventario de PowerCards de un jugador
  * 
+ * Query: { sessionId } - inventario de esa sesión (recomendado)
  * Response: { 
  *   inventory: [{ cardId, name, emoji, count, canUse }],
  *   summary: { totalCards, uniqueCards, availableTypes }
@@ -49,8 +50,9 @@ router.post('/scan-qr', powerCardController.scanPowerCardQR);
 router.get('/inventory/:playerId', powerCardController.getPlayerInventory);
 
 /**
- * GET /api/cards/inventories/all
+ * GET /api/cards/inventories/all?sessionId=game_xxx
  * Obtener todos los inventarios (admin/debug)
+ * Con sessionId solo devuelve los jugadores de esa sesión
  */
 router.get('/inventories/all', powerCardController.getAllInventories);
 
@@ -88,12 +90,12 @@ router.post('/use', powerCardController.usePowerCard);
  * POST /api/cards/test-add
  * SOLO TESTING: Agregar carta directamente
  * 
- * Body: { playerId, cardId, count }
+ * Body: { playerId, cardId, count, sessionId? }
  */
 router.post('/test-add', powerCardController.testAddCard);
 
 /**
- * DELETE /api/cards/player/:playerId
+ * DELETE /api/cards/player/:playerId?sessionId=game_xxx
  * Limpiar datos de jugador
  */
 router.delete('/player/:playerId', powerCardController.clearPlayerData);
@@ -1,5 +1,9 @@
 /**
  * Script para ejecutar migración SQL desde Node.js
+ *
+ * Uso:
+ *   node scripts/run-migration.js                              # 001_create_tables.sql
+ *   node scripts/run-migration.js 002_session_persistence.sql  # migración concreta
  */
 
 const fs = require('fs');
@@ -35,7 +39,8 @@ async function runMigration() {
     console.log(`${colors.green}✅ Conexión exitosa${colors.reset}\n`);
 
     // Leer archivo SQL
-    const sqlPath = path.join(__dirname, '../migrations/001_create_tables.sql');
+    const migrationFile = process.argv[2] || '001_create_tables.sql';
+    const sqlPath = path.join(__dirname, '../migrations', migrationFile);
     console.log(`${colors.yellow}📂 Leyendo: ${sqlPath}${colors.reset}`);
     const sql = fs.readFileSync(sqlPath, 'utf8');
 
@@ -166,12 +166,32 @@ app.get('/', (req, res) => {
     endpoints: {
       // 🎮 Game Session API v2 (sin QR)
       game: {
+        gameModes: 'GET /api/v2/game/modes',
         createSession: 'POST /api/v2/game/session',
+        joinInfo: 'GET /api/v2/game/session/:id/join',
+        getLobby: 'GET /api/v2/game/lobby/:code',
+        joinLobby: 'POST /api/v2/game/lobby/:code/join',
+        kickPlayer: 'DELETE /api/v2/game/session/:id/players/:playerId',
+        reorderPlayers: 'PUT /api/v2/game/session/:id/players/order',
         startGame: 'POST /api/v2/game/session/:id/start',
         nextRound: 'POST /api/v2/game/session/:id/round',
+        rerollRound: 'POST /api/v2/game/session/:id/round/reroll',
         placeBet: 'POST /api/v2/game/session/:id/bet',
+        submitAnswer: 'POST /api/v2/game/session/:id/answer',
+        spendTokens: 'POST /api/v2/game/session/:id/tokens/spend',
+        openSteal: 'POST /api/v2/game/session/:id/steal',
         revealAnswer: 'POST /api/v2/game/session/:id/reveal',
+        undoReveal: 'POST /api/v2/game/session/:id/reveal/undo',
         getStatus: 'GET /api/v2/game/session/:id',
+        summary: 'GET /api/v2/game/session/:id/summary?format=json|csv',
+        events: 'GET /api/v2/game/session/:id/events (SSE)',
+        eventLog: 'GET /api/v2/game/session/:id/log',
+        replay: 'GET /api/v2/game/session/:id/replay',
+        createProfile: 'POST /api/v2/game/profiles',
+        getProfile: 'GET /api/v2/game/profiles/:profileId',
+        leaderboard: 'GET /api/v2/game/leaderboard?period=all|month&genre=&decade=',
+        ratingHistory: 'GET /api/v2/game/profiles/:profileId/ratings',
+        balanceTeams: 'POST /api/v2/game/ratings/balance',
         health: 'GET /api/v2/game/health'
       },
       // ⚡ Power Cards & Combos
@@ -323,12 +343,32 @@ const server = app.listen(PORT, HOST, () => {
 
     // 🎮 Game Session API
     logger.info(`\n🎮 GAME SESSION API (sin QR de canciones)`);
+    logger.info(`   GET  /api/v2/game/modes               - Modos de juego`);
     logger.info(`   POST /api/v2/game/session             - Crear sesión`);
+    logger.info(`   GET  /api/v2/game/session/:id/join    - Código de sala y QR`);
+    logger.info(`   GET  /api/v2/game/lobby/:code         - Estado de la sala`);
+    logger.info(`   POST /api/v2/game/lobby/:code/join    - Apuntarse a la sala`);
+    logger.info(`   DELETE /api/v2/game/session/:id/players/:playerId - Expulsar jugador`);
+    logger.info(`   PUT  /api/v2/game/session/:id/players/order - Reordenar jugadores`);
     logger.info(`   POST /api/v2/game/session/:id/start   - Iniciar juego`);
     logger.info(`   POST /api/v2/game/session/:id/round   - Siguiente ronda`);
+    logger.info(`   POST /api/v2/game/session/:id/round/reroll - Cambiar track de la ronda`);
     logger.info(`   POST /api/v2/game/session/:id/bet     - Registrar apuesta`);
+    logger.info(`   POST /api/v2/game/session/:id/answer  - Respuesta escrita`);
+    logger.info(`   POST /api/v2/game/session/:id/tokens/spend - Gastar tokens (pista / cambio de pregunta)`);
+    logger.info(`   POST /api/v2/game/session/:id/steal   - Abrir robo (por turnos)`);
     logger.info(`   POST /api/v2/game/session/:id/reveal  - Revelar respuesta`);
+    logger.info(`   POST /api/v2/game/session/:id/reveal/undo - Deshacer revelación`);
     logger.info(`   GET  /api/v2/game/session/:id         - Estado sesión`);
+    logger.info(`   GET  /api/v2/game/session/:id/summary - Resumen y premios (JSON/CSV)`);
+    logger.info(`   GET  /api/v2/game/session/:id/events  - Eventos en tiempo real (SSE)`);
+    logger.info(`   GET  /api/v2/game/session/:id/log     - Log de eventos`);
+    logger.info(`   GET  /api/v2/game/session/:id/replay  - Reconstruir sesión desde el log`);
+    logger.info(`   POST /api/v2/game/profiles            - Crear perfil de jugador`);
+    logger.info(`   GET  /api/v2/game/profiles/:profileId - Perfil y stats de por vida`);
+    logger.info(`   GET  /api/v2/game/leaderboard         - Ranking (todas, mes, género, década)`);
+    logger.info(`   GET  /api/v2/game/profiles/:profileId/ratings - Rating e historial`);
+    logger.info(`   POST /api/v2/game/ratings/balance     - Equipos equilibrados o ventajas`);
 
     // ⚡ Power Cards
     logger.info(`\n⚡ POWER CARDS & COMBOS`);
@@ -0,0 +1,118 @@
+/**
+ * 🎚️ ADAPTIVE DIFFICULTY SERVICE
+ *
+ * Responsabilidad: Dificultad adaptativa (config.difficulty = 'ADAPTIVE')
+ * - Mirar las últimas rondas de la partida antes de cada sorteo
+ * - Bajar un nivel si casi nadie acierta, subirlo si un jugador lo gana todo
+ * - Elegir la mezcla de tipos de pregunta de cada nivel
+ *
+ * Todo sale de session.history: el nivel actual es el de la última ronda
+ * jugada, así que deshacer una revelación o reconstruir la sesión desde el
+ * log da el mismo resultado sin guardar estado aparte. Cada ronda guarda su
+ * nivel (y el ajuste, si lo hubo) en history[].adaptive.
+ */
+
+const ADAPTIVE = 'ADAPTIVE';
+
+// Escalera de niveles. EXPERT no entra: el catálogo apenas tiene tracks de ese nivel
+const LEVELS = ['EASY', 'MEDIUM', 'HARD'];
+const START_LEVEL = 'MEDIUM';
+
+// Rondas seguidas (desde el último ajuste) que se miran antes de cambiar de nivel
+const WINDOW = 3;
+
+// Rondas sin ganador dentro de la ventana para bajar un nivel
+const UNANSWERED_TO_EASE = 2;
+
+// Mezcla de preguntas por nivel (null = pesos por defecto de QuestionService)
+const QUESTION_MIX = {
+  EASY: { song: 40, artist: 40, decade: 20 },
+  MEDIUM: null,
+  HARD: { artist: 20, decade: 25, year: 25, lyrics: 20, challenge: 10 }
+};
+
+class AdaptiveDifficultyService {
+
+  /**
+   * @param {object} config - session.config
+   * @returns {boolean}
+   */
+  isAdaptive(config) {
+    return !!config && String(config.difficulty).toUpperCase() === ADAPTIVE;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🎚️ PLANIFICAR RONDA
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Nivel de la próxima ronda
+   *
+   * @param {array} history - session.history
+   * @returns {object} { difficulty, adjustment: { from, to, reason } | null }
+   */
+  planRound(history) {
+    const rounds = history.filter(entry => entry.type !== 'decision');
+    const played = rounds.filter(entry => entry.adaptive);
+    const current = played.length > 0 ? played[played.length - 1].adaptive.difficulty : START_LEVEL;
+
+    const adjustment = this._evaluate(rounds, current);
+
+    return {
+      difficulty: adjustment ? adjustment.to : current,
+      adjustment
+    };
+  }
+
+  /**
+   * Mezcla de preguntas de un nivel (null = pesos de QuestionService)
+   *
+   * @param {string} difficulty
+   * @returns {object|null}
+   */
+  questionWeights(difficulty) {
+    return QUESTION_MIX[difficulty] || null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🔧 MÉTODOS PRIVADOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Ajuste que piden las rondas jugadas desde el último cambio de nivel
+   * (null si no hay ventana completa, no hace falta o ya está en el tope)
+   *
+   * @private
+   */
+  _evaluate(rounds, current) {
+    const lastChange = rounds.map(entry => !!(entry.adaptive && entry.adaptive.adjustment)).lastIndexOf(true);
+    const window = rounds.slice(Math.max(lastChange, 0)).slice(-WINDOW);
+
+    if (window.length < WINDOW) return null;
+
+    // En modo equipos gana el equipo: cuenta como el mismo ganador aunque acierten miembros distintos
+    const winners = window.map(entry => entry.winnerTeamId || entry.winner || null);
+    const unanswered = winners.filter(winner => !winner).length;
+
+    let step = 0;
+    let reason = null;
+
+    if (unanswered >= UNANSWERED_TO_EASE) {
+      step = -1;
+      reason = 'nobody_answering';
+    } else if (winners[0] && winners.every(winner => winner === winners[0])) {
+      step = 1;
+      reason = 'dominant_player';
+    }
+
+    const index = LEVELS.indexOf(current) + step;
+
+    if (step === 0 || index < 0 || index >= LEVELS.length) return null;
+
+    return { from: current, to: LEVELS[index], reason };
+  }
+}
+
+// ✅ Exportar como singleton
+module.exports = new AdaptiveDifficultyService();
+module.exports.ADAPTIVE = ADAPTIVE;
@@ -1,26 +1,68 @@
 /**
  * 🔥 COMBO TRACKER SERVICE
  * 
- * Responsabilidad: Rastrear y detectar combos de respuestas correctas consecutivas
+ * Responsabilidad: Rastrear y detectar los combos definidos en powerCards.json
  * 
  * Características:
- * - Seguimiento de rachas por jugador
- * - Detección de "Hit Master" (3 correctas consecutivas)
+ * - Seguimiento de rachas y contadores por jugador
+ * - Combos declarados en la sección `combos` del JSON (ver CONDITION_TYPES)
  * - Reseteo automático al fallar
  * - Historial de combos completados
+ * - Rachas aisladas por sesión (dos mesas jugando a la vez no se mezclan)
  * 
+ * Formato de un combo:
+ * {
+ *   "id": "combo_hot_streak",
+ *   "type": "HOT_STREAK",                 // comboType en las respuestas (default: id)
+ *   "conditions": [{ "type": "consecutive_wins", "value": 3 }],   // se cumplen todas
+ *   "reward": { "type": "tokens", "amount": 2 }
+ * }
+ *
+ * Al completarse un combo se consumen los contadores de sus condiciones
+ * (la racha vuelve a 0, el contador de ese tipo de pregunta también...)
+ * y puede volver a conseguirse.
+ *
  * ✅ CLEAN CODE: Single Responsibility, encapsulación, métodos puros
  */
 
+const fs = require('fs');
+const path = require('path');
+
+// Condiciones que puede usar un combo:
+// - consecutive_wins: `value` aciertos seguidos
+// - question_type:    `value` aciertos en preguntas de `questionType` (no hace falta seguidos)
+// - genre_streak:     `value` aciertos seguidos del mismo género (`genre` opcional)
+// - token_bet:        `value` aciertos apostando el token `tokenValue`
+const CONDITION_TYPES = ['consecutive_wins', 'question_type', 'genre_streak', 'token_bet'];
+
+// Recompensas: tokens (los aplica GameSessionService) o power_card (PowerCardService)
+const REWARD_TYPES = ['tokens', 'power_card'];
+
 class ComboTracker {
   constructor() {
-    // Estructura: { playerId: { streak: number, lastCorrect: boolean, history: [] } }
+    // Estructura: { 'sessionId::playerId': { streak, lastCorrect, history, counters } }
+    // Sin sessionId la clave es solo el playerId (uso standalone / tests)
     this.playerStreaks = new Map();
-    this.comboThresholds = {
-      HOT_STREAK: 3, // 3 correctas consecutivas = Hot Streak
-      DOUBLE_HIT: 5,
-      TRIPLE_HIT: 7
-    };
+    this.combosPath = path.join(__dirname, '../data/powerCards.json');
+    this.combos = this._loadCombos();
+  }
+
+  /**
+   * Sustituir las definiciones de combos (por defecto, las de powerCards.json)
+   *
+   * @param {array} combos - Combos con el formato del JSON
+   */
+  setCombos(combos) {
+    this.combos = combos.map(combo => this._validateCombo(combo));
+  }
+
+  /**
+   * Definiciones de combos activas
+   *
+   * @returns {array}
+   */
+  getCombos() {
+    return this.combos;
   }
 
   /**
@@ -28,55 +70,54 @@ class ComboTracker {
    * 
    * @param {string} playerId - ID del jugador
    * @param {boolean} isCorrect - ¿Acertó la respuesta?
-   * @returns {object} { currentStreak, comboDetected, comboType, message }
+   * @param {string} sessionId - ID de la sesión de juego (opcional)
+   * @param {object} context - { questionType, genre, tokenValue } de la ronda acertada
+   * @returns {object} { currentStreak, comboDetected, comboType, comboMessage, combos }
    */
-  recordAnswer(playerId, isCorrect) {
+  recordAnswer(playerId, isCorrect, sessionId = null, context = {}) {
     if (!playerId) {
       throw new Error('PlayerId is required');
     }
 
     // Obtener o inicializar racha del jugador
-    const playerData = this._getOrCreatePlayerData(playerId);
+    const playerData = this._getOrCreatePlayerData(playerId, sessionId);
 
     console.log(`\n🔍 COMBO TRACKER DEBUG - recordAnswer():`);
     console.log(`   PlayerId: ${playerId}`);
     console.log(`   Is Correct: ${isCorrect}`);
     console.log(`   Streak ANTES: ${playerData.streak}`);
-    console.log(`   Threshold HOT_STREAK: ${this.comboThresholds.HOT_STREAK}`);
 
-    // Si acertó, incrementar racha
+    // Si acertó, incrementar racha y contadores
     if (isCorrect) {
       playerData.streak += 1;
       playerData.lastCorrect = true;
+      this._countCorrectAnswer(playerData.counters, context);
 
       console.log(`🔥 ${playerId}: +1 CORRECTA (racha: ${playerData.streak})`);
       console.log(`   Streak DESPUÉS: ${playerData.streak}`);
 
       // Detectar combos completados
-      const comboDetected = this._detectCombo(playerId, playerData.streak);
+      const combos = this._detectCombos(playerData);
 
-      console.log(`   Combo Detected: ${!!comboDetected}`);
-      if (comboDetected) {
-        console.log(`   Combo Type: ${comboDetected.type}`);
-        console.log(`   ⚠️ COMBO SE ACTIVÓ con streak = ${playerData.streak}`);
-      }
+      console.log(`   Combos Detected: ${combos.length > 0 ? combos.map(c => c.type).join(', ') : 'none'}`);
 
       const result = {
         success: true,
         currentStreak: playerData.streak, // Retornar streak actual (3 cuando combo)
-        comboDetected: !!comboDetected,
-        comboType: comboDetected?.type || null,
-        comboMessage: comboDetected?.message || null,
+        comboDetected: combos.length > 0,
+        comboType: combos[0]?.type || null,
+        comboMessage: combos[0]?.message || null,
+        combos,
         progressToNextCombo: this._calculateProgress(playerData.streak),
         playerStreak: playerData
       };
 
-      // ✅ SI DETECTAMOS COMBO: Registrar + RESETEAR streak a 0 DESPUÉS
-      if (comboDetected) {
-        this._recordCompletion(playerId, comboDetected.type);
-        playerData.streak = 0; // 🔥 RESETEAR AFTER RETURNING
-        console.log(`⚡ ${playerId}: COMBO ${comboDetected.type}! Streak reseteado a 0`);
-      }
+      // ✅ SI DETECTAMOS COMBOS: Registrar + consumir sus contadores DESPUÉS
+      combos.forEach(combo => {
+        this._recordCompletion(playerId, combo.type, sessionId);
+        this._consumeConditions(playerData, combo.conditions);
+        console.log(`⚡ ${playerId}: COMBO ${combo.type}! Contadores consumidos`);
+      });
 
       return result;
     } else {
@@ -92,6 +133,8 @@ class ComboTracker {
 
       playerData.streak = 0;
       playerData.lastCorrect = false;
+      playerData.counters.genre = null;
+      playerData.counters.genreStreak = 0;
 
       return {
         success: true,
@@ -99,6 +142,7 @@ class ComboTracker {
         comboDetected: false,
         comboType: null,
         comboMessage: 'Racha rota - vuelve a comenzar',
+        combos: [],
         progressToNextCombo: 0,
         playerStreak: playerData
       };
@@ -109,10 +153,11 @@ class ComboTracker {
    * Obtener información de la racha actual de un jugador
    * 
    * @param {string} playerId
+   * @param {string} sessionId - ID de la sesión de juego (opcional)
    * @returns {object} Datos de la racha
    */
-  getPlayerStreak(playerId) {
-    const playerData = this.playerStreaks.get(playerId);
+  getPlayerStreak(playerId, sessionId = null) {
+    const playerData = this.playerStreaks.get(this._key(playerId, sessionId));
 
     if (!playerData) {
       return {
@@ -120,31 +165,66 @@ class ComboTracker {
         streak: 0,
         history: [],
         completedCombos: [],
-        nextComboIn: this.comboThresholds.HOT_STREAK
+        nextComboIn: this._nextStreakMilestone(0)
       };
     }
 
+    const milestone = this._nextStreakMilestone(playerData.streak);
+
     return {
       playerId,
       streak: playerData.streak,
       lastCorrect: playerData.lastCorrect,
       history: playerData.history,
       completedCombos: playerData.history.filter(h => h.triggered),
-      nextComboIn: Math.max(0, this.comboThresholds.HOT_STREAK - playerData.streak)
+      counters: playerData.counters,
+      nextComboIn: milestone === null ? null : Math.max(0, milestone - playerData.streak)
+    };
+  }
+
+  /**
+   * Siguiente combo de racha (consecutive_wins) y su recompensa declarada
+   * Usado para los mensajes de la UI: "2 más para Hot Streak: +2 tokens"
+   *
+   * @param {number} streak - Racha actual
+   * @returns {object|null} { id, type, name, emoji, milestone, remaining, reward } o null si no hay
+   */
+  getNextStreakCombo(streak) {
+    const milestone = this._nextStreakMilestone(streak);
+
+    if (milestone === null) return null;
+
+    const combo = this.combos.find(c =>
+      c.conditions.some(condition => condition.type === 'consecutive_wins' && condition.value === milestone)
+    );
+
+    return {
+      id: combo.id,
+      type: combo.type,
+      name: combo.name || combo.type,
+      emoji: combo.emoji || '🔥',
+      milestone,
+      remaining: Math.max(0, milestone - streak),
+      reward: { ...combo.reward }
     };
   }
 
   /**
    * Obtener todas las rachas de jugadores activos
    * 
+   * @param {string} sessionId - Si se indica, solo las rachas de esa sesión
    * @returns {array} Lista de rachas
    */
-  getAllPlayerStreaks() {
+  getAllPlayerStreaks(sessionId = null) {
     const streaks = [];
 
-    this.playerStreaks.forEach((data, playerId) => {
+    this.playerStreaks.forEach((data, key) => {
+      const parsed = this._parseKey(key);
+      if (sessionId && parsed.sessionId !== sessionId) return;
+
       streaks.push({
-        playerId,
+        sessionId: parsed.sessionId,
+        playerId: parsed.playerId,
         currentStreak: data.streak,
         history: data.history,
         completedCombos: data.history.filter(h => h.triggered).length
@@ -159,9 +239,10 @@ class ComboTracker {
    * 
    * @param {string} playerId
    * @param {string} reason - Razón del reset
+   * @param {string} sessionId - ID de la sesión de juego (opcional)
    */
-  resetStreak(playerId, reason = 'manual_reset') {
-    const playerData = this.playerStreaks.get(playerId);
+  resetStreak(playerId, reason = 'manual_reset', sessionId = null) {
+    const playerData = this.playerStreaks.get(this._key(playerId, sessionId));
 
     if (playerData && playerData.streak > 0) {
       console.log(`🔄 ${playerId}: RACHA RESETEADA (razón: ${reason})`);
@@ -175,6 +256,10 @@ class ComboTracker {
 
       playerData.streak = 0;
       playerData.lastCorrect = false;
+      if (playerData.counters) {
+        playerData.counters.genre = null;
+        playerData.counters.genreStreak = 0;
+      }
     }
   }
 
@@ -182,12 +267,70 @@ class ComboTracker {
    * Limpiar datos de un jugador (ej: fin de sesión)
    * 
    * @param {string} playerId
+   * @param {string} sessionId - ID de la sesión de juego (opcional)
    */
-  clearPlayerData(playerId) {
-    this.playerStreaks.delete(playerId);
+  clearPlayerData(playerId, sessionId = null) {
+    this.playerStreaks.delete(this._key(playerId, sessionId));
     console.log(`🧹 ${playerId}: Datos de racha limpiados`);
   }
 
+  /**
+   * Limpiar todas las rachas de una sesión (deleteSession / cleanup)
+   * 
+   * @param {string} sessionId
+   * @returns {number} Rachas eliminadas
+   */
+  clearSession(sessionId) {
+    let cleared = 0;
+
+    this.playerStreaks.forEach((data, key) => {
+      if (this._parseKey(key).sessionId === sessionId) {
+        this.playerStreaks.delete(key);
+        cleared++;
+      }
+    });
+
+    console.log(`🧹 Sesión ${sessionId}: ${cleared} rachas limpiadas`);
+    return cleared;
+  }
+
+  /**
+   * Copia de las rachas de una sesión (para deshacer una revelación)
+   *
+   * @param {string} sessionId
+   * @returns {object} { playerId: { streak, lastCorrect, history } }
+   */
+  snapshotSession(sessionId) {
+    const snapshot = {};
+
+    this.playerStreaks.forEach((data, key) => {
+      const parsed = this._parseKey(key);
+      if (parsed.sessionId === sessionId) {
+        snapshot[parsed.playerId] = JSON.parse(JSON.stringify(data));
+      }
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Sustituir las rachas de una sesión por las de un snapshot
+   *
+   * @param {string} sessionId
+   * @param {object} snapshot - Resultado de snapshotSession()
+   */
+  restoreSession(sessionId, snapshot = {}) {
+    this.playerStreaks.forEach((data, key) => {
+      if (this._parseKey(key).sessionId === sessionId) {
+        this.playerStreaks.delete(key);
+      }
+    });
+
+    Object.entries(snapshot).forEach(([playerId, data]) => {
+      this.playerStreaks.set(this._key(playerId, sessionId), JSON.parse(JSON.stringify(data)));
+    });
+  }
+
   /**
    * Limpiar todos los datos
    */
@@ -200,100 +343,223 @@ class ComboTracker {
   // MÉTODOS PRIVADOS
   // ═══════════════════════════════════════════════════════════════
 
+  /**
+   * Construir clave de jugador con namespace de sesión
+   * 
+   * @private
+   */
+  _key(playerId, sessionId = null) {
+    return sessionId ? `${sessionId}::${playerId}` : playerId;
+  }
+
+  /**
+   * Separar una clave en { sessionId, playerId }
+   * 
+   * @private
+   */
+  _parseKey(key) {
+    const separator = key.indexOf('::');
+
+    if (separator === -1) {
+      return { sessionId: null, playerId: key };
+    }
+
+    return {
+      sessionId: key.substring(0, separator),
+      playerId: key.substring(separator + 2)
+    };
+  }
+
   /**
    * Obtener o crear datos de jugador
    * 
    * @private
    */
-  _getOrCreatePlayerData(playerId) {
-    if (!this.playerStreaks.has(playerId)) {
-      this.playerStreaks.set(playerId, {
+  _getOrCreatePlayerData(playerId, sessionId = null) {
+    const key = this._key(playerId, sessionId);
+
+    if (!this.playerStreaks.has(key)) {
+      this.playerStreaks.set(key, {
         streak: 0,
         lastCorrect: false,
         history: []
       });
     }
 
-    return this.playerStreaks.get(playerId);
+    const playerData = this.playerStreaks.get(key);
+
+    // Rachas guardadas antes de que existieran los contadores
+    if (!playerData.counters) {
+      playerData.counters = { questionTypes: {}, genre: null, genreStreak: 0, tokenBets: {} };
+    }
+
+    return playerData;
   }
 
   /**
-   * Detectar si se completó un combo
-   * 
+   * Cargar los combos de powerCards.json
+   *
    * @private
    */
-  _detectCombo(playerId, streak) {
-    console.log(`\n🔍 _detectCombo() called:`);
-    console.log(`   PlayerId: ${playerId}`);
-    console.log(`   Streak: ${streak}`);
-    console.log(`   HOT_STREAK threshold: ${this.comboThresholds.HOT_STREAK}`);
-    console.log(`   Checking: ${streak} === ${this.comboThresholds.HOT_STREAK} ? ${streak === this.comboThresholds.HOT_STREAK}`);
+  _loadCombos() {
+    const data = JSON.parse(fs.readFileSync(this.combosPath, 'utf8'));
+    const combos = (data.combos || []).map(combo => this._validateCombo(combo));
 
-    // Detectar Hot Streak (3 correctas consecutivas)
-    if (streak === this.comboThresholds.HOT_STREAK) {
-      console.log(`   ✅ HOT_STREAK COMBO DETECTED!`);
-      return {
-        type: 'HOT_STREAK',
-        message: '🔥 ¡HIT MASTER! 3 respuestas correctas consecutivas',
-        reward: 'power_card',
-        points: 10
-      };
+    console.log(`✅ Combos cargados: ${combos.map(c => c.type).join(', ') || 'ninguno'}`);
+
+    return combos;
+  }
+
+  /**
+   * Normalizar un combo; un combo mal escrito falla al arrancar
+   *
+   * @private
+   */
+  _validateCombo(combo) {
+    if (!Array.isArray(combo.conditions) || combo.conditions.length === 0) {
+      throw new Error(`Combo ${combo.id} has no conditions`);
     }
 
-    // Detectar Double Hit (5 correctas consecutivas)
-    if (streak === this.comboThresholds.DOUBLE_HIT) {
-      return {
-        type: 'DOUBLE_HIT',
-        message: '⚡ ¡DOBLE HIT! 5 respuestas correctas consecutivas',
-        reward: 'two_power_cards',
-        points: 25
-      };
+    combo.conditions.forEach(condition => {
+      if (!CONDITION_TYPES.includes(condition.type)) {
+        throw new Error(`Unknown combo condition for ${combo.id}: ${condition.type}`);
+      }
+    });
+
+    if (!combo.reward || !REWARD_TYPES.includes(combo.reward.type)) {
+      throw new Error(`Unknown combo reward for ${combo.id}: ${combo.reward && combo.reward.type}`);
     }
 
-    // Detectar Triple Hit (7 correctas consecutivas)
-    if (streak === this.comboThresholds.TRIPLE_HIT) {
-      return {
-        type: 'TRIPLE_HIT',
-        message: '💥 ¡TRIPLE HIT! 7 respuestas correctas consecutivas',
-        reward: 'three_power_cards',
-        points: 50
-      };
+    return {
+      ...combo,
+      type: combo.type || combo.id,
+      conditions: combo.conditions.map(condition => ({ value: 1, ...condition })),
+      reward: { amount: 1, ...combo.reward }
+    };
+  }
+
+  /**
+   * Sumar un acierto a los contadores de tipo de pregunta, género y token
+   *
+   * @private
+   */
+  _countCorrectAnswer(counters, { questionType = null, genre = null, tokenValue = null } = {}) {
+    if (questionType) {
+      counters.questionTypes[questionType] = (counters.questionTypes[questionType] || 0) + 1;
+    }
+
+    if (genre && genre === counters.genre) {
+      counters.genreStreak++;
+    } else {
+      counters.genre = genre;
+      counters.genreStreak = genre ? 1 : 0;
+    }
+
+    if (tokenValue) {
+      counters.tokenBets[tokenValue] = (counters.tokenBets[tokenValue] || 0) + 1;
+    }
+  }
+
+  /**
+   * ¿Se cumple una condición con la racha y los contadores actuales?
+   *
+   * @private
+   */
+  _isConditionMet(condition, playerData) {
+    const { counters } = playerData;
+
+    switch (condition.type) {
+      case 'consecutive_wins':
+        return playerData.streak >= condition.value;
+      case 'question_type':
+        return (counters.questionTypes[condition.questionType] || 0) >= condition.value;
+      case 'genre_streak':
+        return counters.genreStreak >= condition.value &&
+          (!condition.genre || condition.genre === counters.genre);
+      case 'token_bet':
+        return (counters.tokenBets[condition.tokenValue] || 0) >= condition.value;
+      default:
+        return false;
     }
+  }
+
+  /**
+   * Volver a 0 los contadores que usó un combo completado
+   *
+   * @private
+   */
+  _consumeConditions(playerData, conditions) {
+    const { counters } = playerData;
+
+    conditions.forEach(condition => {
+      switch (condition.type) {
+        case 'consecutive_wins':
+          playerData.streak = 0;
+          break;
+        case 'question_type':
+          counters.questionTypes[condition.questionType] = 0;
+          break;
+        case 'genre_streak':
+          counters.genreStreak = 0;
+          break;
+        case 'token_bet':
+          counters.tokenBets[condition.tokenValue] = 0;
+          break;
+      }
+    });
+  }
 
-    return null;
+  /**
+   * Siguiente racha con premio (condiciones consecutive_wins), o null si no hay
+   *
+   * @private
+   */
+  _nextStreakMilestone(streak) {
+    const milestones = this.combos
+      .flatMap(combo => combo.conditions)
+      .filter(condition => condition.type === 'consecutive_wins')
+      .map(condition => condition.value)
+      .sort((a, b) => a - b);
+
+    if (milestones.length === 0) return null;
+
+    return milestones.find(value => value > streak) || milestones[milestones.length - 1];
   }
 
   /**
-   * Calcular progreso hacia el siguiente combo
+   * Combos cuyas condiciones se cumplen todas
+   * 
+   * @private
+   */
+  _detectCombos(playerData) {
+    return this.combos
+      .filter(combo => combo.conditions.every(condition => this._isConditionMet(condition, playerData)))
+      .map(combo => ({
+        id: combo.id,
+        type: combo.type,
+        name: combo.name,
+        message: `${combo.emoji || '🔥'} ¡${(combo.name || combo.type).toUpperCase()}! ${combo.description || ''}`.trim(),
+        conditions: combo.conditions,
+        reward: { ...combo.reward }
+      }));
+  }
+
+  /**
+   * Calcular progreso hacia el siguiente combo de racha
    * 
    * @private
    */
   _calculateProgress(currentStreak) {
-    if (currentStreak < this.comboThresholds.HOT_STREAK) {
-      const nextCombo = this.comboThresholds.HOT_STREAK;
-      return {
-        nextMilestone: nextCombo,
-        currentProgress: currentStreak,
-        remaining: nextCombo - currentStreak,
-        percentage: Math.round((currentStreak / nextCombo) * 100)
-      };
-    } else if (currentStreak < this.comboThresholds.DOUBLE_HIT) {
-      const nextCombo = this.comboThresholds.DOUBLE_HIT;
-      return {
-        nextMilestone: nextCombo,
-        currentProgress: currentStreak,
-        remaining: nextCombo - currentStreak,
-        percentage: Math.round((currentStreak / nextCombo) * 100)
-      };
-    } else {
-      const nextCombo = this.comboThresholds.TRIPLE_HIT;
-      return {
-        nextMilestone: nextCombo,
-        currentProgress: currentStreak,
-        remaining: nextCombo - currentStreak,
-        percentage: Math.round((currentStreak / nextCombo) * 100)
-      };
-    }
+    const nextCombo = this._nextStreakMilestone(currentStreak);
+
+    if (nextCombo === null) return null;
+
+    return {
+      nextMilestone: nextCombo,
+      currentProgress: currentStreak,
+      remaining: Math.max(0, nextCombo - currentStreak),
+      percentage: Math.min(100, Math.round((currentStreak / nextCombo) * 100))
+    };
   }
 
   /**
@@ -301,8 +567,8 @@ class ComboTracker {
    * 
    * @private
    */
-  _recordCompletion(playerId, comboType) {
-    const playerData = this.playerStreaks.get(playerId);
+  _recordCompletion(playerId, comboType, sessionId = null) {
+    const playerData = this.playerStreaks.get(this._key(playerId, sessionId));
 
     if (playerData) {
       playerData.history.push({
@@ -0,0 +1,128 @@
+/**
+ * 🕹️ GAME MODE SERVICE
+ *
+ * Responsabilidad: Presets de partida (gameModes.json)
+ * - Cargar y validar los modos de juego
+ * - Buscar un modo por id o por nombre
+ * - Combinar el preset con lo que pida el host al crear la sesión
+ *
+ * Un modo es solo configuración de createSession: para añadir uno basta
+ * con describirlo en el JSON. Los campos que envía el host sobrescriben
+ * los del preset uno a uno (tokenRules también campo a campo).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Campos de createSession que un preset puede fijar
+const MODE_CONFIG_FIELDS = [
+  'genres',
+  'decades',
+  'difficulty',
+  'targetScore',
+  'timeLimit',
+  'roundTimeLimit',
+  'powerCardsPerPlayer',
+  'turnBased',
+  'tokenRules',
+  'questionTypes',
+  'answerMode'
+];
+
+class GameModeService {
+  constructor() {
+    this.gameModesPath = path.join(__dirname, '../data/gameModes.json');
+    this.gameModes = this._loadGameModes();
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 📤 OBTENER MODOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Todos los modos disponibles (para el selector de la app)
+   *
+   * @returns {array} [{ id, name, emoji, description, config }]
+   */
+  getAllModes() {
+    return this.gameModes;
+  }
+
+  /**
+   * Buscar un modo por id o por nombre (sin distinguir mayúsculas)
+   *
+   * @param {string} idOrName - "quick_game", "Quick Game", "QUICK GAME"
+   * @returns {object|null} Modo o null si no existe
+   */
+  findMode(idOrName) {
+    if (!idOrName) return null;
+
+    const needle = String(idOrName).toLowerCase();
+
+    return this.gameModes.find(m =>
+      m.id.toLowerCase() === needle || m.name.toLowerCase() === needle
+    ) || null;
+  }
+
+  /**
+   * Configuración de sesión del modo con los cambios del host encima
+   *
+   * @param {object} mode - Modo de getAllModes()
+   * @param {object} overrides - Config enviada a createSession
+   * @returns {object} Config completa, con mode = id del modo
+   */
+  applyMode(mode, overrides = {}) {
+    return {
+      ...mode.config,
+      ...overrides,
+      tokenRules: { ...mode.config.tokenRules, ...overrides.tokenRules },
+      mode: mode.id
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🔧 MÉTODOS PRIVADOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Cargar y validar gameModes.json
+   *
+   * @private
+   */
+  _loadGameModes() {
+    try {
+      if (!fs.existsSync(this.gameModesPath)) {
+        throw new Error(`gameModes.json not found at ${this.gameModesPath}`);
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.gameModesPath, 'utf8'));
+
+      if (!data.gameModes || !Array.isArray(data.gameModes)) {
+        throw new Error('Invalid gameModes.json structure: missing gameModes array');
+      }
+
+      // Un preset mal escrito falla al arrancar, no al crear una partida
+      data.gameModes.forEach(mode => {
+        if (!mode.id || !mode.name || !mode.config) {
+          throw new Error(`Game mode ${mode.id || mode.name} needs id, name and config`);
+        }
+
+        const unknownField = Object.keys(mode.config).find(key => !MODE_CONFIG_FIELDS.includes(key));
+        if (unknownField) {
+          throw new Error(`Game mode ${mode.id} sets an unknown config field: ${unknownField}`);
+        }
+      });
+
+      console.log(`✅ Modos de juego cargados: ${data.gameModes.length}`);
+
+      return data.gameModes;
+
+    } catch (error) {
+      console.error(`❌ Error cargando gameModes.json: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+// ✅ Exportar como singleton
+module.exports = new GameModeService();
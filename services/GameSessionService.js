@@ -9,83 +9,1116 @@
  * CAMBIOS:
  * - revealAnswer(): Integración con PowerCardService y ComboTracker
  * - Nuevos métodos: processCombos(), applyPowerCardBonus()
+ * - Persistencia: cada cambio se escribe en el SessionRepository
+ *   y restoreSessions() rehidrata las partidas activas al arrancar
+ * - Eventos: emite 'game-event' en cada cambio (ver GAME_EVENTS) para
+ *   que SessionEventStream lo empuje a las pantallas conectadas, y
+ *   'session-removed' (sessionId) cuando una sesión sale de memoria
+ * - Tiempo: config.timeLimit (partida) y config.roundTimeLimit (ronda), en
+ *   segundos. La ronda que se agota se cierra sin ganador; al agotarse la
+ *   partida gana el máximo puntuador (ver TIE_BREAKERS)
+ * - Power cards: los efectos salen del bloque `effect` de powerCards.json
+ *   (PowerCardEffectEngine); los que duran rondas viven en session.activeEffects
+ * - Muerte súbita: si varios jugadores empatan en cabeza por encima de
+ *   targetScore, se juegan rondas solo entre ellos hasta que uno acierte.
+ *   La decisión queda en session.result y en session.history (type 'decision')
+ * - Equipos: config.teams ([{ name, players }]) crea session.teams. El equipo
+ *   comparte marcador, tokens, inventario de cartas y efectos activos; cada
+ *   miembro conserva sus stats y su score cuenta lo que aportó al equipo.
+ *   Ganador, desempates y muerte súbita se deciden entre equipos
+ * - Deshacer: undoLastReveal() devuelve la sesión, las rachas y las cartas al
+ *   estado previo a la última revelación y reabre la ronda para revelarla otra vez
+ * - Log de eventos: cada comando que cambia el estado se registra en orden
+ *   (ver SessionEventLog). replaySession() reconstruye la sesión desde el log
+ *   y restoreSessions() lo usa si el snapshot quedó por detrás tras una caída
+ * - Sala: createSession({ lobby: true }) abre la partida en estado 'lobby'.
+ *   Cada sesión tiene un joinCode corto (y su QR) con el que los jugadores
+ *   se apuntan desde su móvil; el host puede expulsar y reordenar hasta
+ *   startGame(), que cierra la lista
+ * - Turnos: con config.turnBased cada ronda es del jugador activo
+ *   (session.currentPlayerIndex), que responde primero. Si falla se abre el
+ *   robo para los demás; al revelar, el turno pasa al siguiente jugador
+ * - Tokens: config.tokenRules (ver DEFAULT_TOKEN_RULES) decide si el token
+ *   apostado vuelve al acertar, si los combos dan tokens, cada cuántas
+ *   rondas se recargan y cuánto cuesta comprar una pista o cambiar la pregunta
+ * - Cambiar track: rerollRound() descarta el track de la ronda en curso (sin
+ *   audio, repetido o inapropiado), devuelve las apuestas y sortea otro con
+ *   los mismos filtros. Las rachas no se tocan y el motivo queda en el historial
+ * - Modos de juego: createSession({ mode }) parte de un preset de
+ *   gameModes.json (ver GameModeService); los campos enviados lo sobrescriben
+ * - Resumen: getGameSummary() calcula premios, línea de tiempo y acierto por
+ *   tipo de pregunta desde las stats y el historial (ver GameSummaryService)
+ * - Perfiles: un jugador puede llevar profileId (perfil persistente, ver
+ *   PlayerProfileService); el repositorio lo guarda en session_players para
+ *   las stats de por vida y los rankings
+ * - Dificultad adaptativa: con config.difficulty 'ADAPTIVE' cada ronda sube
+ *   o baja de nivel según las anteriores (nadie acierta, un jugador lo gana
+ *   todo) y cambia la mezcla de preguntas (ver AdaptiveDifficultyService).
+ *   El nivel y el ajuste quedan en history[].adaptive
+ * - Tipos de pregunta: config.questionTypes (lista o { tipo: peso }) limita
+ *   y pondera los tipos que salen en la sesión (ver QuestionService.resolveTypeWeights)
+ * - Opción múltiple: con config.answerMode 'multiple_choice' las preguntas de
+ *   canción, artista, año y década llevan 4 opciones (question.choices) con
+ *   distractores del catálogo; submitAnswer() acepta el texto o la letra
  */
 
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const QRCode = require('qrcode');
 const trackService = require('./TrackService');
 const QuestionService = require('./QuestionService');
 const DeezerService = require('./DeezerService');
 const PowerCardService = require('./PowerCardService');
-
-class GameSessionService {
-  constructor() {
+const PowerCardEffectEngine = require('./PowerCardEffectEngine');
+const GameModeService = require('./GameModeService');
+const GameSummaryService = require('./GameSummaryService');
+const AdaptiveDifficultyService = require('./AdaptiveDifficultyService');
+const { createSessionRepository, InMemorySessionRepository } = require('./SessionRepository');
+const { LOG_EVENTS, replayEvents, redactRoundSecrets } = require('./SessionEventLog');
+
+// Sesiones más antiguas se limpian de memoria y no se rehidratan
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Desempate al terminar por tiempo: se aplica el primer criterio que separe a los líderes
+const TIE_BREAKERS = [
+  { key: 'score', compare: (a, b) => b.score - a.score },
+  { key: 'correctAnswers', compare: (a, b) => b.stats.correctAnswers - a.stats.correctAnswers },
+  { key: 'wrongAnswers', compare: (a, b) => a.stats.wrongAnswers - b.stats.wrongAnswers },
+  { key: 'combosCompleted', compare: (a, b) => b.stats.combosCompleted - a.stats.combosCompleted }
+];
+
+// Tokens con los que empieza cada jugador (o equipo); los valores no se repiten
+const TOKEN_VALUES = [1, 2, 3];
+
+// Reglas de tokens por defecto (config.tokenRules las sobrescribe campo a campo)
+const DEFAULT_TOKEN_RULES = {
+  returnOnCorrect: false,   // el token apostado vuelve si su jugador o equipo acierta
+  comboRewards: true,       // los combos con recompensa `tokens` devuelven tokens
+  refreshEveryRounds: 0,    // cada N rondas todos recuperan sus tokens (0 = nunca)
+  hintCost: 0,              // tokens por pista; con 0 las pistas se ven gratis desde el inicio
+  rerollCost: 0             // tokens por cambiar la pregunta de la ronda (0 = no se puede)
+};
+
+// En qué se pueden gastar tokens fuera de las apuestas (regla de coste de cada uno)
+const TOKEN_PURCHASES = { hint: 'hintCost', reroll: 'rerollCost' };
+
+// Candidatos que se prueban por sorteo antes de jugar un track sin audio
+const MAX_AUDIO_RETRIES = 3;
+
+// Modos de respuesta: texto libre u opción múltiple (ver QuestionService._withChoices)
+const ANSWER_MODES = ['open', 'multiple_choice'];
+
+// Motivos por los que el game master puede descartar el track de la ronda
+const REROLL_REASONS = ['no_audio', 'duplicate', 'inappropriate'];
+
+// Miembros por equipo en modo equipos
+const TEAM_SIZE = { min: 2, max: 4 };
+
+// Código para unirse a la sala: sin caracteres que se confundan (0/O, 1/I)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 5;
+
+// Color de avatar por defecto, por orden de llegada
+const AVATAR_COLORS = ['#E63946', '#F4A261', '#2A9D8F', '#457B9D', '#9B5DE5', '#F15BB5', '#00BBF9', '#8AC926'];
+
+// Límite de jugadores que pueden entrar en una sala
+const MAX_PLAYERS = 12;
+
+// Estados en los que la lista de jugadores aún se puede cambiar
+const ROSTER_OPEN_STATUSES = ['lobby', 'created'];
+
+// Campos de la sesión que cambia revealAnswer (se copian para poder deshacerla)
+const REVEAL_UNDO_FIELDS = [
+  'players', 'teams', 'history', 'activeEffects', 'suddenDeath',
+  'status', 'result', 'finishedAt', 'timeRemaining', 'currentRound',
+  'currentPlayerIndex'
+];
+
+// Tipos de evento emitidos en 'game-event'
+const GAME_EVENTS = {
+  ROSTER_UPDATED: 'roster_updated',
+  SESSION_STARTED: 'session_started',
+  ROUND_STARTED: 'round_started',
+  BET_PLACED: 'bet_placed',
+  ANSWER_SUBMITTED: 'answer_submitted',
+  STEAL_OPENED: 'steal_opened',
+  TOKENS_SPENT: 'tokens_spent',
+  ROUND_REROLLED: 'round_rerolled',
+  ANSWER_REVEALED: 'answer_revealed',
+  REVEAL_UNDONE: 'reveal_undone',
+  POWER_CARD_USED: 'power_card_used',
+  SCORE_DELTA: 'score_delta',
+  SUDDEN_DEATH: 'sudden_death',
+  GAME_OVER: 'game_over'
+};
+
+class GameSessionService extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.repository - SessionRepository (default según entorno)
+   * @param {Function} options.clock - () => ms (default Date.now; el replay lo fija por evento)
+   * @param {boolean} options.timers - false desactiva los límites de tiempo (replay)
+   */
+  constructor(options = {}) {
+    super();
     this.trackService = trackService;
+    this.deezerService = DeezerService;
     this.questionService = new QuestionService();
     this.sessions = new Map();
+    this.repository = options.repository || createSessionRepository();
+    this.clock = options.clock || (() => Date.now());
+    this.timersEnabled = options.timers !== false;
+
+    // Instante del comando en curso (ver _now)
+    this.instant = null;
+
+    // sessionId -> [{ seq, type, timestamp, data }]
+    this.eventLogs = new Map();
+
+    // sessionId -> { game, round } (setTimeout de los límites de tiempo)
+    this.timers = new Map();
+
+    // sessionId -> estado previo a la última revelación (solo en memoria)
+    this.revealSnapshots = new Map();
+
+    // sessionId -> motivo (sesiones guardadas que no se pudieron rehidratar)
+    this.unrecoverable = new Map();
+
+    // Cola de escrituras: mantiene el orden y nunca rompe el flujo del juego
+    this.pendingWrites = Promise.resolve();
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 💾 PERSISTENCIA
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Rehidratar sesiones activas desde el repositorio (llamar al arrancar).
+   * Si el log de eventos va por delante del snapshot (caída entre las dos
+   * escrituras), la sesión se reconstruye reproduciendo el log. Si no, las
+   * cartas, rachas y activaciones vuelven del estado guardado con el snapshot.
+   *
+   * Una sesión que no se puede rehidratar (log corrupto, evento desconocido)
+   * queda marcada como no recuperable sin frenar al resto.
+   *
+   * @returns {Promise<Object>} { restored, replayed, unrecoverable }
+   */
+  async restoreSessions() {
+    const stored = await this.repository.loadActiveSessions(SESSION_TTL_MS);
+    let restored = 0;
+    let replayed = 0;
+
+    for (const { session: snapshot, inventories, powerCards } of stored) {
+      if (this.sessions.has(snapshot.id)) continue;
+
+      try {
+        if (await this._restoreSession(snapshot, inventories, powerCards)) {
+          replayed++;
+        }
+        restored++;
+      } catch (error) {
+        console.error(`❌ ${snapshot.id}: no se pudo rehidratar:`, error.message);
+        this._clearTimer(snapshot.id);
+        this.sessions.delete(snapshot.id);
+        this.eventLogs.delete(snapshot.id);
+        PowerCardService.clearSession(snapshot.id);
+        this.unrecoverable.set(snapshot.id, error.message);
+      }
+    }
+
+    console.log(`💾 Sesiones rehidratadas: ${restored} (${replayed} desde el log, ${this.unrecoverable.size} no recuperables)`);
+
+    return { restored, replayed, unrecoverable: [...this.unrecoverable.keys()] };
+  }
+
+  /**
+   * Rehidratar una sesión guardada
+   *
+   * @private
+   * @returns {Promise<boolean>} true si se reconstruyó desde el log
+   */
+  async _restoreSession(snapshot, inventories, powerCards) {
+    const events = await this.repository.loadEvents(snapshot.id);
+    const lastSeq = events.length > 0 ? events[events.length - 1].seq : 0;
+    let session = snapshot;
+    let replayed = false;
+
+    if (lastSeq > (snapshot.lastEventSeq || 0)) {
+      // El replay rehace también inventarios y rachas de esta sesión
+      PowerCardService.clearSession(snapshot.id);
+      const rebuilt = await this._rebuildFromEvents(events, snapshot.id);
+
+      if (rebuilt.session) {
+        session = rebuilt.session;
+        this._persist('restoreSessions', repo => this._saveSnapshot(repo, session));
+        replayed = true;
+        console.log(`📜 ${snapshot.id}: reconstruida desde el log (${rebuilt.applied} eventos)`);
+      }
+    }
+
+    this.sessions.set(session.id, session);
+
+    if (events.length > 0) {
+      this.eventLogs.set(session.id, events);
+    }
+
+    if (session === snapshot && powerCards) {
+      PowerCardService.restoreSession(session.id, powerCards);
+    } else if (session === snapshot) {
+      // Snapshots anteriores a migrations/006: solo el inventario
+      Object.entries(inventories || {}).forEach(([playerId, cards]) => {
+        Object.entries(cards).forEach(([cardId, count]) => {
+          PowerCardService.addCardToInventory(playerId, cardId, count, session.id);
+        });
+      });
+    }
+
+    // Lo que venció mientras el servidor estaba caído se resuelve ahora
+    if (session.status === 'playing') {
+      this._scheduleGameTimer(session);
+      if (session.currentRound) {
+        this._scheduleRoundTimer(session);
+      }
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Esperar a que terminen las escrituras pendientes
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pendingWrites;
+  }
+
+  /**
+   * Emitir evento de juego para los clientes en tiempo real
+   *
+   * @private
+   */
+  _emitEvent(sessionId, type, data = {}) {
+    this.emit('game-event', {
+      sessionId,
+      type,
+      data,
+      timestamp: new Date(this._now()).toISOString()
+    });
+  }
+
+  /**
+   * Hora actual en ms. Todo lo que ocurre en una misma ejecución síncrona
+   * (un comando) ve el mismo instante, así el replay lo reproduce exacto
+   *
+   * @private
+   */
+  _now() {
+    if (this.instant === null) {
+      this.instant = this.clock();
+      queueMicrotask(() => {
+        this.instant = null;
+      });
+    }
+
+    return this.instant;
+  }
+
+  /**
+   * Encolar una escritura en el repositorio
+   *
+   * @private
+   */
+  _persist(action, operation) {
+    this.pendingWrites = this.pendingWrites
+      .then(() => operation(this.repository))
+      .catch(error => {
+        console.error(`❌ Error persistiendo ${action}:`, error.message);
+      });
+  }
+
+  /**
+   * Guardar el snapshot de la sesión junto con sus cartas, rachas y
+   * activaciones, que viven en PowerCardService (ver restoreSessions)
+   *
+   * @private
+   */
+  _saveSnapshot(repo, session) {
+    return repo.saveSession(session, PowerCardService.snapshotSession(session.id));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 📜 LOG DE EVENTOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Registrar un comando en el log de la sesión. Se escribe antes que el
+   * snapshot (write-ahead): si el servidor cae entre ambas escrituras,
+   * restoreSessions() reconstruye desde el log
+   *
+   * @private
+   * @param {Object} session
+   * @param {string} type - LOG_EVENTS
+   * @param {Object} data - Argumentos para reproducir el comando
+   * @param {number} at - Instante del comando (default ahora)
+   */
+  _recordEvent(session, type, data = {}, at = this._now()) {
+    if (!this.eventLogs.has(session.id)) {
+      this.eventLogs.set(session.id, []);
+    }
+
+    const log = this.eventLogs.get(session.id);
+    const event = {
+      seq: log.length + 1,
+      type,
+      timestamp: new Date(at).toISOString(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+
+    log.push(event);
+    session.lastEventSeq = event.seq;
+
+    this._persist('event', repo => repo.appendEvent(session.id, event));
+  }
+
+  /**
+   * Log de eventos de una sesión (también de sesiones que ya no están en memoria).
+   * Los eventos de la ronda en curso salen sin respuesta (ver redactRoundSecrets)
+   *
+   * @param {string} sessionId
+   * @param {Object} options - { fromSeq }
+   * @returns {Promise<Object>} { success, events }
+   */
+  async getEventLog(sessionId, { fromSeq = 1 } = {}) {
+    const events = await this._loadEventLog(sessionId);
+
+    if (events.length === 0) {
+      return { success: false, error: 'No hay eventos para esta sesión' };
+    }
+
+    // La ronda en curso empezó en el último next_round con track: desde ahí
+    // (cambios de track, de pregunta, respuestas) se ocultan las respuestas
+    const session = this.sessions.get(sessionId);
+    const roundOpen = !!(session && session.status === 'playing' && session.currentRound);
+    const roundStartSeq = roundOpen
+      ? events.filter(e => e.type === LOG_EVENTS.NEXT_ROUND && e.data && e.data.track).map(e => e.seq).pop()
+      : undefined;
+
+    return {
+      success: true,
+      sessionId,
+      lastSeq: events[events.length - 1].seq,
+      events: events
+        .filter(e => e.seq >= fromSeq)
+        .map(e => (roundStartSeq !== undefined && e.seq >= roundStartSeq ? redactRoundSecrets(e) : e))
+    };
+  }
+
+  /**
+   * Reconstruir la sesión reproduciendo su log (depurar partidas en disputa).
+   * No toca la sesión en vivo: reproduce con un ID temporal y lo descarta.
+   *
+   * @param {string} sessionId
+   * @param {Object} options - { untilSeq } para ver el estado en un punto del log
+   * @returns {Promise<Object>} { success, session, applied, failed, mismatches }
+   */
+  async replaySession(sessionId, { untilSeq = null } = {}) {
+    const log = await this._loadEventLog(sessionId);
+    const events = untilSeq ? log.filter(e => e.seq <= untilSeq) : log;
+
+    if (events.length === 0) {
+      return { success: false, error: 'No hay eventos para esta sesión' };
+    }
+
+    const replayId = `replay_${sessionId}`;
+    const { session, applied, failed } = await this._rebuildFromEvents(events, replayId);
+    PowerCardService.clearSession(replayId);
+
+    if (!session) {
+      return { success: false, error: 'El log no crea la sesión', applied, failed };
+    }
+
+    session.id = sessionId;
+
+    // Solo se compara el log completo con la sesión en vivo
+    const live = this.sessions.get(sessionId);
+    const mismatches = live && !untilSeq ? this._diffSessions(live, session) : null;
+
+    return {
+      success: true,
+      session: this._sanitizeSession(session),
+      applied,
+      failed,
+      mismatches
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _loadEventLog(sessionId) {
+    if (this.eventLogs.has(sessionId)) {
+      return this.eventLogs.get(sessionId);
+    }
+
+    return this.repository.loadEvents(sessionId);
+  }
+
+  /**
+   * Reproducir eventos en una instancia aparte, sin temporizadores ni BD
+   *
+   * @private
+   * @returns {Promise<Object>} { session, applied, failed }
+   */
+  async _rebuildFromEvents(events, sessionId) {
+    const replayService = new GameSessionService({
+      repository: new InMemorySessionRepository(),
+      timers: false
+    });
+
+    const { applied, failed } = await replayEvents(replayService, sessionId, events);
+
+    return {
+      session: replayService.sessions.get(sessionId) || null,
+      applied,
+      failed
+    };
+  }
+
+  /**
+   * Campos en los que la sesión reconstruida no coincide con la original
+   *
+   * @private
+   * @returns {Array<string>}
+   */
+  _diffSessions(original, rebuilt) {
+    return ['status', 'round', 'players', 'teams', 'history', 'activeEffects', 'suddenDeath', 'result', 'currentRound']
+      .filter(field => JSON.stringify(original[field]) !== JSON.stringify(rebuilt[field]));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ⏱️ LÍMITES DE TIEMPO
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Segundos de partida restantes (null si no hay límite)
+   *
+   * @private
+   */
+  _getTimeRemaining(session, now = this._now()) {
+    const { timeLimit } = session.config;
+
+    if (!timeLimit) return null;
+    if (!session.startedAt) return timeLimit;
+
+    const end = session.finishedAt ? new Date(session.finishedAt).getTime() : now;
+    const elapsed = Math.floor((end - new Date(session.startedAt).getTime()) / 1000);
+
+    return Math.max(0, timeLimit - elapsed);
+  }
+
+  /**
+   * Cuenta atrás de la ronda en segundos (null si la ronda no tiene límite)
+   *
+   * @private
+   */
+  _getRoundSecondsRemaining(round, now = this._now()) {
+    if (!round || !round.endsAt) return null;
+
+    return Math.max(0, Math.ceil((new Date(round.endsAt).getTime() - now) / 1000));
+  }
+
+  /**
+   * @private
+   */
+  _scheduleGameTimer(session) {
+    this._clearTimer(session.id, 'game');
+
+    const remaining = this._getTimeRemaining(session);
+    if (remaining === null) return;
+
+    this._setTimer(session.id, 'game', remaining * 1000, () => this._expireGameTime(session.id));
+  }
+
+  /**
+   * @private
+   */
+  _scheduleRoundTimer(session) {
+    this._clearTimer(session.id, 'round');
+
+    const round = session.currentRound;
+    if (!round || !round.endsAt) return;
+
+    const delay = Math.max(0, new Date(round.endsAt).getTime() - this._now());
+    const roundNumber = round.roundNumber;
+
+    this._setTimer(session.id, 'round', delay, () => this._expireRound(session.id, roundNumber));
+  }
+
+  /**
+   * @private
+   */
+  _setTimer(sessionId, kind, delay, callback) {
+    if (!this.timersEnabled) return;
+
+    if (!this.timers.has(sessionId)) {
+      this.timers.set(sessionId, {});
+    }
+
+    const timer = setTimeout(callback, delay);
+
+    // Los temporizadores no mantienen vivo el proceso
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    this.timers.get(sessionId)[kind] = timer;
+  }
+
+  /**
+   * @private
+   */
+  _clearTimer(sessionId, kind = null) {
+    const timers = this.timers.get(sessionId);
+    if (!timers) return;
+
+    const kinds = kind ? [kind] : Object.keys(timers);
+    kinds.forEach(k => {
+      clearTimeout(timers[k]);
+      delete timers[k];
+    });
+
+    if (Object.keys(timers).length === 0) {
+      this.timers.delete(sessionId);
+    }
+  }
+
+  /**
+   * Cerrar la ronda si su tiempo ya pasó (nadie gana)
+   *
+   * @private
+   * @returns {boolean} true si la ronda estaba agotada
+   */
+  _closeIfRoundExpired(session) {
+    const round = session.currentRound;
+
+    if (!round || !round.endsAt || this._now() < new Date(round.endsAt).getTime()) {
+      return false;
+    }
+
+    this._expireRound(session.id, round.roundNumber);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _expireRound(sessionId, roundNumber) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || !session.currentRound || session.currentRound.roundNumber !== roundNumber) {
+      return null;
+    }
+
+    console.log(`⏰ Ronda ${roundNumber} agotada: ${sessionId}`);
+
+    return this.revealAnswer(sessionId, null, { timeout: true });
+  }
+
+  /**
+   * Terminar la partida por límite de tiempo: gana el máximo puntuador
+   *
+   * @private
+   */
+  _expireGameTime(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || session.status !== 'playing') return null;
+
+    if (session.currentRound) {
+      this.revealAnswer(sessionId, null, { timeout: true });
+
+      // La ronda cerrada pudo terminar la partida por puntos
+      if (session.status !== 'playing') return null;
+    }
+
+    const { winner, decidedBy, standings, tiedPlayerIds } = this._rankPlayers(session);
+
+    this._markFinished(session, { reason: 'time_limit', winner, decidedBy, tiedPlayerIds });
+    this._recordEvent(session, LOG_EVENTS.GAME_TIME_EXPIRED);
+    this._persist('timeLimit', repo => this._saveSnapshot(repo, session));
+
+    console.log(`⏰ Tiempo agotado: ${sessionId} - gana ${winner ? winner.name : 'nadie'} (${decidedBy})`);
+
+    this._emitEvent(sessionId, GAME_EVENTS.GAME_OVER, {
+      winner,
+      reason: 'time_limit',
+      decidedBy,
+      standings
+    });
+
+    return { winner, decidedBy, standings };
+  }
+
+  /**
+   * Ordenar jugadores con TIE_BREAKERS; último recurso: quien ganó
+   * su última ronda antes (llegó antes a su puntuación)
+   *
+   * @private
+   * @returns {Object} { winner, decidedBy, standings, tiedPlayerIds }
+   */
+  _rankPlayers(session) {
+    const lastWinRound = {};
+    session.history.forEach(entry => {
+      if (entry.winner) lastWinRound[this._getScoringUnitId(session, entry.winner)] = entry.round;
+    });
+
+    const reachedFirst = (a, b) =>
+      (lastWinRound[a.id] || Infinity) - (lastWinRound[b.id] || Infinity) || 0;
+
+    const breakers = [...TIE_BREAKERS, { key: 'reachedFirst', compare: reachedFirst }];
+
+    const sorted = [...this._getCompetitors(session)].sort((a, b) => {
+      for (const breaker of breakers) {
+        const diff = breaker.compare(a, b);
+        if (diff !== 0) return diff;
+      }
+      return 0;
+    });
+
+    let decidedBy = 'score';
+    if (sorted.length > 1) {
+      const breaker = breakers.find(b => b.compare(sorted[0], sorted[1]) !== 0);
+      decidedBy = breaker ? breaker.key : 'player_order';
+    }
+
+    const topScore = sorted.length > 0 ? sorted[0].score : null;
+    const tiedPlayerIds = sorted.filter(p => p.score === topScore).map(p => p.id);
+
+    return {
+      winner: sorted.length > 0 ? this._winnerSummary(sorted[0]) : null,
+      decidedBy,
+      tiedPlayerIds: tiedPlayerIds.length > 1 ? tiedPlayerIds : [],
+      standings: sorted.map((p, index) => ({
+        position: index + 1,
+        id: p.id,
+        name: p.name,
+        score: p.score
+      }))
+    };
+  }
+
+  /**
+   * Marcar la sesión como terminada, registrar cómo se decidió
+   * y parar sus temporizadores
+   *
+   * @private
+   */
+  _markFinished(session, { reason, winner = null, decidedBy = 'score', tiedPlayerIds = [] }) {
+    session.status = 'finished';
+    session.finishedAt = new Date(this._now()).toISOString();
+    session.timeRemaining = this._getTimeRemaining(session);
+    session.result = {
+      reason,
+      winnerId: winner ? winner.id : null,
+      decidedBy
+    };
+
+    session.history.push({
+      type: 'decision',
+      reason,
+      winnerId: session.result.winnerId,
+      decidedBy,
+      tiedPlayerIds,
+      suddenDeathRounds: session.suddenDeath ? session.suddenDeath.rounds : 0,
+      timestamp: session.finishedAt
+    });
+
+    if (session.suddenDeath) {
+      session.suddenDeath.active = false;
+    }
+
+    this._clearTimer(session.id);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ⚔️ MUERTE SÚBITA
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Resolver la partida por targetScore
+   *
+   * - Un solo líder por encima del objetivo → gana
+   * - Varios empatados en cabeza → empieza (o sigue) la muerte súbita
+   *
+   * @private
+   * @returns {Object|null} { winner } | { suddenDeath: true, started } | null
+   */
+  _resolveTargetScore(session) {
+    if (session.suddenDeath && session.suddenDeath.active) {
+      return { suddenDeath: true, started: false };
+    }
+
+    const winner = this._checkWinner(session);
+    if (winner) {
+      return { winner };
+    }
+
+    const tiedPlayerIds = this._getTiedLeaders(session);
+    if (tiedPlayerIds.length > 1) {
+      this._startSuddenDeath(session, tiedPlayerIds);
+      return { suddenDeath: true, started: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Jugadores (o equipos) empatados en la puntuación más alta por encima del objetivo
+   *
+   * @private
+   */
+  _getTiedLeaders(session) {
+    const qualified = this._getCompetitors(session).filter(p => p.score >= session.config.targetScore);
+    if (qualified.length < 2) return [];
+
+    const topScore = Math.max(...qualified.map(p => p.score));
+    return qualified.filter(p => p.score === topScore).map(p => p.id);
+  }
+
+  /**
+   * @private
+   */
+  _startSuddenDeath(session, playerIds) {
+    session.suddenDeath = {
+      active: true,
+      playerIds,
+      startedAfterRound: session.round,
+      rounds: 0
+    };
+
+    const names = this._getCompetitors(session).filter(p => playerIds.includes(p.id)).map(p => p.name);
+    console.log(`⚔️ MUERTE SÚBITA en ${session.id}: ${names.join(' vs ')}`);
+  }
+
+  /**
+   * @private
+   */
+  _emitSuddenDeath(session) {
+    this._emitEvent(session.id, GAME_EVENTS.SUDDEN_DEATH, {
+      playerIds: session.suddenDeath.playerIds,
+      startedAfterRound: session.suddenDeath.startedAfterRound
+    });
+  }
+
+  /**
+   * ¿Puede el jugador participar en la ronda actual?
+   * (en modo equipos eligiblePlayerIds contiene IDs de equipo)
+   *
+   * @private
+   */
+  _isEligible(session, playerId) {
+    const round = session.currentRound;
+    if (!round || !round.eligiblePlayerIds) return true;
+
+    return round.eligiblePlayerIds.includes(this._getScoringUnitId(session, playerId));
+  }
+
+  /**
+   * @private
+   */
+  _winnerSummary(player) {
+    const summary = {
+      id: player.id,
+      name: player.name,
+      score: player.score,
+      stats: player.stats
+    };
+
+    if (player.memberIds) {
+      summary.memberIds = player.memberIds;
+    }
+
+    return summary;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 👥 EQUIPOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _isTeamMode(session) {
+    return Array.isArray(session.teams) && session.teams.length > 0;
+  }
+
+  /**
+   * Quien puntúa por el jugador: su equipo en modo equipos, él mismo si no.
+   * Acepta también el ID de un equipo.
+   *
+   * @private
+   * @returns {Object|null} Equipo o jugador
+   */
+  _getScoringUnit(session, playerId) {
+    const player = session.players.find(p => p.id === playerId);
+
+    if (!this._isTeamMode(session)) {
+      return player || null;
+    }
+
+    const teamId = player ? player.teamId : playerId;
+    return session.teams.find(t => t.id === teamId) || null;
+  }
+
+  /**
+   * @private
+   */
+  _getScoringUnitId(session, playerId) {
+    const unit = this._getScoringUnit(session, playerId);
+    return unit ? unit.id : playerId;
+  }
+
+  /**
+   * Quienes compiten por la partida: los equipos (con las stats sumadas
+   * de sus miembros) o los jugadores
+   *
+   * @private
+   */
+  _getCompetitors(session) {
+    if (!this._isTeamMode(session)) {
+      return session.players;
+    }
+
+    return session.teams.map(team => ({
+      ...team,
+      stats: this._getTeamStats(session, team)
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _getTeamStats(session, team) {
+    return session.players
+      .filter(p => p.teamId === team.id)
+      .reduce((totals, member) => {
+        Object.entries(member.stats).forEach(([key, value]) => {
+          if (typeof value === 'number') {
+            totals[key] = (totals[key] || 0) + value;
+          }
+        });
+        return totals;
+      }, {});
+  }
+
+  /**
+   * Apuesta de la ronda que cuenta para el jugador: la suya o, en modo
+   * equipos, la del compañero que apostó
+   *
+   * @private
+   * @returns {Object|null} { playerId, tokenValue, usedAt }
+   */
+  _findUnitBet(session, round, playerId) {
+    const unitId = this._getScoringUnitId(session, playerId);
+    const bettorId = Object.keys(round.bets)
+      .find(id => this._getScoringUnitId(session, id) === unitId);
+
+    return bettorId ? { playerId: bettorId, ...round.bets[bettorId] } : null;
+  }
+
+  /**
+   * Marcador por equipos para respuestas y eventos
+   *
+   * @private
+   */
+  _teamStandings(session) {
+    return session.teams.map(team => ({
+      id: team.id,
+      name: team.name,
+      score: team.score,
+      tokens: team.availableTokens.length,
+      memberIds: team.memberIds
+    }));
   }
 
   // ═══════════════════════════════════════════════════════════════
   // 🎮 CREAR SESIÓN
   // ═══════════════════════════════════════════════════════════════
 
-  createSession(config = {}) {
+  /**
+   * @param {Object} requestedConfig
+   * @param {Array<string>} requestedConfig.players - Nombres (partida individual)
+   * @param {Array<Object>} requestedConfig.teams - [{ name, players: [nombres] }] (modo equipos,
+   *                                                sustituye a config.players)
+   * @param {string} requestedConfig.mode - Modo de juego (id o nombre, ver GameModeService)
+   * @param {Object} options - { sessionId } fija el ID (replay del log)
+   */
+  createSession(requestedConfig = {}, options = {}) {
+    // Modo de juego: el preset pone la base y los campos enviados la sobrescriben
+    let config = requestedConfig;
+
+    if (requestedConfig.mode) {
+      const mode = GameModeService.findMode(requestedConfig.mode);
+
+      if (!mode) {
+        return { success: false, error: `Modo de juego no encontrado: ${requestedConfig.mode}` };
+      }
+
+      config = GameModeService.applyMode(mode, requestedConfig);
+    }
+
     const {
       players = [],
+      teams = null,
+      lobby = false,
+      turnBased = false,
+      tokenRules = {},
       genres = ['ANY'],
       decades = ['ANY'],
       difficulty = 'ANY',
       targetScore = 15,
       timeLimit = 1200,
-      powerCardsPerPlayer = 3
+      roundTimeLimit = 0,
+      powerCardsPerPlayer = 3,
+      questionTypes = null,
+      answerMode = 'open'
     } = config;
 
-    const sessionId = this._generateSessionId();
+    if (teams) {
+      if (!Array.isArray(teams) || teams.length < 2) {
+        return { success: false, error: 'El modo equipos necesita al menos 2 equipos' };
+      }
 
-    const playerList = players.map((name, index) => ({
-      id: `player_${index + 1}`,
-      name: name || `Jugador ${index + 1}`,
-      score: 0,
-      availableTokens: [1, 2, 3],
-      powerCards: [],
-      stats: {
-        correctAnswers: 0,
-        wrongAnswers: 0,
-        tokensWon: 0,
-        tokensLost: 0,
-        tokensUsed: [],
-        combosCompleted: 0,
-        powerCardsUsed: 0,
-        totalComboStreak: 0
+      // En una sala los equipos se llenan después: el tamaño se valida en startGame
+      const invalidTeam = teams.find(team =>
+        !team || (!lobby && !this._isValidTeamSize((team.players || []).length))
+      );
+
+      if (invalidTeam) {
+        return {
+          success: false,
+          error: `Cada equipo debe tener entre ${TEAM_SIZE.min} y ${TEAM_SIZE.max} jugadores`
+        };
       }
-    }));
+    }
+
+    const rules = { ...DEFAULT_TOKEN_RULES, ...tokenRules };
+    const invalidFlag = ['returnOnCorrect', 'comboRewards']
+      .find(key => typeof rules[key] !== 'boolean');
+    const invalidCount = ['refreshEveryRounds', 'hintCost', 'rerollCost']
+      .find(key => !Number.isInteger(rules[key]) || rules[key] < 0);
+    const invalidCost = Object.values(TOKEN_PURCHASES)
+      .find(key => rules[key] > TOKEN_VALUES.length);
+
+    if (invalidFlag) {
+      return { success: false, error: `Reglas de tokens no válidas: ${invalidFlag} debe ser true o false` };
+    }
+
+    if (invalidCount) {
+      return { success: false, error: `Reglas de tokens no válidas: ${invalidCount} debe ser un entero mayor o igual que 0` };
+    }
+
+    if (invalidCost) {
+      return {
+        success: false,
+        error: `Reglas de tokens no válidas: ${invalidCost} no puede superar ${TOKEN_VALUES.length} tokens`
+      };
+    }
+
+    const typeWeights = this.questionService.resolveTypeWeights(questionTypes);
+    if (!typeWeights.success) {
+      return { success: false, error: typeWeights.error };
+    }
+
+    if (!ANSWER_MODES.includes(answerMode)) {
+      return { success: false, error: `Modo de respuesta no válido: ${answerMode} (${ANSWER_MODES.join(', ')})` };
+    }
+
+    const sessionId = options.sessionId || this._generateSessionId();
+    const joinCode = options.joinCode || this._generateJoinCode();
+
+    // En modo equipos los tokens son del equipo, no de cada miembro
+    const teamList = teams
+      ? teams.map((team, index) => ({
+        id: `team_${index + 1}`,
+        name: team.name || `Equipo ${index + 1}`,
+        memberIds: [],
+        score: 0,
+        availableTokens: [...TOKEN_VALUES]
+      }))
+      : null;
+
+    // Cada jugador es un nombre o { name, avatarColor, profileId } (perfil ya resuelto)
+    const entryOf = player => (typeof player === 'string' ? { name: player } : player || {});
+    const roster = teams
+      ? teams.flatMap((team, index) => (team.players || []).map(p => ({ ...entryOf(p), teamId: `team_${index + 1}` })))
+      : players.map(p => ({ ...entryOf(p), teamId: null }));
+
+    const profileIds = roster.map(p => p.profileId).filter(Boolean);
+    if (new Set(profileIds).size !== profileIds.length) {
+      return { success: false, error: 'Un perfil no puede jugar dos veces en la misma partida' };
+    }
+
+    const playerList = roster.map(({ name, teamId, avatarColor, profileId }, index) =>
+      this._createPlayer(index + 1, { name, teamId, avatarColor, profileId })
+    );
+
+    if (teamList) {
+      playerList.forEach(p => teamList.find(t => t.id === p.teamId).memberIds.push(p.id));
+    }
 
     const session = {
       id: sessionId,
-      status: 'created',
-      createdAt: new Date().toISOString(),
+      status: lobby ? 'lobby' : 'created',
+      joinCode,
+      createdAt: new Date(this._now()).toISOString(),
       config: {
+        mode: config.mode || null,
         genres,
         decades,
         difficulty,
         targetScore,
         timeLimit,
-        powerCardsPerPlayer
+        roundTimeLimit,
+        powerCardsPerPlayer,
+        turnBased: !!turnBased,
+        tokenRules: rules,
+        questionTypes: typeWeights.weights,
+        answerMode
       },
       players: playerList,
+      teams: teamList,
+      nextPlayerNumber: playerList.length + 1,
       currentPlayerIndex: 0,
       round: 0,
       usedTrackIds: [],
       currentRound: null,
+      activeEffects: [],
+      suddenDeath: null,
       timeRemaining: timeLimit,
       startedAt: null,
       history: []
     };
 
     this.sessions.set(sessionId, session);
-    this.trackService.resetUsedTracks();
+    this._recordEvent(session, LOG_EVENTS.SESSION_CREATED, { config, joinCode });
+    this._persist('createSession', repo => this._saveSnapshot(repo, session));
 
-    console.log(`🎮 Sesión creada: ${sessionId}`);
+    console.log(`🎮 Sesión creada: ${sessionId} (código ${joinCode})`);
+    if (config.mode) {
+      console.log(`   🕹️ Modo: ${config.mode}`);
+    }
     console.log(`   Jugadores: ${playerList.length}`);
-    console.log(`   Tokens por jugador: [1, 2, 3]`);
+    if (teamList) {
+      console.log(`   Equipos: ${teamList.map(t => `${t.name} (${t.memberIds.length})`).join(', ')}`);
+      console.log(`   Tokens por equipo: [${TOKEN_VALUES.join(', ')}]`);
+    } else {
+      console.log(`   Tokens por jugador: [${TOKEN_VALUES.join(', ')}]`);
+    }
+    if (turnBased) {
+      console.log(`   🔄 Por turnos: empieza ${playerList.length > 0 ? playerList[0].name : 'el primero en entrar'}`);
+    }
     console.log(`   ✅ Power Cards System ACTIVO`);
 
     return {
@@ -94,19 +1127,511 @@ class GameSessionService {
     };
   }
 
+  // ═══════════════════════════════════════════════════════════════
+  // 🚪 SALA (LOBBY)
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Buscar la sesión abierta de un código de sala (mayúsculas o no)
+   *
+   * @param {string} joinCode
+   * @returns {Object} { success, lobby } o { success: false, error }
+   */
+  findSessionByJoinCode(joinCode) {
+    const session = this._getSessionByJoinCode(joinCode);
+
+    if (!session) {
+      return { success: false, error: 'Código de sala no encontrado' };
+    }
+
+    return {
+      success: true,
+      lobby: this._lobbySummary(session)
+    };
+  }
+
+  /**
+   * Código de sala y su QR (data URL PNG) para mostrarlo en la pantalla del host
+   *
+   * @param {string} sessionId
+   * @returns {Promise<Object>} { success, joinCode, qrPayload, qrCode }
+   */
+  async getJoinInfo(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      return { success: false, error: 'Sesión no encontrada' };
+    }
+
+    const qrPayload = `HITBACK_JOIN:${session.joinCode}`;
+    const qrCode = await QRCode.toDataURL(qrPayload, {
+      width: 300,
+      margin: 2,
+      color: { dark: '#000000', light: '#FFFFFF' }
+    });
+
+    return {
+      success: true,
+      joinCode: session.joinCode,
+      qrPayload,
+      qrCode,
+      rosterOpen: ROSTER_OPEN_STATUSES.includes(session.status)
+    };
+  }
+
+  /**
+   * Un jugador se apunta desde su móvil con el código de sala
+   *
+   * @param {string} joinCode
+   * @param {Object} profile - { name, avatarColor, teamId, profileId }
+   * @returns {Object} { success, sessionId, player, lobby }
+   */
+  joinLobby(joinCode, profile = {}) {
+    const session = this._getSessionByJoinCode(joinCode);
+
+    if (!session) {
+      return { success: false, error: 'Código de sala no encontrado' };
+    }
+
+    return this.addPlayer(session.id, profile);
+  }
+
+  /**
+   * Añadir un jugador mientras la lista está abierta
+   *
+   * @param {string} sessionId
+   * @param {Object} profile - { name, avatarColor, teamId (obligatorio en modo equipos), profileId }
+   * @returns {Object} { success, sessionId, player, lobby }
+   */
+  addPlayer(sessionId, { name, avatarColor = null, teamId = null, profileId = null } = {}) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      return { success: false, error: 'Sesión no encontrada' };
+    }
+
+    if (!ROSTER_OPEN_STATUSES.includes(session.status)) {
+      return { success: false, error: 'La partida ya empezó: la lista de jugadores está cerrada' };
+    }
+
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmedName) {
+      return { success: false, error: 'El nombre es obligatorio' };
+    }
+
+    if (session.players.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+      return { success: false, error: 'Ese nombre ya está en la sala' };
+    }
+
+    if (session.players.length >= MAX_PLAYERS) {
+      return { success: false, error: `La sala está llena (máximo ${MAX_PLAYERS} jugadores)` };
+    }
+
+    if (profileId && session.players.some(p => p.profileId === profileId)) {
+      return { success: false, error: 'Ese perfil ya está en la sala' };
+    }
+
+    if (avatarColor !== null && !/^#[0-9A-F]{6}$/i.test(avatarColor)) {
+      return { success: false, error: 'Color de avatar no válido (formato #RRGGBB)' };
+    }
+
+    let team = null;
+
+    if (this._isTeamMode(session)) {
+      team = session.teams.find(t => t.id === teamId);
+
+      if (!team) {
+        return { success: false, error: 'Elige un equipo de la sala' };
+      }
+
+      if (team.memberIds.length >= TEAM_SIZE.max) {
+        return { success: false, error: `${team.name} ya tiene ${TEAM_SIZE.max} jugadores` };
+      }
+    }
+
+    const number = session.nextPlayerNumber || session.players.length + 1;
+    const player = this._createPlayer(number, {
+      name: trimmedName,
+      teamId: team ? team.id : null,
+      avatarColor,
+      profileId
+    });
+
+    session.nextPlayerNumber = number + 1;
+    session.players.push(player);
+    if (team) {
+      team.memberIds.push(player.id);
+    }
+
+    this._recordEvent(session, LOG_EVENTS.PLAYER_JOINED, {
+      name: trimmedName,
+      avatarColor,
+      teamId: player.teamId,
+      profileId
+    });
+    this._persist('addPlayer', repo => this._saveSnapshot(repo, session));
+
+    console.log(`🙋 ${player.name} entra en ${sessionId}${team ? ` (${team.name})` : ''}`);
+
+    this._emitRosterUpdated(session, 'joined', player.id);
+
+    return {
+      success: true,
+      sessionId,
+      player,
+      lobby: this._lobbySummary(session)
+    };
+  }
+
+  /**
+   * El host expulsa a un jugador antes de empezar
+   *
+   * @param {string} sessionId
+   * @param {string} playerId
+   * @returns {Object} { success, lobby }
+   */
+  kickPlayer(sessionId, playerId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      return { success: false, error: 'Sesión no encontrada' };
+    }
+
+    if (!ROSTER_OPEN_STATUSES.includes(session.status)) {
+      return { success: false, error: 'La partida ya empezó: la lista de jugadores está cerrada' };
+    }
+
+    const player = session.players.find(p => p.id === playerId);
+
+    if (!player) {
+      return { success: false, error: 'Jugador no encontrado' };
+    }
+
+    session.players = session.players.filter(p => p.id !== playerId);
+    if (player.teamId) {
+      const team = session.teams.find(t => t.id === player.teamId);
+      team.memberIds = team.memberIds.filter(id => id !== playerId);
+    }
+    if (session.currentPlayerIndex >= session.players.length) {
+      session.currentPlayerIndex = 0;
+    }
+
+    PowerCardService.clearPlayerData(playerId, sessionId);
+
+    this._recordEvent(session, LOG_EVENTS.PLAYER_KICKED, { playerId });
+    this._persist('kickPlayer', repo => this._saveSnapshot(repo, session));
+
+    console.log(`🚪 ${player.name} expulsado de ${sessionId}`);
+
+    this._emitRosterUpdated(session, 'kicked', playerId);
+
+    return {
+      success: true,
+      lobby: this._lobbySummary(session)
+    };
+  }
+
+  /**
+   * El host cambia el orden de juego
+   *
+   * @param {string} sessionId
+   * @param {Array<string>} playerIds - Todos los IDs de la sala, en el nuevo orden
+   * @returns {Object} { success, lobby }
+   */
+  reorderPlayers(sessionId, playerIds) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      return { success: false, error: 'Sesión no encontrada' };
+    }
+
+    if (!ROSTER_OPEN_STATUSES.includes(session.status)) {
+      return { success: false, error: 'La partida ya empezó: la lista de jugadores está cerrada' };
+    }
+
+    const currentIds = session.players.map(p => p.id);
+    const isPermutation = Array.isArray(playerIds) &&
+      playerIds.length === currentIds.length &&
+      new Set(playerIds).size === playerIds.length &&
+      playerIds.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return { success: false, error: 'El nuevo orden debe incluir a cada jugador de la sala una vez' };
+    }
+
+    session.players = playerIds.map(id => session.players.find(p => p.id === id));
+    if (this._isTeamMode(session)) {
+      session.teams.forEach(team => {
+        team.memberIds = session.players.filter(p => p.teamId === team.id).map(p => p.id);
+      });
+    }
+
+    this._recordEvent(session, LOG_EVENTS.PLAYERS_REORDERED, { playerIds });
+    this._persist('reorderPlayers', repo => this._saveSnapshot(repo, session));
+
+    this._emitRosterUpdated(session, 'reordered');
+
+    return {
+      success: true,
+      lobby: this._lobbySummary(session)
+    };
+  }
+
+  /**
+   * Jugador nuevo con marcador, tokens y stats a cero
+   *
+   * @param {number} number - Se usa para el ID (player_N) y el color por defecto
+   * @param {Object} profile - { name, teamId, avatarColor, profileId }
+   */
+  _createPlayer(number, { name, teamId = null, avatarColor = null, profileId = null }) {
+    return {
+      id: `player_${number}`,
+      profileId,
+      name: name || `Jugador ${number}`,
+      avatarColor: avatarColor || AVATAR_COLORS[(number - 1) % AVATAR_COLORS.length],
+      teamId,
+      score: 0,
+      availableTokens: teamId ? [] : [...TOKEN_VALUES],
+      powerCards: [],
+      stats: {
+        correctAnswers: 0,
+        wrongAnswers: 0,
+        tokensWon: 0,
+        tokensLost: 0,
+        tokensUsed: [],
+        tokensRegained: 0,
+        tokensRefreshed: 0,
+        tokensSpent: { hint: 0, reroll: 0 },
+        combosCompleted: 0,
+        powerCardsUsed: 0,
+        totalComboStreak: 0
+      }
+    };
+  }
+
+  _isValidTeamSize(size) {
+    return size >= TEAM_SIZE.min && size <= TEAM_SIZE.max;
+  }
+
+  /**
+   * Código corto que no use ninguna otra sesión sin terminar
+   */
+  _generateJoinCode() {
+    let code;
+
+    do {
+      code = Array.from(
+        { length: JOIN_CODE_LENGTH },
+        () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+      ).join('');
+    } while (this._getSessionByJoinCode(code));
+
+    return code;
+  }
+
+  _getSessionByJoinCode(joinCode) {
+    if (typeof joinCode !== 'string') return null;
+
+    const code = joinCode.trim().toUpperCase();
+
+    for (const session of this.sessions.values()) {
+      if (session.joinCode === code && session.status !== 'finished') {
+        return session;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Lo que ven los móviles en la sala (sin marcador ni ronda)
+   */
+  _lobbySummary(session) {
+    return {
+      sessionId: session.id,
+      joinCode: session.joinCode,
+      status: session.status,
+      rosterOpen: ROSTER_OPEN_STATUSES.includes(session.status),
+      maxPlayers: MAX_PLAYERS,
+      players: session.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        avatarColor: p.avatarColor,
+        teamId: p.teamId
+      })),
+      teams: this._isTeamMode(session)
+        ? session.teams.map(t => ({ id: t.id, name: t.name, memberIds: [...t.memberIds] }))
+        : null
+    };
+  }
+
+  _emitRosterUpdated(session, action, playerId = null) {
+    const { players, teams } = this._lobbySummary(session);
+    this._emitEvent(session.id, GAME_EVENTS.ROSTER_UPDATED, { action, playerId, players, teams });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 📝 RESPUESTAS ESCRITAS (JUICIO AUTOMÁTICO)
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Registrar la respuesta escrita de un jugador y juzgarla contra
+   * _answer.acceptableAnswers. Una respuesta por jugador y ronda.
+   *
+   * @param {string} sessionId
+   * @param {string} playerId
+   * @param {string} answerText
+   * @returns {object} { success, correct, confidence, isFirstCorrect, elapsedMs }
+   */
+  submitAnswer(sessionId, playerId, answerText) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || !session.currentRound) {
+      return { success: false, error: 'No hay ronda activa' };
+    }
+
+    if (this._closeIfRoundExpired(session)) {
+      return { success: false, error: 'Tiempo de ronda agotado' };
+    }
+
+    const player = session.players.find(p => p.id === playerId);
+    if (!player) {
+      return { success: false, error: 'Jugador no encontrado' };
+    }
+
+    const round = session.currentRound;
+    round.answers = round.answers || {};
+
+    if (!this._isEligible(session, playerId)) {
+      return { success: false, error: 'Solo los jugadores en muerte súbita pueden responder' };
+    }
+
+    if (PowerCardEffectEngine.isBlocked(session.activeEffects, this._getScoringUnitId(session, playerId))) {
+      return { success: false, error: 'Jugador bloqueado: no puede responder esta ronda' };
+    }
+
+    if (round.answers[playerId]) {
+      return { success: false, error: 'El jugador ya respondió esta ronda' };
+    }
+
+    const turnError = this._turnRestriction(session, playerId);
+    if (turnError) {
+      return { success: false, error: turnError };
+    }
+
+    // Opción múltiple: solo vale una de las opciones (el texto o su letra)
+    const judgement = round.question.choices
+      ? this.questionService.validateChoice(answerText, { answer: round._answer.correct, choices: round.question.choices })
+      : this.questionService.validateAnswer(answerText, {
+        answer: round._answer.correct,
+        acceptableAnswers: round._answer.acceptableAnswers,
+        aliases: round._answer.aliases
+      });
+
+    if (!judgement) {
+      return { success: false, error: 'La respuesta tiene que ser una de las opciones' };
+    }
+
+    const submittedAt = new Date(this._now());
+    const elapsedMs = submittedAt.getTime() - new Date(round.startedAt).getTime();
+
+    round.answers[playerId] = {
+      answer: answerText,
+      correct: judgement.correct,
+      confidence: judgement.confidence,
+      matchMethod: judgement.method,
+      submittedAt: submittedAt.toISOString(),
+      elapsedMs
+    };
+
+    const isFirstCorrect = judgement.correct && !round.firstCorrect;
+    if (isFirstCorrect) {
+      round.firstCorrect = { playerId, elapsedMs };
+    }
+
+    console.log(`📝 ${player.name} responde "${answerText}" → ${judgement.correct ? '✅' : '❌'} (${judgement.method}, ${judgement.confidence}, ${elapsedMs}ms)`);
+
+    // Falla el jugador del turno: los demás pueden robar
+    const stealOpened = !judgement.correct && !!round.turn && round.turn.phase === 'owner';
+    if (stealOpened) {
+      round.turn.phase = 'steal';
+    }
+
+    this._recordEvent(session, LOG_EVENTS.ANSWER_SUBMITTED, { playerId, answer: answerText });
+    this._persist('submitAnswer', repo => this._saveSnapshot(repo, session));
+
+    // El resto de pantallas solo sabe que respondió, no si acertó
+    this._emitEvent(sessionId, GAME_EVENTS.ANSWER_SUBMITTED, {
+      playerId,
+      submittedAt: round.answers[playerId].submittedAt,
+      answersCount: Object.keys(round.answers).length
+    });
+
+    if (stealOpened) {
+      this._emitStealOpened(session);
+    }
+
+    return {
+      success: true,
+      playerId,
+      correct: judgement.correct,
+      confidence: judgement.confidence,
+      isFirstCorrect,
+      stealOpened,
+      elapsedMs
+    };
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // ✅ REVELAR RESPUESTA CON INTEGRACIÓN DE POWER CARDS
   // ═══════════════════════════════════════════════════════════════
 
-  revealAnswer(sessionId, winnerId = null) {
+  /**
+   * @param {string} sessionId
+   * @param {string|null} winnerId - Ganador elegido por el game master (override)
+   * @param {object} options - { auto: true } resuelve el ganador con el primer acierto,
+   *                           { timeout: true } cierra la ronda agotada sin ganador
+   */
+  revealAnswer(sessionId, winnerId = null, options = {}) {
     const session = this.sessions.get(sessionId);
 
     if (!session || !session.currentRound) {
       return { success: false, error: 'No hay ronda activa' };
     }
 
+    // Argumentos tal cual llegan: el replay vuelve a resolver el ganador igual
+    const command = { winnerId, options };
+
     const round = session.currentRound;
     const answer = round._answer;
+    const submittedAnswers = round.answers || {};
+    const autoWinnerId = round.firstCorrect ? round.firstCorrect.playerId : null;
+
+    if (winnerId && !options.timeout && !this._isEligible(session, winnerId)) {
+      return { success: false, error: 'Solo los jugadores en muerte súbita pueden ganar esta ronda' };
+    }
+
+    if (winnerId && !options.timeout && round.turn && round.turn.phase === 'owner' &&
+        this._getScoringUnitId(session, winnerId) !== round.turn.unitId) {
+      return { success: false, error: 'Antes de que otro gane hay que abrir el robo (el jugador del turno falló)' };
+    }
+
+    const undo = this._captureRevealSnapshot(session);
+
+    this._clearTimer(sessionId, 'round');
+
+    // Resolución: timeout, auto (primer acierto), override (game master corrige al juez) o game_master
+    let resolution = 'game_master';
+    if (options.timeout) {
+      winnerId = null;
+      resolution = 'timeout';
+    } else if (!winnerId && options.auto) {
+      winnerId = autoWinnerId;
+      resolution = 'auto';
+    } else if (winnerId && Object.keys(submittedAnswers).length > 0 && winnerId !== autoWinnerId) {
+      resolution = 'override';
+    }
 
     const results = {
       correctAnswer: answer.correct,
@@ -119,7 +1644,17 @@ class GameSessionService {
       basePoints: round.question.points,
       tokenBonus: 0,
       powerCardEffect: null,            // ✅ NUEVA PROP
-      comboStatus: null                 // ✅ NUEVA PROP
+      comboStatus: null,                // ✅ NUEVA PROP
+      resolution,
+      firstCorrect: round.firstCorrect || null,
+      submittedAnswers: Object.entries(submittedAnswers).map(([playerId, a]) => ({
+        playerId,
+        answer: a.answer,
+        correct: a.correct,
+        confidence: a.confidence,
+        matchMethod: a.matchMethod,
+        elapsedMs: a.elapsedMs
+      }))
     };
 
     console.log(`\n═══ REVEAL ANSWER ═══`);
@@ -134,10 +1669,17 @@ class GameSessionService {
       const winner = session.players.find(p => p.id === winnerId);
 
       if (winner) {
+        // En modo equipos puntúa el equipo: marcador, cartas y efectos son suyos
+        const unit = this._getScoringUnit(session, winnerId);
+        const ownerId = unit.id;
+
         const basePoints = round.question.points;
-        const bet = round.bets[winnerId];
+        const bet = this._findUnitBet(session, round, winnerId);
         const tokenBonus = bet ? bet.tokenValue : 0;
 
+        // Un ganador bloqueado (STOP) no puntúa: tampoco cuenta como acierto ni para combos
+        const blocked = PowerCardEffectEngine.isBlocked(session.activeEffects, ownerId);
+
         // Paso 1: Calcular puntos base con token
         let totalPoints = basePoints + tokenBonus;
 
@@ -145,9 +1687,10 @@ class GameSessionService {
         console.log(`   Base: ${basePoints} pts`);
         console.log(`   Token: +${tokenBonus} pts`);
 
-        // ✅ CORREGIDO: Registrar token ganado
-        if (tokenBonus > 0) {
-          winner.stats.tokensWon += tokenBonus;
+        // ✅ CORREGIDO: Registrar token ganado (a quien apostó)
+        if (tokenBonus > 0 && !blocked) {
+          const bettor = session.players.find(p => p.id === bet.playerId);
+          bettor.stats.tokensWon += tokenBonus;
         }
 
         // ═══════════════════════════════════════════════════════════
@@ -155,78 +1698,160 @@ class GameSessionService {
         // ═══════════════════════════════════════════════════════════
 
         const powerCardEffect = PowerCardService.applyActiveCardEffect(
-          winnerId,
-          totalPoints
+          ownerId,
+          totalPoints,
+          sessionId
         );
 
         if (powerCardEffect.cardUsed) {
           totalPoints = powerCardEffect.finalPoints;
           winner.stats.powerCardsUsed++;
 
+          const usedCardId = powerCardEffect.cardUsed.id;
+          undo.cardsUsed.push({ playerId: ownerId, cardId: usedCardId });
+          this._persist('cardUsed', repo => repo.recordCardUsed(sessionId, ownerId, usedCardId));
+
           results.powerCardEffect = {
             cardId: powerCardEffect.cardUsed.id,
             cardName: powerCardEffect.cardUsed.name,
             emoji: powerCardEffect.cardUsed.emoji,
             multiplier: powerCardEffect.multiplier,
-            basePointsBeforeCard: totalPoints / powerCardEffect.multiplier,
+            basePointsBeforeCard: powerCardEffect.basePoints,
             finalPointsAfterCard: totalPoints
           };
 
+          this._emitEvent(sessionId, GAME_EVENTS.POWER_CARD_USED, {
+            playerId: winnerId,
+            card: powerCardEffect.cardUsed,
+            effect: results.powerCardEffect
+          });
+
           console.log(`   💥 Power Card ${powerCardEffect.cardUsed.name}: x${powerCardEffect.multiplier}`);
           console.log(`   → ${totalPoints} pts (con poder)`);
         } else {
           console.log(`   Total: ${totalPoints} pts`);
         }
 
-        // ═══════════════════════════════════════════════════════════
-        // Paso 3: REGISTRAR RESPUESTA Y DETECTAR COMBOS
-        // ═══════════════════════════════════════════════════════════
-
-        console.log(`\n🔍 DEBUG COMBO - Antes de procesar:`);
-        console.log(`   Player: ${winnerId}`);
-        console.log(`   Round: ${round.roundNumber}`);
-        console.log(`   Correct answers antes: ${winner.stats.correctAnswers}`);
-
-        const comboResult = PowerCardService.processPlayerAnswer(
-          winnerId,
-          true,  // Es correcta
-          { gameSessionId: sessionId, roundNumber: round.roundNumber }
+        // Efectos de cartas usadas en rondas anteriores (DOUBLE PLATINUM, bloqueos...)
+        const roundEffects = PowerCardEffectEngine.applyRoundEffects(
+          session.activeEffects,
+          ownerId,
+          totalPoints
         );
 
-        console.log(`🔍 DEBUG COMBO - Resultado:`);
-        console.log(`   Current Streak: ${comboResult.currentStreak}`);
-        console.log(`   Combo Detected: ${comboResult.comboDetected}`);
-        console.log(`   Combo Type: ${comboResult.comboType}`);
+        if (roundEffects.applied.length > 0) {
+          results.activeEffectsApplied = roundEffects.applied.map(e => ({
+            cardId: e.cardId,
+            cardName: e.cardName,
+            sourcePlayerId: e.sourcePlayerId,
+            block: e.block
+          }));
+          results.blocked = roundEffects.blocked;
+          totalPoints = roundEffects.finalPoints;
+
+          console.log(`   🧩 Efectos activos: ${roundEffects.applied.map(e => e.cardName).join(', ')} → ${totalPoints} pts`);
+        }
 
-        // Actualizar stats de combo
-        if (comboResult.comboDetected) {
-          winner.stats.combosCompleted++;
+        // El token apostado vuelve al equipo o jugador que acierta (tokenRules.returnOnCorrect)
+        const tokenRules = this._getTokenRules(session);
 
-          results.comboStatus = {
-            type: comboResult.comboType,
-            message: comboResult.comboMessage,
-            cardAwarded: comboResult.cardAwarded
-          };
+        if (tokenRules.returnOnCorrect && bet) {
+          const [returnedToken = null] = this._returnTokens(unit, [bet.tokenValue]);
+          results.betTokenReturned = returnedToken;
 
-          console.log(`   🔥 COMBO ACTIVADO: ${comboResult.comboMessage}`);
-          console.log(`   🔥 Correct answers TOTAL: ${winner.stats.correctAnswers + 1}`);
+          if (returnedToken) {
+            const bettor = session.players.find(p => p.id === bet.playerId);
+            bettor.stats.tokensRegained = (bettor.stats.tokensRegained || 0) + 1;
+            console.log(`   🪙 Token +${returnedToken} devuelto`);
+          }
         }
 
-        // Actualizar streak en stats
-        winner.stats.totalComboStreak = comboResult.currentStreak;
+        // ═══════════════════════════════════════════════════════════
+        // Paso 3: REGISTRAR RESPUESTA Y DETECTAR COMBOS
+        // ═══════════════════════════════════════════════════════════
+
+        if (!blocked) {
+          console.log(`\n🔍 DEBUG COMBO - Antes de procesar:`);
+          console.log(`   Player: ${winnerId}`);
+          console.log(`   Round: ${round.roundNumber}`);
+          console.log(`   Correct answers antes: ${winner.stats.correctAnswers}`);
+
+          const comboResult = PowerCardService.processPlayerAnswer(
+            winnerId,
+            true,  // Es correcta
+            {
+              gameSessionId: sessionId,
+              roundNumber: round.roundNumber,
+              inventoryOwnerId: ownerId,
+              questionType: round.question.type,
+              genre: round.track.genre,
+              tokenValue: tokenBonus || null
+            }
+          );
+
+          console.log(`🔍 DEBUG COMBO - Resultado:`);
+          console.log(`   Current Streak: ${comboResult.currentStreak}`);
+          console.log(`   Combo Detected: ${comboResult.comboDetected}`);
+          console.log(`   Combo Type: ${comboResult.comboType}`);
+
+          // Actualizar stats de combo
+          if (comboResult.comboDetected) {
+            winner.stats.combosCompleted += comboResult.combos.length;
+
+            comboResult.cardsAwarded.forEach(awardedCard => {
+              undo.cardsAcquired.push({ playerId: ownerId, cardId: awardedCard.id });
+              this._persist('cardAcquired', repo => repo.recordCardAcquired(sessionId, ownerId, awardedCard));
+            });
+
+            // Recompensa en tokens (si las reglas la permiten): vuelven los de más valor
+            const tokensReturned = tokenRules.comboRewards
+              ? this._returnTokens(unit, this._missingTokens(unit).slice(0, comboResult.tokensAwarded))
+              : [];
+            winner.stats.tokensRegained = (winner.stats.tokensRegained || 0) + tokensReturned.length;
+
+            results.comboStatus = {
+              type: comboResult.comboType,
+              message: comboResult.comboMessage,
+              combos: comboResult.combos,
+              cardAwarded: comboResult.cardAwarded,
+              cardsAwarded: comboResult.cardsAwarded,
+              tokensReturned
+            };
+
+            console.log(`   🔥 COMBO ACTIVADO: ${comboResult.combos.map(c => c.message).join(' | ')}`);
+            if (tokensReturned.length > 0) {
+              console.log(`   🪙 Tokens recuperados: [${tokensReturned.join(', ')}]`);
+            }
+            console.log(`   🔥 Correct answers TOTAL: ${winner.stats.correctAnswers + 1}`);
+          }
+
+          // Actualizar streak en stats
+          winner.stats.totalComboStreak = comboResult.currentStreak;
+        }
 
-        // Sumar puntos finales
+        // Sumar puntos finales (en equipos, winner.score es lo aportado por el miembro)
         winner.score += totalPoints;
-        winner.stats.correctAnswers++;
+        if (unit !== winner) {
+          unit.score += totalPoints;
+        }
+        if (!blocked) {
+          winner.stats.correctAnswers++;
+        }
 
         // Limpiar cartas activas
-        PowerCardService.clearActiveCards(winnerId);
+        PowerCardService.clearActiveCards(ownerId, sessionId);
 
         results.winner = {
           id: winner.id,
           name: winner.name,
-          newScore: winner.score
+          newScore: unit.score
         };
+
+        if (unit !== winner) {
+          results.winner.teamId = unit.id;
+          results.winner.teamName = unit.name;
+          results.winner.contribution = winner.score;
+        }
         results.pointsAwarded = totalPoints;
         results.tokenBonus = tokenBonus;
 
@@ -243,9 +1868,9 @@ class GameSessionService {
               { gameSessionId: sessionId, roundNumber: round.roundNumber }
             );
 
-            // ✅ CORREGIDO: Registrar tokens perdidos
+            // ✅ CORREGIDO: Registrar tokens perdidos (la apuesta de un compañero del ganador no se pierde)
             const playerBet = round.bets[player.id];
-            if (playerBet && playerBet.tokenValue > 0) {
+            if (playerBet && playerBet.tokenValue > 0 && this._getScoringUnitId(session, player.id) !== ownerId) {
               player.stats.tokensLost += playerBet.tokenValue;
             }
           }
@@ -273,6 +1898,14 @@ class GameSessionService {
       });
     }
 
+    // Respuestas escritas incorrectas cuentan como fallos
+    Object.entries(submittedAnswers).forEach(([playerId, a]) => {
+      const player = session.players.find(p => p.id === playerId);
+      if (player && !a.correct && playerId !== winnerId) {
+        player.stats.wrongAnswers++;
+      }
+    });
+
     // Log estado de jugadores
     console.log(`\n📊 Estado:`);
     session.players.forEach(p => {
@@ -281,33 +1914,103 @@ class GameSessionService {
       const combos = p.stats.combosCompleted > 0 ? ` | ${p.stats.combosCompleted} combos` : '';
       console.log(`   ${p.name}: ${p.score} pts, tokens: [${p.availableTokens.join(', ')}] ${tokenUsed}${combos}`);
     });
+    if (this._isTeamMode(session)) {
+      session.teams.forEach(t => {
+        console.log(`   👥 ${t.name}: ${t.score} pts, tokens: [${t.availableTokens.join(', ')}]`);
+      });
+    }
 
     // Historial
-    session.history.push({
+    const historyEntry = {
       round: round.roundNumber,
       trackId: round.trackId,
+      trackTitle: round._answer?.trackTitle,
+      trackArtist: round._answer?.trackArtist,
+      difficulty: round._track?.difficulty || null,
+      genre: round.track.genre || null,
+      decade: round.track.decade || null,
       questionType: round.question.type,
       winner: winnerId,
+      resolution,
       pointsAwarded: results.pointsAwarded,
       comboDetected: results.comboStatus ? results.comboStatus.type : null,
       powerCardUsed: results.powerCardEffect ? results.powerCardEffect.cardName : null,
-      timestamp: new Date().toISOString()
-    });
+      timestamp: new Date(this._now()).toISOString()
+    };
+    if (this._isTeamMode(session)) {
+      historyEntry.winnerTeamId = winnerId ? this._getScoringUnitId(session, winnerId) : null;
+    }
+    if (round.turn) {
+      historyEntry.turnPlayerId = round.turn.playerId;
+      historyEntry.stolen = !!results.winner && this._getScoringUnitId(session, winnerId) !== round.turn.unitId;
+      results.turn = { playerId: round.turn.playerId, stolen: historyEntry.stolen };
+    }
+    if (round.rerolls) {
+      historyEntry.rerolls = round.rerolls;
+    }
+    if (round.eligiblePlayerIds) {
+      historyEntry.eligiblePlayerIds = round.eligiblePlayerIds;
+    }
+    if (round.adaptive) {
+      historyEntry.adaptive = round.adaptive;
+    }
+    session.history.push(historyEntry);
 
     session.currentRound = null;
+    session.activeEffects = PowerCardEffectEngine.tickRound(session.activeEffects);
+    this.revealSnapshots.set(sessionId, undo);
 
     // Verificar ganador del juego
-    const gameWinner = this._checkWinner(session);
+    let gameWinner = null;
+    let suddenDeathStarted = false;
+
+    if (round.suddenDeath) {
+      session.suddenDeath.rounds++;
+
+      if (winnerId && results.winner) {
+        const winnerUnitId = this._getScoringUnitId(session, winnerId);
+        gameWinner = this._winnerSummary(this._getCompetitors(session).find(c => c.id === winnerUnitId));
+        this._markFinished(session, {
+          reason: 'sudden_death',
+          winner: gameWinner,
+          decidedBy: 'sudden_death',
+          tiedPlayerIds: session.suddenDeath.playerIds
+        });
+      }
+    } else {
+      const outcome = this._resolveTargetScore(session);
+
+      if (outcome && outcome.winner) {
+        gameWinner = outcome.winner;
+        this._markFinished(session, { reason: 'target_score', winner: gameWinner });
+      }
+      suddenDeathStarted = !!(outcome && outcome.started);
+    }
+
+    if (session.suddenDeath && session.suddenDeath.active) {
+      results.suddenDeath = { ...session.suddenDeath };
+    }
+
+    if (round.turn && !gameWinner) {
+      results.turn.nextPlayerId = this._advanceTurn(session).id;
+    }
+
     if (gameWinner) {
-      session.status = 'finished';
       results.gameOver = true;
       results.gameWinner = gameWinner;
-      console.log(`🏆 GAME OVER - ${gameWinner.name}`);
+      results.decidedBy = session.result.decidedBy;
+      console.log(`🏆 GAME OVER - ${gameWinner.name} (${session.result.decidedBy})`);
     }
 
+    this._recordEvent(session, LOG_EVENTS.ANSWER_REVEALED, command);
+    this._persist('revealAnswer', async repo => {
+      await repo.recordRound(session, historyEntry, round.bets);
+      await this._saveSnapshot(repo, session);
+    });
+
     console.log(`═══════════════════════\n`);
 
-    return {
+    const response = {
       success: true,
       results,
       players: session.players.map(p => ({
@@ -328,6 +2031,450 @@ class GameSessionService {
         }
       }))
     };
+
+    if (this._isTeamMode(session)) {
+      response.teams = this._teamStandings(session);
+    }
+
+    this._emitEvent(sessionId, GAME_EVENTS.ANSWER_REVEALED, {
+      roundNumber: round.roundNumber,
+      results,
+      players: response.players,
+      teams: response.teams
+    });
+
+    if (suddenDeathStarted) {
+      this._emitSuddenDeath(session);
+    }
+
+    if (gameWinner) {
+      this._emitEvent(sessionId, GAME_EVENTS.GAME_OVER, {
+        winner: gameWinner,
+        reason: session.result.reason,
+        decidedBy: session.result.decidedBy
+      });
+    }
+
+    return response;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🔄 TURNOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * El game master da por fallada la respuesta del jugador del turno
+   * (respuesta en voz alta) y abre el robo a los demás
+   *
+   * @param {string} sessionId
+   * @returns {object} { success, turn }
+   */
+  openSteal(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || !session.currentRound) {
+      return { success: false, error: 'No hay ronda activa' };
+    }
+
+    const round = session.currentRound;
+
+    if (!round.turn) {
+      return { success: false, error: 'Esta ronda no es por turnos' };
+    }
+
+    if (round.turn.phase === 'steal') {
+      return { success: false, error: 'El robo ya está abierto' };
+    }
+
+    if (this._closeIfRoundExpired(session)) {
+      return { success: false, error: 'Tiempo de ronda agotado' };
+    }
+
+    round.turn.phase = 'steal';
+
+    this._recordEvent(session, LOG_EVENTS.STEAL_OPENED);
+    this._persist('openSteal', repo => this._saveSnapshot(repo, session));
+    this._emitStealOpened(session);
+
+    return {
+      success: true,
+      turn: { ...round.turn }
+    };
+  }
+
+  /**
+   * Turno de la ronda que empieza: el jugador activo y su equipo (si hay)
+   *
+   * @private
+   */
+  _createTurn(session) {
+    const player = this._getTurnPlayer(session);
+
+    return {
+      playerId: player.id,
+      unitId: this._getScoringUnitId(session, player.id),
+      phase: 'owner'
+    };
+  }
+
+  _getTurnPlayer(session) {
+    return session.players[session.currentPlayerIndex] || session.players[0];
+  }
+
+  /**
+   * Pasar el turno al siguiente jugador (en el orden de session.players)
+   *
+   * @private
+   * @returns {object} Jugador activo tras el cambio
+   */
+  _advanceTurn(session) {
+    session.currentPlayerIndex = (session.currentPlayerIndex + 1) % session.players.length;
+    return this._getTurnPlayer(session);
+  }
+
+  /**
+   * Motivo por el que el jugador no puede responder por el turno (o null)
+   *
+   * @private
+   */
+  _turnRestriction(session, playerId) {
+    const turn = session.currentRound && session.currentRound.turn;
+    if (!turn) return null;
+
+    const isOwner = this._getScoringUnitId(session, playerId) === turn.unitId;
+
+    if (turn.phase === 'owner' && !isOwner) {
+      const owner = session.players.find(p => p.id === turn.playerId);
+      return `Es el turno de ${owner ? owner.name : turn.playerId}: espera a que se abra el robo`;
+    }
+
+    if (turn.phase === 'steal' && isOwner) {
+      return 'El turno ya falló: ahora solo pueden robar los demás';
+    }
+
+    return null;
+  }
+
+  _emitStealOpened(session) {
+    const { roundNumber, turn } = session.currentRound;
+    this._emitEvent(session.id, GAME_EVENTS.STEAL_OPENED, { roundNumber, turnPlayerId: turn.playerId });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🪙 ECONOMÍA DE TOKENS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Gastar tokens en una pista o en cambiar la pregunta de la ronda.
+   * Se pagan con los tokens de menor valor del jugador (o de su equipo).
+   *
+   * - hint: se revela la siguiente pista a toda la mesa
+   * - reroll: otra pregunta (de otro tipo) sobre el mismo track; las
+   *   respuestas escritas se descartan, las apuestas se mantienen
+   *
+   * @param {string} sessionId
+   * @param {string} playerId
+   * @param {string} purpose - 'hint' | 'reroll'
+   * @returns {object} { success, spent, availableTokens, hint | question }
+   */
+  spendTokens(sessionId, playerId, purpose) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || !session.currentRound) {
+      return { success: false, error: 'No hay ronda activa' };
+    }
+
+    if (!TOKEN_PURCHASES[purpose]) {
+      return { success: false, error: `No se pueden gastar tokens en "${purpose}" (hint o reroll)` };
+    }
+
+    if (this._closeIfRoundExpired(session)) {
+      return { success: false, error: 'Tiempo de ronda agotado' };
+    }
+
+    const player = session.players.find(p => p.id === playerId);
+    if (!player) {
+      return { success: false, error: 'Jugador no encontrado' };
+    }
+
+    const cost = this._getTokenRules(session)[TOKEN_PURCHASES[purpose]];
+    if (!cost) {
+      return { success: false, error: purpose === 'hint' ? 'En esta partida las pistas no se compran' : 'En esta partida no se puede cambiar la pregunta' };
+    }
+
+    const round = session.currentRound;
+    const unit = this._getScoringUnit(session, playerId);
+
+    if (unit.availableTokens.length < cost) {
+      return { success: false, error: `Hacen falta ${cost} tokens`, availableTokens: unit.availableTokens };
+    }
+
+    const hiddenHints = (round._answer.hints || []).slice(round.question.hints.length);
+    if (purpose === 'hint' && hiddenHints.length === 0) {
+      return { success: false, error: 'No quedan pistas en esta ronda' };
+    }
+
+    // Rondas restauradas de antes de guardar el track completo
+    if (purpose === 'reroll' && !round._track) {
+      return { success: false, error: 'Esta ronda no se puede cambiar' };
+    }
+
+    if (purpose === 'reroll' && this._otherQuestionTypes(session, round).length === 0) {
+      return { success: false, error: 'No hay otro tipo de pregunta permitido para este track' };
+    }
+
+    const command = { playerId, purpose };
+    const response = { success: true, purpose };
+
+    if (purpose === 'hint') {
+      round.question.hints = [...round.question.hints, hiddenHints[0]];
+      response.hint = hiddenHints[0];
+    } else {
+      const track = round._track;
+      const otherTypes = this._otherQuestionTypes(session, round);
+      const question = this.questionService.generateQuestion(
+        track,
+        this._getRandomFromArray(otherTypes),
+        this._questionOptions(session)
+      );
+
+      Object.assign(round, this._roundQuestion(session, track, question));
+      round.answers = {};
+      round.firstCorrect = null;
+      if (round.turn) {
+        round.turn.phase = 'owner';
+      }
+
+      // Lo sorteado viaja en el evento (igual que en next_round)
+      command.question = question;
+      response.question = round.question;
+    }
+
+    const spent = [...unit.availableTokens].sort((a, b) => a - b).slice(0, cost);
+    unit.availableTokens = unit.availableTokens.filter(t => !spent.includes(t));
+    player.stats.tokensSpent = player.stats.tokensSpent || { hint: 0, reroll: 0 };
+    player.stats.tokensSpent[purpose] += spent.length;
+
+    console.log(`🪙 ${player.name} gasta [${spent.join(', ')}] en ${purpose === 'hint' ? 'una pista' : 'cambiar la pregunta'}`);
+
+    this._recordEvent(session, LOG_EVENTS.TOKENS_SPENT, command);
+    this._persist('spendTokens', repo => this._saveSnapshot(repo, session));
+
+    this._emitEvent(sessionId, GAME_EVENTS.TOKENS_SPENT, {
+      playerId,
+      purpose,
+      spent,
+      teamId: unit !== player ? unit.id : null,
+      hints: round.question.hints,
+      question: purpose === 'reroll' ? round.question : undefined
+    });
+
+    return {
+      ...response,
+      spent,
+      availableTokens: unit.availableTokens
+    };
+  }
+
+  /**
+   * Reglas de tokens de la sesión (las sesiones antiguas no las guardan)
+   *
+   * @private
+   */
+  _getTokenRules(session) {
+    return { ...DEFAULT_TOKEN_RULES, ...session.config.tokenRules };
+  }
+
+  /**
+   * Pregunta pública y respuesta oculta de una ronda. Si las pistas se
+   * compran, empiezan ocultas en _answer.hints
+   *
+   * @private
+   */
+  _roundQuestion(session, track, question) {
+    const hintsForSale = this._getTokenRules(session).hintCost > 0;
+
+    return {
+      question: {
+        type: question.type,
+        text: question.question,
+        icon: question.icon,
+        points: question.points,
+        hints: hintsForSale ? [] : question.hints,
+        isChallenge: question.isChallenge || false,
+        choices: question.choices || null
+      },
+      _answer: {
+        correct: question.answer,
+        acceptableAnswers: question.acceptableAnswers,
+        aliases: question.aliases || [],
+        hints: question.hints || [],
+        trackTitle: track.title,
+        trackArtist: track.artist
+      }
+    };
+  }
+
+  /**
+   * Tokens gastados de un jugador o equipo, los de más valor primero
+   *
+   * @private
+   */
+  _missingTokens(unit) {
+    return TOKEN_VALUES
+      .filter(value => !unit.availableTokens.includes(value))
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * Devolver tokens concretos a un jugador o equipo (ignora los que ya tiene)
+   *
+   * @private
+   * @returns {Array<number>} Tokens devueltos
+   */
+  _returnTokens(unit, values) {
+    const returned = values.filter(value => TOKEN_VALUES.includes(value) && !unit.availableTokens.includes(value));
+    unit.availableTokens = [...unit.availableTokens, ...returned].sort((a, b) => a - b);
+
+    return returned;
+  }
+
+  /**
+   * Recargar los tokens de todos al empezar las rondas N+1, 2N+1...
+   *
+   * @private
+   * @returns {boolean} ¿Hubo recarga?
+   */
+  _refreshTokensIfDue(session) {
+    const every = this._getTokenRules(session).refreshEveryRounds;
+
+    if (!every || session.round <= 1 || (session.round - 1) % every !== 0) {
+      return false;
+    }
+
+    // En equipos la recarga es del equipo: no cuenta en las stats de nadie
+    this._getCompetitors(session).forEach(competitor => {
+      const unit = this._getScoringUnit(session, competitor.id);
+      const returned = this._returnTokens(unit, this._missingTokens(unit));
+
+      if (unit.stats && returned.length > 0) {
+        unit.stats.tokensRefreshed = (unit.stats.tokensRefreshed || 0) + returned.length;
+      }
+    });
+
+    console.log(`🪙 Ronda ${session.round}: tokens recargados`);
+    return true;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ⏪ DESHACER REVELACIÓN
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Deshacer la última revelación (el game master marcó mal al ganador)
+   *
+   * Revierte puntos, tokens, stats, rachas del ComboTracker, cartas otorgadas
+   * o consumidas, efectos activos, historial y fin de partida. La ronda vuelve
+   * a quedar abierta, sin cuenta atrás, para revelarla con el ganador correcto.
+   * Solo se puede deshacer antes de que cambie algo más: siguiente ronda,
+   * power cards o deltas de puntos invalidan el snapshot.
+   *
+   * @param {string} sessionId
+   * @returns {object} { success, roundNumber, round, players, teams }
+   */
+  undoLastReveal(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      return { success: false, error: 'Sesión no encontrada' };
+    }
+
+    const undo = this.revealSnapshots.get(sessionId);
+
+    if (!undo || session.currentRound || undo.roundNumber !== session.round) {
+      return { success: false, error: 'No hay ninguna revelación que deshacer' };
+    }
+
+    if (session.result && session.result.reason === 'time_limit') {
+      return { success: false, error: 'La partida terminó por tiempo: no se puede deshacer' };
+    }
+
+    REVEAL_UNDO_FIELDS.forEach(field => {
+      if (field in undo.state) {
+        session[field] = undo.state[field];
+      } else {
+        delete session[field];
+      }
+    });
+
+    PowerCardService.restoreSession(sessionId, undo.powerCards);
+    this.revealSnapshots.delete(sessionId);
+
+    // La ronda ya se jugó: sin cuenta atrás, solo falta revelar el ganador correcto
+    session.currentRound.timeLimit = null;
+    session.currentRound.endsAt = null;
+
+    // Si la revelación había terminado la partida, vuelve a correr el reloj
+    if (session.status === 'playing') {
+      this._scheduleGameTimer(session);
+    }
+
+    this._recordEvent(session, LOG_EVENTS.REVEAL_UNDONE);
+    this._persist('undoReveal', async repo => {
+      await repo.undoRound(sessionId, undo.roundNumber, {
+        cardsAcquired: undo.cardsAcquired,
+        cardsUsed: undo.cardsUsed
+      });
+      await this._saveSnapshot(repo, session);
+    });
+
+    console.log(`⏪ Revelación deshecha: ${sessionId} ronda ${undo.roundNumber}`);
+
+    const players = session.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      score: p.score,
+      tokens: p.availableTokens.length
+    }));
+    const teams = this._isTeamMode(session) ? this._teamStandings(session) : null;
+
+    this._emitEvent(sessionId, GAME_EVENTS.REVEAL_UNDONE, {
+      roundNumber: undo.roundNumber,
+      players,
+      teams
+    });
+
+    return {
+      success: true,
+      roundNumber: undo.roundNumber,
+      round: this._gameMasterRound(session),
+      players,
+      teams
+    };
+  }
+
+  /**
+   * Copia de lo que revealAnswer va a cambiar; las cartas otorgadas y
+   * consumidas se apuntan durante la revelación para deshacerlas en BD
+   *
+   * @private
+   */
+  _captureRevealSnapshot(session) {
+    const state = {};
+
+    REVEAL_UNDO_FIELDS.forEach(field => {
+      if (session[field] !== undefined) {
+        state[field] = JSON.parse(JSON.stringify(session[field]));
+      }
+    });
+
+    return {
+      roundNumber: session.currentRound.roundNumber,
+      state,
+      powerCards: PowerCardService.snapshotSession(session.id),
+      cardsAcquired: [],
+      cardsUsed: []
+    };
   }
 
   /**
@@ -335,7 +2482,8 @@ class GameSessionService {
  * Usado por Reaction Cards (frontend-only) para mantener el backend sincronizado.
  *
  * @param {string} sessionId
- * @param {string} playerId  - ID del backend (player_1, player_2, etc.)
+ * @param {string} playerId  - ID del backend (player_1, player_2, etc.). En modo equipos
+ *                             el delta va al equipo del jugador (también acepta team_1...)
  * @param {number} delta     - positivo o negativo
  * @param {string} reason    - para logging (MANAGEMENT_FEE, BAD_REVIEW, etc.)
  */
@@ -346,7 +2494,7 @@ class GameSessionService {
       return { success: false, error: 'Sesión no encontrada' };
     }
 
-    const player = session.players.find(p => p.id === playerId);
+    const player = this._getScoringUnit(session, playerId);
 
     if (!player) {
       return { success: false, error: 'Jugador no encontrado' };
@@ -357,7 +2505,20 @@ class GameSessionService {
 
     console.log(`🎴 ${reason}: ${player.name} ${delta > 0 ? '+' : ''}${delta} (${previousScore} → ${player.score})`);
 
-    return {
+    this.revealSnapshots.delete(sessionId);
+    this._recordEvent(session, LOG_EVENTS.SCORE_DELTA, { playerId, delta, reason });
+    this._persist('applyScoreDelta', repo => this._saveSnapshot(repo, session));
+
+    this._emitEvent(sessionId, GAME_EVENTS.SCORE_DELTA, {
+      playerId: player.id,
+      teamId: this._isTeamMode(session) ? player.id : null,
+      previousScore,
+      newScore: player.score,
+      delta,
+      reason
+    });
+
+    const result = {
       success: true,
       player: {
         id: player.id,
@@ -374,6 +2535,12 @@ class GameSessionService {
         availableTokens: p.availableTokens,
       })),
     };
+
+    if (this._isTeamMode(session)) {
+      result.teams = this._teamStandings(session);
+    }
+
+    return result;
   }
 
 
@@ -391,7 +2558,7 @@ class GameSessionService {
       return { success: false, error: 'Sesión no encontrada' };
     }
 
-    const comboStatus = PowerCardService.getComboStatus(playerId);
+    const comboStatus = PowerCardService.getComboStatus(playerId, sessionId);
     const player = session.players.find(p => p.id === playerId);
 
     return {
@@ -407,14 +2574,18 @@ class GameSessionService {
   }
 
   /**
-   * Obtener inventario de cartas del jugador
+   * Obtener inventario de cartas del jugador (en modo equipos, el del equipo)
    */
-  getPlayerPowerCards(playerId) {
-    const inventory = PowerCardService.getPlayerInventory(playerId);
+  getPlayerPowerCards(sessionId, playerId) {
+    const session = this.sessions.get(sessionId);
+    const ownerId = session ? this._getScoringUnitId(session, playerId) : playerId;
+    const inventory = PowerCardService.getPlayerInventory(ownerId, sessionId);
 
     return {
       success: true,
+      sessionId,
       playerId,
+      ownerId,
       inventory,
       totalCards: Object.values(inventory).reduce((a, b) => a + b, 0)
     };
@@ -430,7 +2601,19 @@ class GameSessionService {
       return { success: false, error: 'Sesión no activa' };
     }
 
-    const result = PowerCardService.activatePowerCard(playerId, cardId, sessionId);
+    const ownerId = this._getScoringUnitId(session, playerId);
+    const result = PowerCardService.activatePowerCard(ownerId, cardId, sessionId);
+
+    if (result.success) {
+      this.revealSnapshots.delete(sessionId);
+      this._recordEvent(session, LOG_EVENTS.POWER_CARD_ACTIVATED, { playerId, cardId });
+      this._persist('activatePowerCard', repo => this._saveSnapshot(repo, session));
+      this._emitEvent(sessionId, GAME_EVENTS.POWER_CARD_USED, {
+        playerId,
+        card: { id: cardId, type: result.type, name: result.name },
+        activated: true
+      });
+    }
 
     return result;
   }
@@ -450,11 +2633,33 @@ class GameSessionService {
       return { success: false, error: 'El juego ya está en curso' };
     }
 
+    if (session.players.length === 0) {
+      return { success: false, error: 'No hay jugadores en la sala' };
+    }
+
+    if (this._isTeamMode(session) && !session.teams.every(t => this._isValidTeamSize(t.memberIds.length))) {
+      return {
+        success: false,
+        error: `Cada equipo debe tener entre ${TEAM_SIZE.min} y ${TEAM_SIZE.max} jugadores`
+      };
+    }
+
+    // A partir de aquí la lista de jugadores queda cerrada
     session.status = 'playing';
-    session.startedAt = new Date().toISOString();
+    session.startedAt = new Date(this._now()).toISOString();
+    this._scheduleGameTimer(session);
+    this._recordEvent(session, LOG_EVENTS.GAME_STARTED);
+    this._persist('startGame', repo => this._saveSnapshot(repo, session));
 
     console.log(`▶️ Juego iniciado: ${sessionId}`);
 
+    this._emitEvent(sessionId, GAME_EVENTS.SESSION_STARTED, {
+      startedAt: session.startedAt,
+      timeLimit: session.config.timeLimit,
+      players: session.players.map(p => ({ id: p.id, name: p.name, score: p.score })),
+      teams: this._isTeamMode(session) ? this._teamStandings(session) : null
+    });
+
     return {
       success: true,
       session: this._sanitizeSession(session)
@@ -472,9 +2677,26 @@ class GameSessionService {
       return { success: false, error: 'El juego no está en curso' };
     }
 
-    const winner = this._checkWinner(session);
-    if (winner) {
-      session.status = 'finished';
+    if (forcedQuestionType && !this._isQuestionTypeAllowed(session, forcedQuestionType)) {
+      return { success: false, error: `Tipo de pregunta no permitido en esta partida: ${forcedQuestionType}` };
+    }
+
+    // Instante de la petición: el replay repite las comprobaciones previas a esta hora
+    const requestedAt = this._now();
+    const command = { forcedQuestionType, track: null, question: null, startedAt: null };
+
+    // FESTIVAL o cartas de reacción pueden haber movido el marcador fuera de una ronda
+    const outcome = this._resolveTargetScore(session);
+    if (outcome && outcome.winner) {
+      const { winner } = outcome;
+      this._markFinished(session, { reason: 'target_score', winner });
+      this._recordEvent(session, LOG_EVENTS.NEXT_ROUND, command, requestedAt);
+      this._persist('nextRound', repo => this._saveSnapshot(repo, session));
+      this._emitEvent(sessionId, GAME_EVENTS.GAME_OVER, {
+        winner,
+        reason: 'target_score',
+        decidedBy: session.result.decidedBy
+      });
       return {
         success: true,
         gameOver: true,
@@ -483,34 +2705,268 @@ class GameSessionService {
       };
     }
 
+    if (outcome && outcome.started) {
+      this._emitSuddenDeath(session);
+    }
+
+    if (this._getTimeRemaining(session) === 0) {
+      const timeUp = this._expireGameTime(sessionId);
+      return {
+        success: true,
+        gameOver: true,
+        winner: timeUp ? timeUp.winner : null,
+        session: this._sanitizeSession(session)
+      };
+    }
+
     session.round++;
 
+    // Empieza otra ronda: la anterior ya no se puede deshacer
+    this.revealSnapshots.delete(sessionId);
+
+    // Dificultad adaptativa: nivel y mezcla de preguntas según las rondas anteriores
+    const adaptive = AdaptiveDifficultyService.isAdaptive(session.config)
+      ? AdaptiveDifficultyService.planRound(session.history)
+      : null;
+
     const filters = {
+      genre: this._getRandomFromArray(session.config.genres),
+      decade: this._getRandomFromArray(session.config.decades),
+      difficulty: adaptive ? adaptive.difficulty : session.config.difficulty
+    };
+
+    const { track, audioUrl, audioSource } = await this._drawTrack(session, filters);
+
+    if (!track) {
+      // La ronda ya contó (session.round++): también queda en el log
+      this._recordEvent(session, LOG_EVENTS.NEXT_ROUND, command, requestedAt);
+      return { success: false, error: 'No hay tracks disponibles' };
+    }
+
+    if (!audioUrl) {
+      console.warn(`⚠️ No se encontró audio después de ${MAX_AUDIO_RETRIES} intentos — continuando sin audio`);
+    }
+
+    console.log(`🎵 Track: "${track.title}" - ${track.artist} (${audioUrl ? audioSource : 'sin audio'})`);
+
+    // Un tipo forzado que el track no admite (sin año, sin letra...) se sortea como los demás
+    const forcedAvailable = forcedQuestionType &&
+      this.questionService.getAvailableTypes(track).includes(forcedQuestionType);
+    if (forcedQuestionType && !forcedAvailable) {
+      console.warn(`⚠️ El track no admite preguntas "${forcedQuestionType}", sorteando otro tipo`);
+    }
+
+    const question = this.questionService.generateQuestion(
+      track,
+      forcedAvailable ? forcedQuestionType : this._pickQuestionType(session, track, adaptive),
+      this._questionOptions(session)
+    );
+
+    // Recarga periódica de tokens (tokenRules.refreshEveryRounds)
+    const tokensRefreshed = this._refreshTokensIfDue(session);
+
+    session.currentRound = this._createRound(session, { track, audioUrl, audioSource }, question, {
+      filters,
+      suddenDeath: !!(outcome && outcome.suddenDeath),
+      eligiblePlayerIds: outcome && outcome.suddenDeath ? [...session.suddenDeath.playerIds] : null,
+      // La muerte súbita no tiene turno: responden todos los empatados
+      turn: session.config.turnBased && !(outcome && outcome.suddenDeath) ? this._createTurn(session) : null
+    });
+    session.activeEffects = PowerCardEffectEngine.startRound(session.activeEffects);
+    if (adaptive) {
+      session.currentRound.adaptive = { difficulty: adaptive.difficulty, adjustment: adaptive.adjustment };
+    }
+
+    this._markTrackUsed(session, track);
+    this._scheduleRoundTimer(session);
+
+    // Lo sorteado viaja en el evento para que el replay no vuelva a sortear
+    this._recordEvent(session, LOG_EVENTS.NEXT_ROUND, {
+      ...command,
+      track: { ...track, previewUrl: audioUrl, audioSource },
+      question,
+      startedAt: session.currentRound.startedAt
+    }, requestedAt);
+    this._persist('nextRound', repo => this._saveSnapshot(repo, session));
+
+    console.log(`🎵 Ronda ${session.round}: ${track.title}`);
+    console.log(`   Pregunta: ${question.type} (${question.points} pts base)`);
+    if (adaptive && adaptive.adjustment) {
+      const { from, to, reason } = adaptive.adjustment;
+      console.log(`   🎚️ Dificultad adaptativa: ${from} → ${to} (${reason})`);
+    }
+    if (session.currentRound.turn) {
+      console.log(`   🔄 Turno de ${this._getTurnPlayer(session).name}`);
+    }
+
+    // Sin _answer: los móviles de los jugadores también reciben este evento
+    this._emitEvent(sessionId, GAME_EVENTS.ROUND_STARTED, {
+      roundNumber: session.round,
+      track: session.currentRound.track,
+      question: session.currentRound.question,
+      suddenDeath: session.currentRound.suddenDeath,
+      eligiblePlayerIds: session.currentRound.eligiblePlayerIds,
+      turn: session.currentRound.turn,
+      adaptive: session.currentRound.adaptive || null,
+      tokensRefreshed,
+      timeLimit: session.currentRound.timeLimit,
+      endsAt: session.currentRound.endsAt
+    });
+
+    return {
+      success: true,
+      round: this._gameMasterRound(session)
+    };
+  }
+
+  /**
+   * Cambiar el track de la ronda en curso por otro con los mismos filtros.
+   * Las apuestas se devuelven (la ronda vuelve a empezar), las rachas no se
+   * tocan y el track descartado no vuelve a salir en la sesión.
+   *
+   * @param {string} sessionId
+   * @param {string} reason - 'no_audio' | 'duplicate' | 'inappropriate'
+   * @returns {Promise<Object>} { success, round, refundedBets }
+   */
+  async rerollRound(sessionId, reason) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || !session.currentRound) {
+      return { success: false, error: 'No hay ronda activa' };
+    }
+
+    if (!REROLL_REASONS.includes(reason)) {
+      return { success: false, error: `Motivo no válido: ${reason} (${REROLL_REASONS.join(', ')})` };
+    }
+
+    if (this._closeIfRoundExpired(session)) {
+      return { success: false, error: 'Tiempo de ronda agotado' };
+    }
+
+    const requestedAt = this._now();
+    const round = session.currentRound;
+
+    // Rondas restauradas de antes de guardar los filtros: sorteo con la config de la sesión
+    const filters = round.filters || {
       genre: this._getRandomFromArray(session.config.genres),
       decade: this._getRandomFromArray(session.config.decades),
       difficulty: session.config.difficulty
     };
 
+    const { track, audioUrl, audioSource } = await this._drawTrack(session, filters);
+
+    // La ronda pudo cerrarse (temporizador, revelación) mientras se buscaba el track
+    if (session.currentRound !== round) {
+      return { success: false, error: 'La ronda terminó antes de encontrar otro track' };
+    }
+
+    if (!track) {
+      return { success: false, error: 'No hay tracks disponibles' };
+    }
+
+    // Mismo tipo de pregunta si el track nuevo lo admite
+    const questionType = this.questionService.getAvailableTypes(track).includes(round.question.type)
+      ? round.question.type
+      : this._pickQuestionType(session, track, round.adaptive);
+    const question = this.questionService.generateQuestion(track, questionType, this._questionOptions(session));
+
+    // Apuestas devueltas: el token vuelve al bote y deja de contar como usado
+    const refundedBets = Object.entries(round.bets).map(([playerId, bet]) => {
+      const player = session.players.find(p => p.id === playerId);
+      this._returnTokens(this._getScoringUnit(session, playerId), [bet.tokenValue]);
+
+      const used = player.stats.tokensUsed.lastIndexOf(bet.tokenValue);
+      if (used !== -1) {
+        player.stats.tokensUsed.splice(used, 1);
+      }
+
+      return { playerId, tokenValue: bet.tokenValue };
+    });
+
+    session.currentRound = this._createRound(session, { track, audioUrl, audioSource }, question, {
+      filters,
+      suddenDeath: round.suddenDeath,
+      eligiblePlayerIds: round.eligiblePlayerIds,
+      // El turno sigue siendo del mismo jugador, que vuelve a responder primero
+      turn: round.turn ? { ...round.turn, phase: 'owner' } : null
+    });
+    session.currentRound.rerolls = [
+      ...(round.rerolls || []),
+      { trackId: round.trackId, reason, at: new Date(requestedAt).toISOString() }
+    ];
+    if (round.adaptive) {
+      session.currentRound.adaptive = round.adaptive;
+    }
+
+    this._markTrackUsed(session, track);
+    this._scheduleRoundTimer(session);
+
+    this._recordEvent(session, LOG_EVENTS.ROUND_REROLLED, {
+      reason,
+      track: { ...track, previewUrl: audioUrl, audioSource },
+      question,
+      startedAt: session.currentRound.startedAt
+    }, requestedAt);
+    this._persist('rerollRound', repo => this._saveSnapshot(repo, session));
+
+    console.log(`🔁 Ronda ${session.round}: track ${round.trackId} descartado (${reason}) → ${track.title}`);
+    if (refundedBets.length > 0) {
+      console.log(`   🪙 Apuestas devueltas: ${refundedBets.map(b => `${b.playerId} +${b.tokenValue}`).join(', ')}`);
+    }
+
+    this._emitEvent(sessionId, GAME_EVENTS.ROUND_REROLLED, {
+      roundNumber: session.round,
+      reason,
+      discardedTrackId: round.trackId,
+      refundedBets,
+      track: session.currentRound.track,
+      question: session.currentRound.question,
+      turn: session.currentRound.turn,
+      timeLimit: session.currentRound.timeLimit,
+      endsAt: session.currentRound.endsAt
+    });
+
+    return {
+      success: true,
+      refundedBets,
+      round: this._gameMasterRound(session)
+    };
+  }
+
+  /**
+   * Sortear un track con los filtros de la ronda, buscando su audio en Deezer
+   *
+   * @private
+   * @returns {Promise<Object>} { track, audioUrl, audioSource } (track null si no quedan)
+   */
+  async _drawTrack(session, filters) {
     // 🔄 Intentar hasta MAX_AUDIO_RETRIES veces para encontrar un track con audio
-    const MAX_AUDIO_RETRIES = 3;
     let track = null;
     let audioUrl = null;
     let audioSource = 'deezer';
 
+    // Los candidatos descartados por falta de audio tampoco se repiten en este sorteo
+    const triedTrackIds = [];
+
     for (let attempt = 1; attempt <= MAX_AUDIO_RETRIES; attempt++) {
-      const candidate = await this.trackService.getRandomTrack(filters);
+      const candidate = await this.trackService.getRandomTrack(
+        filters,
+        [...session.usedTrackIds, ...triedTrackIds]
+      );
 
       if (!candidate) {
         break; // No quedan tracks
       }
 
+      triedTrackIds.push(candidate.id);
+
       let candidateAudioUrl = candidate.previewUrl || null;
       let candidateAudioSource = candidate.audioSource || 'deezer';
 
       if (!candidateAudioUrl) {
         try {
           console.log(`🎵 [${attempt}/${MAX_AUDIO_RETRIES}] Buscando audio: "${candidate.title}" - ${candidate.artist}`);
-          const deezerResult = await DeezerService.searchTrack(candidate.title, candidate.artist);
+          const deezerResult = await this.deezerService.searchTrack(candidate.title, candidate.artist);
           if (deezerResult && deezerResult.previewUrl) {
             candidateAudioUrl = deezerResult.previewUrl;
             candidateAudioSource = 'deezer';
@@ -533,19 +2989,19 @@ class GameSessionService {
       console.warn(`⚠️ Intento ${attempt}: sin audio para "${candidate.title}", probando otro track...`);
     }
 
-    if (!track) {
-      return { success: false, error: 'No hay tracks disponibles' };
-    }
-
-    if (!audioUrl) {
-      console.warn(`⚠️ No se encontró audio después de ${MAX_AUDIO_RETRIES} intentos — continuando sin audio`);
-    }
-
-    console.log(`🎵 Track: "${track.title}" - ${track.artist} (${audioUrl ? audioSource : 'sin audio'})`);
-
-    const question = this.questionService.generateQuestion(track, forcedQuestionType);
+    return { track, audioUrl, audioSource };
+  }
 
-    session.currentRound = {
+  /**
+   * Ronda nueva con el track sorteado (la respuesta queda oculta en _answer)
+   *
+   * @private
+   * @param {Object} draw - { track, audioUrl, audioSource } de _drawTrack
+   * @param {Object} question - Pregunta generada para el track
+   * @param {Object} options - { filters, suddenDeath, eligiblePlayerIds, turn }
+   */
+  _createRound(session, { track, audioUrl, audioSource }, question, { filters, suddenDeath, eligiblePlayerIds, turn }) {
+    return {
       roundNumber: session.round,
       trackId: track.id,
       track: {
@@ -555,42 +3011,130 @@ class GameSessionService {
         audioUrl: audioUrl,
         audioSource: audioSource
       },
-      question: {
-        type: question.type,
-        text: question.question,
-        icon: question.icon,
-        points: question.points,
-        hints: question.hints,
-        isChallenge: question.isChallenge || false
-      },
-      _answer: {
-        correct: question.answer,
-        acceptableAnswers: question.acceptableAnswers,
-        trackTitle: track.title,
-        trackArtist: track.artist
-      },
+      ...this._roundQuestion(session, track, question),
+      // Track completo (oculto): lo necesita cambiar la pregunta sin otro sorteo
+      _track: track,
+      // Filtros del sorteo: cambiar el track vuelve a sortear con los mismos
+      filters,
       bets: {},
-      startedAt: new Date().toISOString(),
+      answers: {},
+      firstCorrect: null,
+      startedAt: new Date(this._now()).toISOString(),
+      suddenDeath,
+      eligiblePlayerIds,
+      turn,
+      timeLimit: session.config.roundTimeLimit || null,
+      endsAt: session.config.roundTimeLimit
+        ? new Date(this._now() + session.config.roundTimeLimit * 1000).toISOString()
+        : null,
       status: 'playing'
     };
+  }
+
+  /**
+   * Tipo de pregunta con los pesos de la sesión y la mezcla del nivel
+   * adaptativo (null si no hay ninguno: QuestionService elige con sus pesos)
+   *
+   * @private
+   */
+  _pickQuestionType(session, track, adaptive) {
+    const weights = this._questionWeights(session, adaptive);
+    return weights ? this.questionService.getRandomQuestionType(track, weights) : null;
+  }
+
+  /**
+   * Pesos de tipo de pregunta de la ronda. Con tipos de sesión y nivel
+   * adaptativo se multiplican; si no comparten ningún tipo mandan los de la sesión
+   *
+   * @private
+   */
+  _questionWeights(session, adaptive) {
+    const sessionWeights = session.config.questionTypes || null;
+    const levelWeights = adaptive ? AdaptiveDifficultyService.questionWeights(adaptive.difficulty) : null;
+
+    if (!levelWeights || !sessionWeights) {
+      return levelWeights || sessionWeights;
+    }
+
+    const combined = {};
+    Object.keys(sessionWeights).forEach(type => {
+      if (levelWeights[type]) combined[type] = sessionWeights[type] * levelWeights[type];
+    });
+
+    return Object.keys(combined).length > 0 ? combined : sessionWeights;
+  }
+
+  /**
+   * Opciones de QuestionService.generateQuestion para la sesión
+   * (opción múltiple: los distractores salen del catálogo completo)
+   *
+   * @private
+   */
+  _questionOptions(session) {
+    return session.config.answerMode === 'multiple_choice'
+      ? { multipleChoice: true, catalog: this.trackService.tracks || [] }
+      : {};
+  }
+
+  /**
+   * ¿Admite la sesión este tipo de pregunta? (sin config.questionTypes, todos)
+   *
+   * @private
+   */
+  _isQuestionTypeAllowed(session, type) {
+    const weights = session.config.questionTypes;
+    return !weights || !!weights[type];
+  }
+
+  /**
+   * Tipos a los que se puede cambiar la pregunta de la ronda (tokens de reroll)
+   *
+   * @private
+   */
+  _otherQuestionTypes(session, round) {
+    return this.questionService.getAvailableTypes(round._track)
+      .filter(type => type !== round.question.type && this._isQuestionTypeAllowed(session, type));
+  }
+
+  /**
+   * Marcar un track como usado en la sesión
+   *
+   * @private
+   */
+  _markTrackUsed(session, track) {
+    // Si el track ya estaba usado, la sesión agotó el catálogo: empezar un ciclo nuevo
+    if (session.usedTrackIds.includes(track.id)) {
+      console.log(`🔄 Sesión ${session.id}: catálogo agotado, reiniciando tracks usados`);
+      session.usedTrackIds = [];
+    }
 
     session.usedTrackIds.push(track.id);
+  }
 
-    console.log(`🎵 Ronda ${session.round}: ${track.title}`);
-    console.log(`   Pregunta: ${question.type} (${question.points} pts base)`);
+  /**
+   * Ronda actual para la consola del game master (incluye la respuesta)
+   *
+   * @private
+   */
+  _gameMasterRound(session) {
+    const round = session.currentRound;
 
     return {
-      success: true,
-      round: {
-        number: session.round,
-        track: session.currentRound.track,
-        question: session.currentRound.question,
-        gameMasterAnswer: {
-          correct: session.currentRound._answer?.correct,
-          trackTitle: session.currentRound._answer?.trackTitle,
-          trackArtist: session.currentRound._answer?.trackArtist,
-          acceptableAnswers: session.currentRound._answer?.acceptableAnswers || []
-        }
+      number: round.roundNumber,
+      track: round.track,
+      question: round.question,
+      suddenDeath: round.suddenDeath,
+      eligiblePlayerIds: round.eligiblePlayerIds,
+      turn: round.turn || null,
+      timeLimit: round.timeLimit,
+      endsAt: round.endsAt,
+      gameMasterAnswer: {
+        correct: round._answer?.correct,
+        trackTitle: round._answer?.trackTitle,
+        trackArtist: round._answer?.trackArtist,
+        acceptableAnswers: round._answer?.acceptableAnswers || [],
+        aliases: round._answer?.aliases || [],
+        hints: round._answer?.hints || round.question.hints
       }
     };
   }
@@ -602,33 +3146,57 @@ class GameSessionService {
       return { success: false, error: 'No hay ronda activa' };
     }
 
+    if (this._closeIfRoundExpired(session)) {
+      return { success: false, error: 'Tiempo de ronda agotado' };
+    }
+
     const player = session.players.find(p => p.id === playerId);
     if (!player) {
       return { success: false, error: 'Jugador no encontrado' };
     }
 
-    if (!player.availableTokens.includes(tokenValue)) {
-      console.log(`❌ Token +${tokenValue} no disponible para ${player.name}`);
-      console.log(`   Tokens disponibles: [${player.availableTokens.join(', ')}]`);
+    if (!this._isEligible(session, playerId)) {
+      return { success: false, error: 'Solo los jugadores en muerte súbita pueden apostar' };
+    }
+
+    // En modo equipos el bote de tokens es compartido: una apuesta por equipo y ronda
+    const unit = this._getScoringUnit(session, playerId);
+
+    if (unit !== player && this._findUnitBet(session, session.currentRound, playerId)) {
+      return { success: false, error: 'Tu equipo ya apostó en esta ronda' };
+    }
+
+    if (!unit.availableTokens.includes(tokenValue)) {
+      console.log(`❌ Token +${tokenValue} no disponible para ${unit.name}`);
+      console.log(`   Tokens disponibles: [${unit.availableTokens.join(', ')}]`);
       return {
         success: false,
         error: `Token +${tokenValue} ya fue usado`,
-        availableTokens: player.availableTokens
+        availableTokens: unit.availableTokens
       };
     }
 
-    console.log(`🪙 ${player.name} usa token +${tokenValue}`);
-    console.log(`   Tokens antes: [${player.availableTokens.join(', ')}]`);
+    console.log(`🪙 ${player.name} usa token +${tokenValue}${unit !== player ? ` (${unit.name})` : ''}`);
+    console.log(`   Tokens antes: [${unit.availableTokens.join(', ')}]`);
 
-    player.availableTokens = player.availableTokens.filter(t => t !== tokenValue);
+    unit.availableTokens = unit.availableTokens.filter(t => t !== tokenValue);
     player.stats.tokensUsed.push(tokenValue);
 
-    console.log(`   Tokens después: [${player.availableTokens.join(', ')}]`);
+    console.log(`   Tokens después: [${unit.availableTokens.join(', ')}]`);
 
     session.currentRound.bets[playerId] = {
       tokenValue: tokenValue,
-      usedAt: new Date().toISOString()
+      usedAt: new Date(this._now()).toISOString()
     };
+    this._recordEvent(session, LOG_EVENTS.BET_PLACED, { playerId, tokenValue });
+    this._persist('placeBet', repo => this._saveSnapshot(repo, session));
+
+    this._emitEvent(sessionId, GAME_EVENTS.BET_PLACED, {
+      playerId,
+      tokenValue,
+      teamId: unit !== player ? unit.id : null,
+      remainingTokens: unit.availableTokens.length
+    });
 
     return {
       success: true,
@@ -636,10 +3204,22 @@ class GameSessionService {
         tokens: tokenValue,           // ✅ CORREGIDO: nombre correcto para frontend
         multiplier: tokenValue
       },
-      playerTokens: player.availableTokens.length  // ✅ CORREGIDO: devolver número, no array
+      playerTokens: unit.availableTokens.length  // ✅ CORREGIDO: devolver número, no array
     };
   }
 
+  /**
+   * Usar una power card en la sesión (efecto según su bloque `effect`)
+   *
+   * @param {string} sessionId
+   * @param {string} playerId - Quien usa la carta
+   * @param {string} cardType - ID o tipo de la carta ("festival", "power_replay_001")
+   * @param {string|null} targetPlayerId - Objetivo (cartas con target 'target_player').
+   *                                        En modo equipos la carta afecta a equipos: vale
+   *                                        un miembro del equipo rival o el ID del equipo
+   *
+   * La carta sale del inventario de quien puntúa (en modo equipos, el del equipo)
+   */
   usePowerCard(sessionId, playerId, cardType, targetPlayerId = null) {
     const session = this.sessions.get(sessionId);
 
@@ -647,36 +3227,120 @@ class GameSessionService {
       return { success: false, error: 'Sesión no encontrada' };
     }
 
+    if (session.status !== 'playing') {
+      return { success: false, error: 'Sesión no activa' };
+    }
+
     const player = session.players.find(p => p.id === playerId);
     if (!player) {
       return { success: false, error: 'Jugador no encontrado' };
     }
 
-    console.log(`⚡ ${player.name} usa: ${cardType}`);
+    const card = PowerCardService.findPowerCard(cardType);
+    if (!card) {
+      return { success: false, error: `Carta ${cardType} no encontrada` };
+    }
+
+    const teamMode = this._isTeamMode(session);
+    const competitors = teamMode ? session.teams : session.players;
+    const sourceId = this._getScoringUnitId(session, playerId);
+    const targetId = targetPlayerId ? this._getScoringUnitId(session, targetPlayerId) : null;
 
-    // ─── FESTIVAL ─────────────────────────────────────────────────
-    // Efecto inmediato: +1 a todos los jugadores de la sesión.
-    if (cardType === 'power_festival_001' || cardType === 'festival') {
-      session.players.forEach(p => { p.score += 1; });
-      const affected = session.players.map(p => ({ id: p.id, name: p.name, score: p.score }));
-      console.log(`🎪 FESTIVAL: +1 a todos (${session.players.length} jugadores)`);
+    if (!PowerCardService.getPlayerInventory(sourceId, sessionId)[card.id]) {
       return {
-        success: true,
-        message: `🎪 ¡Festival! Todos los jugadores +1 pt`,
-        effect: 'festival',
-        affected,
+        success: false,
+        error: teamMode ? `Tu equipo no tiene la carta ${card.name}` : `No tienes la carta ${card.name}`
       };
     }
 
+    // Cartas dirigidas: el objetivo tiene que ser otro jugador (o equipo) de esta misma sesión
+    if (PowerCardEffectEngine.requiresTarget(card)) {
+      if (!targetPlayerId) {
+        return { success: false, error: `targetPlayerId es requerido para ${card.name}` };
+      }
+
+      if (!competitors.some(c => c.id === targetId)) {
+        return { success: false, error: `El jugador ${targetPlayerId} no está en esta sesión` };
+      }
+
+      if (targetId === sourceId) {
+        return {
+          success: false,
+          error: teamMode ? 'No puedes usar esta carta contra tu propio equipo' : 'No puedes usar esta carta contra ti mismo'
+        };
+      }
+    }
+
+    console.log(`⚡ ${player.name} usa: ${card.name}${targetPlayerId ? ` → ${targetPlayerId}` : ''}`);
+
+    let applied;
+    try {
+      applied = PowerCardEffectEngine.apply(card, {
+        players: competitors,
+        playerId: sourceId,
+        targetPlayerId: targetId,
+        activeEffects: session.activeEffects || [],
+        roundInProgress: !!session.currentRound
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    session.activeEffects = applied.activeEffects;
+    PowerCardService.removeCardFromInventory(sourceId, card.id, sessionId);
+    player.stats.powerCardsUsed++;
+    this.revealSnapshots.delete(sessionId);
+
+    if (applied.shieldedPlayerIds.length > 0) {
+      console.log(`   🛡️ Ataque cancelado por escudo: ${applied.shieldedPlayerIds.join(', ')}`);
+    }
+
+    this._recordEvent(session, LOG_EVENTS.POWER_CARD_USED, { playerId, cardType, targetPlayerId });
+    this._persist('usePowerCard', async repo => {
+      await repo.recordCardUsed(sessionId, sourceId, card.id);
+      await this._saveSnapshot(repo, session);
+    });
+
+    const affected = competitors
+      .filter(p => applied.targetPlayerIds.includes(p.id) || applied.changes.some(c => c.playerId === p.id))
+      .map(p => ({ id: p.id, name: p.name, score: p.score }));
+
+    console.log(`${card.emoji} ${card.name}: ${applied.effect.trigger} → ${applied.targetPlayerIds.join(', ')}`);
+
+    this._emitEvent(sessionId, GAME_EVENTS.POWER_CARD_USED, {
+      playerId,
+      card: { id: card.id, type: card.type, name: card.name },
+      targetPlayerId,
+      changes: applied.changes,
+      tokenChanges: applied.tokenChanges,
+      shieldedPlayerIds: applied.shieldedPlayerIds,
+      affected
+    });
+
+    const message = applied.shieldedPlayerIds.length > 0 && applied.targetPlayerIds.length === applied.shieldedPlayerIds.length
+      ? `🛡️ ${card.name} bloqueada por un escudo`
+      : `${card.emoji} ${card.name}: ${card.description}`;
+
     return {
       success: true,
-      message: `Poder ${cardType} activado`,
+      message,
+      effect: card.type,
+      trigger: applied.effect.trigger,
+      affected,
+      changes: applied.changes,
+      tokenChanges: applied.tokenChanges,
+      shieldedPlayerIds: applied.shieldedPlayerIds,
+      activeEffect: applied.activeEffect
     };
   }
 
   getStatus(sessionId) {
     const session = this.sessions.get(sessionId);
 
+    if (!session && this.unrecoverable.has(sessionId)) {
+      return { success: false, error: 'La sesión no se pudo recuperar tras el reinicio', unrecoverable: true };
+    }
+
     if (!session) {
       return { success: false, error: 'Sesión no encontrada' };
     }
@@ -687,6 +3351,30 @@ class GameSessionService {
     };
   }
 
+  /**
+   * Resumen de la partida: premios, línea de tiempo y acierto por tipo de pregunta.
+   * Sirve también a mitad de partida (resumen provisional)
+   *
+   * @param {string} sessionId
+   * @returns {Object} { success, summary }
+   */
+  getGameSummary(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      return { success: false, error: 'Sesión no encontrada' };
+    }
+
+    if (ROSTER_OPEN_STATUSES.includes(session.status)) {
+      return { success: false, error: 'La partida no ha empezado' };
+    }
+
+    return {
+      success: true,
+      summary: GameSummaryService.buildSummary(session)
+    };
+  }
+
   getAllSessions() {
     const sessions = [];
     this.sessions.forEach((session, id) => {
@@ -703,17 +3391,33 @@ class GameSessionService {
 
   deleteSession(sessionId) {
     const deleted = this.sessions.delete(sessionId);
+
+    if (deleted) {
+      this._clearTimer(sessionId);
+      this.revealSnapshots.delete(sessionId);
+      this.eventLogs.delete(sessionId);
+      PowerCardService.clearSession(sessionId);
+      this._persist('deleteSession', repo => repo.deleteSession(sessionId));
+      this.emit('session-removed', sessionId);
+    }
+
     return { success: deleted };
   }
 
   cleanupOldSessions() {
-    const twoHoursAgo = Date.now() - (2 * 60 * 60 * 1000);
+    // Solo limpia memoria: el historial en BD se conserva para estadísticas
+    const twoHoursAgo = this._now() - SESSION_TTL_MS;
     let cleaned = 0;
 
     this.sessions.forEach((session, id) => {
       const createdAt = new Date(session.createdAt).getTime();
       if (createdAt < twoHoursAgo) {
         this.sessions.delete(id);
+        this._clearTimer(id);
+        this.revealSnapshots.delete(id);
+        this.eventLogs.delete(id);
+        PowerCardService.clearSession(id);
+        this.emit('session-removed', id);
         cleaned++;
       }
     });
@@ -731,33 +3435,43 @@ class GameSessionService {
     return arr[Math.floor(Math.random() * arr.length)];
   }
 
+  /**
+   * Ganador por targetScore: el único con la puntuación más alta entre los
+   * que alcanzaron el objetivo (si hay empate en cabeza devuelve null).
+   * En modo equipos compiten los equipos
+   */
   _checkWinner(session) {
     const targetScore = session.config.targetScore;
+    const qualified = this._getCompetitors(session).filter(p => p.score >= targetScore);
 
-    for (const player of session.players) {
-      if (player.score >= targetScore) {
-        return {
-          id: player.id,
-          name: player.name,
-          score: player.score,
-          stats: player.stats  // ✅ Incluir stats
-        };
-      }
-    }
+    if (qualified.length === 0) return null;
 
-    return null;
+    const topScore = Math.max(...qualified.map(p => p.score));
+    const leaders = qualified.filter(p => p.score === topScore);
+
+    return leaders.length === 1 ? this._winnerSummary(leaders[0]) : null;
   }
 
   _sanitizeSession(session) {
     const sanitized = { ...session };
+    sanitized.timeRemaining = this._getTimeRemaining(session);
 
     if (sanitized.currentRound) {
       sanitized.currentRound = { ...sanitized.currentRound };
+      sanitized.currentRound.secondsRemaining = this._getRoundSecondsRemaining(session.currentRound);
       delete sanitized.currentRound._answer;
+      delete sanitized.currentRound._track;
+
+      // Hasta revelar, las pantallas solo saben quién respondió (no qué ni si acertó)
+      sanitized.currentRound.answeredPlayerIds = Object.keys(session.currentRound.answers || {});
+      delete sanitized.currentRound.answers;
+      delete sanitized.currentRound.firstCorrect;
     }
 
     return sanitized;
   }
 }
 
+GameSessionService.EVENTS = GAME_EVENTS;
+
 module.exports = GameSessionService;
\ No newline at end of file
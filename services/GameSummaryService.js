@@ -0,0 +1,259 @@
+/**
+ * 🏆 GAME SUMMARY SERVICE
+ *
+ * Responsabilidad: Resumen de partida a partir de la sesión
+ * - Premios (MVP, mejor apostador, racha más larga, más power cards,
+ *   canción más difícil acertada)
+ * - Línea de tiempo ronda a ronda
+ * - Acierto por jugador y tipo de pregunta
+ * - Exportación a CSV (una fila por jugador)
+ *
+ * Todo sale de session.players[].stats y session.history: no guarda
+ * estado propio, así que sirve igual para partidas en memoria, restauradas
+ * o reconstruidas desde el log.
+ */
+
+// Orden de dificultad de los tracks (POLISH_MEDIUM cuenta como MEDIUM)
+const DIFFICULTY_RANK = { EASY: 1, MEDIUM: 2, HARD: 3, EXPERT: 4 };
+
+// Columnas fijas del CSV; después van las de acierto por tipo de pregunta
+const CSV_COLUMNS = [
+  ['playerId', 'player_id'],
+  ['name', 'name'],
+  ['teamId', 'team_id'],
+  ['rank', 'rank'],
+  ['score', 'score'],
+  ['correctAnswers', 'correct_answers'],
+  ['wrongAnswers', 'wrong_answers'],
+  ['accuracy', 'accuracy'],
+  ['longestStreak', 'longest_streak'],
+  ['tokensWon', 'tokens_won'],
+  ['tokensBet', 'tokens_bet'],
+  ['powerCardsUsed', 'power_cards_used'],
+  ['combosCompleted', 'combos_completed']
+];
+
+class GameSummaryService {
+
+  // ═══════════════════════════════════════════════════════════════
+  // 📊 RESUMEN
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Resumen completo de una sesión
+   *
+   * @param {object} session - Sesión de GameSessionService
+   * @returns {object} { sessionId, status, mode, result, teams, players,
+   *                     awards, timeline, generatedAt }
+   */
+  buildSummary(session) {
+    const rounds = session.history.filter(entry => entry.type !== 'decision');
+    const nameOf = playerId => {
+      const player = session.players.find(p => p.id === playerId);
+      return player ? player.name : playerId;
+    };
+
+    const players = session.players
+      .map(player => this._playerSummary(player, rounds))
+      .sort((a, b) => b.score - a.score || b.correctAnswers - a.correctAnswers)
+      .map((player, index) => ({ rank: index + 1, ...player }));
+
+    return {
+      sessionId: session.id,
+      status: session.status,
+      mode: session.config.mode || null,
+      startedAt: session.startedAt,
+      finishedAt: session.finishedAt || null,
+      totalRounds: rounds.length,
+      result: session.result || null,
+      teams: session.teams
+        ? session.teams.map(t => ({ id: t.id, name: t.name, score: t.score, memberIds: t.memberIds }))
+        : null,
+      players,
+      awards: this._awards(players, rounds, nameOf),
+      timeline: rounds.map(entry => ({
+        round: entry.round,
+        trackId: entry.trackId,
+        trackTitle: entry.trackTitle || null,
+        trackArtist: entry.trackArtist || null,
+        difficulty: entry.difficulty || null,
+        questionType: entry.questionType,
+        winner: entry.winner ? { id: entry.winner, name: nameOf(entry.winner) } : null,
+        resolution: entry.resolution,
+        pointsAwarded: entry.pointsAwarded || 0,
+        comboDetected: entry.comboDetected,
+        powerCardUsed: entry.powerCardUsed,
+        stolen: entry.stolen,
+        rerolls: entry.rerolls,
+        timestamp: entry.timestamp
+      })),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Resumen en CSV: una fila por jugador, ordenadas por puesto
+   *
+   * @param {object} summary - Resultado de buildSummary()
+   * @returns {string}
+   */
+  toCSV(summary) {
+    const questionTypes = [...new Set(summary.timeline.map(r => r.questionType))].sort();
+    const awardsOf = playerId => Object.entries(summary.awards)
+      .filter(([, award]) => award && award.playerId === playerId)
+      .map(([key]) => key)
+      .join(' ');
+
+    const header = [
+      ...CSV_COLUMNS.map(([, column]) => column),
+      ...questionTypes.map(type => `accuracy_${type}`),
+      'awards'
+    ];
+
+    const rows = summary.players.map(player => [
+      ...CSV_COLUMNS.map(([key]) => player[key]),
+      ...questionTypes.map(type => (player.byQuestionType[type] ? player.byQuestionType[type].accuracy : '')),
+      awardsOf(player.playerId)
+    ]);
+
+    return [header, ...rows]
+      .map(row => row.map(value => this._csvValue(value)).join(','))
+      .join('\n') + '\n';
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🔧 MÉTODOS PRIVADOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Stats de un jugador, racha más larga y acierto por tipo de pregunta
+   *
+   * @private
+   */
+  _playerSummary(player, rounds) {
+    const { stats } = player;
+    const tokensBet = (stats.tokensUsed || []).reduce((sum, value) => sum + value, 0);
+
+    // Cada ronda que no gana resetea su racha (igual que en ComboTracker)
+    let streak = 0;
+    let longestStreak = 0;
+    const byQuestionType = {};
+
+    rounds.forEach(entry => {
+      const won = entry.winner === player.id;
+      streak = won ? streak + 1 : 0;
+      longestStreak = Math.max(longestStreak, streak);
+
+      // En muerte súbita solo cuentan los jugadores que podían responder
+      if (entry.eligiblePlayerIds && !entry.eligiblePlayerIds.includes(player.id)) return;
+
+      const byType = byQuestionType[entry.questionType] || { rounds: 0, correct: 0 };
+      byType.rounds++;
+      byType.correct += won ? 1 : 0;
+      byQuestionType[entry.questionType] = byType;
+    });
+
+    Object.values(byQuestionType).forEach(byType => {
+      byType.accuracy = this._ratio(byType.correct, byType.rounds);
+    });
+
+    const attempts = stats.correctAnswers + stats.wrongAnswers;
+
+    return {
+      playerId: player.id,
+      name: player.name,
+      teamId: player.teamId || null,
+      score: player.score,
+      correctAnswers: stats.correctAnswers,
+      wrongAnswers: stats.wrongAnswers,
+      accuracy: attempts > 0 ? this._ratio(stats.correctAnswers, attempts) : null,
+      longestStreak,
+      tokensWon: stats.tokensWon,
+      tokensBet,
+      powerCardsUsed: stats.powerCardsUsed,
+      combosCompleted: stats.combosCompleted,
+      byQuestionType
+    };
+  }
+
+  /**
+   * Premios de la partida (null si nadie lo merece)
+   *
+   * @private
+   */
+  _awards(players, rounds, nameOf) {
+    const best = (candidates, value) => {
+      const [top] = candidates
+        .filter(p => value(p) > 0)
+        .sort((a, b) => value(b) - value(a) || a.rank - b.rank);
+
+      return top ? { playerId: top.playerId, name: top.name, value: value(top) } : null;
+    };
+
+    const bestBettor = best(
+      players.filter(p => p.tokensBet > 0),
+      p => this._ratio(p.tokensWon, p.tokensBet)
+    );
+
+    const [hardest] = rounds
+      .filter(entry => entry.winner && entry.difficulty)
+      .sort((a, b) =>
+        this._difficultyRank(b.difficulty) - this._difficultyRank(a.difficulty) ||
+        (b.pointsAwarded || 0) - (a.pointsAwarded || 0) ||
+        a.round - b.round
+      );
+
+    return {
+      mvp: best(players, p => p.score),
+      bestBettor: bestBettor && {
+        ...bestBettor,
+        tokensWon: players.find(p => p.playerId === bestBettor.playerId).tokensWon,
+        tokensBet: players.find(p => p.playerId === bestBettor.playerId).tokensBet
+      },
+      longestStreak: best(players, p => p.longestStreak),
+      mostPowerCards: best(players, p => p.powerCardsUsed),
+      hardestSong: hardest
+        ? {
+          playerId: hardest.winner,
+          name: nameOf(hardest.winner),
+          round: hardest.round,
+          trackTitle: hardest.trackTitle || null,
+          trackArtist: hardest.trackArtist || null,
+          difficulty: hardest.difficulty
+        }
+        : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  _difficultyRank(difficulty) {
+    const level = String(difficulty).toUpperCase().split('_').pop();
+    return DIFFICULTY_RANK[level] || 0;
+  }
+
+  /**
+   * @private
+   */
+  _ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 100) / 100 : 0;
+  }
+
+  /**
+   * Valor escapado para CSV (comillas si lleva coma, comillas o salto de línea).
+   * Los textos que una hoja de cálculo leería como fórmula (los nombres los
+   * escribe cualquiera desde la sala) van precedidos de '
+   *
+   * @private
+   */
+  _csvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// ✅ Exportar como singleton
+module.exports = new GameSummaryService();
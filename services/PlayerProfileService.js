@@ -0,0 +1,453 @@
+/**
+ * 👤 PLAYER PROFILE SERVICE
+ *
+ * Responsabilidad: Perfiles de jugador persistentes entre sesiones
+ * - Crear perfiles (nombre, avatar y token del dispositivo opcional)
+ * - Resolver los perfiles de una partida antes de crearla o de entrar en la sala
+ * - Stats de por vida y rankings (todas las partidas, por mes, por género o década)
+ * - Rating Elo al terminar cada partida, su historial y equipos equilibrados
+ *
+ * Dentro de una sesión el jugador sigue siendo player_N; lleva profileId y
+ * el SessionRepository lo guarda en session_players. Las stats salen de
+ * ahí y de round_history, solo de partidas terminadas.
+ */
+
+const crypto = require('crypto');
+const { createSessionRepository } = require('./SessionRepository');
+const ratingService = require('./RatingService');
+
+const { DEFAULT_RATING } = ratingService;
+
+const LEADERBOARD_PERIODS = ['all', 'month'];
+const MAX_LEADERBOARD_SIZE = 100;
+
+class PlayerProfileService {
+  /**
+   * @param {Object} options - { repository, clock }
+   */
+  constructor(options = {}) {
+    this.repository = options.repository || createSessionRepository();
+    this.clock = options.clock || (() => Date.now());
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 👤 PERFILES
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Crear un perfil. Si el dispositivo ya tiene uno, se devuelve ese.
+   * El deviceToken nunca sale en las respuestas (ver _publicProfile)
+   *
+   * @param {Object} data - { name, avatarColor, deviceToken }
+   * @returns {Promise<Object>} { success, profile, created }
+   */
+  async createProfile({ name, avatarColor = null, deviceToken = null } = {}) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+    if (!trimmedName) {
+      return { success: false, error: 'El nombre es obligatorio' };
+    }
+
+    if (avatarColor !== null && !/^#[0-9A-F]{6}$/i.test(avatarColor)) {
+      return { success: false, error: 'Color de avatar no válido (formato #RRGGBB)' };
+    }
+
+    if (deviceToken) {
+      const existing = await this.repository.findProfileByDeviceToken(deviceToken);
+      if (existing) {
+        return { success: true, profile: this._publicProfile(existing), created: false };
+      }
+    }
+
+    const profile = {
+      id: 'profile_' + crypto.randomBytes(6).toString('hex'),
+      name: trimmedName,
+      avatarColor,
+      deviceToken: deviceToken || null,
+      rating: DEFAULT_RATING,
+      ratedGames: 0,
+      createdAt: new Date(this.clock()).toISOString()
+    };
+
+    await this.repository.saveProfile(profile);
+
+    console.log(`👤 Perfil creado: ${profile.name} (${profile.id})`);
+
+    return { success: true, profile: this._publicProfile(profile), created: true };
+  }
+
+  /**
+   * Perfil con sus stats de por vida
+   *
+   * @param {string} profileId
+   * @returns {Promise<Object>} { success, profile, stats }
+   */
+  async getProfile(profileId) {
+    const profile = await this.repository.loadProfile(profileId);
+
+    if (!profile) {
+      return { success: false, error: 'Perfil no encontrado' };
+    }
+
+    const stats = await this.repository.getProfileStats(profileId);
+    const answers = stats.correctAnswers + stats.wrongAnswers;
+
+    return {
+      success: true,
+      profile: this._publicProfile(profile),
+      stats: {
+        ...stats,
+        winRate: this._ratio(stats.gamesWon, stats.gamesPlayed),
+        accuracy: this._ratio(stats.correctAnswers, answers)
+      }
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🔗 PERFILES EN UNA PARTIDA
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Sustituir { profileId } por nombre y avatar del perfil en players y teams,
+   * para que createSession (síncrono) reciba los jugadores ya resueltos
+   *
+   * @param {Object} config - Config de createSession
+   * @returns {Promise<Object>} { success, config }
+   */
+  async resolvePlayers(config = {}) {
+    const missing = [];
+    const resolveAll = list => Promise.all(list.map(async entry => {
+      const resolved = await this._resolveEntry(entry);
+      if (resolved === null && entry && entry.profileId) missing.push(entry.profileId);
+      return resolved;
+    }));
+
+    const resolved = { ...config };
+
+    if (Array.isArray(config.players)) {
+      resolved.players = await resolveAll(config.players);
+    }
+
+    if (Array.isArray(config.teams)) {
+      resolved.teams = await Promise.all(config.teams.map(async team => (
+        team && Array.isArray(team.players) ? { ...team, players: await resolveAll(team.players) } : team
+      )));
+    }
+
+    if (missing.length > 0) {
+      return { success: false, error: `Perfil no encontrado: ${missing.join(', ')}` };
+    }
+
+    return { success: true, config: resolved };
+  }
+
+  /**
+   * Igual que resolvePlayers, para un jugador que entra en la sala
+   *
+   * @param {Object} player - { name, avatarColor, teamId, profileId }
+   * @returns {Promise<Object>} { success, player }
+   */
+  async resolvePlayer(player = {}) {
+    const result = await this.resolvePlayers({ players: [player] });
+    return result.success ? { success: true, player: result.config.players[0] } : result;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🏆 RANKINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Ranking de perfiles
+   *
+   * @param {Object} filters
+   * @param {string} filters.period - 'all' | 'month'
+   * @param {string} filters.month - 'YYYY-MM' (period month; por defecto el mes actual)
+   * @param {string} filters.genre - Ranking por rondas de ese género
+   * @param {string} filters.decade - Ranking por rondas de esa década
+   * @param {number} filters.limit - Máximo de filas (1–100)
+   * @returns {Promise<Object>} { success, filters, leaderboard: [{ rank, profileId, name, ... }] }
+   */
+  async getLeaderboard({ period = 'all', month = null, genre = null, decade = null, limit = 10 } = {}) {
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return { success: false, error: `Periodo no válido: ${period} (${LEADERBOARD_PERIODS.join(', ')})` };
+    }
+
+    const size = Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_LEADERBOARD_SIZE) {
+      return { success: false, error: `limit debe estar entre 1 y ${MAX_LEADERBOARD_SIZE}` };
+    }
+
+    let range = { from: null, to: null };
+
+    if (period === 'month') {
+      range = this._monthRange(month);
+      if (!range) {
+        return { success: false, error: 'Mes no válido (formato YYYY-MM)' };
+      }
+    }
+
+    const rows = await this.repository.getLeaderboard({
+      ...range,
+      genre: genre || null,
+      decade: decade || null,
+      limit: size
+    });
+
+    const leaderboard = rows.map((row, index) => ({
+      rank: index + 1,
+      ...row,
+      ...(row.roundsPlayed !== undefined
+        ? { accuracy: this._ratio(row.roundsWon, row.roundsPlayed) }
+        : {
+          winRate: this._ratio(row.gamesWon, row.gamesPlayed),
+          accuracy: this._ratio(row.correctAnswers, row.correctAnswers + row.wrongAnswers)
+        })
+    }));
+
+    return {
+      success: true,
+      filters: { period, ...range, genre: genre || null, decade: decade || null, limit: size },
+      leaderboard
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 📈 RATINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Actualizar el rating de los perfiles de una partida terminada según
+   * el orden final. Los jugadores sin perfil no puntúan; una partida ya
+   * puntuada no se vuelve a puntuar
+   *
+   * @param {Object} session - Sesión terminada (GameSessionService)
+   * @returns {Promise<Object>} { success, rated, changes: [{ profileId, playerId, name, rank, ratingBefore, ratingAfter, delta }] }
+   */
+  async rateGame(session) {
+    if (!session || session.status !== 'finished') {
+      return { success: false, error: 'La partida no ha terminado' };
+    }
+
+    const existing = await this.repository.loadSessionRatings(session.id);
+    if (existing.length > 0) {
+      return { success: true, rated: false, changes: existing };
+    }
+
+    const order = ratingService.finishingOrder(session).filter(entry => entry.profileId);
+    const participants = [];
+
+    for (const entry of order) {
+      const profile = await this.repository.loadProfile(entry.profileId);
+      if (!profile) continue;
+
+      participants.push({
+        ...entry,
+        id: entry.profileId,
+        name: profile.name,
+        rating: this._ratingOf(profile),
+        ratedGames: profile.ratedGames || 0
+      });
+    }
+
+    if (participants.length < 2) {
+      return { success: true, rated: false, changes: [] };
+    }
+
+    const changes = ratingService.rate(participants).map((change, index) => ({
+      profileId: change.id,
+      playerId: participants[index].playerId,
+      name: participants[index].name,
+      rank: change.rank,
+      participants: participants.length,
+      ratingBefore: change.ratingBefore,
+      ratingAfter: change.ratingAfter,
+      delta: change.delta
+    }));
+
+    await this.repository.recordRatings(session.id, changes);
+
+    console.log(`📈 Ratings actualizados (${session.id}): ${changes.map(c => `${c.name} ${c.delta >= 0 ? '+' : ''}${c.delta}`).join(', ')}`);
+
+    return { success: true, rated: true, changes };
+  }
+
+  /**
+   * Deshacer los ratings de una partida que vuelve a jugarse (undo tras el final)
+   *
+   * @param {string} sessionId
+   * @returns {Promise<Object>} { success, reverted }
+   */
+  async revertGameRatings(sessionId) {
+    const existing = await this.repository.loadSessionRatings(sessionId);
+
+    if (existing.length === 0) {
+      return { success: true, reverted: 0 };
+    }
+
+    await this.repository.revertRatings(sessionId);
+
+    console.log(`↩️ Ratings revertidos (${sessionId}): ${existing.length} perfiles`);
+
+    return { success: true, reverted: existing.length };
+  }
+
+  /**
+   * Rating actual e historial de un perfil
+   *
+   * @param {string} profileId
+   * @param {number} limit - Máximo de partidas (1–100)
+   * @returns {Promise<Object>} { success, profileId, rating, ratedGames, history }
+   */
+  async getRatingHistory(profileId, limit = 20) {
+    const profile = await this.repository.loadProfile(profileId);
+
+    if (!profile) {
+      return { success: false, error: 'Perfil no encontrado' };
+    }
+
+    const size = Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_LEADERBOARD_SIZE) {
+      return { success: false, error: `limit debe estar entre 1 y ${MAX_LEADERBOARD_SIZE}` };
+    }
+
+    return {
+      success: true,
+      profileId,
+      name: profile.name,
+      rating: this._ratingOf(profile),
+      ratedGames: profile.ratedGames || 0,
+      history: await this.repository.loadRatingHistory(profileId, size)
+    };
+  }
+
+  /**
+   * Sugerir equipos equilibrados (si se piden teams) o puntos de ventaja
+   * para una partida individual, a partir del rating de cada perfil
+   *
+   * @param {Object} options - { profileIds, teams }
+   * @returns {Promise<Object>} { success, players, teams, spread } | { success, players, handicaps }
+   */
+  async suggestBalance({ profileIds, teams = null } = {}) {
+    if (!Array.isArray(profileIds) || profileIds.length < 2) {
+      return { success: false, error: 'Se necesitan al menos 2 perfiles' };
+    }
+
+    if (new Set(profileIds).size !== profileIds.length) {
+      return { success: false, error: 'Perfiles repetidos' };
+    }
+
+    const profiles = await Promise.all(profileIds.map(id => this.repository.loadProfile(id)));
+    const missing = profileIds.filter((id, index) => !profiles[index]);
+
+    if (missing.length > 0) {
+      return { success: false, error: `Perfil no encontrado: ${missing.join(', ')}` };
+    }
+
+    const players = profiles.map(profile => ({
+      profileId: profile.id,
+      name: profile.name,
+      avatarColor: profile.avatarColor || null,
+      rating: this._ratingOf(profile)
+    }));
+
+    if (teams === null || teams === undefined) {
+      return { success: true, players, handicaps: ratingService.suggestHandicaps(players) };
+    }
+
+    const teamCount = Number(teams);
+    if (!Number.isInteger(teamCount) || teamCount < 2 || teamCount > players.length) {
+      return { success: false, error: `Número de equipos no válido (entre 2 y ${players.length})` };
+    }
+
+    const { teams: suggested, spread } = ratingService.suggestTeams(players, teamCount);
+
+    return {
+      success: true,
+      players,
+      teams: suggested.map((team, index) => ({ name: `Equipo ${index + 1}`, ...team })),
+      spread
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🔧 MÉTODOS PRIVADOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Perfil sin el deviceToken: los profileId son públicos (rankings) y el
+   * token es lo que identifica al dispositivo en createProfile
+   *
+   * @private
+   */
+  _publicProfile(profile) {
+    const publicProfile = { ...profile };
+    delete publicProfile.deviceToken;
+    return publicProfile;
+  }
+
+  /**
+   * Rating de un perfil (los perfiles anteriores a los ratings empiezan en DEFAULT_RATING)
+   *
+   * @private
+   */
+  _ratingOf(profile) {
+    return typeof profile.rating === 'number' ? profile.rating : DEFAULT_RATING;
+  }
+
+  /**
+   * Jugador de la config con los datos de su perfil (el nombre enviado manda).
+   * null si el perfil no existe
+   *
+   * @private
+   */
+  async _resolveEntry(entry) {
+    if (!entry || typeof entry !== 'object' || !entry.profileId) {
+      return entry;
+    }
+
+    const profile = await this.repository.loadProfile(entry.profileId);
+
+    if (!profile) return null;
+
+    return {
+      ...entry,
+      name: entry.name || profile.name,
+      avatarColor: entry.avatarColor || profile.avatarColor || null
+    };
+  }
+
+  /**
+   * [from, to) en ISO del mes pedido (UTC)
+   *
+   * @private
+   */
+  _monthRange(month) {
+    let year;
+    let monthIndex;
+
+    if (month) {
+      const match = /^(\d{4})-(\d{2})$/.exec(month);
+      if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+      year = Number(match[1]);
+      monthIndex = Number(match[2]) - 1;
+    } else {
+      const now = new Date(this.clock());
+      year = now.getUTCFullYear();
+      monthIndex = now.getUTCMonth();
+    }
+
+    return {
+      from: new Date(Date.UTC(year, monthIndex, 1)).toISOString(),
+      to: new Date(Date.UTC(year, monthIndex + 1, 1)).toISOString()
+    };
+  }
+
+  /**
+   * @private
+   */
+  _ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 100) / 100 : 0;
+  }
+}
+
+module.exports = PlayerProfileService;
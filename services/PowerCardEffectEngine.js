@@ -0,0 +1,338 @@
+/**
+ * 🧩 POWER CARD EFFECT ENGINE
+ *
+ * Responsabilidad: Interpretar el bloque `effect` de powerCards.json.
+ * Ninguna carta tiene lógica propia en código: para añadir una carta
+ * basta con describir su efecto en el JSON.
+ *
+ * Formato de `effect`:
+ * {
+ *   "trigger": "instant" | "next_answer" | "on_draw",
+ *   "target": "self" | "target_player" | "all_players" | "opponents",
+ *   "multiplier": 2,        // next_answer: multiplica los puntos del ganador
+ *   "flatBonus": 1,         // next_answer: suma tras multiplicar
+ *   "scoreChange": -1,      // instant / on_draw: puntos a cada objetivo
+ *   "steal": 2,             // instant: puntos que pasan del objetivo a quien la usa
+ *   "stealToken": true,     // instant: el token más alto del objetivo pasa a quien la usa
+ *   "block": true,          // instant: el objetivo no puede responder ni puntuar
+ *   "shield": true,         // instant: cancela el próximo ataque recibido
+ *   "durationRounds": 1     // rondas que dura un modificador, bloqueo o escudo
+ * }
+ *
+ * Ataque = carta con steal, stealToken, block o scoreChange negativo dirigida
+ * a otro jugador. Un escudo activo del objetivo la cancela y se consume.
+ *
+ * Los efectos que duran varias rondas se guardan en session.activeEffects:
+ * [{ cardId, cardName, sourcePlayerId, targetPlayerIds, multiplier,
+ *    flatBonus, block, shield, roundsRemaining, pending }]
+ *
+ * Un bloqueo o modificador jugado con una ronda abierta queda `pending`
+ * hasta que empieza la siguiente (startRound): "la próxima ronda" nunca es
+ * la que ya está en juego.
+ */
+
+const TRIGGERS = ['instant', 'next_answer', 'on_draw'];
+const TARGETS = ['self', 'target_player', 'all_players', 'opponents'];
+
+const DEFAULT_EFFECT = {
+  trigger: 'next_answer',
+  target: 'self',
+  multiplier: 1,
+  flatBonus: 0,
+  scoreChange: 0,
+  steal: 0,
+  stealToken: false,
+  block: false,
+  shield: false,
+  durationRounds: 1
+};
+
+class PowerCardEffectEngine {
+
+  // ═══════════════════════════════════════════════════════════════
+  // 📖 LECTURA DEL EFECTO
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Efecto normalizado de una carta (valores por defecto incluidos)
+   *
+   * @param {object} card - Carta de powerCards.json
+   * @returns {object} Efecto completo
+   */
+  getEffect(card) {
+    const effect = { ...DEFAULT_EFFECT, ...(card && card.effect) };
+
+    if (!TRIGGERS.includes(effect.trigger)) {
+      throw new Error(`Unknown effect trigger for ${card.id}: ${effect.trigger}`);
+    }
+
+    if (!TARGETS.includes(effect.target)) {
+      throw new Error(`Unknown effect target for ${card.id}: ${effect.target}`);
+    }
+
+    return effect;
+  }
+
+  /**
+   * ¿La carta necesita que se indique un jugador objetivo?
+   *
+   * @param {object} card
+   * @returns {boolean}
+   */
+  requiresTarget(card) {
+    return this.getEffect(card).target === 'target_player';
+  }
+
+  /**
+   * ¿La carta solo modifica la siguiente respuesta de quien la tiene?
+   * Son las únicas que se activan antes de responder; el resto se juega
+   * con apply (usePowerCard de la sesión)
+   *
+   * @param {object} card
+   * @returns {boolean}
+   */
+  isAnswerModifier(card) {
+    const effect = this.getEffect(card);
+
+    return effect.trigger === 'next_answer' && effect.target === 'self';
+  }
+
+  /**
+   * ¿La carta ataca a otros jugadores? (los escudos solo cancelan ataques)
+   *
+   * @param {object} effect - Efecto normalizado
+   * @returns {boolean}
+   */
+  isAttack(effect) {
+    if (effect.target === 'self') return false;
+
+    return !!(effect.steal || effect.stealToken || effect.block || effect.scoreChange < 0);
+  }
+
+  /**
+   * Resolver los jugadores afectados
+   *
+   * @param {object} effect - Efecto normalizado
+   * @param {array} players - Jugadores de la sesión [{ id }]
+   * @param {string} playerId - Quien usa la carta
+   * @param {string} targetPlayerId - Objetivo elegido (target_player)
+   * @returns {array} IDs de los jugadores afectados
+   */
+  resolveTargets(effect, players, playerId, targetPlayerId = null) {
+    switch (effect.target) {
+      case 'self':
+        return [playerId];
+      case 'all_players':
+        return players.map(p => p.id);
+      case 'opponents':
+        return players.filter(p => p.id !== playerId).map(p => p.id);
+      case 'target_player':
+        if (!targetPlayerId) {
+          throw new Error('targetPlayerId is required for this card');
+        }
+        if (!players.some(p => p.id === targetPlayerId)) {
+          throw new Error(`Target player ${targetPlayerId} is not in this session`);
+        }
+        if (targetPlayerId === playerId) {
+          throw new Error('A player cannot target themselves');
+        }
+        return [targetPlayerId];
+      default:
+        return [];
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ⚡ APLICAR EFECTOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Aplicar una carta en el momento de usarla (o de tomarla, si es on_draw)
+   *
+   * - scoreChange / steal / stealToken se aplican ya sobre los jugadores
+   * - next_answer, block y shield quedan como efecto activo para las próximas rondas
+   * - los objetivos con escudo ignoran el ataque (el escudo se consume)
+   *
+   * @param {object} card
+   * @param {object} context - { players, playerId, targetPlayerId, activeEffects, roundInProgress }
+   * @returns {object} { effect, targetPlayerIds, shieldedPlayerIds, changes,
+   *                     tokenChanges, activeEffect, activeEffects }
+   */
+  apply(card, { players, playerId, targetPlayerId = null, activeEffects = [], roundInProgress = false }) {
+    const effect = this.getEffect(card);
+    const targetPlayerIds = this.resolveTargets(effect, players, playerId, targetPlayerId);
+    const byId = id => players.find(p => p.id === id);
+    const changes = [];
+    const tokenChanges = [];
+
+    // Escudos: cada uno cancela un ataque y desaparece
+    let remainingEffects = [...activeEffects];
+    const shieldedPlayerIds = [];
+
+    if (this.isAttack(effect)) {
+      targetPlayerIds
+        .filter(id => id !== playerId)
+        .forEach(id => {
+          const shield = remainingEffects.find(e => e.shield && e.targetPlayerIds.includes(id));
+          if (shield) {
+            shieldedPlayerIds.push(id);
+            remainingEffects = remainingEffects.filter(e => e !== shield);
+          }
+        });
+    }
+
+    const hitPlayerIds = targetPlayerIds.filter(id => !shieldedPlayerIds.includes(id));
+
+    const changeScore = (player, delta) => {
+      const before = player.score;
+      player.score = Math.max(0, player.score + delta);
+      changes.push({ playerId: player.id, before, after: player.score, delta: player.score - before });
+    };
+
+    if (effect.trigger !== 'next_answer') {
+      if (effect.scoreChange) {
+        hitPlayerIds.forEach(id => changeScore(byId(id), effect.scoreChange));
+      }
+
+      if (effect.steal) {
+        const thief = byId(playerId);
+        hitPlayerIds.forEach(id => {
+          const victim = byId(id);
+          const stolen = Math.min(effect.steal, victim.score);
+          changeScore(victim, -stolen);
+          changeScore(thief, stolen);
+        });
+      }
+
+      if (effect.stealToken) {
+        const thief = byId(playerId);
+        hitPlayerIds.forEach(id => {
+          const victim = byId(id);
+
+          // El token más alto que el ladrón no tenga ya (los valores no se repiten)
+          const token = [...victim.availableTokens]
+            .sort((a, b) => b - a)
+            .find(t => !thief.availableTokens.includes(t));
+
+          if (token === undefined) return;
+
+          victim.availableTokens = victim.availableTokens.filter(t => t !== token);
+          thief.availableTokens = [...thief.availableTokens, token].sort((a, b) => a - b);
+          tokenChanges.push({ from: id, to: playerId, token });
+        });
+      }
+    }
+
+    let activeEffect = null;
+    const lingers = effect.trigger === 'next_answer' || effect.block || effect.shield;
+
+    if (lingers && hitPlayerIds.length > 0) {
+      activeEffect = {
+        cardId: card.id,
+        cardName: card.name,
+        sourcePlayerId: playerId,
+        targetPlayerIds: hitPlayerIds,
+        multiplier: effect.trigger === 'next_answer' ? effect.multiplier : 1,
+        flatBonus: effect.trigger === 'next_answer' ? effect.flatBonus : 0,
+        block: !!effect.block,
+        shield: !!effect.shield,
+        roundsRemaining: effect.durationRounds,
+        pending: roundInProgress && !effect.shield
+      };
+      remainingEffects.push(activeEffect);
+    }
+
+    return {
+      effect,
+      targetPlayerIds,
+      shieldedPlayerIds,
+      changes,
+      tokenChanges,
+      activeEffect,
+      activeEffects: remainingEffects
+    };
+  }
+
+  /**
+   * Puntos tras aplicar multiplier y flatBonus de un efecto
+   *
+   * @param {object} effect - Efecto normalizado o efecto activo
+   * @param {number} basePoints
+   * @returns {number}
+   */
+  applyToPoints(effect, basePoints) {
+    return basePoints * (effect.multiplier || 1) + (effect.flatBonus || 0);
+  }
+
+  /**
+   * Aplicar los efectos activos de la sesión a los puntos del ganador
+   *
+   * @param {array} activeEffects - session.activeEffects
+   * @param {string} playerId - Ganador de la ronda
+   * @param {number} basePoints
+   * @returns {object} { finalPoints, blocked, applied: [activeEffect] }
+   */
+  applyRoundEffects(activeEffects = [], playerId, basePoints) {
+    const affecting = activeEffects.filter(e => !e.shield && !e.pending && e.targetPlayerIds.includes(playerId));
+    const blockedBy = affecting.find(e => e.block);
+
+    if (blockedBy) {
+      return { finalPoints: 0, blocked: true, applied: [blockedBy] };
+    }
+
+    const modifiers = affecting.filter(e => !e.block);
+    const finalPoints = modifiers.reduce((points, e) => this.applyToPoints(e, points), basePoints);
+
+    return { finalPoints, blocked: false, applied: modifiers };
+  }
+
+  /**
+   * ¿Tiene el jugador un bloqueo activo?
+   *
+   * @param {array} activeEffects
+   * @param {string} playerId
+   * @returns {boolean}
+   */
+  isBlocked(activeEffects = [], playerId) {
+    return activeEffects.some(e => e.block && !e.pending && e.targetPlayerIds.includes(playerId));
+  }
+
+  /**
+   * Consumir una ronda de duración; devuelve los efectos que siguen activos
+   * (los pendientes aún no han empezado a contar)
+   *
+   * @param {array} activeEffects
+   * @returns {array}
+   */
+  tickRound(activeEffects = []) {
+    return activeEffects
+      .map(e => (e.pending ? e : { ...e, roundsRemaining: e.roundsRemaining - 1 }))
+      .filter(e => e.roundsRemaining > 0);
+  }
+
+  /**
+   * Empieza una ronda: los efectos pendientes pasan a aplicarse en ella
+   *
+   * @param {array} activeEffects
+   * @returns {array}
+   */
+  startRound(activeEffects = []) {
+    return activeEffects.map(e => (e.pending ? { ...e, pending: false } : e));
+  }
+
+  /**
+   * Descripción del efecto para la UI
+   *
+   * @param {object} card
+   * @returns {object} Efecto normalizado + description
+   */
+  describe(card) {
+    return {
+      ...this.getEffect(card),
+      description: card.description
+    };
+  }
+}
+
+// ✅ Exportar como singleton
+module.exports = new PowerCardEffectEngine();
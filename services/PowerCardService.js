@@ -5,8 +5,11 @@
  * - Cargar configuración de cartas (powerCards.json)
  * - Gestionar inventario de cartas por jugador
  * - Validar y activar cartas
- * - Integración con ComboTracker para otorgar cartas
- * - Aplicar efectos de cartas (REPLAY = x2 puntos)
+ * - Integración con ComboTracker: aplica la recompensa declarada en cada
+ *   combo (power_card aquí; tokens los devuelve para que los aplique la sesión)
+ * - Aplicar efectos de cartas (definidos en el bloque `effect` del JSON,
+ *   interpretados por PowerCardEffectEngine)
+ * - Inventarios, activaciones y rachas aislados por sesión de juego
  * 
  * ✅ CLEAN CODE: Manejo de errores, validación, métodos puros
  */
@@ -14,19 +17,23 @@
 const fs = require('fs');
 const path = require('path');
 const ComboTracker = require('./ComboTracker');
+const PowerCardEffectEngine = require('./PowerCardEffectEngine');
 
 class PowerCardService {
   constructor() {
     this.powerCardsPath = path.join(__dirname, '../data/powerCards.json');
     this.powerCardsData = this._loadPowerCardsData();
 
-    // Inventario de cartas por jugador: { playerId: { cardId: count } }
+    // Todas las claves son 'sessionId::playerId' (o solo playerId sin sesión)
+    // para que dos mesas con player_1 no compartan inventario
+
+    // Inventario de cartas por jugador: { key: { cardId: count } }
     this.playerInventory = new Map();
 
-    // Historial de cartas usadas: { playerId: [{ cardId, timestamp, effect }] }
+    // Historial de cartas usadas: { key: [{ cardId, timestamp, effect }] }
     this.usageHistory = new Map();
 
-    // Cartas activas/pendientes de usar: { playerId: { cardId, status: 'pending'|'active' } }
+    // Cartas activas/pendientes de usar: { key: { cardId, status: 'pending'|'active' } }
     this.activePowerCards = new Map();
   }
 
@@ -79,6 +86,22 @@ class PowerCardService {
     return card;
   }
 
+  /**
+   * Buscar carta por ID o por tipo (sin distinguir mayúsculas)
+   * 
+   * @param {string} idOrType - "power_festival_001", "festival", "FESTIVAL"
+   * @returns {object|null} Carta o null si no existe
+   */
+  findPowerCard(idOrType) {
+    if (!idOrType) return null;
+
+    const needle = String(idOrType).toLowerCase();
+
+    return this.powerCardsData.powerCards.find(c =>
+      c.id.toLowerCase() === needle || c.type.toLowerCase() === needle
+    ) || null;
+  }
+
   /**
    * Obtener una carta aleatoria
    * 
@@ -99,36 +122,61 @@ class PowerCardService {
    * 
    * @param {string} playerId - ID del jugador
    * @param {boolean} isCorrect - ¿Acertó?
-   * @param {object} context - Contexto adicional { gameSessionId, roundNumber }
-   * @returns {object} { comboDetected, cardAwarded, playerData }
+   * @param {object} context - Contexto adicional { gameSessionId, roundNumber, inventoryOwnerId,
+   *                           questionType, genre, tokenValue }
+   *                           inventoryOwnerId: quien recibe la carta si no es el jugador (equipo)
+   *                           questionType / genre / tokenValue: datos de la ronda para los combos
+   * @returns {object} { comboDetected, combos, cardAwarded, cardsAwarded, tokensAwarded, playerData }
    */
   processPlayerAnswer(playerId, isCorrect, context = {}) {
+    const sessionId = context.gameSessionId || null;
+    const ownerId = context.inventoryOwnerId || playerId;
+
     // 1. Registrar respuesta en ComboTracker
-    const comboResult = ComboTracker.recordAnswer(playerId, isCorrect);
+    const comboResult = ComboTracker.recordAnswer(playerId, isCorrect, sessionId, {
+      questionType: context.questionType,
+      genre: context.genre,
+      tokenValue: context.tokenValue
+    });
 
-    // 2. Si se detectó combo, otorgar power card
-    let cardAwarded = null;
+    // 2. Aplicar la recompensa de cada combo completado
+    const cardsAwarded = [];
+    let tokensAwarded = 0;
 
-    if (comboResult.comboDetected) {
-      cardAwarded = this._awardCardForCombo(playerId, comboResult.comboType);
-      console.log(`⚡ Carta otorgada a ${playerId}: ${cardAwarded.name} (${cardAwarded.id})`);
-    }
+    comboResult.combos.forEach(combo => {
+      if (combo.reward.type === 'power_card') {
+        const card = this._awardCardForCombo(ownerId, combo.reward, sessionId);
+        for (let i = 0; i < combo.reward.amount; i++) {
+          cardsAwarded.push(card);
+        }
+        console.log(`⚡ ${combo.type}: ${combo.reward.amount}x ${card.name} para ${ownerId}`);
+      } else if (combo.reward.type === 'tokens') {
+        // Los tokens viven en la sesión: los aplica GameSessionService
+        tokensAwarded += combo.reward.amount;
+        console.log(`⚡ ${combo.type}: ${combo.reward.amount} tokens para ${ownerId}`);
+      }
+    });
+
+    const describeCard = card => ({
+      id: card.id,
+      type: card.type,
+      name: card.name,
+      description: card.description,
+      emoji: card.emoji,
+      qrCode: this._generateQRForCard(card.id, ownerId)
+    });
 
     return {
       success: true,
       comboDetected: comboResult.comboDetected,
       comboType: comboResult.comboType,
       comboMessage: comboResult.comboMessage,
+      combos: comboResult.combos.map(({ id, type, name, message, reward }) => ({ id, type, name, message, reward })),
       currentStreak: comboResult.currentStreak,
-      cardAwarded: cardAwarded ? {
-        id: cardAwarded.id,
-        type: cardAwarded.type,
-        name: cardAwarded.name,
-        description: cardAwarded.description,
-        emoji: cardAwarded.emoji,
-        qrCode: this._generateQRForCard(cardAwarded.id, playerId)
-      } : null,
-      playerInventory: this.getPlayerInventory(playerId),
+      cardAwarded: cardsAwarded.length > 0 ? describeCard(cardsAwarded[0]) : null,
+      cardsAwarded: cardsAwarded.map(describeCard),
+      tokensAwarded,
+      playerInventory: this.getPlayerInventory(ownerId, sessionId),
       progressToNextCombo: comboResult.progressToNextCombo,
       context
     };
@@ -136,54 +184,46 @@ class PowerCardService {
 
   /**
    * Obtener estado actual de combo de un jugador
-   * Usado para mostrar en la UI: "Necesitas 1 más para Hit Master"
+   * Usado para mostrar en la UI: "¡Una más para Hot Streak: +2 tokens!"
    * 
    * @param {string} playerId
+   * @param {string} sessionId - ID de sesión de juego (opcional)
    * @returns {object} Estado del combo
    */
-  getComboStatus(playerId) {
-    const streak = ComboTracker.getPlayerStreak(playerId);
+  getComboStatus(playerId, sessionId = null) {
+    const streak = ComboTracker.getPlayerStreak(playerId, sessionId);
+    const nextCombo = ComboTracker.getNextStreakCombo(streak.streak);
+    const comboReached = nextCombo !== null && nextCombo.remaining === 0;
 
     return {
       playerId,
+      sessionId,
       currentStreak: streak.streak,
-      isHitMaster: streak.streak >= 3,
+      isHitMaster: comboReached,
       nextComboIn: streak.nextComboIn,
-      message: this._generateComboMessage(streak.streak),
-      canDrawCard: streak.streak >= 3 && !this._hasRecentlyDrawnCard(playerId)
+      message: this._generateComboMessage(streak.streak, nextCombo),
+      // Solo se toma carta si la recompensa declarada del combo es una carta
+      canDrawCard: comboReached &&
+        nextCombo.reward.type === 'power_card' &&
+        !this._hasRecentlyDrawnCard(playerId, sessionId)
     };
   }
 
   /**
-   * Otorgar carta por combo (uso interno)
+   * Otorgar las cartas de una recompensa power_card (uso interno)
    * 
    * @private
+   * @param {object} reward - { type: 'power_card', cardType | cardId, amount }
+   * @returns {object} Carta otorgada
    */
-  _awardCardForCombo(playerId, comboType) {
-    let cardToAward;
-
-    switch (comboType) {
-      case 'HOT_STREAK':
-        // Para Hot Streak otorgamos la carta REPLAY
-        cardToAward = this.getPowerCardByType('replay');
-        break;
-      case 'DOUBLE_HIT':
-        // Para DOUBLE_HIT, dos cartas
-        cardToAward = this.getPowerCardByType('replay');
-        // En el futuro podríamos otorgar otra carta adicional
-        break;
-      case 'TRIPLE_HIT':
-        cardToAward = this.getPowerCardByType('replay');
-        break;
-      default:
-        return null;
-    }
+  _awardCardForCombo(playerId, reward, sessionId = null) {
+    const cardToAward = this.findPowerCard(reward.cardId || reward.cardType);
 
     // Añadir a inventario del jugador
-    this.addCardToInventory(playerId, cardToAward.id);
+    this.addCardToInventory(playerId, cardToAward.id, reward.amount, sessionId);
 
     // Marcar última carta otorgada
-    this._recordCardAwarded(playerId, cardToAward.id);
+    this._recordCardAwarded(playerId, cardToAward.id, sessionId);
 
     return cardToAward;
   }
@@ -196,10 +236,11 @@ class PowerCardService {
    * Obtener inventario de un jugador
    * 
    * @param {string} playerId
+   * @param {string} sessionId - ID de sesión de juego (opcional)
    * @returns {object} { cardId: count, ... }
    */
-  getPlayerInventory(playerId) {
-    return this.playerInventory.get(playerId) || {};
+  getPlayerInventory(playerId, sessionId = null) {
+    return this.playerInventory.get(this._key(playerId, sessionId)) || {};
   }
 
   /**
@@ -208,13 +249,16 @@ class PowerCardService {
    * @param {string} playerId
    * @param {string} cardId
    * @param {number} count - Cuántas cartas (default 1)
+   * @param {string} sessionId - ID de sesión de juego (opcional)
    */
-  addCardToInventory(playerId, cardId, count = 1) {
-    if (!this.playerInventory.has(playerId)) {
-      this.playerInventory.set(playerId, {});
+  addCardToInventory(playerId, cardId, count = 1, sessionId = null) {
+    const key = this._key(playerId, sessionId);
+
+    if (!this.playerInventory.has(key)) {
+      this.playerInventory.set(key, {});
     }
 
-    const inventory = this.playerInventory.get(playerId);
+    const inventory = this.playerInventory.get(key);
     inventory[cardId] = (inventory[cardId] || 0) + count;
 
     console.log(`✅ ${playerId} obtuvo ${count}x ${cardId}`);
@@ -225,10 +269,11 @@ class PowerCardService {
    * 
    * @param {string} playerId
    * @param {string} cardId
+   * @param {string} sessionId - ID de sesión de juego (opcional)
    * @returns {boolean} Si se removió exitosamente
    */
-  removeCardFromInventory(playerId, cardId) {
-    const inventory = this.playerInventory.get(playerId);
+  removeCardFromInventory(playerId, cardId, sessionId = null) {
+    const inventory = this.playerInventory.get(this._key(playerId, sessionId));
 
     if (!inventory || !inventory[cardId] || inventory[cardId] <= 0) {
       throw new Error(`Player ${playerId} doesn't have card ${cardId}`);
@@ -248,13 +293,22 @@ class PowerCardService {
   /**
    * Obtener inventarios de todos los jugadores
    * 
-   * @returns {object} { playerId: { cardId: count } }
+   * @param {string} sessionId - Si se indica, solo los jugadores de esa sesión
+   * @returns {object} { playerId: { cardId: count } } (con sesión) o { key: {...} } (sin sesión)
    */
-  getAllInventories() {
+  getAllInventories(sessionId = null) {
     const allInventories = {};
 
-    this.playerInventory.forEach((inventory, playerId) => {
-      allInventories[playerId] = inventory;
+    this.playerInventory.forEach((inventory, key) => {
+      if (!sessionId) {
+        allInventories[key] = inventory;
+        return;
+      }
+
+      const parsed = this._parseKey(key);
+      if (parsed.sessionId === sessionId) {
+        allInventories[parsed.playerId] = inventory;
+      }
     });
 
     return allInventories;
@@ -266,7 +320,9 @@ class PowerCardService {
 
   /**
    * Activar una power card antes de una respuesta
-   * El Game Master escanea el QR de la carta física
+   * El Game Master escanea el QR de la carta física.
+   * Solo valen modificadores de la respuesta propia (REPLAY); el resto
+   * de cartas se juegan con usePowerCard de GameSessionService
    * 
    * @param {string} playerId
    * @param {string} cardId - ID de la carta (del QR)
@@ -276,7 +332,7 @@ class PowerCardService {
   activatePowerCard(playerId, cardId, sessionId) {
     try {
       // 1. Validar que el jugador tiene la carta
-      const inventory = this.getPlayerInventory(playerId);
+      const inventory = this.getPlayerInventory(playerId, sessionId);
       if (!inventory[cardId] || inventory[cardId] <= 0) {
         throw new Error(`Player ${playerId} doesn't have card ${cardId}`);
       }
@@ -284,12 +340,19 @@ class PowerCardService {
       // 2. Obtener datos de la carta
       const card = this.getPowerCardById(cardId);
 
+      // Activar una carta que no modifica la respuesta la gastaría sin efecto
+      if (!PowerCardEffectEngine.isAnswerModifier(card)) {
+        throw new Error(`Card ${cardId} cannot be activated before an answer: play it from the game session`);
+      }
+
       // 3. Crear activación
-      if (!this.activePowerCards.has(playerId)) {
-        this.activePowerCards.set(playerId, {});
+      const key = this._key(playerId, sessionId);
+
+      if (!this.activePowerCards.has(key)) {
+        this.activePowerCards.set(key, {});
       }
 
-      this.activePowerCards.get(playerId)[cardId] = {
+      this.activePowerCards.get(key)[cardId] = {
         status: 'active',
         activatedAt: new Date().toISOString(),
         sessionId,
@@ -304,7 +367,7 @@ class PowerCardService {
         cardId,
         type: card.type,
         name: card.name,
-        effect: this._getCardEffect(card.type),
+        effect: this._getCardEffect(card),
         message: `${card.emoji} ${card.name} activada`,
         sessionId
       };
@@ -323,18 +386,20 @@ class PowerCardService {
    * Aplicar efecto de carta activa a puntos
    * Usado en revealAnswer del GameSessionService
    * 
-   * Ejemplo: si carta es REPLAY, multiplica puntos por 2
+   * Ejemplo: REPLAY tiene { multiplier: 2 } → multiplica puntos por 2
    * 
    * @param {string} playerId
    * @param {number} basePoints - Puntos sin modificar
-   * @returns {object} { finalPoints, multiplier, cardUsed }
+   * @param {string} sessionId - ID de sesión de juego (opcional)
+   * @returns {object} { finalPoints, basePoints, multiplier, cardUsed }
    */
-  applyActiveCardEffect(playerId, basePoints) {
-    const activeCards = this.activePowerCards.get(playerId);
+  applyActiveCardEffect(playerId, basePoints, sessionId = null) {
+    const activeCards = this.activePowerCards.get(this._key(playerId, sessionId));
 
     if (!activeCards) {
       return {
         finalPoints: basePoints,
+        basePoints,
         multiplier: 1,
         cardUsed: null
       };
@@ -344,28 +409,27 @@ class PowerCardService {
     for (const [cardId, cardData] of Object.entries(activeCards)) {
       if (cardData.status === 'active' && !cardData.effectApplied) {
         const card = this.getPowerCardById(cardId);
-        const effect = this._getCardEffect(card.type);
-
-        let finalPoints = basePoints;
-        let multiplier = 1;
+        const effect = PowerCardEffectEngine.getEffect(card);
 
-        // Aplicar efecto según tipo de carta
-        if (card.type === 'replay' || card.type === 'double_platinum') {
-          multiplier = 2;
-          finalPoints = basePoints * 2;
-        }
+        // Solo los modificadores de respuesta cambian los puntos del ganador
+        const isModifier = effect.trigger === 'next_answer';
+        const multiplier = isModifier ? effect.multiplier : 1;
+        const finalPoints = isModifier
+          ? PowerCardEffectEngine.applyToPoints(effect, basePoints)
+          : basePoints;
 
         // Marcar como usado y remover de inventario
         cardData.effectApplied = true;
-        this.removeCardFromInventory(playerId, cardId);
+        this.removeCardFromInventory(playerId, cardId, sessionId);
 
         // Registrar uso
-        this._recordCardUsage(playerId, cardId, { basePoints, finalPoints, multiplier });
+        this._recordCardUsage(playerId, cardId, { basePoints, finalPoints, multiplier }, sessionId);
 
         console.log(`⚡ ${playerId}: Carta ${card.name} aplicada (${basePoints} → ${finalPoints})`);
 
         return {
           finalPoints,
+          basePoints,
           multiplier,
           cardUsed: {
             id: cardId,
@@ -380,6 +444,7 @@ class PowerCardService {
 
     return {
       finalPoints: basePoints,
+      basePoints,
       multiplier: 1,
       cardUsed: null
     };
@@ -389,9 +454,10 @@ class PowerCardService {
    * Limpiar cartas activas después de procesar respuesta
    * 
    * @param {string} playerId
+   * @param {string} sessionId - ID de sesión de juego (opcional)
    */
-  clearActiveCards(playerId) {
-    this.activePowerCards.delete(playerId);
+  clearActiveCards(playerId, sessionId = null) {
+    this.activePowerCards.delete(this._key(playerId, sessionId));
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -429,16 +495,90 @@ class PowerCardService {
    * Resetear datos de un jugador (fin de sesión)
    * 
    * @param {string} playerId
+   * @param {string} sessionId - ID de sesión de juego (opcional)
    */
-  clearPlayerData(playerId) {
-    this.playerInventory.delete(playerId);
-    this.usageHistory.delete(playerId);
-    this.activePowerCards.delete(playerId);
-    ComboTracker.clearPlayerData(playerId);
+  clearPlayerData(playerId, sessionId = null) {
+    const key = this._key(playerId, sessionId);
+
+    this.playerInventory.delete(key);
+    this.usageHistory.delete(key);
+    this.activePowerCards.delete(key);
+    ComboTracker.clearPlayerData(playerId, sessionId);
 
     console.log(`🧹 ${playerId}: Datos limpiados`);
   }
 
+  /**
+   * Resetear todos los datos de una sesión (deleteSession / cleanup)
+   * 
+   * @param {string} sessionId
+   */
+  clearSession(sessionId) {
+    [this.playerInventory, this.usageHistory, this.activePowerCards].forEach(store => {
+      store.forEach((value, key) => {
+        if (this._parseKey(key).sessionId === sessionId) {
+          store.delete(key);
+        }
+      });
+    });
+    ComboTracker.clearSession(sessionId);
+
+    console.log(`🧹 Sesión ${sessionId}: Power Cards limpiadas`);
+  }
+
+  /**
+   * Copia del estado de cartas y rachas de una sesión (deshacer revelación)
+   *
+   * @param {string} sessionId
+   * @returns {object} { inventories, usageHistory, activeCards, streaks }
+   */
+  snapshotSession(sessionId) {
+    const copyStore = store => {
+      const copy = {};
+      store.forEach((value, key) => {
+        const parsed = this._parseKey(key);
+        if (parsed.sessionId === sessionId) {
+          copy[parsed.playerId] = JSON.parse(JSON.stringify(value));
+        }
+      });
+      return copy;
+    };
+
+    return {
+      inventories: copyStore(this.playerInventory),
+      usageHistory: copyStore(this.usageHistory),
+      activeCards: copyStore(this.activePowerCards),
+      streaks: ComboTracker.snapshotSession(sessionId)
+    };
+  }
+
+  /**
+   * Volver al estado de cartas y rachas de un snapshot
+   *
+   * @param {string} sessionId
+   * @param {object} snapshot - Resultado de snapshotSession()
+   */
+  restoreSession(sessionId, snapshot) {
+    const restoreStore = (store, entries = {}) => {
+      store.forEach((value, key) => {
+        if (this._parseKey(key).sessionId === sessionId) {
+          store.delete(key);
+        }
+      });
+
+      Object.entries(entries).forEach(([playerId, value]) => {
+        store.set(this._key(playerId, sessionId), JSON.parse(JSON.stringify(value)));
+      });
+    };
+
+    restoreStore(this.playerInventory, snapshot.inventories);
+    restoreStore(this.usageHistory, snapshot.usageHistory);
+    restoreStore(this.activePowerCards, snapshot.activeCards);
+    ComboTracker.restoreSession(sessionId, snapshot.streaks);
+
+    console.log(`⏪ Sesión ${sessionId}: Power Cards restauradas`);
+  }
+
   /**
    * Resetear todo
    */
@@ -455,6 +595,33 @@ class PowerCardService {
   // 🔧 MÉTODOS PRIVADOS
   // ═══════════════════════════════════════════════════════════════
 
+  /**
+   * Construir clave de jugador con namespace de sesión
+   * 
+   * @private
+   */
+  _key(playerId, sessionId = null) {
+    return sessionId ? `${sessionId}::${playerId}` : playerId;
+  }
+
+  /**
+   * Separar una clave en { sessionId, playerId }
+   * 
+   * @private
+   */
+  _parseKey(key) {
+    const separator = key.indexOf('::');
+
+    if (separator === -1) {
+      return { sessionId: null, playerId: key };
+    }
+
+    return {
+      sessionId: key.substring(0, separator),
+      playerId: key.substring(separator + 2)
+    };
+  }
+
   /**
    * Cargar datos de powerCards.json
    * 
@@ -472,6 +639,20 @@ class PowerCardService {
         throw new Error('Invalid powerCards.json structure: missing powerCards array');
       }
 
+      // Un efecto mal escrito falla al arrancar, no en mitad de una partida
+      data.powerCards.forEach(card => PowerCardEffectEngine.getEffect(card));
+
+      // Igual que una recompensa de combo con una carta que no existe
+      (data.combos || [])
+        .filter(combo => combo.reward && combo.reward.type === 'power_card')
+        .forEach(combo => {
+          const { cardId, cardType } = combo.reward;
+          const needle = String(cardId || cardType).toLowerCase();
+          if (!data.powerCards.some(c => c.id.toLowerCase() === needle || c.type.toLowerCase() === needle)) {
+            throw new Error(`Combo ${combo.id} rewards an unknown power card: ${cardId || cardType}`);
+          }
+        });
+
       console.log(`✅ Power Cards cargadas: ${data.powerCards.length} cartas`);
 
       return data;
@@ -483,19 +664,12 @@ class PowerCardService {
   }
 
   /**
-   * Obtener efecto de una carta por tipo
+   * Obtener efecto declarado de una carta (ver PowerCardEffectEngine)
    * 
    * @private
    */
-  _getCardEffect(cardType) {
-    const effects = {
-      replay: { multiplier: 2, description: 'Próxima respuesta vale 2x' },
-      festival: { allPlayersBonus: 1, description: 'Todos los jugadores +1 pt' },
-      double_platinum: { multiplier: 2, description: 'Próxima ronda vale 2x para quien responda' },
-      label_fee: { scoreChange: -1, description: 'Pierdes 1 punto al tomar esta carta' },
-    };
-
-    return effects[cardType] || { description: 'Efecto desconocido' };
+  _getCardEffect(card) {
+    return PowerCardEffectEngine.describe(card);
   }
 
   /**
@@ -512,12 +686,14 @@ class PowerCardService {
    * 
    * @private
    */
-  _recordCardUsage(playerId, cardId, details = {}) {
-    if (!this.usageHistory.has(playerId)) {
-      this.usageHistory.set(playerId, []);
+  _recordCardUsage(playerId, cardId, details = {}, sessionId = null) {
+    const key = this._key(playerId, sessionId);
+
+    if (!this.usageHistory.has(key)) {
+      this.usageHistory.set(key, []);
     }
 
-    this.usageHistory.get(playerId).push({
+    this.usageHistory.get(key).push({
       cardId,
       timestamp: new Date().toISOString(),
       details
@@ -529,13 +705,15 @@ class PowerCardService {
    * 
    * @private
    */
-  _recordCardAwarded(playerId, cardId) {
+  _recordCardAwarded(playerId, cardId, sessionId = null) {
+    const key = this._key(playerId, sessionId);
+
     // Registrar en historial para evitar otorgar múltiples veces
-    if (!this.usageHistory.has(playerId)) {
-      this.usageHistory.set(playerId, []);
+    if (!this.usageHistory.has(key)) {
+      this.usageHistory.set(key, []);
     }
 
-    this.usageHistory.get(playerId).push({
+    this.usageHistory.get(key).push({
       cardId,
       event: 'awarded',
       timestamp: new Date().toISOString()
@@ -543,22 +721,46 @@ class PowerCardService {
   }
 
   /**
-   * Generar mensaje de combo según racha
+   * Generar mensaje de combo según racha y la recompensa declarada del
+   * siguiente combo de racha (ver ComboTracker.getNextStreakCombo)
    * 
    * @private
    */
-  _generateComboMessage(streak) {
+  _generateComboMessage(streak, nextCombo = null) {
     if (streak === 0) {
       return '¡Comienza tu racha! Acerta la siguiente pregunta.';
-    } else if (streak === 1) {
-      return '🔥 1 correcta - ¡Vamos! 2 más para Hit Master';
-    } else if (streak === 2) {
-      return '🔥🔥 2 correctas - ¡Una más para poder tomar una carta!';
-    } else if (streak === 3) {
-      return '🔥🔥🔥 ¡HIT MASTER! Puedes tomar una carta del mazo';
-    } else if (streak >= 4) {
+    }
+
+    if (!nextCombo || streak > nextCombo.milestone) {
       return `🔥 Racha en ${streak} - ¡Sigue así!`;
     }
+
+    const reward = this._describeComboReward(nextCombo.reward);
+
+    if (nextCombo.remaining === 0) {
+      return `${nextCombo.emoji} ¡${nextCombo.name.toUpperCase()}! ${reward}`;
+    }
+
+    const flames = '🔥'.repeat(Math.min(streak, 3));
+    const correct = streak === 1 ? '1 correcta' : `${streak} correctas`;
+    const missing = nextCombo.remaining === 1 ? '¡Una más' : `¡${nextCombo.remaining} más`;
+
+    return `${flames} ${correct} - ${missing} para ${nextCombo.name}: ${reward}!`;
+  }
+
+  /**
+   * Texto de una recompensa de combo: "+2 tokens", "1x Replay"...
+   * 
+   * @private
+   */
+  _describeComboReward(reward) {
+    if (reward.type === 'tokens') {
+      return `+${reward.amount} ${reward.amount === 1 ? 'token' : 'tokens'}`;
+    }
+
+    const card = this.findPowerCard(reward.cardId || reward.cardType);
+
+    return `${reward.amount}x ${card ? card.name : 'carta'}`;
   }
 
   /**
@@ -566,8 +768,8 @@ class PowerCardService {
    * 
    * @private
    */
-  _hasRecentlyDrawnCard(playerId) {
-    const history = this.usageHistory.get(playerId);
+  _hasRecentlyDrawnCard(playerId, sessionId = null) {
+    const history = this.usageHistory.get(this._key(playerId, sessionId));
 
     if (!history) return false;
 
@@ -10,8 +10,26 @@
  * ✅ Preguntas que REQUIEREN datos guardados:
  *    - lyrics: track.lyrics.fragment + track.lyrics.answer
  *    - challenge: track.challenge.text + track.challenge.type
+ * 
+ * ✅ Alias opcionales por track (se aceptan como respuesta correcta):
+ *    - track.aliases.title / track.aliases.artist
+ *
+ * ✅ Tipos por sesión (config.questionTypes): lista de tipos permitidos o
+ *    { tipo: peso }. Ver resolveTypeWeights() y getRandomQuestionType()
+ *
+ * ✅ Opción múltiple (song, artist, year, decade): 4 opciones con
+ *    distractores del catálogo (mismo género y década, popularidad parecida,
+ *    nunca dos veces el mismo artista). Ver _withChoices()
  */
 
+const { matchAnswer, normalizeAnswer } = require('../utils/answerMatcher');
+
+// Opciones por pregunta de opción múltiple (la correcta + 3 distractores)
+const CHOICE_COUNT = 4;
+
+// Popularidad aproximada cuando el track no trae rank de Deezer
+const DIFFICULTY_POPULARITY = { EASY: 3, MEDIUM: 2, HARD: 1, EXPERT: 0 };
+
 class QuestionService {
   constructor() {
     // Tipos de pregunta disponibles
@@ -23,6 +41,19 @@ class QuestionService {
     // Tipos que requieren datos extra en el track
     this.STORED_TYPES = ['lyrics', 'challenge'];
 
+    // Tipos que admiten opción múltiple (lyrics y challenge siempre son abiertas)
+    this.CHOICE_TYPES = ['song', 'artist', 'year', 'decade'];
+
+    // Ponderación por defecto: más probabilidad para tipos comunes
+    this.DEFAULT_WEIGHTS = {
+      song: 25,
+      artist: 30,
+      decade: 20,
+      year: 10,
+      lyrics: 10,
+      challenge: 5
+    };
+
     // Puntos base por tipo
     this.BASE_POINTS = {
       song: 1,
@@ -42,9 +73,10 @@ class QuestionService {
    * Genera una pregunta para el track dado
    * @param {Object} track - Track con datos básicos
    * @param {string} questionType - Tipo de pregunta (opcional, si no se pasa es aleatorio)
-   * @returns {Object} Pregunta generada
+   * @param {Object} options - { multipleChoice, catalog } (opción múltiple con distractores del catálogo)
+   * @returns {Object} Pregunta generada (con choices si es de opción múltiple)
    */
-  generateQuestion(track, questionType = null) {
+  generateQuestion(track, questionType = null, options = {}) {
     if (!track) {
       throw new Error('Track es requerido para generar pregunta');
     }
@@ -54,7 +86,15 @@ class QuestionService {
 
     console.log(`❓ Generando pregunta tipo "${type}" para: ${track.title}`);
 
-    // Generar según tipo
+    const question = this._generateByType(track, type);
+
+    return options.multipleChoice ? this._withChoices(question, track, options.catalog || []) : question;
+  }
+
+  /**
+   * @private
+   */
+  _generateByType(track, type) {
     switch (type) {
       case 'song':
         return this._generateSongQuestion(track);
@@ -88,8 +128,10 @@ class QuestionService {
    * Obtiene tipos de pregunta disponibles para un track
    */
   getAvailableTypes(track) {
-    // Tipos automáticos siempre disponibles
-    const available = [...this.AUTO_TYPES];
+    // Tipos automáticos: década y año solo si el track tiene el dato
+    const available = this.AUTO_TYPES.filter(type =>
+      (type !== 'decade' || track.decade) && (type !== 'year' || track.year)
+    );
 
     // Agregar lyrics si el track tiene datos
     if (track.lyrics && track.lyrics.fragment && track.lyrics.answer) {
@@ -106,24 +148,24 @@ class QuestionService {
 
   /**
    * Selecciona tipo de pregunta aleatorio (ponderado)
+   * @param {Object} track
+   * @param {Object} customWeights - { tipo: peso } (opcional). Los tipos que no
+   *   aparecen no salen; si ninguno está disponible para el track se usan los pesos por defecto
    */
-  getRandomQuestionType(track) {
+  getRandomQuestionType(track, customWeights = null) {
     const available = this.getAvailableTypes(track);
 
-    // Ponderación: más probabilidad para tipos comunes
-    const weights = {
-      song: 25,
-      artist: 30,
-      decade: 20,
-      year: 10,
-      lyrics: 10,
-      challenge: 5
-    };
+    const usesCustom = customWeights && available.some(type => customWeights[type] > 0);
+    const weights = usesCustom ? customWeights : this.DEFAULT_WEIGHTS;
+
+    if (customWeights && !usesCustom) {
+      console.warn(`⚠️ Track ${track.id} no admite ninguno de los tipos permitidos, usando pesos por defecto`);
+    }
 
     // Crear pool ponderado
     const weightedPool = [];
     available.forEach(type => {
-      const weight = weights[type] || 10;
+      const weight = usesCustom ? (weights[type] || 0) : (weights[type] || 10);
       for (let i = 0; i < weight; i++) {
         weightedPool.push(type);
       }
@@ -134,6 +176,45 @@ class QuestionService {
     return weightedPool[randomIndex];
   }
 
+  /**
+   * Validar y normalizar los tipos de pregunta de una sesión
+   * @param {Array|Object} questionTypes - ['song', 'artist'] (pesos por defecto)
+   *   o { song: 40, lyrics: 60 } (los tipos que no aparecen, o con peso 0, no salen)
+   * @returns {Object} { success, weights } (weights null = todos los tipos) | { success, error }
+   */
+  resolveTypeWeights(questionTypes) {
+    if (questionTypes === null || questionTypes === undefined) {
+      return { success: true, weights: null };
+    }
+
+    const entries = Array.isArray(questionTypes)
+      ? questionTypes.map(type => [type, this.DEFAULT_WEIGHTS[type]])
+      : typeof questionTypes === 'object' ? Object.entries(questionTypes) : null;
+
+    if (!entries || entries.length === 0) {
+      return { success: false, error: 'questionTypes debe ser una lista de tipos o { tipo: peso }' };
+    }
+
+    const unknown = entries.map(([type]) => type).filter(type => !this.QUESTION_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return { success: false, error: `Tipo de pregunta no válido: ${unknown.join(', ')} (${this.QUESTION_TYPES.join(', ')})` };
+    }
+
+    const invalidWeight = entries.find(([, weight]) => !Number.isInteger(weight) || weight < 0 || weight > 100);
+    if (invalidWeight) {
+      return { success: false, error: `Peso no válido para ${invalidWeight[0]} (entero entre 0 y 100)` };
+    }
+
+    const weights = Object.fromEntries(entries.filter(([, weight]) => weight > 0));
+
+    // lyrics/challenge dependen de datos del track: song o artist tienen que poder salir siempre
+    if (!weights.song && !weights.artist) {
+      return { success: false, error: 'Hace falta song o artist entre los tipos permitidos (sirven para cualquier track)' };
+    }
+
+    return { success: true, weights };
+  }
+
   // ═══════════════════════════════════════════════════════════
   // 🎵 GENERADORES DE PREGUNTAS AUTO
   // ═══════════════════════════════════════════════════════════
@@ -144,6 +225,7 @@ class QuestionService {
       question: '¿Cuál es el nombre de esta canción?',
       answer: track.title,
       acceptableAnswers: this._generateAcceptableAnswers(track.title),
+      aliases: track.aliases?.title || [],
       hints: this._generateSongHints(track),
       points: this.BASE_POINTS.song,
       icon: '🎵'
@@ -156,6 +238,7 @@ class QuestionService {
       question: '¿Quién canta esta canción?',
       answer: track.artist,
       acceptableAnswers: this._generateAcceptableAnswers(track.artist),
+      aliases: track.aliases?.artist || [],
       hints: this._generateArtistHints(track),
       points: this.BASE_POINTS.artist,
       icon: '🎤'
@@ -369,42 +452,217 @@ class QuestionService {
   // ═══════════════════════════════════════════════════════════
 
   /**
-   * Valida si una respuesta es correcta
+   * Valida si una respuesta es correcta (tolerante a erratas, ver utils/answerMatcher)
    * @param {string} userAnswer - Respuesta del usuario
-   * @param {Object} question - Pregunta generada
-   * @returns {Object} { correct: boolean, exactMatch: boolean }
+   * @param {Object} question - Pregunta generada ({ answer, acceptableAnswers, aliases })
+   * @returns {Object} { correct, exactMatch, confidence, method, matchedAnswer }
+   *   - confidence: 0-1, para que el game master vea lo cerca que estuvo
+   *   - method: 'exact' | 'alias' | 'fuzzy' | 'partial' | 'none'
    */
   validateAnswer(userAnswer, question) {
     if (!userAnswer || !question) {
-      return { correct: false, exactMatch: false };
+      return { correct: false, exactMatch: false, confidence: 0, method: 'none' };
     }
 
-    const normalized = userAnswer.toLowerCase().trim()
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '');
+    const normalized = normalizeAnswer(userAnswer);
+    const acceptable = [question.answer, ...(question.acceptableAnswers || [])];
 
-    // Verificar match exacto
-    const exactMatch = normalized === question.answer.toLowerCase().trim();
-
-    // Verificar contra respuestas aceptables
-    const acceptable = question.acceptableAnswers || [];
-    const isAcceptable = acceptable.some(ans => {
-      const normalizedAns = ans.toLowerCase().trim()
-        .normalize('NFD')
-        .replace(/[\u0300-\u036f]/g, '');
-      return normalized === normalizedAns ||
-        normalized.includes(normalizedAns) ||
-        normalizedAns.includes(normalized);
-    });
+    const match = matchAnswer(userAnswer, acceptable, question.aliases || []);
 
     return {
-      correct: exactMatch || isAcceptable,
-      exactMatch,
+      correct: match.correct,
+      exactMatch: normalized === normalizeAnswer(question.answer),
+      confidence: match.confidence,
+      method: match.method,
+      matchedAnswer: match.matchedAnswer,
       userAnswer: normalized,
       correctAnswer: question.answer
     };
   }
 
+  /**
+   * Valida una respuesta de opción múltiple: el texto de una opción o su letra (A-D)
+   * @param {string} userAnswer
+   * @param {Object} question - { answer, choices }
+   * @returns {Object|null} Igual que validateAnswer (method 'choice'); null si no es ninguna opción
+   */
+  validateChoice(userAnswer, question) {
+    if (!userAnswer || !question || !Array.isArray(question.choices)) return null;
+
+    const letter = /^[A-Z]$/i.test(String(userAnswer).trim())
+      ? String(userAnswer).trim().toUpperCase().charCodeAt(0) - 65
+      : -1;
+    const chosen = question.choices[letter] ||
+      question.choices.find(choice => normalizeAnswer(choice) === normalizeAnswer(String(userAnswer)));
+
+    if (!chosen) return null;
+
+    const correct = normalizeAnswer(chosen) === normalizeAnswer(String(question.answer));
+
+    return {
+      correct,
+      exactMatch: correct,
+      confidence: correct ? 1 : 0,
+      method: 'choice',
+      matchedAnswer: chosen,
+      userAnswer: chosen,
+      correctAnswer: question.answer
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 🔢 OPCIÓN MÚLTIPLE
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Añadir 4 opciones a la pregunta. Los tipos sin opción múltiple, o los
+   * tracks para los que el catálogo no da 3 distractores, quedan abiertos
+   *
+   * @private
+   */
+  _withChoices(question, track, catalog) {
+    if (!this.CHOICE_TYPES.includes(question.type) || !question.answer) {
+      return question;
+    }
+
+    const valueOf = {
+      song: t => t.title,
+      artist: t => t.artist,
+      year: t => (t.year ? String(t.year) : null),
+      decade: t => t.decade || null
+    }[question.type];
+
+    const distractors = this._pickDistractors(track, catalog, valueOf, question.type);
+
+    // Años y décadas que el catálogo no cubre: vecinos del correcto
+    if (question.type === 'year' || question.type === 'decade') {
+      const step = question.type === 'year' ? 1 : 10;
+      const base = parseInt(question.answer, 10);
+      const suffix = question.type === 'decade' ? 's' : '';
+      const taken = new Set([question.answer, ...distractors]);
+
+      for (let offset = 1; distractors.length < CHOICE_COUNT - 1 && offset <= CHOICE_COUNT; offset++) {
+        [base - offset * step, base + offset * step]
+          .map(value => `${value}${suffix}`)
+          .filter(value => parseInt(value, 10) <= new Date().getFullYear() && !taken.has(value))
+          .forEach(value => {
+            if (distractors.length < CHOICE_COUNT - 1) {
+              distractors.push(value);
+              taken.add(value);
+            }
+          });
+      }
+    }
+
+    if (distractors.length < CHOICE_COUNT - 1) {
+      console.warn(`⚠️ Sin distractores suficientes para "${question.type}" de ${track.id}, pregunta abierta`);
+      return question;
+    }
+
+    return {
+      ...question,
+      choices: this._shuffle([question.answer, ...distractors])
+    };
+  }
+
+  /**
+   * Distractores del catálogo: los tracks más parecidos al correcto (ver
+   * _similarity), sin repetir valor ni artista y nunca del mismo artista
+   *
+   * @private
+   */
+  _pickDistractors(track, catalog, valueOf, type) {
+    const answer = valueOf(track);
+    const usedValues = new Set([normalizeAnswer(String(answer))]);
+    const usedArtists = new Set([this._mainArtist(track.artist)]);
+    const distractors = [];
+
+    // Barajar antes de ordenar: entre candidatos igual de parecidos decide el azar
+    const candidates = this._shuffle(catalog.filter(candidate => candidate.id !== track.id && valueOf(candidate)))
+      .map(candidate => ({ candidate, score: this._similarity(track, candidate, type) }))
+      .sort((a, b) => b.score - a.score);
+
+    for (const { candidate } of candidates) {
+      if (distractors.length === CHOICE_COUNT - 1) break;
+
+      const value = String(valueOf(candidate));
+      const artist = this._mainArtist(candidate.artist);
+
+      if (usedValues.has(normalizeAnswer(value)) || usedArtists.has(artist)) continue;
+
+      distractors.push(value);
+      usedValues.add(normalizeAnswer(value));
+      usedArtists.add(artist);
+    }
+
+    return distractors;
+  }
+
+  /**
+   * Parecido de un candidato con el track: mismo género, misma década
+   * (o cercana, en preguntas de década/año) y popularidad parecida
+   *
+   * @private
+   */
+  _similarity(track, candidate, type) {
+    let score = 0;
+
+    if (track.genre && candidate.genre && track.genre.toUpperCase() === candidate.genre.toUpperCase()) {
+      score += 2;
+    }
+
+    if (type === 'decade') {
+      // La misma década sería la respuesta: mejor las vecinas
+      if (Math.abs(parseInt(track.decade, 10) - parseInt(candidate.decade, 10)) === 10) score += 2;
+    } else if (track.decade && track.decade === candidate.decade) {
+      score += 2;
+    }
+
+    if (type === 'year' && track.year && candidate.year && Math.abs(track.year - candidate.year) <= 5) {
+      score += 1;
+    }
+
+    if (track.rank && candidate.rank) {
+      const ratio = Math.max(track.rank, candidate.rank) / Math.min(track.rank, candidate.rank);
+      if (ratio <= 2) score += 1;
+    } else if (this._popularity(track) === this._popularity(candidate)) {
+      score += 1;
+    }
+
+    return score;
+  }
+
+  /**
+   * @private
+   */
+  _popularity(track) {
+    const level = String(track.difficulty || '').toUpperCase().split('_').pop();
+    return DIFFICULTY_POPULARITY[level];
+  }
+
+  /**
+   * Artista principal (sin colaboraciones), para no repetir artista entre opciones
+   *
+   * @private
+   */
+  _mainArtist(artist) {
+    return normalizeAnswer(String(artist || '').split(/\s+(?:ft\.?|feat\.?|featuring|&|x)\s+|,/i)[0]);
+  }
+
+  /**
+   * @private
+   */
+  _shuffle(items) {
+    const shuffled = [...items];
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+  }
+
   // ═══════════════════════════════════════════════════════════
   // 📊 ESTADÍSTICAS
   // ═══════════════════════════════════════════════════════════
@@ -417,6 +675,8 @@ class QuestionService {
       questionTypes: this.QUESTION_TYPES,
       autoGeneratedTypes: this.AUTO_TYPES,
       storedTypes: this.STORED_TYPES,
+      choiceTypes: this.CHOICE_TYPES,
+      defaultWeights: this.DEFAULT_WEIGHTS,
       basePoints: this.BASE_POINTS
     };
   }
@@ -0,0 +1,180 @@
+/**
+ * 📈 RATING SERVICE
+ *
+ * Responsabilidad: Rating de habilidad (Elo multijugador)
+ * - Orden final de una partida terminada (ganador, luego marcador)
+ * - Nuevo rating de cada participante según ese orden
+ * - Equipos equilibrados y ventajas iniciales a partir de los ratings
+ *
+ * Elo multijugador: cada partida se trata como un duelo entre cada pareja
+ * de participantes (gana quien acabó por delante, empate si comparten
+ * puesto). El cambio es K × (resultado − esperado), promediado entre los
+ * rivales, así que no depende del tamaño de la partida ni del targetScore.
+ *
+ * No guarda estado: PlayerProfileService lee y guarda los ratings.
+ */
+
+const DEFAULT_RATING = 1500;
+
+// Los primeros partidos mueven más el rating, hasta situar al jugador
+const PROVISIONAL_GAMES = 10;
+const K_FACTOR = { provisional: 40, established: 24 };
+
+// Puntos de ventaja sugeridos: uno por cada HANDICAP_STEP de rating por debajo del mejor
+const HANDICAP_STEP = 100;
+const MAX_HANDICAP = 3;
+
+class RatingService {
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🏁 ORDEN FINAL
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Puesto de cada jugador en una partida terminada. El ganador
+   * (session.result, que incluye muerte súbita y desempates) va primero;
+   * el resto por marcador, compartiendo puesto si empatan. En modo
+   * equipos cada jugador recibe el puesto de su equipo.
+   *
+   * @param {object} session - Sesión terminada
+   * @returns {array} [{ playerId, profileId, teamId, rank }]
+   */
+  finishingOrder(session) {
+    const units = session.teams && session.teams.length > 0 ? session.teams : session.players;
+    const winnerId = session.result ? session.result.winnerId : null;
+
+    const ordered = [...units].sort((a, b) =>
+      (b.id === winnerId) - (a.id === winnerId) || b.score - a.score
+    );
+
+    const rankOf = new Map();
+    ordered.forEach((unit, index) => {
+      const previous = ordered[index - 1];
+      const tied = previous && previous.id !== winnerId && previous.score === unit.score;
+      rankOf.set(unit.id, tied ? rankOf.get(previous.id) : index + 1);
+    });
+
+    return session.players.map(player => ({
+      playerId: player.id,
+      profileId: player.profileId || null,
+      teamId: player.teamId || null,
+      rank: rankOf.get(session.teams && session.teams.length > 0 ? player.teamId : player.id)
+    }));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 📈 ACTUALIZAR RATINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Nuevos ratings tras una partida. Los compañeros de equipo no se
+   * enfrentan entre sí: solo cuentan los rivales de otros equipos
+   *
+   * @param {array} participants - [{ id, rating, ratedGames, rank, teamId }]
+   * @returns {array} [{ id, rank, ratingBefore, ratingAfter, delta }]
+   */
+  rate(participants) {
+    if (participants.length < 2) {
+      throw new Error('At least two participants are needed to rate a game');
+    }
+
+    return participants.map(player => {
+      const opponents = participants.filter(p =>
+        p !== player && !(player.teamId && p.teamId === player.teamId)
+      );
+
+      if (opponents.length === 0) {
+        return { id: player.id, rank: player.rank, ratingBefore: player.rating, ratingAfter: player.rating, delta: 0 };
+      }
+
+      const surplus = opponents.reduce((sum, opponent) => {
+        const actual = player.rank < opponent.rank ? 1 : player.rank === opponent.rank ? 0.5 : 0;
+        return sum + actual - this.expectedScore(player.rating, opponent.rating);
+      }, 0);
+
+      const k = player.ratedGames < PROVISIONAL_GAMES ? K_FACTOR.provisional : K_FACTOR.established;
+      const delta = Math.round((k * surplus) / opponents.length);
+
+      return {
+        id: player.id,
+        rank: player.rank,
+        ratingBefore: player.rating,
+        ratingAfter: player.rating + delta,
+        delta
+      };
+    });
+  }
+
+  /**
+   * Probabilidad de que A quede por delante de B
+   *
+   * @param {number} ratingA
+   * @param {number} ratingB
+   * @returns {number} 0–1
+   */
+  expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ⚖️ EQUIPOS Y VENTAJAS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Repartir jugadores en equipos de rating parecido: del mejor al peor,
+   * cada uno va al equipo con menos rating total que aún tenga sitio
+   *
+   * @param {array} players - [{ id, name, rating }]
+   * @param {number} teamCount
+   * @returns {object} { teams: [{ players, totalRating, averageRating }], spread }
+   */
+  suggestTeams(players, teamCount) {
+    if (!Number.isInteger(teamCount) || teamCount < 2 || teamCount > players.length) {
+      throw new Error(`Cannot split ${players.length} players into ${teamCount} teams`);
+    }
+
+    const maxSize = Math.ceil(players.length / teamCount);
+    const teams = Array.from({ length: teamCount }, () => ({ players: [], totalRating: 0 }));
+
+    [...players]
+      .sort((a, b) => b.rating - a.rating)
+      .forEach(player => {
+        const team = teams
+          .filter(t => t.players.length < maxSize)
+          .sort((a, b) => a.totalRating - b.totalRating || a.players.length - b.players.length)[0];
+
+        team.players.push(player);
+        team.totalRating += player.rating;
+      });
+
+    teams.forEach(team => {
+      team.averageRating = Math.round(team.totalRating / team.players.length);
+    });
+
+    const averages = teams.map(t => t.averageRating);
+
+    return {
+      teams,
+      spread: Math.max(...averages) - Math.min(...averages)
+    };
+  }
+
+  /**
+   * Puntos de ventaja sugeridos para una partida individual
+   *
+   * @param {array} players - [{ id, name, rating }]
+   * @returns {array} [{ ...player, headStart }] (0 para el mejor rating)
+   */
+  suggestHandicaps(players) {
+    const best = Math.max(...players.map(p => p.rating));
+
+    return players.map(player => ({
+      ...player,
+      headStart: Math.min(MAX_HANDICAP, Math.floor((best - player.rating) / HANDICAP_STEP))
+    }));
+  }
+}
+
+// ✅ Exportar como singleton
+module.exports = new RatingService();
+module.exports.DEFAULT_RATING = DEFAULT_RATING;
@@ -0,0 +1,225 @@
+/**
+ * 📜 SESSION EVENT LOG
+ *
+ * Responsabilidad: Tipos de evento del log de sesión y cómo reproducirlos.
+ *
+ * GameSessionService registra cada comando que cambia el estado como
+ * { seq, type, timestamp, data }. `data` guarda los argumentos del comando
+ * y lo que fue aleatorio (track y pregunta sorteados), así que volver a
+ * ejecutar los comandos en orden, con el reloj parado en `timestamp`,
+ * reconstruye la misma sesión.
+ *
+ * Los comandos anidados se registran por separado y en el orden en que
+ * ocurren: una ronda que caduca dentro de placeBet queda como
+ * answer_revealed (timeout); el placeBet rechazado no se registra.
+ *
+ * Límite: cartas añadidas al inventario fuera de la sesión (escaneo QR en
+ * /api/cards) no están en el log. Al reproducir una carta usada o activada
+ * se da por hecho que quien la jugó la tenía (ver useLoggedCard).
+ */
+
+const PowerCardService = require('./PowerCardService');
+
+const LOG_EVENTS = {
+  SESSION_CREATED: 'session_created',
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_KICKED: 'player_kicked',
+  PLAYERS_REORDERED: 'players_reordered',
+  GAME_STARTED: 'game_started',
+  NEXT_ROUND: 'next_round',
+  BET_PLACED: 'bet_placed',
+  ANSWER_SUBMITTED: 'answer_submitted',
+  STEAL_OPENED: 'steal_opened',
+  TOKENS_SPENT: 'tokens_spent',
+  ROUND_REROLLED: 'round_rerolled',
+  ANSWER_REVEALED: 'answer_revealed',
+  REVEAL_UNDONE: 'reveal_undone',
+  POWER_CARD_USED: 'power_card_used',
+  POWER_CARD_ACTIVATED: 'power_card_activated',
+  SCORE_DELTA: 'score_delta',
+  GAME_TIME_EXPIRED: 'game_time_expired'
+};
+
+/**
+ * El track y la pregunta sorteados salen del propio evento. Las
+ * comprobaciones previas corren a la hora de la petición; la ronda,
+ * a la hora en que llegó el track (data.startedAt)
+ */
+function useRecordedDraw(service, data) {
+  service.trackService = {
+    getRandomTrack: async () => {
+      if (data.startedAt) {
+        const startedAt = new Date(data.startedAt).getTime();
+        service.clock = () => startedAt;
+      }
+      return data.track;
+    }
+  };
+  service.deezerService = { searchTrack: async () => null };
+  service.questionService.generateQuestion = () => data.question;
+}
+
+/**
+ * La carta jugada en vivo estaba en el inventario; si no llegó por el log
+ * (escaneo QR), se añade al inventario de replay antes de jugarla
+ */
+function useLoggedCard(service, sessionId, playerId, cardIdOrType) {
+  const session = service.sessions.get(sessionId);
+  const card = PowerCardService.findPowerCard(cardIdOrType);
+
+  if (!session || !card) return;
+
+  const ownerId = service._getScoringUnitId(session, playerId);
+
+  if (!PowerCardService.getPlayerInventory(ownerId, sessionId)[card.id]) {
+    PowerCardService.addCardToInventory(ownerId, card.id, 1, sessionId);
+  }
+}
+
+// Cómo volver a ejecutar cada evento sobre un GameSessionService de replay
+const HANDLERS = {
+  [LOG_EVENTS.SESSION_CREATED]: (service, sessionId, data) =>
+    service.createSession(data.config, { sessionId, joinCode: data.joinCode }),
+
+  [LOG_EVENTS.PLAYER_JOINED]: (service, sessionId, data) =>
+    service.addPlayer(sessionId, data),
+
+  [LOG_EVENTS.PLAYER_KICKED]: (service, sessionId, data) =>
+    service.kickPlayer(sessionId, data.playerId),
+
+  [LOG_EVENTS.PLAYERS_REORDERED]: (service, sessionId, data) =>
+    service.reorderPlayers(sessionId, data.playerIds),
+
+  [LOG_EVENTS.GAME_STARTED]: (service, sessionId) =>
+    service.startGame(sessionId),
+
+  [LOG_EVENTS.NEXT_ROUND]: (service, sessionId, data) => {
+    useRecordedDraw(service, data);
+    return service.nextRound(sessionId, data.forcedQuestionType);
+  },
+
+  [LOG_EVENTS.BET_PLACED]: (service, sessionId, data) =>
+    service.placeBet(sessionId, data.playerId, data.tokenValue),
+
+  [LOG_EVENTS.ANSWER_SUBMITTED]: (service, sessionId, data) =>
+    service.submitAnswer(sessionId, data.playerId, data.answer),
+
+  [LOG_EVENTS.STEAL_OPENED]: (service, sessionId) =>
+    service.openSteal(sessionId),
+
+  [LOG_EVENTS.TOKENS_SPENT]: (service, sessionId, data) => {
+    // La pregunta nueva de un reroll sale del propio evento
+    if (data.question) {
+      service.questionService.generateQuestion = () => data.question;
+    }
+    return service.spendTokens(sessionId, data.playerId, data.purpose);
+  },
+
+  [LOG_EVENTS.ROUND_REROLLED]: (service, sessionId, data) => {
+    useRecordedDraw(service, data);
+    return service.rerollRound(sessionId, data.reason);
+  },
+
+  [LOG_EVENTS.ANSWER_REVEALED]: (service, sessionId, data) =>
+    service.revealAnswer(sessionId, data.winnerId, data.options),
+
+  [LOG_EVENTS.REVEAL_UNDONE]: (service, sessionId) =>
+    service.undoLastReveal(sessionId),
+
+  [LOG_EVENTS.POWER_CARD_USED]: (service, sessionId, data) => {
+    useLoggedCard(service, sessionId, data.playerId, data.cardType);
+    return service.usePowerCard(sessionId, data.playerId, data.cardType, data.targetPlayerId);
+  },
+
+  [LOG_EVENTS.POWER_CARD_ACTIVATED]: (service, sessionId, data) => {
+    useLoggedCard(service, sessionId, data.playerId, data.cardId);
+    return service.activatePlayerPowerCard(sessionId, data.playerId, data.cardId);
+  },
+
+  [LOG_EVENTS.SCORE_DELTA]: (service, sessionId, data) =>
+    service.applyScoreDelta(sessionId, data.playerId, data.delta, data.reason),
+
+  // Lo dispara un temporizador, no una ruta
+  [LOG_EVENTS.GAME_TIME_EXPIRED]: (service, sessionId) =>
+    service._expireGameTime(sessionId)
+};
+
+// Eventos cuyo `data` lleva la respuesta de la ronda (pregunta sorteada o texto escrito)
+const ROUND_SECRET_EVENTS = [
+  LOG_EVENTS.NEXT_ROUND,
+  LOG_EVENTS.ROUND_REROLLED,
+  LOG_EVENTS.TOKENS_SPENT,
+  LOG_EVENTS.ANSWER_SUBMITTED
+];
+
+/**
+ * Copia del evento sin lo que delata la respuesta de una ronda aún abierta:
+ * de la pregunta queda lo que ya ven las pantallas, del track solo id,
+ * género y década, y las respuestas escritas se ocultan
+ *
+ * @param {Object} event - { seq, type, timestamp, data }
+ * @returns {Object}
+ */
+function redactRoundSecrets(event) {
+  if (!ROUND_SECRET_EVENTS.includes(event.type) || !event.data) {
+    return event;
+  }
+
+  const data = { ...event.data };
+
+  if (data.question) {
+    const { type, question, icon, points, isChallenge, choices } = data.question;
+    data.question = { type, question, icon, points, isChallenge, choices };
+  }
+
+  if (data.track) {
+    data.track = { id: data.track.id, genre: data.track.genre, decade: data.track.decade };
+  }
+
+  if (event.type === LOG_EVENTS.ANSWER_SUBMITTED) {
+    data.answer = null;
+  }
+
+  return { ...event, data, redacted: true };
+}
+
+/**
+ * Reproducir eventos en orden sobre un servicio
+ *
+ * @param {GameSessionService} service - Instancia dedicada al replay (sin temporizadores)
+ * @param {string} sessionId - ID con el que se reconstruye la sesión
+ * @param {Array} events - [{ seq, type, timestamp, data }]
+ * @returns {Promise<Object>} { applied, failed: [{ seq, type, error }] }
+ */
+async function replayEvents(service, sessionId, events) {
+  const failed = [];
+  let applied = 0;
+
+  for (const event of events) {
+    const handler = HANDLERS[event.type];
+
+    if (!handler) {
+      throw new Error(`Unknown session event type: ${event.type}`);
+    }
+
+    const at = new Date(event.timestamp).getTime();
+    service.clock = () => at;
+
+    const result = await handler(service, sessionId, event.data || {});
+
+    // En vivo solo se registran comandos que funcionaron: un fallo aquí es una divergencia
+    if (result && result.success === false) {
+      failed.push({ seq: event.seq, type: event.type, error: result.error });
+    }
+
+    applied++;
+  }
+
+  return { applied, failed };
+}
+
+module.exports = {
+  LOG_EVENTS,
+  replayEvents,
+  redactRoundSecrets
+};
@@ -0,0 +1,193 @@
+/**
+ * 📡 SESSION EVENT STREAM - Server-Sent Events por sesión
+ *
+ * Responsabilidad: Empujar los eventos de GameSessionService a las pantallas
+ * conectadas (TV del game master, móvil de cada jugador) sin polling.
+ *
+ * - Un canal por sesión: GET /api/v2/game/session/:id/events
+ * - Cada evento lleva un id incremental por sesión
+ * - Buffer de los últimos eventos para reenviar tras reconexión (Last-Event-ID)
+ * - Heartbeat periódico para que proxies/Expo no cierren la conexión
+ * - El canal (clientes y buffer) se cierra al terminar o eliminar la sesión
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const REPLAY_BUFFER_SIZE = 50;
+
+class SessionEventStream {
+  constructor() {
+    // sessionId -> Set<{ res }>
+    this.clients = new Map();
+
+    // sessionId -> { lastId, buffer: [event] }
+    this.channels = new Map();
+
+    this.heartbeat = null;
+  }
+
+  /**
+   * Suscribir una respuesta HTTP al canal de una sesión
+   *
+   * @param {string} sessionId
+   * @param {object} res - Express response
+   * @param {object} options - { lastEventId }
+   * @returns {function} unsubscribe
+   */
+  subscribe(sessionId, res, options = {}) {
+    const { lastEventId = null } = options;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 3000\n\n`);
+
+    const client = { res };
+
+    if (!this.clients.has(sessionId)) {
+      this.clients.set(sessionId, new Set());
+    }
+    this.clients.get(sessionId).add(client);
+    this._ensureHeartbeat();
+
+    // Reenviar lo que se perdió durante la reconexión
+    if (lastEventId !== null && lastEventId !== undefined) {
+      this._getChannel(sessionId).buffer
+        .filter(event => event.id > Number(lastEventId))
+        .forEach(event => this._write(client, event));
+    }
+
+    console.log(`📡 Cliente conectado a ${sessionId} (${this.clients.get(sessionId).size} clientes)`);
+
+    return () => this._unsubscribe(sessionId, client);
+  }
+
+  /**
+   * Publicar un evento de GameSessionService a todos los clientes de la sesión
+   *
+   * @param {object} event - { sessionId, type, data, timestamp }
+   * @returns {object} Evento con id asignado
+   */
+  broadcast(event) {
+    const channel = this._getChannel(event.sessionId);
+    const stored = { ...event, id: ++channel.lastId };
+
+    channel.buffer.push(stored);
+    if (channel.buffer.length > REPLAY_BUFFER_SIZE) {
+      channel.buffer.shift();
+    }
+
+    const clients = this.clients.get(event.sessionId);
+    if (clients) {
+      clients.forEach(client => this._write(client, stored));
+    }
+
+    return stored;
+  }
+
+  /**
+   * Cerrar el canal de una sesión (partida terminada, eliminada o caducada)
+   *
+   * @param {string} sessionId
+   */
+  closeSession(sessionId) {
+    const clients = this.clients.get(sessionId);
+
+    if (clients) {
+      clients.forEach(client => client.res.end());
+    }
+
+    this.clients.delete(sessionId);
+    this.channels.delete(sessionId);
+    this._stopHeartbeatIfIdle();
+  }
+
+  /**
+   * Número de clientes conectados (por sesión o total)
+   *
+   * @param {string} sessionId - Opcional
+   * @returns {number}
+   */
+  getClientCount(sessionId = null) {
+    if (sessionId) {
+      return this.clients.has(sessionId) ? this.clients.get(sessionId).size : 0;
+    }
+
+    let total = 0;
+    this.clients.forEach(set => { total += set.size; });
+    return total;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 🔧 MÉTODOS PRIVADOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _getChannel(sessionId) {
+    if (!this.channels.has(sessionId)) {
+      this.channels.set(sessionId, { lastId: 0, buffer: [] });
+    }
+
+    return this.channels.get(sessionId);
+  }
+
+  /**
+   * @private
+   */
+  _write(client, event) {
+    client.res.write(`id: ${event.id}\n`);
+    client.res.write(`event: ${event.type}\n`);
+    client.res.write(`data: ${JSON.stringify(event)}\n\n`);
+  }
+
+  /**
+   * @private
+   */
+  _unsubscribe(sessionId, client) {
+    const clients = this.clients.get(sessionId);
+    if (!clients) return;
+
+    clients.delete(client);
+    if (clients.size === 0) {
+      this.clients.delete(sessionId);
+    }
+
+    console.log(`📴 Cliente desconectado de ${sessionId}`);
+    this._stopHeartbeatIfIdle();
+  }
+
+  /**
+   * @private
+   */
+  _ensureHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(clients => {
+        clients.forEach(client => client.res.write(`: ping\n\n`));
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // No mantener vivo el proceso solo por el heartbeat
+    if (this.heartbeat.unref) {
+      this.heartbeat.unref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeatIfIdle() {
+    if (this.heartbeat && this.getClientCount() === 0) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+// ✅ Exportar como singleton
+module.exports = new SessionEventStream();
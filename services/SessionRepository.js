@@ -0,0 +1,1027 @@
+/**
+ * =====================================================
+ * SESSION REPOSITORY - Persistencia de sesiones de juego
+ * =====================================================
+ *
+ * GameSessionService trabaja en memoria y delega aquí la persistencia:
+ * 1. PostgresSessionRepository → tablas de migrations/001 a 006
+ *    (game_sessions, session_players, round_history, player_power_cards,
+ *    session_events, player_profiles, rating_history)
+ * 2. InMemorySessionRepository → misma interfaz, para tests y desarrollo
+ *
+ * Interfaz (todos los métodos son async):
+ * - saveSession(session, powerCards)
+ * - recordRound(session, entry, bets)
+ * - recordCardAcquired(sessionId, playerId, card)
+ * - recordCardUsed(sessionId, playerId, cardId)
+ * - undoRound(sessionId, roundNumber, { cardsAcquired, cardsUsed })
+ * - appendEvent(sessionId, event)
+ * - loadEvents(sessionId) → [{ seq, type, timestamp, data }]
+ * - deleteSession(sessionId)
+ * - loadActiveSessions(maxAgeMs) → [{ session, inventories, powerCards }]
+ *
+ * Perfiles (stats de partidas terminadas, ver PlayerProfileService):
+ * - saveProfile(profile)
+ * - loadProfile(profileId) → profile | null
+ * - findProfileByDeviceToken(deviceToken) → profile | null
+ * - getProfileStats(profileId) → { gamesPlayed, gamesWon, totalScore, ... }
+ * - getLeaderboard({ from, to, genre, decade, limit }) → [{ profileId, name, ... }]
+ *
+ * Ratings (ver RatingService):
+ * - recordRatings(sessionId, changes)
+ * - loadSessionRatings(sessionId) → [{ profileId, rank, ratingBefore, ratingAfter, ... }]
+ * - revertRatings(sessionId)
+ * - loadRatingHistory(profileId, limit) → [...] (más reciente primero)
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const ACTIVE_STATUSES = ['lobby', 'created', 'playing'];
+
+/**
+ * ¿Terminó la partida con este jugador (o su equipo) como ganador?
+ */
+function didPlayerWin(session, player) {
+  const winnerId = session.status === 'finished' && session.result ? session.result.winnerId : null;
+  return !!winnerId && (winnerId === player.id || winnerId === player.teamId);
+}
+
+/**
+ * Stats de un perfil que aún no terminó ninguna partida
+ */
+function emptyProfileStats() {
+  return {
+    gamesPlayed: 0,
+    gamesWon: 0,
+    totalScore: 0,
+    bestScore: 0,
+    correctAnswers: 0,
+    wrongAnswers: 0,
+    combosCompleted: 0,
+    powerCardsUsed: 0,
+    lastPlayedAt: null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🐘 POSTGRESQL
+// ═══════════════════════════════════════════════════════════════
+
+class PostgresSessionRepository {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 5432,
+      user: process.env.DB_USER || 'postgres',
+      password: process.env.DB_PASSWORD,
+      database: process.env.DB_NAME || 'Hitback',
+      max: 10,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 2000,
+    });
+
+    this.dbAvailable = false;
+    this.ready = this.initialize();
+  }
+
+  /**
+   * Verificar conexión (si falla, las escrituras se ignoran con warning)
+   */
+  async initialize() {
+    try {
+      await this.pool.query('SELECT NOW()');
+      this.dbAvailable = true;
+      logger.info('✅ SessionRepository conectado a PostgreSQL');
+    } catch (error) {
+      this.dbAvailable = false;
+      logger.warn(`⚠️ SessionRepository sin PostgreSQL (${error.message}) - sesiones solo en memoria`);
+    }
+  }
+
+  /**
+   * Guardar sesión completa (upsert de game_sessions + session_players)
+   *
+   * @param {Object} session - Sesión interna de GameSessionService
+   * @param {Object} powerCards - PowerCardService.snapshotSession() (opcional)
+   * @returns {Promise<void>}
+   */
+  async saveSession(session, powerCards = null) {
+    if (!(await this._isAvailable())) return;
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        INSERT INTO game_sessions (id, status, config, current_round, created_at, started_at, finished_at, snapshot, power_cards, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        ON CONFLICT (id) DO UPDATE SET
+          status = EXCLUDED.status,
+          config = EXCLUDED.config,
+          current_round = EXCLUDED.current_round,
+          started_at = EXCLUDED.started_at,
+          finished_at = EXCLUDED.finished_at,
+          snapshot = EXCLUDED.snapshot,
+          power_cards = COALESCE(EXCLUDED.power_cards, game_sessions.power_cards),
+          updated_at = NOW()
+      `, [
+        session.id,
+        session.status,
+        JSON.stringify(session.config),
+        session.round,
+        session.createdAt,
+        session.startedAt,
+        session.status === 'finished' ? session.finishedAt || null : null,
+        JSON.stringify(session),
+        powerCards ? JSON.stringify(powerCards) : null
+      ]);
+
+      for (const player of session.players) {
+        await client.query(`
+          INSERT INTO session_players (
+            session_id, player_id, player_name, final_score, correct_answers,
+            wrong_answers, combos_achieved, power_cards_used, tokens_used,
+            profile_id, won
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          ON CONFLICT (session_id, player_id) DO UPDATE SET
+            player_name = EXCLUDED.player_name,
+            final_score = EXCLUDED.final_score,
+            correct_answers = EXCLUDED.correct_answers,
+            wrong_answers = EXCLUDED.wrong_answers,
+            combos_achieved = EXCLUDED.combos_achieved,
+            power_cards_used = EXCLUDED.power_cards_used,
+            tokens_used = EXCLUDED.tokens_used,
+            profile_id = EXCLUDED.profile_id,
+            won = EXCLUDED.won
+        `, [
+          session.id,
+          player.id,
+          player.name,
+          player.score,
+          player.stats.correctAnswers,
+          player.stats.wrongAnswers,
+          player.stats.combosCompleted,
+          player.stats.powerCardsUsed,
+          JSON.stringify(player.stats.tokensUsed),
+          player.profileId || null,
+          didPlayerWin(session, player)
+        ]);
+      }
+
+      // Los expulsados de la sala dejan de contar como participantes
+      await client.query(`
+        DELETE FROM session_players
+        WHERE session_id = $1 AND player_id <> ALL($2)
+      `, [session.id, session.players.map(player => player.id)]);
+
+      await client.query('COMMIT');
+      logger.debug(`💾 Sesión guardada: ${session.id} (${session.status}, ronda ${session.round})`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Registrar ronda revelada en round_history
+   *
+   * @param {Object} session - Sesión
+   * @param {Object} entry - Entrada de session.history
+   * @param {Object} bets - Apuestas de la ronda { playerId: { tokenValue, usedAt } }
+   * @returns {Promise<void>}
+   */
+  async recordRound(session, entry, bets = {}) {
+    if (!(await this._isAvailable())) return;
+
+    const betsPlaced = Object.entries(bets).map(([playerId, bet]) => ({ playerId, ...bet }));
+
+    await this.pool.query(`
+      INSERT INTO round_history (
+        session_id, round_number, track_id, question_type, winner_player_id,
+        points_awarded, bets_placed, power_cards_used, details
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      session.id,
+      entry.round,
+      entry.trackId,
+      entry.questionType,
+      entry.winner,
+      entry.pointsAwarded,
+      JSON.stringify(betsPlaced),
+      JSON.stringify(entry.powerCardUsed ? [entry.powerCardUsed] : []),
+      JSON.stringify(entry)
+    ]);
+  }
+
+  /**
+   * Registrar carta obtenida por un jugador
+   *
+   * @param {string} sessionId
+   * @param {string} playerId
+   * @param {Object} card - { id, type }
+   * @returns {Promise<void>}
+   */
+  async recordCardAcquired(sessionId, playerId, card) {
+    if (!(await this._isAvailable())) return;
+
+    await this.pool.query(`
+      INSERT INTO player_power_cards (session_id, player_id, card_id, card_type)
+      VALUES ($1, $2, $3, $4)
+    `, [sessionId, playerId, card.id, card.type]);
+  }
+
+  /**
+   * Marcar como usada la carta más antigua sin usar de ese tipo
+   *
+   * @param {string} sessionId
+   * @param {string} playerId
+   * @param {string} cardId
+   * @returns {Promise<void>}
+   */
+  async recordCardUsed(sessionId, playerId, cardId) {
+    if (!(await this._isAvailable())) return;
+
+    await this.pool.query(`
+      UPDATE player_power_cards SET used_at = NOW(), is_active = FALSE
+      WHERE id = (
+        SELECT id FROM player_power_cards
+        WHERE session_id = $1 AND player_id = $2 AND card_id = $3 AND used_at IS NULL
+        ORDER BY acquired_at ASC
+        LIMIT 1
+      )
+    `, [sessionId, playerId, cardId]);
+  }
+
+  /**
+   * Deshacer una ronda revelada: borra su fila de round_history, las cartas
+   * que otorgó y vuelve a dejar sin usar las que consumió
+   *
+   * @param {string} sessionId
+   * @param {number} roundNumber
+   * @param {Object} cards - { cardsAcquired: [{ playerId, cardId }], cardsUsed: [{ playerId, cardId }] }
+   * @returns {Promise<void>}
+   */
+  async undoRound(sessionId, roundNumber, { cardsAcquired = [], cardsUsed = [] } = {}) {
+    if (!(await this._isAvailable())) return;
+
+    await this.pool.query(
+      'DELETE FROM round_history WHERE session_id = $1 AND round_number = $2',
+      [sessionId, roundNumber]
+    );
+
+    for (const { playerId, cardId } of cardsAcquired) {
+      await this.pool.query(`
+        DELETE FROM player_power_cards
+        WHERE id = (
+          SELECT id FROM player_power_cards
+          WHERE session_id = $1 AND player_id = $2 AND card_id = $3 AND used_at IS NULL
+          ORDER BY acquired_at DESC
+          LIMIT 1
+        )
+      `, [sessionId, playerId, cardId]);
+    }
+
+    for (const { playerId, cardId } of cardsUsed) {
+      await this.pool.query(`
+        UPDATE player_power_cards SET used_at = NULL
+        WHERE id = (
+          SELECT id FROM player_power_cards
+          WHERE session_id = $1 AND player_id = $2 AND card_id = $3 AND used_at IS NOT NULL
+          ORDER BY used_at DESC
+          LIMIT 1
+        )
+      `, [sessionId, playerId, cardId]);
+    }
+  }
+
+  /**
+   * Añadir un evento al log de la sesión
+   *
+   * @param {string} sessionId
+   * @param {Object} event - { seq, type, timestamp, data }
+   * @returns {Promise<void>}
+   */
+  async appendEvent(sessionId, event) {
+    if (!(await this._isAvailable())) return;
+
+    await this.pool.query(`
+      INSERT INTO session_events (session_id, seq, event_type, data, occurred_at)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [sessionId, event.seq, event.type, JSON.stringify(event.data), event.timestamp]);
+  }
+
+  /**
+   * Log de eventos de una sesión en orden
+   *
+   * @param {string} sessionId
+   * @returns {Promise<Array>} [{ seq, type, timestamp, data }]
+   */
+  async loadEvents(sessionId) {
+    if (!(await this._isAvailable())) return [];
+
+    const result = await this.pool.query(`
+      SELECT seq, event_type, data, occurred_at
+      FROM session_events
+      WHERE session_id = $1
+      ORDER BY seq ASC
+    `, [sessionId]);
+
+    return result.rows.map(row => ({
+      seq: row.seq,
+      type: row.event_type,
+      timestamp: new Date(row.occurred_at).toISOString(),
+      data: row.data
+    }));
+  }
+
+  /**
+   * Eliminar sesión (CASCADE borra jugadores, rondas y cartas; el log va aparte)
+   *
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async deleteSession(sessionId) {
+    if (!(await this._isAvailable())) return;
+
+    await this.pool.query('DELETE FROM game_sessions WHERE id = $1', [sessionId]);
+    await this.pool.query('DELETE FROM session_events WHERE session_id = $1', [sessionId]);
+  }
+
+  /**
+   * Cargar sesiones activas para rehidratar al arrancar
+   *
+   * @param {number} maxAgeMs - Ignorar sesiones creadas hace más de este tiempo
+   * @returns {Promise<Array>} [{ session, inventories: { playerId: { cardId: count } }, powerCards }]
+   */
+  async loadActiveSessions(maxAgeMs) {
+    if (!(await this._isAvailable())) return [];
+
+    const since = new Date(Date.now() - maxAgeMs).toISOString();
+
+    const sessionsResult = await this.pool.query(`
+      SELECT id, snapshot, power_cards
+      FROM game_sessions
+      WHERE status = ANY($1) AND snapshot IS NOT NULL AND created_at >= $2
+      ORDER BY created_at ASC
+    `, [ACTIVE_STATUSES, since]);
+
+    if (sessionsResult.rows.length === 0) return [];
+
+    const ids = sessionsResult.rows.map(row => row.id);
+
+    const cardsResult = await this.pool.query(`
+      SELECT session_id, player_id, card_id, COUNT(*)::int AS count
+      FROM player_power_cards
+      WHERE session_id = ANY($1) AND used_at IS NULL
+      GROUP BY session_id, player_id, card_id
+    `, [ids]);
+
+    return sessionsResult.rows.map(row => {
+      const inventories = {};
+
+      cardsResult.rows
+        .filter(card => card.session_id === row.id)
+        .forEach(card => {
+          inventories[card.player_id] = inventories[card.player_id] || {};
+          inventories[card.player_id][card.card_id] = card.count;
+        });
+
+      return { session: row.snapshot, inventories, powerCards: row.power_cards || null };
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 👤 PERFILES Y RANKINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Crear o actualizar un perfil
+   *
+   * @param {Object} profile - { id, name, avatarColor, deviceToken, createdAt }
+   * @returns {Promise<void>}
+   */
+  async saveProfile(profile) {
+    if (!(await this._isAvailable())) return;
+
+    await this.pool.query(`
+      INSERT INTO player_profiles (id, name, avatar_color, device_token, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (id) DO UPDATE SET
+        name = EXCLUDED.name,
+        avatar_color = EXCLUDED.avatar_color,
+        device_token = EXCLUDED.device_token,
+        updated_at = NOW()
+    `, [profile.id, profile.name, profile.avatarColor, profile.deviceToken, profile.createdAt]);
+  }
+
+  /**
+   * @param {string} profileId
+   * @returns {Promise<Object|null>}
+   */
+  async loadProfile(profileId) {
+    if (!(await this._isAvailable())) return null;
+
+    const result = await this.pool.query('SELECT * FROM player_profiles WHERE id = $1', [profileId]);
+    return result.rows.length > 0 ? this._profileFromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * @param {string} deviceToken
+   * @returns {Promise<Object|null>}
+   */
+  async findProfileByDeviceToken(deviceToken) {
+    if (!(await this._isAvailable())) return null;
+
+    const result = await this.pool.query('SELECT * FROM player_profiles WHERE device_token = $1', [deviceToken]);
+    return result.rows.length > 0 ? this._profileFromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Stats de por vida de un perfil (solo partidas terminadas)
+   *
+   * @param {string} profileId
+   * @returns {Promise<Object>} { gamesPlayed, gamesWon, totalScore, bestScore, correctAnswers,
+   *                              wrongAnswers, combosCompleted, powerCardsUsed, lastPlayedAt }
+   */
+  async getProfileStats(profileId) {
+    if (!(await this._isAvailable())) return emptyProfileStats();
+
+    const result = await this.pool.query(`
+      SELECT
+        COUNT(*)::int AS games_played,
+        COUNT(*) FILTER (WHERE sp.won)::int AS games_won,
+        COALESCE(SUM(sp.final_score), 0)::int AS total_score,
+        COALESCE(MAX(sp.final_score), 0)::int AS best_score,
+        COALESCE(SUM(sp.correct_answers), 0)::int AS correct_answers,
+        COALESCE(SUM(sp.wrong_answers), 0)::int AS wrong_answers,
+        COALESCE(SUM(sp.combos_achieved), 0)::int AS combos_completed,
+        COALESCE(SUM(sp.power_cards_used), 0)::int AS power_cards_used,
+        MAX(gs.finished_at) AS last_played_at
+      FROM session_players sp
+      JOIN game_sessions gs ON gs.id = sp.session_id
+      WHERE sp.profile_id = $1 AND gs.status = 'finished'
+    `, [profileId]);
+
+    const row = result.rows[0];
+
+    return {
+      gamesPlayed: row.games_played,
+      gamesWon: row.games_won,
+      totalScore: row.total_score,
+      bestScore: row.best_score,
+      correctAnswers: row.correct_answers,
+      wrongAnswers: row.wrong_answers,
+      combosCompleted: row.combos_completed,
+      powerCardsUsed: row.power_cards_used,
+      lastPlayedAt: row.last_played_at ? new Date(row.last_played_at).toISOString() : null
+    };
+  }
+
+  /**
+   * Ranking de perfiles en partidas terminadas
+   *
+   * Sin genre/decade: por partidas (gamesWon, totalScore).
+   * Con genre/decade: por rondas de ese género/década (roundsWon).
+   *
+   * @param {Object} filters - { from, to (ISO, opcionales), genre, decade, limit }
+   * @returns {Promise<Array>}
+   */
+  async getLeaderboard({ from = null, to = null, genre = null, decade = null, limit = 10 } = {}) {
+    if (!(await this._isAvailable())) return [];
+
+    if (genre || decade) {
+      const result = await this.pool.query(`
+        SELECT
+          p.id, p.name, p.avatar_color,
+          COUNT(*)::int AS rounds_played,
+          COUNT(*) FILTER (WHERE rh.winner_player_id = sp.player_id)::int AS rounds_won
+        FROM round_history rh
+        JOIN game_sessions gs ON gs.id = rh.session_id AND gs.status = 'finished'
+        JOIN session_players sp ON sp.session_id = rh.session_id
+        JOIN player_profiles p ON p.id = sp.profile_id
+        WHERE ($1::text IS NULL OR UPPER(rh.details->>'genre') = UPPER($1))
+          AND ($2::text IS NULL OR rh.details->>'decade' = $2)
+          AND ($3::timestamp IS NULL OR gs.finished_at >= $3)
+          AND ($4::timestamp IS NULL OR gs.finished_at < $4)
+          AND (rh.details->'eligiblePlayerIds' IS NULL OR rh.details->'eligiblePlayerIds' ? sp.player_id)
+        GROUP BY p.id
+        ORDER BY rounds_won DESC, rounds_played ASC, p.name ASC
+        LIMIT $5
+      `, [genre, decade, from, to, limit]);
+
+      return result.rows.map(row => ({
+        profileId: row.id,
+        name: row.name,
+        avatarColor: row.avatar_color,
+        roundsPlayed: row.rounds_played,
+        roundsWon: row.rounds_won
+      }));
+    }
+
+    const result = await this.pool.query(`
+      SELECT
+        p.id, p.name, p.avatar_color,
+        COUNT(*)::int AS games_played,
+        COUNT(*) FILTER (WHERE sp.won)::int AS games_won,
+        COALESCE(SUM(sp.final_score), 0)::int AS total_score,
+        COALESCE(SUM(sp.correct_answers), 0)::int AS correct_answers,
+        COALESCE(SUM(sp.wrong_answers), 0)::int AS wrong_answers
+      FROM session_players sp
+      JOIN game_sessions gs ON gs.id = sp.session_id AND gs.status = 'finished'
+      JOIN player_profiles p ON p.id = sp.profile_id
+      WHERE ($1::timestamp IS NULL OR gs.finished_at >= $1)
+        AND ($2::timestamp IS NULL OR gs.finished_at < $2)
+      GROUP BY p.id
+      ORDER BY games_won DESC, total_score DESC, p.name ASC
+      LIMIT $3
+    `, [from, to, limit]);
+
+    return result.rows.map(row => ({
+      profileId: row.id,
+      name: row.name,
+      avatarColor: row.avatar_color,
+      gamesPlayed: row.games_played,
+      gamesWon: row.games_won,
+      totalScore: row.total_score,
+      correctAnswers: row.correct_answers,
+      wrongAnswers: row.wrong_answers
+    }));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // 📈 RATINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Guardar los cambios de rating de una partida (historial + rating actual)
+   *
+   * @param {string} sessionId
+   * @param {Array} changes - [{ profileId, rank, participants, ratingBefore, ratingAfter }]
+   * @returns {Promise<void>}
+   */
+  async recordRatings(sessionId, changes) {
+    if (!(await this._isAvailable())) return;
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const change of changes) {
+        await client.query(`
+          INSERT INTO rating_history (
+            profile_id, session_id, finishing_rank, participants, rating_before, rating_after
+          )
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [change.profileId, sessionId, change.rank, change.participants, change.ratingBefore, change.ratingAfter]);
+
+        await client.query(`
+          UPDATE player_profiles
+          SET rating = $2, rated_games = rated_games + 1, updated_at = NOW()
+          WHERE id = $1
+        `, [change.profileId, change.ratingAfter]);
+      }
+
+      await client.query('COMMIT');
+      logger.debug(`📈 Ratings guardados: ${sessionId} (${changes.length} perfiles)`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cambios de rating ya guardados de una partida
+   *
+   * @param {string} sessionId
+   * @returns {Promise<Array>} [{ profileId, sessionId, rank, participants, ratingBefore, ratingAfter, createdAt }]
+   */
+  async loadSessionRatings(sessionId) {
+    if (!(await this._isAvailable())) return [];
+
+    const result = await this.pool.query(
+      'SELECT * FROM rating_history WHERE session_id = $1 ORDER BY finishing_rank ASC',
+      [sessionId]
+    );
+
+    return result.rows.map(row => this._ratingFromRow(row));
+  }
+
+  /**
+   * Deshacer los cambios de rating de una partida (vuelve a rating_before)
+   *
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async revertRatings(sessionId) {
+    if (!(await this._isAvailable())) return;
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        UPDATE player_profiles p
+        SET rating = rh.rating_before, rated_games = GREATEST(p.rated_games - 1, 0), updated_at = NOW()
+        FROM rating_history rh
+        WHERE rh.profile_id = p.id AND rh.session_id = $1
+      `, [sessionId]);
+
+      await client.query('DELETE FROM rating_history WHERE session_id = $1', [sessionId]);
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Historial de rating de un perfil (más reciente primero)
+   *
+   * @param {string} profileId
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async loadRatingHistory(profileId, limit = 50) {
+    if (!(await this._isAvailable())) return [];
+
+    const result = await this.pool.query(`
+      SELECT * FROM rating_history
+      WHERE profile_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [profileId, limit]);
+
+    return result.rows.map(row => this._ratingFromRow(row));
+  }
+
+  /**
+   * @private
+   */
+  _profileFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      avatarColor: row.avatar_color,
+      deviceToken: row.device_token,
+      rating: row.rating,
+      ratedGames: row.rated_games,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  /**
+   * @private
+   */
+  _ratingFromRow(row) {
+    return {
+      profileId: row.profile_id,
+      sessionId: row.session_id,
+      rank: row.finishing_rank,
+      participants: row.participants,
+      ratingBefore: row.rating_before,
+      ratingAfter: row.rating_after,
+      delta: row.rating_after - row.rating_before,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _isAvailable() {
+    await this.ready;
+    return this.dbAvailable;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 🧠 MEMORIA (tests / desarrollo sin PostgreSQL)
+// ═══════════════════════════════════════════════════════════════
+
+class InMemorySessionRepository {
+  constructor() {
+    this.sessions = new Map();   // sessionId -> snapshot serializado
+    this.players = new Map();    // sessionId -> Map<playerId, { player, won }> (session_players)
+    this.powerCards = new Map(); // sessionId -> PowerCardService.snapshotSession() serializado
+    this.rounds = new Map();     // sessionId -> [{ entry, bets }]
+    this.cards = new Map();      // sessionId -> [{ playerId, cardId, cardType, usedAt }]
+    this.events = new Map();     // sessionId -> [{ seq, type, timestamp, data }]
+    this.profiles = new Map();   // profileId -> perfil
+    this.ratings = [];           // rating_history, en orden de inserción
+  }
+
+  async saveSession(session, powerCards = null) {
+    this.sessions.set(session.id, JSON.stringify(session));
+
+    // Como session_players: filas por jugador, sin las de los que ya no están
+    const rows = this.players.get(session.id) || new Map();
+    session.players.forEach(player => {
+      rows.set(player.id, { player: JSON.parse(JSON.stringify(player)), won: didPlayerWin(session, player) });
+    });
+    rows.forEach((row, playerId) => {
+      if (!session.players.some(player => player.id === playerId)) {
+        rows.delete(playerId);
+      }
+    });
+    this.players.set(session.id, rows);
+
+    if (powerCards) {
+      this.powerCards.set(session.id, JSON.stringify(powerCards));
+    }
+  }
+
+  async recordRound(session, entry, bets = {}) {
+    if (!this.rounds.has(session.id)) {
+      this.rounds.set(session.id, []);
+    }
+
+    this.rounds.get(session.id).push({
+      entry: { ...entry },
+      bets: JSON.parse(JSON.stringify(bets))
+    });
+  }
+
+  async recordCardAcquired(sessionId, playerId, card) {
+    if (!this.cards.has(sessionId)) {
+      this.cards.set(sessionId, []);
+    }
+
+    this.cards.get(sessionId).push({
+      playerId,
+      cardId: card.id,
+      cardType: card.type,
+      usedAt: null
+    });
+  }
+
+  async recordCardUsed(sessionId, playerId, cardId) {
+    const card = (this.cards.get(sessionId) || [])
+      .find(c => c.playerId === playerId && c.cardId === cardId && !c.usedAt);
+
+    if (card) {
+      card.usedAt = new Date().toISOString();
+    }
+  }
+
+  async undoRound(sessionId, roundNumber, { cardsAcquired = [], cardsUsed = [] } = {}) {
+    if (this.rounds.has(sessionId)) {
+      this.rounds.set(sessionId, this.rounds.get(sessionId).filter(r => r.entry.round !== roundNumber));
+    }
+
+    const cards = this.cards.get(sessionId) || [];
+
+    cardsAcquired.forEach(({ playerId, cardId }) => {
+      const index = cards.map(c => !c.usedAt && c.playerId === playerId && c.cardId === cardId).lastIndexOf(true);
+      if (index !== -1) cards.splice(index, 1);
+    });
+
+    cardsUsed.forEach(({ playerId, cardId }) => {
+      const card = [...cards].reverse().find(c => c.usedAt && c.playerId === playerId && c.cardId === cardId);
+      if (card) card.usedAt = null;
+    });
+  }
+
+  async appendEvent(sessionId, event) {
+    if (!this.events.has(sessionId)) {
+      this.events.set(sessionId, []);
+    }
+
+    this.events.get(sessionId).push(JSON.parse(JSON.stringify(event)));
+  }
+
+  async loadEvents(sessionId) {
+    return JSON.parse(JSON.stringify(this.events.get(sessionId) || []));
+  }
+
+  async deleteSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.players.delete(sessionId);
+    this.powerCards.delete(sessionId);
+    this.rounds.delete(sessionId);
+    this.cards.delete(sessionId);
+    this.events.delete(sessionId);
+  }
+
+  async loadActiveSessions(maxAgeMs) {
+    const since = Date.now() - maxAgeMs;
+    const result = [];
+
+    this.sessions.forEach((serialized, sessionId) => {
+      const session = JSON.parse(serialized);
+
+      if (!ACTIVE_STATUSES.includes(session.status)) return;
+      if (new Date(session.createdAt).getTime() < since) return;
+
+      const inventories = {};
+      (this.cards.get(sessionId) || [])
+        .filter(c => !c.usedAt)
+        .forEach(c => {
+          inventories[c.playerId] = inventories[c.playerId] || {};
+          inventories[c.playerId][c.cardId] = (inventories[c.playerId][c.cardId] || 0) + 1;
+        });
+
+      const powerCards = this.powerCards.has(sessionId) ? JSON.parse(this.powerCards.get(sessionId)) : null;
+
+      result.push({ session, inventories, powerCards });
+    });
+
+    return result;
+  }
+
+  async saveProfile(profile) {
+    this.profiles.set(profile.id, { ...profile });
+  }
+
+  async loadProfile(profileId) {
+    const profile = this.profiles.get(profileId);
+    return profile ? { ...profile } : null;
+  }
+
+  async findProfileByDeviceToken(deviceToken) {
+    const profile = [...this.profiles.values()].find(p => p.deviceToken === deviceToken);
+    return profile ? { ...profile } : null;
+  }
+
+  async getProfileStats(profileId) {
+    const played = this._finishedParticipations().filter(p => p.player.profileId === profileId);
+
+    if (played.length === 0) return emptyProfileStats();
+
+    const sum = pick => played.reduce((total, p) => total + pick(p), 0);
+
+    return {
+      gamesPlayed: played.length,
+      gamesWon: played.filter(p => p.won).length,
+      totalScore: sum(p => p.player.score),
+      bestScore: Math.max(...played.map(p => p.player.score)),
+      correctAnswers: sum(p => p.player.stats.correctAnswers),
+      wrongAnswers: sum(p => p.player.stats.wrongAnswers),
+      combosCompleted: sum(p => p.player.stats.combosCompleted),
+      powerCardsUsed: sum(p => p.player.stats.powerCardsUsed),
+      lastPlayedAt: played.map(p => p.session.finishedAt).sort().pop() || null
+    };
+  }
+
+  async getLeaderboard({ from = null, to = null, genre = null, decade = null, limit = 10 } = {}) {
+    const inRange = p => (!from || p.session.finishedAt >= from) && (!to || p.session.finishedAt < to);
+    const participations = this._finishedParticipations().filter(p => p.player.profileId && inRange(p));
+    const rows = new Map();
+
+    const rowOf = ({ player }) => {
+      if (!rows.has(player.profileId)) {
+        const profile = this.profiles.get(player.profileId);
+        if (!profile) return null;
+        rows.set(player.profileId, { profileId: profile.id, name: profile.name, avatarColor: profile.avatarColor });
+      }
+      return rows.get(player.profileId);
+    };
+
+    if (genre || decade) {
+      participations.forEach(p => {
+        const rounds = this.getRounds(p.session.id)
+          .map(r => r.entry)
+          .filter(entry => !genre || String(entry.genre).toUpperCase() === genre.toUpperCase())
+          .filter(entry => !decade || entry.decade === decade)
+          .filter(entry => !entry.eligiblePlayerIds || entry.eligiblePlayerIds.includes(p.player.id));
+
+        const row = rounds.length > 0 ? rowOf(p) : null;
+        if (!row) return;
+
+        row.roundsPlayed = (row.roundsPlayed || 0) + rounds.length;
+        row.roundsWon = (row.roundsWon || 0) + rounds.filter(entry => entry.winner === p.player.id).length;
+      });
+
+      return [...rows.values()]
+        .sort((a, b) => b.roundsWon - a.roundsWon || a.roundsPlayed - b.roundsPlayed || a.name.localeCompare(b.name))
+        .slice(0, limit);
+    }
+
+    participations.forEach(p => {
+      const row = rowOf(p);
+      if (!row) return;
+
+      row.gamesPlayed = (row.gamesPlayed || 0) + 1;
+      row.gamesWon = (row.gamesWon || 0) + (p.won ? 1 : 0);
+      row.totalScore = (row.totalScore || 0) + p.player.score;
+      row.correctAnswers = (row.correctAnswers || 0) + p.player.stats.correctAnswers;
+      row.wrongAnswers = (row.wrongAnswers || 0) + p.player.stats.wrongAnswers;
+    });
+
+    return [...rows.values()]
+      .sort((a, b) => b.gamesWon - a.gamesWon || b.totalScore - a.totalScore || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+
+  async recordRatings(sessionId, changes) {
+    const createdAt = new Date().toISOString();
+
+    changes.forEach(change => {
+      this.ratings.push({
+        profileId: change.profileId,
+        sessionId,
+        rank: change.rank,
+        participants: change.participants,
+        ratingBefore: change.ratingBefore,
+        ratingAfter: change.ratingAfter,
+        delta: change.ratingAfter - change.ratingBefore,
+        createdAt
+      });
+
+      const profile = this.profiles.get(change.profileId);
+      if (profile) {
+        profile.rating = change.ratingAfter;
+        profile.ratedGames = (profile.ratedGames || 0) + 1;
+      }
+    });
+  }
+
+  async loadSessionRatings(sessionId) {
+    return this.ratings
+      .filter(r => r.sessionId === sessionId)
+      .sort((a, b) => a.rank - b.rank)
+      .map(r => ({ ...r }));
+  }
+
+  async revertRatings(sessionId) {
+    this.ratings
+      .filter(r => r.sessionId === sessionId)
+      .forEach(r => {
+        const profile = this.profiles.get(r.profileId);
+        if (profile) {
+          profile.rating = r.ratingBefore;
+          profile.ratedGames = Math.max((profile.ratedGames || 0) - 1, 0);
+        }
+      });
+
+    this.ratings = this.ratings.filter(r => r.sessionId !== sessionId);
+  }
+
+  async loadRatingHistory(profileId, limit = 50) {
+    return this.ratings
+      .filter(r => r.profileId === profileId)
+      .reverse()
+      .slice(0, limit)
+      .map(r => ({ ...r }));
+  }
+
+  /**
+   * Rondas registradas de una sesión (inspección en tests)
+   */
+  getRounds(sessionId) {
+    return this.rounds.get(sessionId) || [];
+  }
+
+  /**
+   * Cada jugador de cada partida terminada (lo que en PostgreSQL es session_players)
+   *
+   * @private
+   */
+  _finishedParticipations() {
+    const participations = [];
+
+    this.sessions.forEach((serialized, sessionId) => {
+      const session = JSON.parse(serialized);
+      if (session.status !== 'finished') return;
+
+      (this.players.get(sessionId) || new Map()).forEach(({ player, won }) => {
+        participations.push({ session, player, won });
+      });
+    });
+
+    return participations;
+  }
+}
+
+/**
+ * Crear el repositorio según entorno
+ * SESSION_STORE=memory fuerza memoria (tests / desarrollo sin BD)
+ */
+function createSessionRepository() {
+  if (process.env.SESSION_STORE === 'memory' || process.env.NODE_ENV === 'test') {
+    return new InMemorySessionRepository();
+  }
+
+  return new PostgresSessionRepository();
+}
+
+module.exports = {
+  PostgresSessionRepository,
+  InMemorySessionRepository,
+  createSessionRepository
+};
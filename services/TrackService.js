@@ -3,6 +3,8 @@
  * ✅ Soporta filtros del formato nuevo: genre, decade, difficulty
  * ✅ Selección aleatoria inteligente con fallbacks
  * ✅ NUEVO: Sistema anti-duplicados por partida
+ * ✅ Exclusión por sesión: cada partida pasa su propio set de tracks usados
+ *    (el set global solo se usa cuando no se pasa ninguno, p.ej. /api/tracks/random)
  */
 
 const fs = require('fs');
@@ -15,7 +17,7 @@ class TrackService {
     this.tracksPath = this.findTracksPath();
     this.loadTracks();
 
-    // ✅ NUEVO: Set para tracks usados en la partida actual
+    // ✅ Set global de tracks usados (solo para llamadas sin exclusión de sesión)
     this.usedTrackIds = new Set();
 
     // 🔄 NUEVO: Sistema híbrido con Deezer
@@ -202,15 +204,21 @@ class TrackService {
    * ✅ MODIFICADO: Ahora excluye tracks ya usados
    * 🔄 NUEVO: Busca en Deezer cuando se queda sin tracks
    * @param {Object} filters - { difficulty, genre, decade }
+   * @param {Array|Set} excludedIds - Tracks usados por la sesión (opcional).
+   *   Si se pasa, NO se toca el set global: la sesión es dueña de su historial
+   *   y debe registrar el track devuelto.
    */
-  async getRandomTrack(filters = {}) {
+  async getRandomTrack(filters = {}, excludedIds = null) {
     console.log(`\n🎲 Buscando track con filtros:`, filters);
 
+    const sessionScoped = excludedIds !== null && excludedIds !== undefined;
+    const used = sessionScoped ? new Set(excludedIds) : this.usedTrackIds;
+
     let pool = [...this.tracks];
     const originalSize = pool.length;
 
     // ✅ NUEVO: Filtro 0 - Excluir tracks ya usados
-    pool = pool.filter(t => !this.usedTrackIds.has(t.id));
+    pool = pool.filter(t => !used.has(t.id));
     console.log(`   ├─ Excluyendo usados: ${pool.length}/${originalSize} disponibles`);
 
     // 🔄 NUEVO: Si ya usamos todos los tracks, buscar más en Deezer
@@ -219,13 +227,17 @@ class TrackService {
       await this.fetchMoreTracksFromDeezer(filters.genre, filters.decade);
       // Después de agregar de Deezer, volver a construir pool
       pool = [...this.tracks];
-      pool = pool.filter(t => !this.usedTrackIds.has(t.id));
+      pool = pool.filter(t => !used.has(t.id));
       console.log(`   ✅ Tracks nuevos disponibles: ${pool.length}`);
 
-      // Si aún así no hay tracks, resetear
+      // Si aún así no hay tracks, resetear (la sesión resetea su propio historial)
       if (pool.length === 0) {
         console.log(`⚠️ Sin tracks disponibles incluso desde Deezer. Reseteando...`);
-        this.resetUsedTracks();
+        if (sessionScoped) {
+          used.clear();
+        } else {
+          this.resetUsedTracks();
+        }
         pool = [...this.tracks];
       }
     }
@@ -257,15 +269,17 @@ class TrackService {
     // Si no hay resultados después de filtros, usar fallback
     if (pool.length === 0) {
       console.log(`⚠️ Sin coincidencias exactas (0/${originalSize}), usando fallback...`);
-      return this.getFallbackTrack(filters);
+      return this.getFallbackTrack(filters, sessionScoped ? used : null);
     }
 
     // Selección aleatoria
     const randomIndex = Math.floor(Math.random() * pool.length);
     const selected = pool[randomIndex];
 
-    // ✅ NUEVO: Marcar como usado ANTES de retornar
-    this.markTrackAsUsed(selected.id);
+    // ✅ NUEVO: Marcar como usado ANTES de retornar (solo en modo global)
+    if (!sessionScoped) {
+      this.markTrackAsUsed(selected.id);
+    }
 
     console.log(`✅ Seleccionado: "${selected.title}" - ${selected.artist}`);
     console.log(`   Pool: ${pool.length}/${originalSize} tracks\n`);
@@ -280,20 +294,31 @@ class TrackService {
   /**
    * 🔄 Fallback cuando no hay coincidencias exactas
    * ✅ MODIFICADO: También excluye tracks usados
+   * @param {Object} filters - { difficulty, genre, decade }
+   * @param {Array|Set} excludedIds - Tracks usados por la sesión (opcional, ver getRandomTrack)
    */
-  getFallbackTrack(filters) {
+  getFallbackTrack(filters, excludedIds = null) {
+    const sessionScoped = excludedIds !== null && excludedIds !== undefined;
+    const used = sessionScoped ? new Set(excludedIds) : this.usedTrackIds;
+
+    const pick = (pool) => {
+      const selected = pool[Math.floor(Math.random() * pool.length)];
+      if (!sessionScoped) {
+        this.markTrackAsUsed(selected.id);
+      }
+      return selected;
+    };
+
     // Intento 1: Solo dificultad (excluyendo usados)
     if (filters.difficulty && filters.difficulty !== 'ANY') {
       const pool = this.tracks.filter(t =>
         t.difficulty &&
         t.difficulty.toLowerCase() === filters.difficulty.toLowerCase() &&
-        !this.usedTrackIds.has(t.id)
+        !used.has(t.id)
       );
       if (pool.length > 0) {
         console.log(`   Fallback 1 (solo dificultad): ${pool.length} tracks`);
-        const selected = pool[Math.floor(Math.random() * pool.length)];
-        this.markTrackAsUsed(selected.id);
-        return selected;
+        return pick(pool);
       }
     }
 
@@ -302,32 +327,28 @@ class TrackService {
       const pool = this.tracks.filter(t =>
         t.genre &&
         t.genre.toUpperCase() === filters.genre.toUpperCase() &&
-        !this.usedTrackIds.has(t.id)
+        !used.has(t.id)
       );
       if (pool.length > 0) {
         console.log(`   Fallback 2 (solo género): ${pool.length} tracks`);
-        const selected = pool[Math.floor(Math.random() * pool.length)];
-        this.markTrackAsUsed(selected.id);
-        return selected;
+        return pick(pool);
       }
     }
 
     // Intento 3: Cualquier track NO usado
-    const availableTracks = this.tracks.filter(t => !this.usedTrackIds.has(t.id));
+    const availableTracks = this.tracks.filter(t => !used.has(t.id));
 
     if (availableTracks.length > 0) {
       console.log(`   Fallback 3: Track aleatorio de ${availableTracks.length} disponibles`);
-      const selected = availableTracks[Math.floor(Math.random() * availableTracks.length)];
-      this.markTrackAsUsed(selected.id);
-      return selected;
+      return pick(availableTracks);
     }
 
     // Último recurso: Resetear y usar cualquiera
     console.log(`⚠️ No quedan tracks disponibles. Reseteando...`);
-    this.resetUsedTracks();
-    const selected = this.tracks[Math.floor(Math.random() * this.tracks.length)];
-    this.markTrackAsUsed(selected.id);
-    return selected;
+    if (!sessionScoped) {
+      this.resetUsedTracks();
+    }
+    return pick(this.tracks);
   }
 
   // ═══════════════════════════════════════════════════════════
@@ -0,0 +1,246 @@
+/**
+ * 🎯 Answer Matcher - Comparación tolerante de respuestas escritas
+ *
+ * Normaliza ambas cadenas de la misma forma y después compara:
+ * 1. Exacta (también sin espacios: "AC/DC" = "acdc")
+ * 2. Distancia de edición con umbral según longitud ("Bohemian Rapsody")
+ * 3. Parcial por palabras completas, solo si cubre la mayor parte de la respuesta
+ *
+ * Normalización:
+ * - minúsculas, sin acentos ni puntuación
+ * - sin colaboraciones: "feat.", "ft.", "featuring" y lo que sigue
+ * - sin stop words ("the", "el", "and", "y"...) salvo que la respuesta sea solo eso
+ * - números en letra y romanos → dígitos ("Five" = "V" = "5")
+ */
+
+// Por encima de este ratio una coincidencia parcial cuenta como acierto
+const PARTIAL_MIN_RATIO = 0.6;
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'of',
+  'el', 'la', 'los', 'las', 'lo', 'un', 'una', 'y', 'de', 'del'
+]);
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+  fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+  nineteen: 19, twenty: 20,
+  cero: 0, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7,
+  ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12, trece: 13, catorce: 14,
+  quince: 15, dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+  veinte: 20
+};
+
+// "i" se queda fuera: es mucho más a menudo el pronombre inglés
+const ROMAN_NUMERALS = {
+  ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10,
+  xi: 11, xii: 12, xiii: 13, xiv: 14, xv: 15, xvi: 16, xvii: 17,
+  xviii: 18, xix: 19, xx: 20
+};
+
+const FEATURING_REGEX = /\s*[([]?\b(feat|ft|featuring)\b\.?.*$/;
+
+/**
+ * Normalizar texto para comparar
+ * @param {string} text
+ * @param {Object} options - { keepFeaturing: boolean }
+ * @returns {string} Palabras normalizadas separadas por un espacio
+ */
+function normalizeAnswer(text, options = {}) {
+  if (!text || typeof text !== 'string') return '';
+
+  let normalized = text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ');
+
+  if (options.keepFeaturing) {
+    normalized = normalized.replace(/\b(feat|ft|featuring)\b\.?/g, ' ');
+  } else {
+    normalized = normalized.replace(FEATURING_REGEX, '');
+  }
+
+  // Puntos, guiones y apóstrofes se pegan ("r.e.m." → "rem", "a-ha" → "aha"),
+  // el resto separa palabras
+  normalized = normalized
+    .replace(/[.'’`-]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  const words = normalized
+    .split(' ')
+    .filter(Boolean)
+    .map(word => {
+      if (word in NUMBER_WORDS) return String(NUMBER_WORDS[word]);
+      if (word in ROMAN_NUMERALS) return String(ROMAN_NUMERALS[word]);
+      return word;
+    });
+
+  const meaningful = words.filter(word => !STOP_WORDS.has(word));
+
+  return (meaningful.length > 0 ? meaningful : words).join(' ');
+}
+
+/**
+ * Distancia de Levenshtein entre dos cadenas
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Errores tolerados según la longitud de la respuesta esperada
+ * @param {number} length
+ * @returns {number}
+ */
+function maxEditDistance(length) {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  if (length < 12) return 2;
+  return Math.min(4, Math.floor(length / 5));
+}
+
+/**
+ * Comparar la respuesta del jugador con una sola respuesta aceptable
+ * (ambas ya normalizadas)
+ *
+ * @returns {Object} { correct, confidence, method, distance }
+ */
+function compareNormalized(user, expected) {
+  if (!user || !expected) {
+    return { correct: false, confidence: 0, method: 'none', distance: null };
+  }
+
+  if (user === expected || user.replace(/ /g, '') === expected.replace(/ /g, '')) {
+    return { correct: true, confidence: 1, method: 'exact', distance: 0 };
+  }
+
+  const distance = levenshtein(user, expected);
+  const longest = Math.max(user.length, expected.length);
+  const similarity = 1 - distance / longest;
+
+  // Años, décadas, "50 Cent": los dígitos no admiten erratas
+  const sameDigits = user.replace(/\D/g, '') === expected.replace(/\D/g, '');
+
+  if (sameDigits && distance <= maxEditDistance(expected.length)) {
+    return { correct: true, confidence: round2(similarity), method: 'fuzzy', distance };
+  }
+
+  // Parcial: todas las palabras de una están en la otra
+  const userWords = user.split(' ');
+  const expectedWords = expected.split(' ');
+  const isSubset = (small, big) => small.every(word => big.includes(word));
+
+  if (isSubset(userWords, expectedWords) || isSubset(expectedWords, userWords)) {
+    const ratio = Math.min(user.length, expected.length) / longest;
+
+    if (ratio >= PARTIAL_MIN_RATIO) {
+      return { correct: true, confidence: round2(ratio), method: 'partial', distance };
+    }
+
+    return { correct: false, confidence: round2(Math.max(ratio, similarity)), method: 'none', distance };
+  }
+
+  return { correct: false, confidence: round2(Math.max(similarity, 0)), method: 'none', distance };
+}
+
+/**
+ * Buscar la mejor coincidencia entre la respuesta del jugador y las aceptables
+ *
+ * @param {string} userAnswer - Respuesta escrita
+ * @param {Array<string>} acceptableAnswers - Respuesta correcta y variaciones
+ * @param {Array<string>} aliases - Alias del track (cuentan como method 'alias')
+ * @returns {Object} { correct, confidence, method, matchedAnswer, distance }
+ */
+function matchAnswer(userAnswer, acceptableAnswers = [], aliases = []) {
+  const noMatch = { correct: false, confidence: 0, method: 'none', matchedAnswer: null, distance: null };
+
+  const userVariants = uniqueVariants(userAnswer);
+  if (userVariants.length === 0) return noMatch;
+
+  const candidates = [
+    ...acceptableAnswers.filter(Boolean).map(answer => ({ answer, isAlias: false })),
+    ...aliases.filter(Boolean).map(answer => ({ answer, isAlias: true }))
+  ];
+
+  let best = noMatch;
+
+  candidates.forEach(({ answer, isAlias }) => {
+    uniqueVariants(answer).forEach(expected => {
+      userVariants.forEach(user => {
+        const result = compareNormalized(user, expected);
+
+        const better = result.correct !== best.correct
+          ? result.correct
+          : result.confidence > best.confidence;
+
+        if (better) {
+          best = {
+            ...result,
+            method: result.correct && isAlias ? 'alias' : result.method,
+            matchedAnswer: answer
+          };
+        }
+      });
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Variantes normalizadas de un texto: sin colaboraciones, con ellas
+ * y sin paréntesis ("Sweet Dreams (Are Made of This)")
+ * @private
+ */
+function uniqueVariants(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const noParens = text.replace(/\s*[([][^)\]]*[)\]]/g, '');
+
+  return [...new Set([
+    normalizeAnswer(text),
+    normalizeAnswer(text, { keepFeaturing: true }),
+    normalizeAnswer(noParens)
+  ].filter(Boolean))];
+}
+
+/**
+ * @private
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  normalizeAnswer,
+  levenshtein,
+  maxEditDistance,
+  matchAnswer
+};